@@ -0,0 +1,288 @@
+// config/sms.js - Canalul SMS pentru notificările către clienți, cu furnizor configurabil
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { SmsUsage, Booking } = require('../models/Booking');
+
+// Sistem de logging îmbunătățit
+const NODE_ENV = process.env.NODE_ENV;
+const { createContextLogger } = require('../utils/logger');
+const { formatCalendarDate } = require('../utils/timezone');
+const logger = createContextLogger('SMS');
+
+// Furnizorul SMS: 'http' (API extern) sau 'console' (doar log și fișier, pentru dezvoltare)
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (NODE_ENV === 'production' ? 'http' : 'console');
+const SMS_API_URL = process.env.SMS_API_URL;
+const SMS_API_KEY = process.env.SMS_API_KEY;
+const SMS_SENDER = process.env.SMS_SENDER || 'DariusH';
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'sms-outbox.log');
+const SMS_REQUEST_TIMEOUT_MS = 10000;
+
+// Limitele pentru SMS, după modelul celor pentru email
+const DAILY_SMS_LIMIT = parseInt(process.env.DAILY_SMS_LIMIT || '10');
+const BOOKING_SMS_LIMIT = parseInt(process.env.BOOKING_SMS_LIMIT || '5');
+const MIN_SECONDS_BETWEEN_SMS = parseInt(process.env.MIN_SECONDS_BETWEEN_SMS || '60');
+
+/**
+ * Furnizor SMS printr-un API HTTP: POST JSON { to, from, text } cu cheia în header-ul Authorization
+ * @param {Object} config - { url, apiKey, sender }
+ * @returns {Object} - Furnizorul ({ name, isConfigured, send(to, text) })
+ */
+const createHttpSmsProvider = ({ url, apiKey, sender }) => ({
+  name: 'http',
+  isConfigured: Boolean(url && apiKey),
+  send: async (to, text) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ to, from: sender, text }),
+      signal: AbortSignal.timeout(SMS_REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Furnizorul SMS a răspuns cu statusul ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { messageId: data.id || data.messageId || `SMS_${Date.now()}` };
+  }
+});
+
+/**
+ * Furnizor SMS pentru dezvoltare: mesajele sunt doar scrise în log și într-un fișier local
+ * @param {Object} config - { filePath }
+ * @returns {Object} - Furnizorul ({ name, isConfigured, send(to, text) })
+ */
+const createConsoleSmsProvider = ({ filePath }) => ({
+  name: 'console',
+  isConfigured: true,
+  send: async (to, text) => {
+    logger.info('SMS SIMULAT PENTRU DEZVOLTARE:', { to, text });
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${new Date().toISOString()} ${to}: ${text}\n`);
+    } catch (error) {
+      logger.warn('Nu s-a putut scrie SMS-ul simulat în fișier:', error);
+    }
+
+    return { messageId: 'MOCK_SMS_' + Date.now() };
+  }
+});
+
+const SMS_PROVIDERS = {
+  http: () => createHttpSmsProvider({ url: SMS_API_URL, apiKey: SMS_API_KEY, sender: SMS_SENDER }),
+  console: () => createConsoleSmsProvider({ filePath: SMS_OUTBOX_FILE })
+};
+
+// Inițializare furnizor SMS
+let provider;
+if (SMS_PROVIDERS[SMS_PROVIDER]) {
+  provider = SMS_PROVIDERS[SMS_PROVIDER]();
+} else {
+  logger.error(`Furnizor SMS necunoscut: ${SMS_PROVIDER}. Se folosește furnizorul simulat.`);
+  provider = SMS_PROVIDERS.console();
+}
+
+if (!provider.isConfigured) {
+  // Fără furnizor configurat, clienții care preferă SMS primesc notificările pe email
+  logger.warn('Canalul SMS nu este configurat (lipsesc SMS_API_URL sau SMS_API_KEY)');
+}
+
+/**
+ * Normalizează un număr de telefon pentru trimitere (doar cifre, cu + în față dacă exista)
+ * @param {string} phoneNumber - Numărul de telefon
+ * @returns {string|null} - Numărul normalizat sau null dacă este invalid
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber || typeof phoneNumber !== 'string') return null;
+
+  const trimmed = phoneNumber.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 15) return null;
+
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+/**
+ * Verifică dacă un număr de telefon a atins limita zilnică de SMS-uri
+ * @param {string} phoneNumber - Numărul normalizat
+ * @returns {Promise<Object>} - { success, message, remaining }
+ */
+const checkDailySmsLimit = async (phoneNumber) => {
+  try {
+    const usage = await SmsUsage.findOrCreateDailyUsage(phoneNumber);
+
+    if (usage.count >= DAILY_SMS_LIMIT) {
+      logger.warn(`Limita zilnică de SMS-uri atinsă pentru ${phoneNumber}: ${usage.count}/${DAILY_SMS_LIMIT}`);
+      return { success: false, message: `Ai atins limita zilnică de ${DAILY_SMS_LIMIT} SMS-uri`, remaining: 0 };
+    }
+
+    return { success: true, message: 'În limita zilnică', remaining: DAILY_SMS_LIMIT - usage.count };
+  } catch (error) {
+    logger.error('Eroare la verificarea limitei zilnice de SMS-uri:', error);
+    // În caz de eroare, blocăm trimiterea pentru a preveni abuzul
+    return { success: false, message: 'Eroare la verificarea limitelor de SMS', remaining: 0 };
+  }
+};
+
+/**
+ * Verifică dacă o rezervare a atins limita de SMS-uri
+ * @param {string} bookingId - ID-ul rezervării
+ * @returns {Promise<Object>} - { success, message, remaining, lastSmsSentAt }
+ */
+const checkBookingSmsLimit = async (bookingId) => {
+  try {
+    const booking = await Booking.findById(bookingId).select('smsCount lastSmsSentAt');
+    if (!booking) {
+      return { success: false, message: 'Rezervarea nu a fost găsită', remaining: 0 };
+    }
+
+    const smsCount = booking.smsCount || 0;
+    if (smsCount >= BOOKING_SMS_LIMIT) {
+      logger.warn(`Limita de SMS-uri pentru rezervare atinsă pentru ${bookingId}: ${smsCount}/${BOOKING_SMS_LIMIT}`);
+      return { success: false, message: `Ai atins limita de ${BOOKING_SMS_LIMIT} SMS-uri pentru această rezervare`, remaining: 0 };
+    }
+
+    return {
+      success: true,
+      message: 'În limita rezervării',
+      remaining: BOOKING_SMS_LIMIT - smsCount,
+      lastSmsSentAt: booking.lastSmsSentAt
+    };
+  } catch (error) {
+    logger.error('Eroare la verificarea limitei de SMS-uri pentru rezervare:', error);
+    return { success: false, message: 'Eroare la verificarea limitelor de SMS pentru rezervare', remaining: 0 };
+  }
+};
+
+/**
+ * Incrementează contoarele de SMS-uri (zilnic pe număr și pe rezervare)
+ * @param {string} phoneNumber - Numărul normalizat
+ * @param {string} bookingId - ID-ul rezervării (opțional)
+ */
+const incrementSmsCounters = async (phoneNumber, bookingId) => {
+  try {
+    const usage = await SmsUsage.findOrCreateDailyUsage(phoneNumber);
+    usage.count += 1;
+    await usage.save();
+
+    if (bookingId) {
+      await Booking.updateOne({ _id: bookingId }, { $inc: { smsCount: 1 }, $set: { lastSmsSentAt: new Date() } });
+    }
+  } catch (error) {
+    logger.error('Eroare la incrementarea contoarelor de SMS-uri:', error);
+  }
+};
+
+// Textele SMS-urilor, fără diacritice (un SMS cu diacritice are doar 70 de caractere)
+const SMS_TEMPLATES = {
+  bookingConfirmed: (data) =>
+    `Darius Hreniuc: programarea ta (${data.serviceName}) din ${formatCalendarDate(data.date)}, ora ${data.time}, a fost confirmata.` +
+    (data.group ? ` Grup de ${data.group.length} persoane.` : '') +
+    (data.series ? ` Serie recurenta: ${data.series.dates.length} programari rezervate.` : '') +
+    (data.manageUrl ? ` Anulare/mutare: ${data.manageUrl}` : ''),
+  bookingRejected: (data) =>
+    `Darius Hreniuc: din pacate programarea ta din ${formatCalendarDate(data.date)}, ora ${data.time}, nu a putut fi acceptata. Te rugam sa alegi alt interval.`,
+  bookingMoved: (data) =>
+    `Darius Hreniuc: programarea ta a fost mutata pe ${formatCalendarDate(data.date)}, ora ${data.time} (in loc de ${formatCalendarDate(data.previousDate)}, ora ${data.previousTime}).` +
+    (data.manageUrl ? ` Detalii: ${data.manageUrl}` : ''),
+  seriesCancelled: (data) =>
+    `Darius Hreniuc: seria ta de programari (${data.serviceName}, ora ${data.time}) a fost anulata, ${data.dates.length} programari.` +
+    (data.reason ? ` Motiv: ${data.reason}` : ''),
+  clientBlocked: () =>
+    'Darius Hreniuc: nu mai poti face programari online. Pentru detalii, te rugam sa ne contactezi telefonic.'
+};
+
+/**
+ * Trimite un SMS prin furnizorul configurat, respectând limitele
+ * @param {string} to - Numărul de telefon
+ * @param {string} text - Textul mesajului
+ * @param {string} bookingId - ID-ul rezervării (opțional, pentru limita pe rezervare)
+ * @returns {Promise<Object>} - { success, messageId, error }
+ */
+const sendSms = async (to, text, bookingId = null) => {
+  const phoneNumber = normalizePhoneNumber(to);
+  if (!phoneNumber) {
+    return { success: false, error: 'Număr de telefon invalid' };
+  }
+
+  try {
+    const dailyLimitCheck = await checkDailySmsLimit(phoneNumber);
+    if (!dailyLimitCheck.success) {
+      return { success: false, error: dailyLimitCheck.message };
+    }
+
+    if (bookingId) {
+      const bookingLimitCheck = await checkBookingSmsLimit(bookingId);
+      if (!bookingLimitCheck.success) {
+        return { success: false, error: bookingLimitCheck.message };
+      }
+
+      const lastSentAt = bookingLimitCheck.lastSmsSentAt;
+      if (lastSentAt && (Date.now() - lastSentAt.getTime()) / 1000 < MIN_SECONDS_BETWEEN_SMS) {
+        return { success: false, error: `Te rugăm să aștepți ${MIN_SECONDS_BETWEEN_SMS} secunde între SMS-uri` };
+      }
+    }
+
+    const { messageId } = await provider.send(phoneNumber, text);
+    await incrementSmsCounters(phoneNumber, bookingId);
+
+    logger.info(`SMS trimis către ${phoneNumber}, ID: ${messageId}`);
+    return { success: true, messageId };
+  } catch (error) {
+    logger.error('Eroare la trimiterea SMS-ului:', error);
+    return {
+      success: false,
+      error: 'Nu s-a putut trimite SMS-ul. Te rugăm să încerci mai târziu.',
+      smsError: NODE_ENV === 'production' ? 'Eroare la trimiterea SMS-ului' : error.message
+    };
+  }
+};
+
+/**
+ * Canalul SMS pentru utils/notifications.js
+ */
+const smsChannel = {
+  name: 'sms',
+
+  canReach: (recipient) => provider.isConfigured && Boolean(normalizePhoneNumber(recipient.phoneNumber)),
+
+  checkLimits: async (recipient) => {
+    if (recipient.bookingId) {
+      const bookingLimitCheck = await checkBookingSmsLimit(recipient.bookingId);
+      if (!bookingLimitCheck.success) {
+        return { success: false, limit: 'booking' };
+      }
+    }
+
+    const dailyLimitCheck = await checkDailySmsLimit(normalizePhoneNumber(recipient.phoneNumber));
+    return dailyLimitCheck.success ? { success: true } : { success: false, limit: 'daily' };
+  },
+
+  send: async (type, recipient, data) => {
+    const template = SMS_TEMPLATES[type];
+    if (!template) {
+      return { success: false, error: `Notificarea ${type} nu are un mesaj SMS` };
+    }
+
+    const result = await sendSms(recipient.phoneNumber, template(data), recipient.bookingId);
+    if (result.success && recipient.client) {
+      await recipient.client.incrementSmsCounter();
+    }
+    return result;
+  }
+};
+
+module.exports = {
+  smsChannel,
+  sendSms,
+  createHttpSmsProvider,
+  createConsoleSmsProvider,
+  DAILY_SMS_LIMIT,
+  BOOKING_SMS_LIMIT,
+  MIN_SECONDS_BETWEEN_SMS
+};
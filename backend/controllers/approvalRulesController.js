@@ -0,0 +1,94 @@
+// backend/controllers/approvalRulesController.js
+const ApprovalRules = require('../models/ApprovalRules');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('APPROVAL-RULES');
+
+/**
+ * Standardizează răspunsurile de eroare
+ */
+const errorResponse = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    success: false,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Formatează regulile pentru răspunsurile API
+ */
+const formatRuleSet = (ruleSet) => ({
+  enabled: ruleSet.enabled,
+  rules: ruleSet.rules.map(rule => ({
+    name: rule.name,
+    action: rule.action,
+    enabled: rule.enabled,
+    minCompletedBookings: rule.minCompletedBookings ?? null,
+    maxRecentNoShows: rule.maxRecentNoShows ?? null,
+    emailDomains: rule.emailDomains
+  })),
+  updatedAt: ruleSet.updatedAt
+});
+
+/**
+ * Obține regulile de aprobare automată
+ */
+const getApprovalRules = async (req, res) => {
+  try {
+    const ruleSet = await ApprovalRules.getRules();
+
+    res.status(200).json({
+      success: true,
+      approvalRules: formatRuleSet(ruleSet)
+    });
+
+  } catch (error) {
+    logger.error('Error getting approval rules:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea regulilor de aprobare automată');
+  }
+};
+
+/**
+ * Actualizează regulile de aprobare automată (doar admin)
+ */
+const updateApprovalRules = async (req, res) => {
+  try {
+    const { enabled, rules } = req.body;
+
+    // Validarea formatului este făcută în middleware
+    const normalizedRules = rules.map(rule => ({
+      name: rule.name.trim(),
+      action: rule.action,
+      enabled: rule.enabled !== false,
+      minCompletedBookings: rule.minCompletedBookings ?? null,
+      maxRecentNoShows: rule.maxRecentNoShows ?? null,
+      emailDomains: [...new Set((rule.emailDomains || []).map(domain => domain.trim().toLowerCase()))]
+    }));
+
+    let ruleSet;
+    try {
+      ruleSet = await ApprovalRules.updateRules(enabled, normalizedRules, req.user.id);
+    } catch (validationError) {
+      return errorResponse(res, 400, validationError.message);
+    }
+
+    logger.info(`Approval rules updated by ${req.user.username} (${enabled ? 'enabled' : 'disabled'}, ${normalizedRules.length} rules)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Regulile de aprobare automată au fost actualizate',
+      approvalRules: formatRuleSet(ruleSet)
+    });
+
+  } catch (error) {
+    logger.error('Error updating approval rules:', error);
+    return errorResponse(res, 500, 'Eroare la actualizarea regulilor de aprobare automată');
+  }
+};
+
+module.exports = {
+  getApprovalRules,
+  updateApprovalRules
+};
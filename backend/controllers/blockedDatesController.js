@@ -1,378 +1,618 @@
-// backend/controllers/blockedDatesController.js
-const BlockedDate = require('../models/BlockedDates');
-const { Booking } = require('../models/Booking'); // Adăugăm importul pentru Booking
-const mongoose = require('mongoose');
-
-// Sistem de logging îmbunătățit
-const NODE_ENV = process.env.NODE_ENV;
-const { createContextLogger } = require('../utils/logger');
-const logger = createContextLogger('BLOCKED-DATES');
-
-/**
- * Standardizează răspunsurile de eroare
- */
-const errorResponse = (res, status, message, extra = {}) => {
-  return res.status(status).json({
-    success: false,
-    message,
-    ...extra
-  });
-};
-
-/**
- * Verifică dacă există rezervări confirmate pentru o dată/ore specifice
- */
-const checkExistingBookings = async (date, isFullDay, hours = []) => {
-  try {
-    // Pregătește intervalul de căutare pentru ziua specificată
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    // Caută rezervări confirmate pentru această dată
-    const existingBookings = await Booking.find({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      },
-      status: { $in: ['confirmed', 'pending'] } // Verifică și rezervările pending verificate
-    }).populate('service');
-    
-    if (existingBookings.length === 0) {
-      return { hasConflict: false, conflictingBookings: [] };
-    }
-    
-    // Dacă se încearcă blocarea întregii zile
-    if (isFullDay) {
-      return {
-        hasConflict: true,
-        conflictingBookings: existingBookings.map(booking => ({
-          id: booking._id,
-          clientName: booking.clientName,
-          time: booking.time,
-          service: booking.service ? booking.service.name : 'Unknown Service',
-          status: booking.status
-        })),
-        message: `Nu se poate bloca întreaga zi. Există ${existingBookings.length} rezervări pentru această dată.`
-      };
-    }
-    
-    // Verifică conflicte pentru ore specifice
-    const conflictingBookings = [];
-    
-    for (const booking of existingBookings) {
-      const service = booking.service;
-      if (!service) continue;
-      
-      // Calculează intervalul orar al rezervării existente
-      const [bookingHour, bookingMinute] = booking.time.split(':').map(Number);
-      const bookingStartMinutes = bookingHour * 60 + bookingMinute;
-      const bookingEndMinutes = bookingStartMinutes + service.duration;
-      
-      // Verifică dacă vreo oră blocată se suprapune cu rezervarea
-      for (const hour of hours) {
-        const [blockHour, blockMinute] = hour.split(':').map(Number);
-        const blockStartMinutes = blockHour * 60 + blockMinute;
-        const blockEndMinutes = blockStartMinutes + 30; // Presupunem slot-uri de 30 min
-        
-        // Verifică suprapunere
-        if (
-          (blockStartMinutes >= bookingStartMinutes && blockStartMinutes < bookingEndMinutes) ||
-          (blockEndMinutes > bookingStartMinutes && blockEndMinutes <= bookingEndMinutes) ||
-          (blockStartMinutes <= bookingStartMinutes && blockEndMinutes >= bookingEndMinutes)
-        ) {
-          conflictingBookings.push({
-            id: booking._id,
-            clientName: booking.clientName,
-            time: booking.time,
-            service: service.name,
-            status: booking.status,
-            conflictingHour: hour
-          });
-        }
-      }
-    }
-    
-    if (conflictingBookings.length > 0) {
-      return {
-        hasConflict: true,
-        conflictingBookings,
-        message: `Nu se pot bloca orele selectate. Există rezervări care se suprapun.`
-      };
-    }
-    
-    return { hasConflict: false, conflictingBookings: [] };
-    
-  } catch (error) {
-    logger.error('Error checking existing bookings:', error);
-    return {
-      hasConflict: true,
-      conflictingBookings: [],
-      message: 'Eroare la verificarea rezervărilor existente'
-    };
-  }
-};
-
-/**
- * Blochează o dată întreagă sau ore specifice
- */
-const blockDate = async (req, res) => {
-  try {
-    const { date, isFullDay, hours } = req.body;
-    
-    // Validare input
-    if (!date) {
-      return errorResponse(res, 400, 'Data este obligatorie');
-    }
-    
-    if (!isFullDay && (!hours || !Array.isArray(hours) || hours.length === 0)) {
-      return errorResponse(res, 400, 'Trebuie să specifici orele de blocat dacă nu blochezi toată ziua');
-    }
-    
-    // Validare format dată
-    const selectedDate = new Date(date);
-    if (isNaN(selectedDate.getTime())) {
-      return errorResponse(res, 400, 'Format dată invalid');
-    }
-    
-    // Verifică dacă data nu este în trecut
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    selectedDate.setHours(0, 0, 0, 0);
-    
-    if (selectedDate < today) {
-      return errorResponse(res, 400, 'Nu se pot bloca date din trecut');
-    }
-    
-    // Validare ore pentru securitate
-    if (!isFullDay && hours) {
-      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-      for (const hour of hours) {
-        if (!timeRegex.test(hour)) {
-          return errorResponse(res, 400, `Format oră invalid: ${hour}`);
-        }
-      }
-      
-      // Limitare număr ore pentru a preveni atacurile
-      if (hours.length > 20) {
-        return errorResponse(res, 400, 'Prea multe ore selectate');
-      }
-    }
-    
-    // VERIFICARE NOUĂ: Controlează dacă există rezervări pentru data/orele specificate
-    const bookingCheck = await checkExistingBookings(selectedDate, isFullDay, hours || []);
-    
-    if (bookingCheck.hasConflict) {
-      // Returnează detalii despre rezervările care intră în conflict
-      return res.status(409).json({
-        success: false,
-        message: bookingCheck.message,
-        conflictingBookings: bookingCheck.conflictingBookings,
-        suggestAction: 'Anulează sau mută rezervările existente înainte de a bloca această dată/ore.'
-      });
-    }
-    
-    // Generează mesajul automat cu numele zilei
-    const dayName = BlockedDate.formatDateInRomanian(selectedDate);
-    const automaticReason = isFullDay 
-      ? `Suntem închiși în ${dayName}` 
-      : `Anumite ore sunt indisponibile în ${dayName}`;
-    
-    // Verifică dacă există deja o blocare pentru această dată
-    const startOfDay = new Date(selectedDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(selectedDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    let existingBlock = await BlockedDate.findOne({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
-    });
-    
-    if (existingBlock) {
-      // Actualizează blocarea existentă
-      existingBlock.isFullDayBlocked = isFullDay;
-      existingBlock.blockedHours = isFullDay ? [] : [...new Set(hours)]; // Remove duplicates
-      existingBlock.reason = automaticReason;
-      existingBlock.createdBy = req.user.id;
-      await existingBlock.save();
-    } else {
-      // Creează o nouă blocare
-      existingBlock = new BlockedDate({
-        date: selectedDate,
-        isFullDayBlocked: isFullDay,
-        blockedHours: isFullDay ? [] : [...new Set(hours)], // Remove duplicates
-        reason: automaticReason,
-        createdBy: req.user.id
-      });
-      await existingBlock.save();
-    }
-    
-    res.status(200).json({
-      success: true,
-      message: isFullDay 
-        ? `Data ${dayName} a fost blocată complet` 
-        : `Orele selectate din ${dayName} au fost blocate`,
-      blockedDate: {
-        id: existingBlock._id,
-        date: existingBlock.date,
-        isFullDayBlocked: existingBlock.isFullDayBlocked,
-        blockedHours: existingBlock.blockedHours,
-        reason: existingBlock.reason
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Error blocking date:', error);
-    return errorResponse(res, 500, 'Eroare la blocarea datei');
-  }
-};
-
-/**
- * Obține toate datele blocate
- */
-const getBlockedDates = async (req, res) => {
-  try {
-    const blockedDates = await BlockedDate.find()
-      .populate('createdBy', 'username')
-      .sort({ date: 1 });
-    
-    const formattedDates = blockedDates.map(blocked => ({
-      id: blocked._id,
-      date: blocked.date,
-      dateFormatted: BlockedDate.formatDateInRomanian(blocked.date),
-      isFullDayBlocked: blocked.isFullDayBlocked,
-      blockedHours: blocked.blockedHours,
-      reason: blocked.reason,
-      createdBy: blocked.createdBy ? blocked.createdBy.username : 'Unknown',
-      createdAt: blocked.createdAt
-    }));
-    
-    res.status(200).json({
-      success: true,
-      blockedDates: formattedDates
-    });
-    
-  } catch (error) {
-    logger.error('Error getting blocked dates:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea datelor blocate');
-  }
-};
-
-/**
- * Șterge o dată blocată
- */
-const unblockDate = async (req, res) => {
-  try {
-    const { blockedDateId } = req.params;
-    
-    // Validare ID
-    if (!mongoose.Types.ObjectId.isValid(blockedDateId)) {
-      return errorResponse(res, 400, 'ID invalid pentru data blocată');
-    }
-    
-    const blockedDate = await BlockedDate.findById(blockedDateId);
-    
-    if (!blockedDate) {
-      return errorResponse(res, 404, 'Data blocată nu a fost găsită');
-    }
-    
-    const dateFormatted = BlockedDate.formatDateInRomanian(blockedDate.date);
-    
-    await BlockedDate.findByIdAndDelete(blockedDateId);
-    
-    res.status(200).json({
-      success: true,
-      message: `Blocarea pentru ${dateFormatted} a fost eliminată`
-    });
-    
-  } catch (error) {
-    logger.error('Error unblocking date:', error);
-    return errorResponse(res, 500, 'Eroare la eliminarea blocării');
-  }
-};
-
-/**
- * Verifică dacă o dată specifică este blocată
- */
-const checkDateBlocked = async (req, res) => {
-  try {
-    const { date, time } = req.query;
-    
-    if (!date) {
-      return errorResponse(res, 400, 'Data este obligatorie');
-    }
-    
-    const selectedDate = new Date(date);
-    if (isNaN(selectedDate.getTime())) {
-      return errorResponse(res, 400, 'Format dată invalid');
-    }
-    
-    // Validare timp dacă este specificat
-    if (time) {
-      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-      if (!timeRegex.test(time)) {
-        return errorResponse(res, 400, 'Format timp invalid');
-      }
-    }
-    
-    const blockInfo = await BlockedDate.isDateTimeBlocked(selectedDate, time);
-    
-    res.status(200).json({
-      success: true,
-      isBlocked: blockInfo.isBlocked,
-      reason: blockInfo.reason,
-      type: blockInfo.type || null
-    });
-    
-  } catch (error) {
-    logger.error('Error checking blocked date:', error);
-    return errorResponse(res, 500, 'Eroare la verificarea datei');
-  }
-};
-
-/**
- * Obține orele blocate pentru o dată specifică
- */
-const getBlockedHoursForDate = async (req, res) => {
-  try {
-    const { date } = req.params;
-    
-    if (!date) {
-      return errorResponse(res, 400, 'Data este obligatorie');
-    }
-    
-    const selectedDate = new Date(date);
-    if (isNaN(selectedDate.getTime())) {
-      return errorResponse(res, 400, 'Format dată invalid');
-    }
-    
-    const blockedInfo = await BlockedDate.getBlockedHours(selectedDate);
-    
-    res.status(200).json({
-      success: true,
-      date: selectedDate,
-      dateFormatted: BlockedDate.formatDateInRomanian(selectedDate),
-      isFullDayBlocked: blockedInfo.isFullDayBlocked,
-      blockedHours: blockedInfo.blockedHours,
-      reason: blockedInfo.reason
-    });
-    
-  } catch (error) {
-    logger.error('Error getting blocked hours for date:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea orelor blocate');
-  }
-};
-
-module.exports = {
-  blockDate,
-  getBlockedDates,
-  unblockDate,
-  checkDateBlocked,
-  getBlockedHoursForDate
+// backend/controllers/blockedDatesController.js
+const BlockedDate = require('../models/BlockedDates');
+const BlockRule = require('../models/BlockRule');
+const HolidayOverride = require('../models/HolidayOverride');
+const { getHolidayName } = require('../utils/holidays');
+const BusinessSchedule = require('../models/BusinessSchedule');
+const { Booking, Service } = require('../models/Booking'); // Adăugăm importul pentru Booking
+const { timeToMinutes, rangesOverlap } = require('../utils/timeUtils');
+const { bundleFromMap } = require('../utils/serviceBundle');
+const { toCalendarDate, getBusinessToday, getDayRange, toDateKey } = require('../utils/timezone');
+const { notifyWaitlistForDate } = require('../utils/waitlist');
+const mongoose = require('mongoose');
+
+// Sistem de logging îmbunătățit
+const NODE_ENV = process.env.NODE_ENV;
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BLOCKED-DATES');
+
+/**
+ * Standardizează răspunsurile de eroare
+ */
+const errorResponse = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    success: false,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Serviciile fiecărei rezervări, combinate (rezervările cu mai multe servicii ocupă intervalul tuturor)
+ * @param {Array} bookings - Rezervările
+ * @returns {Promise<Map>} - Serviciile combinate, după ID-ul rezervării
+ */
+const loadBookingServices = async (bookings) => {
+  const services = await Service.find();
+  const servicesById = new Map(services.map(service => [service._id, service]));
+  return new Map(bookings.map(booking => [
+    booking._id.toString(),
+    bundleFromMap(servicesById, booking.getServiceIds())
+  ]));
+};
+
+/**
+ * Verifică dacă există rezervări confirmate pentru o dată/ore specifice
+ */
+const checkExistingBookings = async (date, isFullDay, hours = []) => {
+  try {
+    // Pregătește intervalul de căutare pentru ziua specificată
+    const { start: startOfDay, end: endOfDay } = getDayRange(date);
+    
+    // Caută rezervări confirmate pentru această dată
+    const existingBookings = await Booking.find({
+      date: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      },
+      status: { $in: ['confirmed', 'pending'] } // Verifică și rezervările pending verificate
+    });
+    
+    if (existingBookings.length === 0) {
+      return { hasConflict: false, conflictingBookings: [] };
+    }
+    
+    const bookingServices = await loadBookingServices(existingBookings);
+    
+    // Dacă se încearcă blocarea întregii zile
+    if (isFullDay) {
+      return {
+        hasConflict: true,
+        conflictingBookings: existingBookings.map(booking => ({
+          id: booking._id,
+          clientName: booking.clientName,
+          time: booking.time,
+          service: bookingServices.get(booking._id.toString())?.name || 'Unknown Service',
+          status: booking.status
+        })),
+        message: `Nu se poate bloca întreaga zi. Există ${existingBookings.length} rezervări pentru această dată.`
+      };
+    }
+    
+    // Verifică conflicte pentru ore specifice
+    const conflictingBookings = [];
+    
+    // Fiecare oră blocată acoperă un slot din granularitatea configurată
+    const slotInterval = await BusinessSchedule.getSlotInterval();
+    
+    for (const booking of existingBookings) {
+      const service = bookingServices.get(booking._id.toString());
+      if (!service) continue;
+      
+      // Calculează intervalul ocupat de rezervarea existentă, inclusiv timpii de pauză
+      const bookingRange = service.getOccupiedRange(timeToMinutes(booking.time));
+      
+      // Verifică dacă vreo oră blocată se suprapune cu rezervarea
+      for (const hour of hours) {
+        const blockStartMinutes = timeToMinutes(hour);
+        const blockEndMinutes = blockStartMinutes + slotInterval;
+        
+        // Verifică suprapunere
+        if (rangesOverlap(blockStartMinutes, blockEndMinutes, bookingRange.startMinutes, bookingRange.endMinutes)) {
+          conflictingBookings.push({
+            id: booking._id,
+            clientName: booking.clientName,
+            time: booking.time,
+            service: service.name,
+            status: booking.status,
+            conflictingHour: hour
+          });
+        }
+      }
+    }
+    
+    if (conflictingBookings.length > 0) {
+      return {
+        hasConflict: true,
+        conflictingBookings,
+        message: `Nu se pot bloca orele selectate. Există rezervări care se suprapun.`
+      };
+    }
+    
+    return { hasConflict: false, conflictingBookings: [] };
+    
+  } catch (error) {
+    logger.error('Error checking existing bookings:', error);
+    return {
+      hasConflict: true,
+      conflictingBookings: [],
+      message: 'Eroare la verificarea rezervărilor existente'
+    };
+  }
+};
+
+/**
+ * Blochează o dată întreagă sau ore specifice
+ */
+const blockDate = async (req, res) => {
+  try {
+    const { date, isFullDay, hours } = req.body;
+    
+    // Validare input
+    if (!date) {
+      return errorResponse(res, 400, 'Data este obligatorie');
+    }
+    
+    if (!isFullDay && (!hours || !Array.isArray(hours) || hours.length === 0)) {
+      return errorResponse(res, 400, 'Trebuie să specifici orele de blocat dacă nu blochezi toată ziua');
+    }
+    
+    // Validare format dată
+    const selectedDate = toCalendarDate(date);
+    if (!selectedDate) {
+      return errorResponse(res, 400, 'Format dată invalid');
+    }
+    
+    // Verifică dacă data nu este în trecut (în fusul orar al afacerii)
+    if (selectedDate < getBusinessToday()) {
+      return errorResponse(res, 400, 'Nu se pot bloca date din trecut');
+    }
+    
+    // Validare ore pentru securitate
+    if (!isFullDay && hours) {
+      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+      for (const hour of hours) {
+        if (!timeRegex.test(hour)) {
+          return errorResponse(res, 400, `Format oră invalid: ${hour}`);
+        }
+      }
+      
+      // Limitare număr ore pentru a preveni atacurile
+      if (hours.length > 20) {
+        return errorResponse(res, 400, 'Prea multe ore selectate');
+      }
+      
+      // Orele blocate trebuie să fie în programul de lucru al zilei respective
+      for (const hour of hours) {
+        if (!(await BusinessSchedule.isTimeWithinBusinessHours(selectedDate, hour))) {
+          const scheduleInfo = await BusinessSchedule.describeDay(selectedDate);
+          return errorResponse(res, 400, `Ora ${hour} nu este în programul de lucru: ${scheduleInfo}`);
+        }
+      }
+    }
+    
+    // VERIFICARE NOUĂ: Controlează dacă există rezervări pentru data/orele specificate
+    const bookingCheck = await checkExistingBookings(selectedDate, isFullDay, hours || []);
+    
+    if (bookingCheck.hasConflict) {
+      // Returnează detalii despre rezervările care intră în conflict
+      return res.status(409).json({
+        success: false,
+        message: bookingCheck.message,
+        conflictingBookings: bookingCheck.conflictingBookings,
+        suggestAction: 'Anulează sau mută rezervările existente înainte de a bloca această dată/ore.'
+      });
+    }
+    
+    // Generează mesajul automat cu numele zilei
+    const dayName = BlockedDate.formatDateInRomanian(selectedDate);
+    const automaticReason = isFullDay 
+      ? `Suntem închiși în ${dayName}` 
+      : `Anumite ore sunt indisponibile în ${dayName}`;
+    
+    // Verifică dacă există deja o blocare pentru această dată
+    const { start: startOfDay, end: endOfDay } = getDayRange(selectedDate);
+    
+    let existingBlock = await BlockedDate.findOne({
+      date: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      }
+    });
+    
+    if (existingBlock) {
+      // Actualizează blocarea existentă
+      existingBlock.isFullDayBlocked = isFullDay;
+      existingBlock.blockedHours = isFullDay ? [] : [...new Set(hours)]; // Remove duplicates
+      existingBlock.reason = automaticReason;
+      existingBlock.createdBy = req.user.id;
+      await existingBlock.save();
+    } else {
+      // Creează o nouă blocare
+      existingBlock = new BlockedDate({
+        date: selectedDate,
+        isFullDayBlocked: isFullDay,
+        blockedHours: isFullDay ? [] : [...new Set(hours)], // Remove duplicates
+        reason: automaticReason,
+        createdBy: req.user.id
+      });
+      await existingBlock.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: isFullDay 
+        ? `Data ${dayName} a fost blocată complet` 
+        : `Orele selectate din ${dayName} au fost blocate`,
+      blockedDate: {
+        id: existingBlock._id,
+        date: existingBlock.date,
+        isFullDayBlocked: existingBlock.isFullDayBlocked,
+        blockedHours: existingBlock.blockedHours,
+        reason: existingBlock.reason
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error blocking date:', error);
+    return errorResponse(res, 500, 'Eroare la blocarea datei');
+  }
+};
+
+/**
+ * Obține toate datele blocate
+ */
+const getBlockedDates = async (req, res) => {
+  try {
+    const blockedDates = await BlockedDate.find()
+      .populate('createdBy', 'username')
+      .sort({ date: 1 });
+    
+    const formattedDates = blockedDates.map(blocked => ({
+      id: blocked._id,
+      date: blocked.date,
+      dateFormatted: BlockedDate.formatDateInRomanian(blocked.date),
+      isFullDayBlocked: blocked.isFullDayBlocked,
+      blockedHours: blocked.blockedHours,
+      reason: blocked.reason,
+      createdBy: blocked.createdBy ? blocked.createdBy.username : 'Unknown',
+      createdAt: blocked.createdAt
+    }));
+    
+    res.status(200).json({
+      success: true,
+      blockedDates: formattedDates
+    });
+    
+  } catch (error) {
+    logger.error('Error getting blocked dates:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea datelor blocate');
+  }
+};
+
+/**
+ * Șterge o dată blocată
+ */
+const unblockDate = async (req, res) => {
+  try {
+    const { blockedDateId } = req.params;
+    
+    // Validare ID
+    if (!mongoose.Types.ObjectId.isValid(blockedDateId)) {
+      return errorResponse(res, 400, 'ID invalid pentru data blocată');
+    }
+    
+    const blockedDate = await BlockedDate.findById(blockedDateId);
+    
+    if (!blockedDate) {
+      return errorResponse(res, 404, 'Data blocată nu a fost găsită');
+    }
+    
+    const dateFormatted = BlockedDate.formatDateInRomanian(blockedDate.date);
+    
+    await BlockedDate.findByIdAndDelete(blockedDateId);
+    
+    // Intervalele deblocate sunt oferite în fundal clienților de pe lista de așteptare
+    notifyWaitlistForDate(blockedDate.date);
+    
+    res.status(200).json({
+      success: true,
+      message: `Blocarea pentru ${dateFormatted} a fost eliminată`
+    });
+    
+  } catch (error) {
+    logger.error('Error unblocking date:', error);
+    return errorResponse(res, 500, 'Eroare la eliminarea blocării');
+  }
+};
+
+/**
+ * Verifică dacă o dată specifică este blocată
+ */
+const checkDateBlocked = async (req, res) => {
+  try {
+    const { date, time } = req.query;
+    
+    if (!date) {
+      return errorResponse(res, 400, 'Data este obligatorie');
+    }
+    
+    const selectedDate = toCalendarDate(date);
+    if (!selectedDate) {
+      return errorResponse(res, 400, 'Format dată invalid');
+    }
+    
+    // Validare timp dacă este specificat
+    if (time) {
+      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+      if (!timeRegex.test(time)) {
+        return errorResponse(res, 400, 'Format timp invalid');
+      }
+    }
+    
+    const blockInfo = await BlockedDate.isDateTimeBlocked(selectedDate, time);
+    
+    res.status(200).json({
+      success: true,
+      isBlocked: blockInfo.isBlocked,
+      reason: blockInfo.reason,
+      type: blockInfo.type || null
+    });
+    
+  } catch (error) {
+    logger.error('Error checking blocked date:', error);
+    return errorResponse(res, 500, 'Eroare la verificarea datei');
+  }
+};
+
+/**
+ * Obține orele blocate pentru o dată specifică
+ */
+const getBlockedHoursForDate = async (req, res) => {
+  try {
+    const { date } = req.params;
+    
+    if (!date) {
+      return errorResponse(res, 400, 'Data este obligatorie');
+    }
+    
+    const selectedDate = toCalendarDate(date);
+    if (!selectedDate) {
+      return errorResponse(res, 400, 'Format dată invalid');
+    }
+    
+    const blockedInfo = await BlockedDate.getBlockedHours(selectedDate);
+    
+    res.status(200).json({
+      success: true,
+      date: selectedDate,
+      dateFormatted: BlockedDate.formatDateInRomanian(selectedDate),
+      isFullDayBlocked: blockedInfo.isFullDayBlocked,
+      blockedHours: blockedInfo.blockedHours,
+      reason: blockedInfo.reason
+    });
+    
+  } catch (error) {
+    logger.error('Error getting blocked hours for date:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea orelor blocate');
+  }
+};
+
+/**
+ * Formatează o regulă recurentă pentru răspunsurile API
+ */
+const formatBlockRule = (rule) => ({
+  id: rule._id,
+  frequency: rule.frequency,
+  daysOfWeek: rule.daysOfWeek,
+  nthWeek: rule.nthWeek || null,
+  isFullDay: rule.isFullDay,
+  startTime: rule.startTime || null,
+  endTime: rule.endTime || null,
+  startDate: toDateKey(rule.startDate),
+  endDate: rule.endDate ? toDateKey(rule.endDate) : null,
+  description: rule.describe(),
+  reason: rule.reason,
+  createdBy: rule.createdBy && rule.createdBy.username ? rule.createdBy.username : 'Unknown',
+  createdAt: rule.createdAt
+});
+
+/**
+ * Verifică dacă o regulă recurentă nouă se suprapune cu rezervări viitoare existente
+ */
+const checkRuleConflicts = async (rule) => {
+  const today = getBusinessToday();
+  const fromDate = rule.startDate > today ? rule.startDate : today;
+  
+  const bookings = await Booking.find({
+    date: {
+      $gte: fromDate,
+      ...(rule.endDate ? { $lte: rule.endDate } : {})
+    },
+    status: { $in: ['confirmed', 'pending'] }
+  });
+  const bookingServices = await loadBookingServices(bookings);
+  const serviceFor = (booking) => bookingServices.get(booking._id.toString());
+  
+  return bookings
+    .filter(booking => rule.occursOn(booking.date))
+    .filter(booking => rule.getBlockStatus(booking.time, serviceFor(booking) ? serviceFor(booking).duration : 0).isBlocked)
+    .map(booking => ({
+      id: booking._id,
+      clientName: booking.clientName,
+      date: toDateKey(booking.date),
+      time: booking.time,
+      service: serviceFor(booking) ? serviceFor(booking).name : 'Unknown Service',
+      status: booking.status
+    }));
+};
+
+/**
+ * Obține toate regulile recurente de blocare
+ */
+const getBlockRules = async (req, res) => {
+  try {
+    const rules = await BlockRule.find()
+      .populate('createdBy', 'username')
+      .sort({ startDate: 1 });
+    
+    res.status(200).json({
+      success: true,
+      blockRules: rules.map(formatBlockRule)
+    });
+    
+  } catch (error) {
+    logger.error('Error getting block rules:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea regulilor de blocare');
+  }
+};
+
+/**
+ * Creează o regulă recurentă de blocare (validarea este făcută în middleware)
+ */
+const createBlockRule = async (req, res) => {
+  try {
+    const { frequency, daysOfWeek, nthWeek, isFullDay, startTime, endTime, startDate, endDate, reason } = req.body;
+    
+    const rule = new BlockRule({
+      frequency,
+      daysOfWeek: [...new Set(daysOfWeek.map(Number))],
+      nthWeek: frequency === 'monthlyNthWeekday' ? Number(nthWeek) : undefined,
+      isFullDay: Boolean(isFullDay),
+      startTime: isFullDay ? undefined : startTime,
+      endTime: isFullDay ? undefined : endTime,
+      startDate: toCalendarDate(startDate),
+      endDate: endDate ? toCalendarDate(endDate) : null,
+      reason,
+      createdBy: req.user.id
+    });
+    
+    await rule.validate();
+    
+    // La fel ca la blocările punctuale, nu se blochează peste rezervări existente
+    const conflictingBookings = await checkRuleConflicts(rule);
+    if (conflictingBookings.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Regula se suprapune cu ${conflictingBookings.length} rezervări existente.`,
+        conflictingBookings,
+        suggestAction: 'Anulează sau mută rezervările existente înainte de a adăuga această regulă.'
+      });
+    }
+    
+    await rule.save();
+    
+    logger.info(`Block rule created: ${rule.describe()}`);
+    
+    res.status(201).json({
+      success: true,
+      message: `Regula a fost adăugată: ${rule.describe()}`,
+      blockRule: formatBlockRule(rule)
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const firstError = Object.values(error.errors)[0];
+      return errorResponse(res, 400, firstError ? firstError.message : 'Date invalide pentru regulă');
+    }
+    logger.error('Error creating block rule:', error);
+    return errorResponse(res, 500, 'Eroare la crearea regulii de blocare');
+  }
+};
+
+/**
+ * Șterge o regulă recurentă de blocare
+ */
+const deleteBlockRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      return errorResponse(res, 400, 'ID invalid pentru regulă');
+    }
+    
+    const rule = await BlockRule.findByIdAndDelete(ruleId);
+    
+    if (!rule) {
+      return errorResponse(res, 404, 'Regula nu a fost găsită');
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: `Regula "${rule.describe()}" a fost eliminată`
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting block rule:', error);
+    return errorResponse(res, 500, 'Eroare la eliminarea regulii');
+  }
+};
+
+/**
+ * Obține sărbătorile legale dintr-un an, cu starea deschis/închis
+ */
+const getHolidays = async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year) : getBusinessToday().getUTCFullYear();
+    
+    if (isNaN(year) || year < 2000 || year > 2100) {
+      return errorResponse(res, 400, 'An invalid');
+    }
+    
+    const holidays = await HolidayOverride.getHolidaysForYear(year);
+    
+    res.status(200).json({
+      success: true,
+      year,
+      holidays: holidays.map(holiday => ({
+        key: holiday.key,
+        name: holiday.name,
+        date: holiday.dateKey,
+        dateFormatted: BlockedDate.formatDateInRomanian(holiday.date),
+        isOpen: holiday.isOpen,
+        appliesToAllYears: holiday.overrideYear === null
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Error getting holidays:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea sărbătorilor legale');
+  }
+};
+
+/**
+ * Marchează o sărbătoare legală ca zi deschisă sau închisă (validarea este făcută în middleware)
+ */
+const updateHolidayOverride = async (req, res) => {
+  try {
+    const { holidayKey } = req.params;
+    const { isOpen, year, allYears } = req.body;
+    
+    const overrideYear = allYears ? null : parseInt(year);
+    
+    await HolidayOverride.findOneAndUpdate(
+      { holidayKey, year: overrideYear },
+      { isOpen, updatedBy: req.user.id, updatedAt: new Date() },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    
+    const holidayName = getHolidayName(holidayKey);
+    const period = allYears ? 'în fiecare an' : `în ${overrideYear}`;
+    
+    logger.info(`Holiday override: ${holidayKey} ${period} -> ${isOpen ? 'open' : 'closed'}`);
+    
+    res.status(200).json({
+      success: true,
+      message: isOpen
+        ? `Frizeria va fi deschisă de ${holidayName} ${period}`
+        : `Frizeria va fi închisă de ${holidayName} ${period}`
+    });
+    
+  } catch (error) {
+    logger.error('Error updating holiday override:', error);
+    return errorResponse(res, 500, 'Eroare la actualizarea sărbătorii');
+  }
+};
+
+module.exports = {
+  blockDate,
+  getBlockedDates,
+  unblockDate,
+  checkDateBlocked,
+  getBlockedHoursForDate,
+  getBlockRules,
+  createBlockRule,
+  deleteBlockRule,
+  getHolidays,
+  updateHolidayOverride
 };
\ No newline at end of file
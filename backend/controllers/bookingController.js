@@ -1,1617 +1,3995 @@
-// controllers/bookingController.js
-const { Service, Booking, EmailUsage, isTimeSlotAvailable } = require('../models/Booking');
-const Client = require('../models/Client');
-const BlockedDate = require('../models/BlockedDates');
-const { runFullCleanup } = require('../utils/autoCleanup');
-const TimeLock = require('../models/TimeLock');
-const { 
-  sendVerificationEmail, 
-  sendBookingConfirmationEmail, 
-  sendBookingRejectionEmail,
-  sendUserBlockedEmail,
-  getBookingEmailUsage,
-  getDailyEmailUsage,
-  DAILY_EMAIL_LIMIT
-} = require('../config/email');
-const mongoose = require('mongoose');
-const crypto = require('crypto');
-
-// Configurări din variabile de mediu
-const NODE_ENV = process.env.NODE_ENV || 'development';
-const MAX_BOOKING_DAYS_AHEAD = parseInt(process.env.MAX_BOOKING_DAYS_AHEAD) || 30;
-const VERIFICATION_CODE_LENGTH = parseInt(process.env.VERIFICATION_CODE_LENGTH) || 6;
-const BOOKING_SESSION_TIMEOUT_MINS = parseInt(process.env.BOOKING_SESSION_TIMEOUT_MINS) || 15;
-
-const { createContextLogger } = require('../utils/logger');
-const logger = createContextLogger('BOOKING-CONTROLLER');
-
-/**
- * Cache memory pentru servicii pentru a evita interogări repetate
- */
-const serviceCache = {
-  services: {},
-  lastUpdated: 0,
-  ttl: 60000, 
-  
-  async getService(serviceId) {
-    // Refresh cache if expired
-    const now = Date.now();
-    if (now - this.lastUpdated > this.ttl) {
-      await this.refreshCache();
-    }
-    
-    return this.services[serviceId] || null;
-  },
-  
-  async refreshCache() {
-    try {
-      const services = await Service.find();
-      this.services = {};
-      
-      for (const service of services) {
-        this.services[service._id] = service;
-      }
-      
-      this.lastUpdated = Date.now();
-    } catch (error) {
-      logger.error('Error refreshing service cache:', error);
-    }
-  }
-};
-
-/**
- * In-memory rate limiter pentru protecție împotriva încercărilor excesive
- */
-const rateLimit = {
-  attempts: {},
-  resetTimers: {},
-  lastCleanup: 0,
-  
-  check: function(key, maxAttempts = 5, timeWindowMs = 60000) {
-    const now = Date.now();
-    
-    // Clean up old entries periodically
-    if (!this.lastCleanup || now - this.lastCleanup > 3600000) {
-      this._cleanup();
-      this.lastCleanup = now;
-    }
-    
-    // Initialize if key doesn't exist
-    if (!this.attempts[key]) {
-      this.attempts[key] = 0;
-      this.resetTimers[key] = now + timeWindowMs;
-    }
-    
-    // Reset if time window expired
-    if (now > this.resetTimers[key]) {
-      this.attempts[key] = 0;
-      this.resetTimers[key] = now + timeWindowMs;
-    }
-    
-    // Increment and check
-    this.attempts[key]++;
-    
-    return this.attempts[key] <= maxAttempts;
-  },
-  
-  _cleanup: function() {
-    const now = Date.now();
-    for (const key in this.resetTimers) {
-      if (now > this.resetTimers[key] + 3600000) { // 1 hour
-        delete this.attempts[key];
-        delete this.resetTimers[key];
-      }
-    }
-  }
-};
-
-/**
- * Standardizează răspunsurile de eroare
- */
-const errorResponse = (res, status, message, extra = {}) => {
-  return res.status(status).json({
-    success: false,
-    message,
-    ...extra
-  });
-};
-
-/**
- * Generate a secure random verification code
- * @returns {string} 6-digit code
- */
-const generateVerificationCode = () => {
-  try {
-    // Generate a secure random number in the range 100000-999999
-    const min = Math.pow(10, VERIFICATION_CODE_LENGTH - 1);
-    const max = Math.pow(10, VERIFICATION_CODE_LENGTH) - 1;
-    const range = max - min + 1;
-    
-    return String(min + crypto.randomInt(range));
-  } catch (error) {
-    // Fallback to Math.random if crypto.randomInt is not available
-    logger.warn('Using fallback random code generation');
-    const min = 100000;
-    const max = 999999;
-    return Math.floor(min + Math.random() * (max - min + 1)).toString();
-  }
-};
-
-/**
- * Get all available services
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const getServices = async (req, res) => {
-  try {
-    const services = await Service.find().select('_id name duration price');
-    
-    if (!services || services.length === 0) {
-      return errorResponse(res, 404, 'Nu s-au găsit servicii. Contactați administratorul.');
-    }
-    
-    // Sort services by ID for consistent ordering
-    services.sort((a, b) => a._id - b._id);
-    
-    res.status(200).json({ success: true, services });
-  } catch (error) {
-    logger.error('Error fetching services:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea serviciilor disponibile');
-  }
-};
-
-const getAvailableTimeSlots = async (req, res) => {
-  try {
-    const { date, serviceId } = req.body;
-    
-    logger.info(`[TIME-SLOTS] Cerere pentru ore disponibile: data=${date}, serviceId=${serviceId}`);
-    
-    // Rulează auto-cleanup înainte de a genera orele
-    await runFullCleanup();
-    
-    // Validation is handled by middleware
-    const selectedDate = new Date(date);
-    const now = new Date();
-    
-    // Obține serviciul
-    let service = await serviceCache.getService(parseInt(serviceId));
-    if (!service) {
-      service = await Service.findById(parseInt(serviceId));
-    }
-    
-    if (!service) {
-      logger.error(`[TIME-SLOTS] Serviciul ${serviceId} nu a fost găsit`);
-      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
-    }
-    
-    logger.info(`[TIME-SLOTS] Serviciu găsit: ${service.name} (${service.duration} min, ${service.price} RON)`);
-    
-    // Verifică ziua săptămânii
-    const dayOfWeek = selectedDate.getDay(); // 0=Duminică, 1=Luni, 6=Sâmbătă
-    
-    // Duminica este închis
-    if (dayOfWeek === 0) {
-      logger.info(`[TIME-SLOTS] Duminică - închis`);
-      return res.status(200).json({ 
-        success: true, 
-        timeSlots: [],
-        message: 'Nu sunt disponibile programări duminica. Program de lucru: Luni-Sâmbătă.'
-      });
-    }
-    
-    // Verifică dacă data este blocată complet de admin
-    const dayBlockCheck = await BlockedDate.isDateTimeBlocked(selectedDate);
-    if (dayBlockCheck.isBlocked && dayBlockCheck.type === 'fullDay') {
-      logger.info(`[TIME-SLOTS] Data ${selectedDate.toISOString().split('T')[0]} este blocată complet: ${dayBlockCheck.reason}`);
-      return res.status(200).json({ 
-        success: true, 
-        timeSlots: [],
-        message: `${dayBlockCheck.reason}. Te rugăm să selectezi o altă dată.`
-      });
-    }
-    
-    // Determină dacă data selectată este astăzi
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const selectedDateOnly = new Date(selectedDate);
-    selectedDateOnly.setHours(0, 0, 0, 0);
-    const isToday = selectedDateOnly.getTime() === today.getTime();
-    
-    logger.info(`[TIME-SLOTS] Data selectată: ${selectedDate.toISOString().split('T')[0]}, este astăzi: ${isToday}`);
-    if (isToday) {
-      logger.info(`[TIME-SLOTS] Ora curentă: ${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`);
-    }
-    
-    // Determină programul de lucru bazat pe ziua săptămânii
-    let startHour, endHour, scheduleInfo;
-    
-    if (dayOfWeek === 6) { 
-      // Sâmbătă - program special 10:00-13:00
-      startHour = 10;
-      endHour = 13;
-      scheduleInfo = 'Sâmbătă (10:00-13:00)';
-    } else { 
-      // Luni-Vineri - program normal 10:00-19:00
-      startHour = 10;
-      endHour = 19;
-      scheduleInfo = 'Luni-Vineri (10:00-19:00)';
-    }
-    
-    logger.info(`[TIME-SLOTS] Program de lucru: ${scheduleInfo}`);
-    
-    // Generează toate slot-urile posibile (la fiecare 30 minute)
-    const allPossibleSlots = [];
-    for (let hour = startHour; hour < endHour; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        
-        // Verifică dacă serviciul se încadrează în program
-        const slotStartMinutes = hour * 60 + minute;
-        const slotEndMinutes = slotStartMinutes + service.duration;
-        
-        if (slotEndMinutes <= endHour * 60) {
-          allPossibleSlots.push({
-            time: timeString,
-            hour: hour,
-            minute: minute,
-            startMinutes: slotStartMinutes,
-            endMinutes: slotEndMinutes
-          });
-        }
-      }
-    }
-    
-    logger.info(`[TIME-SLOTS] Generate ${allPossibleSlots.length} slot-uri posibile în programul de lucru`);
-    
-    // Filtrează slot-urile disponibile
-    const availableSlots = [];
-    
-    for (const slot of allPossibleSlots) {
-      let isSlotAvailable = true;
-      let skipReason = null;
-      
-      // 1. VERIFICĂ DACĂ SLOT-UL A ÎNCEPUT DEJA (doar pentru astăzi)
-      if (isToday) {
-        const slotDateTime = new Date(selectedDate);
-        slotDateTime.setHours(slot.hour, slot.minute, 0, 0);
-        
-        if (slotDateTime <= now) {
-          isSlotAvailable = false;
-          skipReason = 'a început deja';
-        }
-      }
-      
-      // 2. VERIFICĂ REZERVĂRI EXISTENTE ȘI BLOCĂRI
-      if (isSlotAvailable) {
-        const available = await isTimeSlotAvailable(selectedDate, slot.time, service.duration);
-        if (!available) {
-          isSlotAvailable = false;
-          skipReason = 'rezervat sau blocat';
-        }
-      }
-      
-      // Adaugă slot-ul dacă este disponibil
-      if (isSlotAvailable) {
-        availableSlots.push(slot.time);
-        logger.info(`[TIME-SLOTS] ✓ ${slot.time} - disponibil`);
-      } else {
-        logger.info(`[TIME-SLOTS] ✗ ${slot.time} - ${skipReason}`);
-      }
-    }
-    
-    logger.info(`[TIME-SLOTS] Rezultat final: ${availableSlots.length} slot-uri disponibile din ${allPossibleSlots.length} posibile`);
-    
-    // Gestionează cazul când nu există slot-uri disponibile
-    if (availableSlots.length === 0) {
-      let message = 'Nu există intervale orare disponibile pentru data selectată.';
-      
-      // Mesaj personalizat pentru astăzi
-      if (isToday) {
-        const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-        message = `Nu mai există intervale orare disponibile pentru astăzi (ora curentă: ${currentTime}). Te rugăm să selectezi o altă dată.`;
-      }
-      
-      // Verifică dacă sunt ore blocate specific de admin
-      const blockedInfo = await BlockedDate.getBlockedHours(selectedDate);
-      if (blockedInfo.blockedHours && blockedInfo.blockedHours.length > 0) {
-        message = `${blockedInfo.reason}. Te rugăm să selectezi o altă dată.`;
-      }
-      
-      logger.info(`[TIME-SLOTS] Nu există slot-uri disponibile: ${message}`);
-      
-      return res.status(200).json({ 
-        success: true, 
-        timeSlots: [],
-        message: message
-      });
-    }
-    
-    // Returnează slot-urile disponibile
-    const response = {
-      success: true, 
-      timeSlots: availableSlots,
-      serviceName: service.name,
-      serviceDuration: service.duration,
-      servicePrice: service.price,
-      selectedDate: selectedDate.toISOString().split('T')[0],
-      isToday: isToday,
-      schedule: scheduleInfo
-    };
-    
-    // Adaugă informații suplimentare pentru debugging (doar în development)
-    if (process.env.NODE_ENV === 'development') {
-      response.debug = {
-        currentTime: now.toTimeString().substring(0, 8),
-        totalPossibleSlots: allPossibleSlots.length,
-        availableSlotsCount: availableSlots.length,
-        dayOfWeek: dayOfWeek
-      };
-    }
-    
-    logger.info(`[TIME-SLOTS] Răspuns trimis cu ${availableSlots.length} slot-uri: ${availableSlots.join(', ')}`);
-    
-    res.status(200).json(response);
-    
-  } catch (error) {
-    logger.error('[TIME-SLOTS] Eroare la obținerea orelor disponibile:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea intervalelor orare disponibile');
-  }
-};
-
-
-const createBooking = async (req, res) => {
-  try {
-    const { serviceId, date, time } = req.body;
-    
-    // Validate service exists
-    let service;
-    
-    // Try to get from cache first
-    service = await serviceCache.getService(parseInt(serviceId));
-    
-    // Fallback to database if not in cache
-    if (!service) {
-      service = await Service.findById(parseInt(serviceId));
-    }
-    
-    if (!service) {
-      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
-    }
-    
-    // Check if the selected time slot is available
-    const selectedDate = new Date(date);
-    const isAvailable = await isTimeSlotAvailable(selectedDate, time, service.duration);
-    
-    if (!isAvailable) {
-      // Verifică dacă data este blocată pentru un mesaj personalizat
-      const blockCheck = await BlockedDate.isDateTimeBlocked(selectedDate, time);
-      if (blockCheck.isBlocked) {
-        return errorResponse(res, 400, `${blockCheck.reason}. Te rugăm să selectezi altă dată sau oră.`);
-      }
-      
-      return errorResponse(res, 400, `Intervalul orar ${time} a fost rezervat de un alt client în același timp. Te rugăm să selectezi o altă oră.`);
-    }
-    
-    // Încearcă să creezi lock-ul atomic pentru a preveni race conditions
-    try {
-      const timeLock = new TimeLock({
-        date: selectedDate,
-        time: time,
-        serviceId: parseInt(serviceId),
-        lockedBy: req.sessionID 
-      });
-      
-      await timeLock.save(); // Dacă altcineva are deja lock, va da eroare
-      
-    } catch (lockError) {
-      if (lockError.code === 11000) { // Duplicate key error
-        return errorResponse(res, 400, `Intervalul orar ${time} a fost rezervat de un alt client în același timp. Te rugăm să selectezi o altă oră.`);
-      }
-      throw lockError;
-    }
-    
-    // Dacă ajunge aici, lock-ul a fost creat cu succes
-    // Store booking information in session to be od later
-    if (req.session) {
-      req.session.bookingData = {
-        serviceId: parseInt(serviceId),
-        date: selectedDate,
-        time,
-        createdAt: new Date() // Add timestamp to track session freshness
-      };
-      // Set a session timeout (default 15 min)
-      req.session.bookingDataExpiry = Date.now() + (BOOKING_SESSION_TIMEOUT_MINS * 60 * 1000);
-      req.session.save();
-    }
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Intervalul orar a fost rezervat temporar',
-      bookingData: {
-        serviceId: service._id,
-        service: service.name,
-        duration: service.duration,
-        price: service.price,
-        date: selectedDate.toLocaleDateString('ro-RO'),
-        time
-      }
-    });
-  } catch (error) {
-    logger.error('Error creating booking:', error);
-    return errorResponse(res, 500, 'Eroare la crearea rezervării');
-  }
-};
-
-/**
- * Resend verification code
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const resendVerificationCode = async (req, res) => {
-  try {
-    const { bookingId } = req.body;
-    
-    // Validation is now handled by middleware
-    
-    // Rate limiting check to prevent abuse
-    const rateLimitKey = `resend_${bookingId}`;
-    if (!rateLimit.check(rateLimitKey, 3, 5 * 60 * 1000)) { // 3 attempts per 5 minutes
-      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați câteva minute.');
-    }
-    
-    const booking = await Booking.findById(bookingId).populate('client');
-    
-    if (!booking) {
-      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-    }
-    
-    // Verifică limita per rezervare
-    const bookingUsage = await getBookingEmailUsage(bookingId);
-    if (!bookingUsage.success || bookingUsage.remaining <= 0) {
-      return errorResponse(res, 429, 'Nu se mai poate retrimite codul. Ai atins limita de email-uri pentru această rezervare.', {
-        usageInfo: bookingUsage
-      });
-    }
-    
-    // Verifică limita zilnică pentru emailul clientului
-    const dailyUsage = await getDailyEmailUsage(booking.email);
-    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
-      return errorResponse(res, 429, 'Nu se mai poate retrimite codul. Ai atins limita zilnică de email-uri.', {
-        usageInfo: dailyUsage
-      });
-    }
-    
-    // Generate new verification code
-    const verificationCode = generateVerificationCode();
-    
-    // Trimite email-ul
-    const emailResult = await sendVerificationEmail(booking.email, verificationCode, bookingId);
-    
-    if (!emailResult.success) {
-      return errorResponse(res, 500, emailResult.error || 'Nu s-a putut trimite codul de verificare. Vă rugăm să încercați mai târziu.');
-    }
-    
-    // Update booking cu noul cod și actualizează timestamp
-    booking.verificationCode = verificationCode;
-    booking.lastEmailSentAt = new Date();
-    await booking.save();
-    
-    // Update client email stats
-    if (booking.client) {
-      await booking.client.incrementEmailCounter();
-    }
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Un nou cod de verificare a fost trimis'
-    });
-  } catch (error) {
-    logger.error('Error resending verification code:', error);
-    return errorResponse(res, 500, 'Eroare la retrimiterea codului de verificare');
-  }
-};
-
-
-
-const completeBooking = async (req, res) => {
-  try {
-    const { clientName, phoneNumber, email, countryCode, serviceId, date, time } = req.body;
-    
-    // Get booking data from session or request
-    let bookingServiceId = serviceId ? parseInt(serviceId) : null;
-    let bookingDate = date ? new Date(date) : null;
-    let bookingTime = time;
-    
-    // Check session data if available
-    if (req.session && req.session.bookingData) {
-      // Check if session data is expired
-      const now = Date.now();
-      if (req.session.bookingDataExpiry && now > req.session.bookingDataExpiry) {
-        return errorResponse(res, 400, 'Sesiunea a expirat. Vă rugăm să începeți procesul de rezervare din nou.');
-      }
-      
-      bookingServiceId = bookingServiceId || req.session.bookingData.serviceId;
-      bookingDate = bookingDate || req.session.bookingData.date;
-      bookingTime = bookingTime || req.session.bookingData.time;
-    }
-
-    // Validate that we have all required data
-    if (!bookingServiceId) {
-      return errorResponse(res, 400, 'Serviciul este obligatoriu');
-    }
-
-    if (!bookingDate) {
-      return errorResponse(res, 400, 'Data este obligatorie');
-    }
-
-    if (!bookingTime) {
-      return errorResponse(res, 400, 'Ora este obligatorie');
-    }
-    
-    if (!email) {
-      return errorResponse(res, 400, 'Adresa de email este obligatorie');
-    }
-    
-    // Verifică dacă data e în trecut
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-
-    if (bookingDate < now) {
-      return errorResponse(res, 400, 'Nu se pot face rezervări pentru date din trecut');
-    }
-
-    // Verifică dacă data este prea departe în viitor
-    const maxDate = new Date();
-    maxDate.setDate(maxDate.getDate() + MAX_BOOKING_DAYS_AHEAD);
-    maxDate.setHours(0, 0, 0, 0);
-
-    if (bookingDate > maxDate) {
-      return errorResponse(res, 400, `Nu se pot face rezervări cu mai mult de ${MAX_BOOKING_DAYS_AHEAD} zile în avans`);
-    }
-    
-    // Validate service exists
-    let service;
-    
-    // Try to get from cache first
-    service = await serviceCache.getService(bookingServiceId);
-    
-    // Fallback to database if not in cache
-    if (!service) {
-      service = await Service.findById(bookingServiceId);
-    }
-    
-    if (!service) {
-      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
-    }
-    
-    // Check if the time slot is still available
-    // const isAvailable = await isTimeSlotAvailable(bookingDate, bookingTime, service.duration);
-    // if (!isAvailable) {
-    //   return errorResponse(res, 400, 'Intervalul orar nu mai este disponibil. Vă rugăm să alegeți alt interval.');
-    // }
-    
-    // Rate limiting check to prevent spam
-    const rateLimitKey = `book_${email}_${Date.now().toString().slice(0, 10)}`;
-    if (!rateLimit.check(rateLimitKey, 5, 30 * 60 * 1000)) { // 5 attempts per 30 minutes
-      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați 30 de minute.');
-    }
-    
-    // Formatează numărul de telefon cu codul de țară
-    const fullPhoneNumber = countryCode && phoneNumber ? 
-      `${countryCode}${phoneNumber.replace(/^0/, '')}` : 
-      phoneNumber;
-    
-    // Find or create client
-    let client = await Client.findByEmail(email);
-    
-    if (client) {
-      // Check if client is blocked
-      if (client.isBlocked) {
-        return errorResponse(res, 403, 'Ne pare rău, acest client este blocat', {
-          blockReason: client.blockReason,
-          blockDate: client.blockDate
-        });
-      }
-      
-      // Update client information if it has changed
-      if (client.name !== clientName || client.phoneNumber !== fullPhoneNumber) {
-        client.name = clientName;
-        client.phoneNumber = fullPhoneNumber;
-        client.countryCode = countryCode || '+40';
-        await client.save();
-      }
-    } else {
-      // Create new client
-      client = new Client({
-        name: clientName,
-        phoneNumber: fullPhoneNumber,
-        email: email,
-        countryCode: countryCode || '+40'
-      });
-      await client.save();
-    }
-    
-    // Verifică limita zilnică de email-uri pentru acest email
-    const dailyUsage = await getDailyEmailUsage(email);
-    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
-      return errorResponse(res, 429, 'Nu se poate trimite codul de verificare. Ai atins limita zilnică de email-uri.');
-    }
-    
-    // Generate verification code
-    const verificationCode = generateVerificationCode();
-    
-    // Create booking in pending state with client reference
-    const booking = new Booking({
-      client: client._id,
-      clientName,
-      phoneNumber: fullPhoneNumber,
-      email: email,
-      countryCode: countryCode || '+40',
-      service: bookingServiceId,
-      date: bookingDate,
-      time: bookingTime,
-      verificationCode,
-      verified: false,
-      status: 'pending',
-      emailCount: 0,
-      lastEmailSentAt: null
-    });
-   
-    // Save booking to get an ID
-    await booking.save();
-    
-    // Șterge lock-ul pentru că rezervarea a fost finalizată
-    try {
-      await TimeLock.deleteOne({
-        date: bookingDate,
-        time: bookingTime,
-        serviceId: bookingServiceId,
-        lockedBy: req.sessionID
-      });
-    } catch (lockDeleteError) {
-      logger.warn('Could not delete time lock:', lockDeleteError);
-      // Nu oprește procesul dacă ștergerea lock-ului eșuează
-    }
-    
-    // Update client's total bookings
-    client.totalBookings += 1;
-    await client.save();
-    
-    // Send verification email with booking ID
-    const emailResult = await sendVerificationEmail(email, verificationCode, booking._id);
-    
-    if (!emailResult.success) {
-      // If email fails, delete the booking and return error
-      await Booking.findByIdAndDelete(booking._id);
-      // Revert client's total bookings counter
-      client.totalBookings -= 1;
-      await client.save();
-      
-      return errorResponse(res, 500, emailResult.error || 'Nu s-a putut trimite codul de verificare. Vă rugăm să încercați mai târziu.');
-    }
-    
-    // Update client's email counter
-    await client.incrementEmailCounter();
-    
-    // Clear session data and store booking ID
-    if (req.session) {
-      req.session.bookingData = null;
-      req.session.bookingDataExpiry = null;
-      req.session.bookingId = booking._id;
-      req.session.save();
-    }
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Codul de verificare a fost trimis',
-      bookingId: booking._id,
-      serviceName: service.name
-    });
-  } catch (error) {
-    logger.error('Error completing booking:', error);
-    return errorResponse(res, 500, 'Eroare la completarea rezervării');
-  }
-};
-
-/**
- * Verify booking with code
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const verifyBooking = async (req, res) => {
-  try {
-    const { bookingId, code } = req.body;
-    
-    // Rate limiting check to prevent brute force
-    const rateLimitKey = `verify_${bookingId}`;
-    if (!rateLimit.check(rateLimitKey, 5, 15 * 60 * 1000)) { // 5 attempts per 15 minutes
-      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați 15 minute.');
-    }
-    
-    // Validation is now handled by middleware
-    const booking = await Booking.findById(bookingId).populate('client');
-    
-    if (!booking) {
-      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-    }
-    
-    if (booking.verified) {
-      return errorResponse(res, 400, 'Rezervarea este deja verificată');
-    }
-    
-    // Secure comparison of verification code (prevent timing attacks)
-    // Using constant-time comparison to prevent timing attacks
-    try {
-      // Format both codes to same length to avoid errors with timingSafeEqual
-      const storedCode = booking.verificationCode.padEnd(32, '0');
-      const providedCode = code.padEnd(32, '0');
-      
-      const isCodeValid = crypto.timingSafeEqual(
-        Buffer.from(storedCode, 'utf8'),
-        Buffer.from(providedCode, 'utf8')
-      );
-      
-      if (!isCodeValid) {
-        return errorResponse(res, 400, 'Cod de verificare invalid');
-      }
-    } catch (error) {
-      // Fallback to regular comparison if crypto fails
-      logger.error('Error during secure code comparison:', error);
-      if (booking.verificationCode !== code) {
-        return errorResponse(res, 400, 'Cod de verificare invalid');
-      }
-    }
-    
-    // Update booking status
-    booking.verified = true;
-    await booking.save();
-    
-    // Clear session
-    if (req.session) {
-      req.session.bookingId = null;
-      req.session.save();
-    }
-    
-    // Get service details for response
-    const service = await Service.findById(booking.service);
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Rezervare verificată cu succes. Așteptați confirmarea frizerului.',
-      booking: {
-        id: booking._id,
-        clientName: booking.clientName,
-        serviceName: service ? service.name : 'Unknown Service',
-        date: booking.date.toLocaleDateString('ro-RO'),
-        time: booking.time
-      }
-    });
-  } catch (error) {
-    logger.error('Error verifying booking:', error);
-    return errorResponse(res, 500, 'Eroare la verificarea rezervării');
-  }
-};
-
-/**
- * Admin: Get pending bookings
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const getPendingBookings = async (req, res) => {
-  try {
-    const pendingBookings = await Booking.find({ 
-      status: 'pending', 
-      verified: true 
-    }).populate('client').sort({ date: 1, time: 1 }); // Sort by date and time
-    
-    // Get service details for each booking
-    const formattedBookings = [];
-    for (const booking of pendingBookings) {
-      const service = await Service.findById(booking.service);
-      if (service) {
-        formattedBookings.push({
-          id: booking._id,
-          clientId: booking.client ? booking.client._id : null,
-          clientName: booking.clientName,
-          phoneNumber: booking.phoneNumber,
-          email: booking.email, // Added email field
-          service: service.name,
-          serviceDuration: service.duration,
-          servicePrice: service.price,
-          date: booking.date.toLocaleDateString('ro-RO'),
-          time: booking.time,
-          createdAt: booking.createdAt,
-          totalClientBookings: booking.client ? booking.client.totalBookings : 1
-        });
-      }
-    }
-    
-    res.status(200).json({ 
-      success: true, 
-      bookings: formattedBookings,
-      count: formattedBookings.length
-    });
-  } catch (error) {
-    logger.error('Error fetching pending bookings:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea rezervărilor în așteptare');
-  }
-};
-
-/**
- * Admin: Get confirmed bookings for a specific date
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const getConfirmedBookings = async (req, res) => {
-  try {
-    const { date } = req.query;
-    
-    if (!date) {
-      return errorResponse(res, 400, 'Data este obligatorie');
-    }
-    
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return errorResponse(res, 400, 'Format dată invalid. Folosiți formatul YYYY-MM-DD.');
-    }
-    
-    const selectedDate = new Date(date);
-    if (isNaN(selectedDate.getTime())) {
-      return errorResponse(res, 400, 'Dată invalidă.');
-    }
-    
-    const nextDay = new Date(selectedDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    
-    const confirmedBookings = await Booking.find({
-      status: 'confirmed',
-      date: {
-        $gte: selectedDate,
-        $lt: nextDay
-      }
-    }).populate('client').sort({ time: 1 }); // Sort by time
-    
-    // Get service details for each booking
-    const formattedBookings = [];
-    let totalPrice = 0;
-    
-    for (const booking of confirmedBookings) {
-      const service = await Service.findById(booking.service);
-      if (service) {
-        formattedBookings.push({
-          id: booking._id,
-          clientId: booking.client ? booking.client._id : null,
-          clientName: booking.clientName,
-          phoneNumber: booking.phoneNumber,
-          email: booking.email, // Added email field
-          service: service.name,
-          servicePrice: service.price,
-          serviceDuration: service.duration,
-          time: booking.time,
-          totalClientBookings: booking.client ? booking.client.totalBookings : 1,
-          completedBookings: booking.client ? booking.client.completedBookings : 0
-        });
-        totalPrice += service.price;
-      }
-    }
-    
-    res.status(200).json({ 
-      success: true, 
-      bookings: formattedBookings,
-      totalPrice,
-      count: formattedBookings.length,
-      date: selectedDate.toLocaleDateString('ro-RO')
-    });
-  } catch (error) {
-    logger.error('Error fetching confirmed bookings:', error);
-    return errorResponse(res, 500, 'Eroare la obținerea rezervărilor confirmate');
-  }
-};
-
-/**
- * Admin: Confirm booking
- * @param {Object} req - Request object
- * @param {Object} res - Response object
- */
-const confirmBooking = async (req, res) => {
-  try {
-    const { bookingId } = req.params;
-    
-    // Validation is now handled by middleware
-    
-    const booking = await Booking.findById(bookingId).populate('client');
-    
-    if (!booking) {
-      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-    }
-    
-    // Get service for email
-    const service = await Service.findById(booking.service);
-    if (!service) {
-      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
-    }
-    
-    // Verifică limitele de email înainte de confirmare
-    const bookingUsage = await getBookingEmailUsage(bookingId);
-    if (!bookingUsage.success || bookingUsage.remaining <= 0) {
-      // Still confirm the booking, but don't send email
-      booking.status = 'confirmed';
-      await booking.save();
-      
-      return res.status(200).json({ 
-        success: true,
-        message: 'Rezervare confirmată, dar nu s-a putut trimite email de confirmare (limită atinsă)',
-        emailStatus: 'limited'
-      });
-    }
-    
-    const dailyUsage = await getDailyEmailUsage(booking.email);
-    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
-      // Still confirm the booking, but don't send email
-      booking.status = 'confirmed';
-      await booking.save();
-      
-      return res.status(200).json({ 
-        success: true,
-        message: 'Rezervare confirmată, dar nu s-a putut trimite email de confirmare (limită zilnică atinsă)',
-        emailStatus: 'limited'
-      });
-    }
-    
-    // Send confirmation email
-    const emailResult = await sendBookingConfirmationEmail(booking.email, {
-      _id: booking._id,
-      clientName: booking.clientName,
-      serviceName: service.name,
-      date: booking.date,
-      time: booking.time
-    });
-    
-    // Update booking status regardless of email success
-    booking.status = 'confirmed';
-    await booking.save();
-    
-    // Update client email counter if email was successful
-    if (emailResult.success && booking.client) {
-      await booking.client.incrementEmailCounter();
-    }
-    
-    if (!emailResult.success) {
-     return res.status(200).json({ 
-       success: true,
-       message: 'Rezervare confirmată, dar nu s-a putut trimite email de confirmare',
-       emailStatus: 'failed',
-       emailError: emailResult.error
-     });
-   }
-   
-   res.status(200).json({ 
-     success: true, 
-     message: 'Rezervare confirmată și email de confirmare trimis',
-     emailStatus: 'sent'
-   });
- } catch (error) {
-   logger.error('Error confirming booking:', error);
-   return errorResponse(res, 500, 'Eroare la confirmarea rezervării');
- }
-};
-
-/**
-* Admin: Decline booking
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const declineBooking = async (req, res) => {
- try {
-   const { bookingId } = req.params;
-   
-   // Validation is now handled by middleware
-   
-   const booking = await Booking.findById(bookingId).populate('client');
-   
-   if (!booking) {
-     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-   }
-   
-   // Get service for email
-   const service = await Service.findById(booking.service);
-   if (!service) {
-     return errorResponse(res, 404, 'Serviciul nu a fost găsit');
-   }
-   
-   // Verifică limitele de email înainte de respingere
-   const bookingUsage = await getBookingEmailUsage(bookingId);
-   if (!bookingUsage.success || bookingUsage.remaining <= 0) {
-     // Still decline the booking, but don't send email
-     booking.status = 'declined';
-     await booking.save();
-     
-     return res.status(200).json({ 
-       success: true,
-       message: 'Rezervare respinsă, dar nu s-a putut trimite email de notificare (limită atinsă)',
-       emailStatus: 'limited'
-     });
-   }
-   
-   const dailyUsage = await getDailyEmailUsage(booking.email);
-   if (!dailyUsage.success || dailyUsage.remaining <= 0) {
-     // Still decline the booking, but don't send email
-     booking.status = 'declined';
-     await booking.save();
-     
-     return res.status(200).json({ 
-       success: true,
-       message: 'Rezervare respinsă, dar nu s-a putut trimite email de notificare (limită zilnică atinsă)',
-       emailStatus: 'limited'
-     });
-   }
-   
-   // Send rejection email
-   const emailResult = await sendBookingRejectionEmail(booking.email, {
-     _id: booking._id,
-     serviceName: service.name,
-     clientName: booking.clientName,
-     date: booking.date,
-     time: booking.time
-   });
-   
-   // Update booking status regardless of email success
-   booking.status = 'declined';
-   await booking.save();
-   
-   // Update client email counter if email was successful
-   if (emailResult.success && booking.client) {
-     await booking.client.incrementEmailCounter();
-   }
-   
-   if (!emailResult.success) {
-     return res.status(200).json({ 
-       success: true,
-       message: 'Rezervare respinsă, dar nu s-a putut trimite email de notificare',
-       emailStatus: 'failed',
-       emailError: emailResult.error
-     });
-   }
-   
-   res.status(200).json({ 
-     success: true, 
-     message: 'Rezervare respinsă și email de notificare trimis',
-     emailStatus: 'sent'
-   });
- } catch (error) {
-   logger.error('Error declining booking:', error);
-   return errorResponse(res, 500, 'Eroare la respingerea rezervării');
- }
-};
-
-/**
-* Admin: Block user
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const blockUser = async (req, res) => {
- try {
-   const { bookingId } = req.params;
-   const { reason } = req.body;
-   
-   // Validation is now handled by middleware
-   
-   const booking = await Booking.findById(bookingId).populate('client');
-   
-   if (!booking) {
-     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-   }
-   
-   // Block client in the client model
-   if (booking.client) {
-     await booking.client.block(reason || 'No reason provided');
-   } else {
-     // If for some reason the client reference is missing, try to find/create the client
-     let client = await Client.findByEmail(booking.email);
-     
-     if (!client) {
-       client = new Client({
-         name: booking.clientName,
-         phoneNumber: booking.phoneNumber,
-         email: booking.email,
-         countryCode: booking.countryCode || '+40'
-       });
-     }
-     
-     await client.block(reason || 'No reason provided');
-   }
-   
-   // Verifică limitele de email înainte de a trimite notificarea
-   const bookingUsage = await getBookingEmailUsage(bookingId);
-   if (!bookingUsage.success || bookingUsage.remaining <= 0) {
-     // Doar actualizăm statusul fără a trimite email
-     booking.status = 'declined';
-     await booking.save();
-     
-     return res.status(200).json({ 
-       success: true, 
-       message: 'Utilizator blocat și rezervare respinsă (nu s-a trimis email din cauza limitei)',
-       emailStatus: 'limited'
-     });
-   }
-   
-   const dailyUsage = await getDailyEmailUsage(booking.email);
-   if (!dailyUsage.success || dailyUsage.remaining <= 0) {
-     // Doar actualizăm statusul fără a trimite email
-     booking.status = 'declined';
-     await booking.save();
-     
-     return res.status(200).json({ 
-       success: true, 
-       message: 'Utilizator blocat și rezervare respinsă (nu s-a trimis email din cauza limitei zilnice)',
-       emailStatus: 'limited'
-     });
-   }
-   
-   // Get service for email
-   const service = await Service.findById(booking.service);
-   if (!service) {
-     // Still decline the booking, but don't send email
-     booking.status = 'declined';
-     await booking.save();
-     
-     return res.status(200).json({ 
-       success: true,
-       message: 'Utilizator blocat și rezervare respinsă (serviciul nu a fost găsit)',
-       emailStatus: 'failed'
-     });
-   }
-   
-   // Trimite email utilizatorului că a fost blocat
-   const emailResult = await sendUserBlockedEmail(booking.email, {
-     name: booking.clientName,
-     phoneNumber: booking.phoneNumber,
-     email: booking.email
-   }, reason);
-   
-   // Decline the booking regardless of email status
-   booking.status = 'declined';
-   await booking.save();
-   
-   // Update client email counter if email was successful
-   if (emailResult.success && booking.client) {
-     await booking.client.incrementEmailCounter();
-   }
-   
-   res.status(200).json({ 
-     success: true, 
-     message: 'Utilizator blocat și rezervare respinsă',
-     emailStatus: emailResult.success ? 'sent' : 'failed',
-     email: booking.email,
-     phoneNumber: booking.phoneNumber,
-     clientId: booking.client ? booking.client._id : null
-   });
- } catch (error) {
-   logger.error('Error blocking user:', error);
-   return errorResponse(res, 500, 'Eroare la blocarea utilizatorului');
- }
-};
-
-/**
-* Admin: Get blocked users list
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const getBlockedUsers = async (req, res) => {
- try {
-   // Get blocked users directly from Client model
-   const blockedClients = await Client.find({ isBlocked: true })
-     .sort({ blockDate: -1 }) // Most recent first
-     .select('_id name phoneNumber email blockReason blockDate totalBookings completedBookings');
-     
-   res.status(200).json({
-     success: true,
-     users: blockedClients,
-     count: blockedClients.length
-   });
- } catch (error) {
-   logger.error('Error fetching blocked users:', error);
-   return errorResponse(res, 500, 'Eroare la obținerea utilizatorilor blocați');
- }
-};
-
-/**
-* Admin: Unblock user
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const unblockUser = async (req, res) => {
- try {
-   const { clientId } = req.params;
-   
-   if (!clientId) {
-     return errorResponse(res, 400, 'ID-ul clientului este obligatoriu');
-   }
-   
-   // Find client by ID
-   const client = await Client.findById(clientId);
-   
-   if (!client) {
-     return errorResponse(res, 404, 'Clientul nu a fost găsit');
-   }
-   
-   if (!client.isBlocked) {
-     return errorResponse(res, 400, 'Clientul nu este blocat');
-   }
-   
-   // Unblock client
-   await client.unblock();
-   
-   res.status(200).json({
-     success: true,
-     message: 'Clientul a fost deblocat cu succes',
-     client: {
-       id: client._id,
-       name: client.name,
-       phoneNumber: client.phoneNumber,
-       email: client.email
-     }
-   });
- } catch (error) {
-   logger.error('Error unblocking user:', error);
-   return errorResponse(res, 500, 'Eroare la deblocarea utilizatorului');
- }
-};
-
-/**
-* Admin: Get client details and booking history
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const getClientDetails = async (req, res) => {
- try {
-   const { clientId } = req.params;
-   
-   if (!clientId) {
-     return errorResponse(res, 400, 'ID-ul clientului este obligatoriu');
-   }
-   
-   // Find client by ID
-   const client = await Client.findById(clientId);
-   
-   if (!client) {
-     return errorResponse(res, 404, 'Clientul nu a fost găsit');
-   }
-   
-   // Get client's booking history
-   const bookings = await Booking.find({ client: clientId })
-     .sort({ date: -1, time: -1 }) // Most recent first
-     .populate('service');
-   
-   // Format bookings
-   const formattedBookings = bookings.map(booking => {
-     const service = booking.service;
-     return {
-       id: booking._id,
-       date: booking.date.toLocaleDateString('ro-RO'),
-       time: booking.time,
-       service: service ? service.name : 'Unknown Service',
-       status: booking.status,
-       price: service ? service.price : 0,
-       createdAt: booking.createdAt
-     };
-   });
-   
-   // Calculate statistics
-   const completedBookings = bookings.filter(b => b.status === 'completed').length;
-   const cancelledBookings = bookings.filter(b => b.status === 'declined' || b.status === 'cancelled').length;
-   const totalSpent = bookings
-     .filter(b => b.status === 'completed')
-     .reduce((sum, b) => sum + (b.service ? b.service.price : 0), 0);
-   
-   res.status(200).json({
-     success: true,
-     client: {
-       id: client._id,
-       name: client.name,
-       phoneNumber: client.phoneNumber,
-       email: client.email,
-       countryCode: client.countryCode || '+40',
-       isBlocked: client.isBlocked,
-       blockReason: client.blockReason,
-       blockDate: client.blockDate,
-       createdAt: client.createdAt,
-       totalBookings: client.totalBookings,
-       completedBookings: client.completedBookings,
-       emailsSent: client.emailsSent || 0
-     },
-     statistics: {
-       completedBookings,
-       cancelledBookings,
-       totalSpent,
-       averageServicePrice: completedBookings > 0 ? (totalSpent / completedBookings).toFixed(2) : 0
-     },
-     bookings: formattedBookings
-   });
- } catch (error) {
-   logger.error('Error getting client details:', error);
-   return errorResponse(res, 500, 'Eroare la obținerea detaliilor clientului');
- }
-};
-
-/**
-* Admin: Get Email usage statistics
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const getEmailUsageStats = async (req, res) => {
- try {
-   // Get today's date (start of day)
-   const today = new Date();
-   today.setHours(0, 0, 0, 0);
-   
-   // Get daily usage for all emails
-   const dailyUsage = await EmailUsage.find({
-     date: {
-       $gte: today,
-       $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-     }
-   }).sort({ count: -1 }); // Highest usage first
-   
-   // Calculate total emails sent today
-   const totalEmailsToday = dailyUsage.reduce((total, record) => total + record.count, 0);
-   
-   // Get top clients by email usage
-   const topClientsByEmail = await Client.find()
-     .sort({ emailsSent: -1 })
-     .limit(10)
-     .select('name email emailsSent lastEmailSentAt');
-   
-   // Get email usage by day (last 7 days)
-   const sevenDaysAgo = new Date();
-   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-   sevenDaysAgo.setHours(0, 0, 0, 0);
-   
-   const dailyTotals = await EmailUsage.aggregate([
-     {
-       $match: {
-         date: { $gte: sevenDaysAgo }
-       }
-     },
-     {
-       $group: {
-         _id: {
-           $dateToString: { format: '%Y-%m-%d', date: '$date' }
-         },
-         totalEmails: { $sum: '$count' }
-       }
-     },
-     { $sort: { _id: 1 } }
-   ]);
-   
-   res.status(200).json({
-     success: true,
-     stats: {
-       today: {
-         totalEmails: totalEmailsToday,
-         usageByEmail: dailyUsage.map(record => ({
-           email: record.email,
-           count: record.count,
-           remainingToday: DAILY_EMAIL_LIMIT - record.count
-         }))
-       },
-       topClients: topClientsByEmail,
-       dailyTotals: dailyTotals
-     }
-   });
- } catch (error) {
-   logger.error('Error getting email usage stats:', error);
-   return errorResponse(res, 500, 'Eroare la obținerea statisticilor email');
- }
-};
-
-/**
-* Mark booking as completed
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const completeBookingService = async (req, res) => {
- try {
-   const { bookingId } = req.params;
-   
-   if (!mongoose.Types.ObjectId.isValid(bookingId)) {
-     return errorResponse(res, 400, 'ID rezervare invalid');
-   }
-   
-   const booking = await Booking.findById(bookingId).populate('client');
-   
-   if (!booking) {
-     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-   }
-   
-   if (booking.status !== 'confirmed') {
-     return errorResponse(res, 400, `Nu se poate marca ca finalizată o rezervare cu statusul: ${booking.status}`);
-   }
-   
-   // Update booking status
-   booking.status = 'completed';
-   booking.completedAt = new Date();
-   await booking.save();
-   
-   // Update client stats
-   if (booking.client) {
-     booking.client.completedBookings += 1;
-     booking.client.lastVisit = new Date();
-     await booking.client.save();
-   }
-   
-   // Get service details
-   const service = await Service.findById(booking.service);
-   
-   res.status(200).json({
-     success: true,
-     message: 'Rezervare marcată ca finalizată',
-     booking: {
-       id: booking._id,
-       clientName: booking.clientName,
-       email: booking.email,
-       phoneNumber: booking.phoneNumber,
-       date: booking.date.toLocaleDateString('ro-RO'),
-       time: booking.time,
-       status: booking.status,
-       service: service ? service.name : 'Unknown Service',
-       price: service ? service.price : 0
-     }
-   });
- } catch (error) {
-   logger.error('Error completing booking service:', error);
-   return errorResponse(res, 500, 'Eroare la marcarea rezervării ca finalizată');
- }
-};
-
-/**
-* Get all clients (with optional filters)
-* @param {Object} req - Request object
-* @param {Object} res - Response object
-*/
-const getAllClients = async (req, res) => {
- try {
-   // Parse query parameters for filtering
-   const { search, sort = 'lastVisit', order = 'desc', limit = 50, page = 1 } = req.query;
-   
-   // Build query
-   let query = {};
-   
-   // Add search filter if provided
-   if (search) {
-     const searchRegex = new RegExp(search, 'i');
-     query = {
-       $or: [
-         { name: searchRegex },
-         { phoneNumber: searchRegex },
-         { email: searchRegex } // Added search by email
-       ]
-     };
-   }
-   
-   // Calculate pagination
-   const skip = (parseInt(page) - 1) * parseInt(limit);
-   
-   // Build sort configuration
-   const sortConfig = {};
-   sortConfig[sort] = order === 'desc' ? -1 : 1;
-   
-   // Execute query with pagination and sorting
-   const clients = await Client.find(query)
-     .sort(sortConfig)
-     .skip(skip)
-     .limit(parseInt(limit))
-     .select('_id name phoneNumber email isBlocked totalBookings completedBookings lastVisit createdAt');
-   
-   // Get total count for pagination
-   const totalCount = await Client.countDocuments(query);
-   
-   res.status(200).json({
-     success: true,
-     clients,
-     pagination: {
-       total: totalCount,
-       page: parseInt(page),
-       limit: parseInt(limit),
-       pages: Math.ceil(totalCount / parseInt(limit))
-     }
-   });
- } catch (error) {
-   logger.error('Error getting clients:', error);
-   return errorResponse(res, 500, 'Eroare la obținerea listei de clienți');
- }
-};
-
-
-
-const suspendBooking = async (req, res) => {
-  try {
-    const { bookingId } = req.params;
-    
-    const booking = await Booking.findById(bookingId);
-    
-    if (!booking) {
-      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
-    }
-    
-    // Verifică dacă rezervarea nu este deja confirmată
-    if (booking.status === 'confirmed') {
-      return errorResponse(res, 400, 'Nu se poate suspenda o rezervare confirmată');
-    }
-    
-    // Șterge lock-ul asociat dacă există
-    try {
-      await TimeLock.deleteOne({
-        date: booking.date,
-        time: booking.time,
-        serviceId: booking.service,
-        lockedBy: req.sessionID
-      });
-    } catch (lockDeleteError) {
-      logger.warn('Could not delete time lock during suspension:', lockDeleteError);
-    }
-    
-    // Marchează rezervarea ca suspendată/anulată
-    booking.status = 'cancelled';
-    await booking.save();
-    
-    logger.info(`Rezervare suspendată: ${bookingId}`);
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Rezervarea a fost suspendată cu succes. Intervalul orar este din nou disponibil.' 
-    });
-  } catch (error) {
-    logger.error('Error suspending booking:', error);
-    return errorResponse(res, 500, 'Eroare la suspendarea rezervării');
-  }
-};
-
-const runManualCleanup = async (req, res) => {
-  try {
-    const results = await runFullCleanup();
-    
-    res.status(200).json({
-      success: true,
-      message: 'Curățarea automată a fost executată cu succes',
-      results: {
-        totalCleaned: results.totalCleaned,
-        totalErrors: results.totalErrors,
-        details: {
-          expired: results.expired,
-          unconfirmed: results.unconfirmed,
-          declined: results.declined
-        },
-        timestamp: results.timestamp
-      }
-    });
-    
-  } catch (error) {
-    logger.error('Error running manual cleanup:', error);
-    return errorResponse(res, 500, 'Eroare la rularea curățării automate');
-  }
-};
-
-// Export all functions
-module.exports = {
-  getServices,
-  getAvailableTimeSlots, // Actualizat
-  createBooking, // Actualizat
-  completeBooking,
-  verifyBooking,
-  resendVerificationCode,
-  getPendingBookings,
-  getConfirmedBookings,
-  confirmBooking,
-  declineBooking,
-  blockUser,
-  getBlockedUsers,
-  unblockUser,
-  getClientDetails,
-  getEmailUsageStats, 
-  completeBookingService,
-  getAllClients,
-  suspendBooking,
-  runManualCleanup // Nou
+// controllers/bookingController.js
+const { Service, Booking, EmailUsage, User, isTimeSlotAvailable, findAvailableBarber } = require('../models/Booking');
+const Client = require('../models/Client');
+const BlockedDate = require('../models/BlockedDates');
+const { runFullCleanup } = require('../utils/autoCleanup');
+const TimeLock = require('../models/TimeLock');
+const BusinessSchedule = require('../models/BusinessSchedule');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const BookingSeries = require('../models/BookingSeries');
+const {
+  getAvailabilityForRange,
+  loadAvailabilityContext,
+  computeDayAvailability,
+  DAY_STATUS,
+  SLOT_REASON
+} = require('../utils/availability');
+const { minutesToTime } = require('../utils/timeUtils');
+const {
+  combineServices,
+  combineGroup,
+  getGroupSlotTimes,
+  bundleFromMap,
+  parseServiceIds
+} = require('../utils/serviceBundle');
+const { BOOKING_RULE, describeBookingRule, checkBookingRules } = require('../utils/bookingRules');
+const { WAITLIST_CLAIM_PURPOSE, getHoldOwner, notifyWaitlistForDate } = require('../utils/waitlist');
+const { verifySignedToken } = require('../utils/signedLinks');
+const { createSeriesFromBooking, cancelSeries } = require('../utils/bookingSeries');
+const { NO_SHOW_WINDOW_MONTHS, recordNoShow } = require('../utils/noShowPolicy');
+const { evaluateApprovalRules } = require('../utils/autoApproval');
+const { normalizeName, findDuplicateClients, mergeClients: mergeClientRecords } = require('../utils/clientMerge');
+const ClientMerge = require('../models/ClientMerge');
+const {
+  CLIENT_CHANGE_MIN_HOURS,
+  buildManageUrl,
+  getManagedBookingId,
+  checkClientChangePolicy,
+  notifyBarberOfClientChange
+} = require('../utils/bookingManagement');
+const {
+  buildVerificationUrl,
+  getVerificationLinkData,
+  isCurrentVerificationLink,
+  buildVerificationResultUrl
+} = require('../utils/verificationLink');
+const {
+  BUSINESS_TIMEZONE,
+  toCalendarDate,
+  addDays,
+  getBusinessToday,
+  getBusinessDateKey,
+  getBusinessMinutes,
+  getDayRange,
+  formatCalendarDate,
+  toDateKey
+} = require('../utils/timezone');
+const { 
+  sendVerificationEmail, 
+  getBookingEmailUsage,
+  getDailyEmailUsage,
+  DAILY_EMAIL_LIMIT
+} = require('../config/email');
+const {
+  CHANNEL_LABELS,
+  NOTIFICATION_TYPES,
+  getBookingRecipient,
+  getSeriesRecipient,
+  sendNotification
+} = require('../utils/notifications');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Configurări din variabile de mediu
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const VERIFICATION_CODE_LENGTH = parseInt(process.env.VERIFICATION_CODE_LENGTH) || 6;
+const BOOKING_SESSION_TIMEOUT_MINS = parseInt(process.env.BOOKING_SESSION_TIMEOUT_MINS) || 15;
+
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BOOKING-CONTROLLER');
+
+/**
+ * Cache memory pentru servicii pentru a evita interogări repetate
+ */
+const serviceCache = {
+  services: {},
+  lastUpdated: 0,
+  ttl: 60000, 
+  
+  async getService(serviceId) {
+    // Refresh cache if expired
+    const now = Date.now();
+    if (now - this.lastUpdated > this.ttl) {
+      await this.refreshCache();
+    }
+    
+    return this.services[serviceId] || null;
+  },
+  
+  // Serviciile unei rezervări, combinate (durata și prețul totale); null dacă un serviciu nu există
+  async getBundle(serviceIds) {
+    const services = [];
+    for (const serviceId of serviceIds) {
+      const service = await this.getService(serviceId) || await Service.findById(serviceId);
+      if (!service) {
+        return null;
+      }
+      services.push(service);
+    }
+    
+    return combineServices(services);
+  },
+  
+  async refreshCache() {
+    try {
+      const services = await Service.find();
+      this.services = {};
+      
+      for (const service of services) {
+        this.services[service._id] = service;
+      }
+      
+      this.lastUpdated = Date.now();
+    } catch (error) {
+      logger.error('Error refreshing service cache:', error);
+    }
+  }
+};
+
+/**
+ * In-memory rate limiter pentru protecție împotriva încercărilor excesive
+ */
+const rateLimit = {
+  attempts: {},
+  resetTimers: {},
+  lastCleanup: 0,
+  
+  check: function(key, maxAttempts = 5, timeWindowMs = 60000) {
+    const now = Date.now();
+    
+    // Clean up old entries periodically
+    if (!this.lastCleanup || now - this.lastCleanup > 3600000) {
+      this._cleanup();
+      this.lastCleanup = now;
+    }
+    
+    // Initialize if key doesn't exist
+    if (!this.attempts[key]) {
+      this.attempts[key] = 0;
+      this.resetTimers[key] = now + timeWindowMs;
+    }
+    
+    // Reset if time window expired
+    if (now > this.resetTimers[key]) {
+      this.attempts[key] = 0;
+      this.resetTimers[key] = now + timeWindowMs;
+    }
+    
+    // Increment and check
+    this.attempts[key]++;
+    
+    return this.attempts[key] <= maxAttempts;
+  },
+  
+  _cleanup: function() {
+    const now = Date.now();
+    for (const key in this.resetTimers) {
+      if (now > this.resetTimers[key] + 3600000) { // 1 hour
+        delete this.attempts[key];
+        delete this.resetTimers[key];
+      }
+    }
+  }
+};
+
+// Mesajul pentru link-urile de gestionare expirate sau modificate
+const MANAGE_LINK_INVALID_MESSAGE = 'Link-ul de gestionare a expirat sau nu este valid. Pentru modificări, te rugăm să ne contactezi.';
+
+// Descrierea motivelor pentru care un slot nu este disponibil (pentru log-uri)
+const SLOT_REASON_LABELS = {
+  [SLOT_REASON.STARTED]: 'a început deja',
+  [SLOT_REASON.LEAD_TIME]: 'sub antecedența minimă',
+  [SLOT_REASON.BLOCKED]: 'blocat',
+  [SLOT_REASON.BOOKED]: 'rezervat'
+};
+
+/**
+ * Standardizează răspunsurile de eroare
+ */
+const errorResponse = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    success: false,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Rezolvă frizerul ales de client
+ * @param {string} barberId - ID-ul frizerului sau 'any'/gol pentru oricare frizer disponibil
+ * @returns {Promise<{barber: Object|null, error: string|null}>}
+ */
+const resolveSelectedBarber = async (barberId) => {
+  if (!barberId || barberId === 'any') {
+    return { barber: null, error: null };
+  }
+  
+  const barber = await User.findOne({ _id: barberId, role: 'barber', active: true })
+    .select('_id username displayName');
+  
+  if (!barber) {
+    return { barber: null, error: 'Frizerul selectat nu este disponibil. Te rugăm să alegi alt frizer.' };
+  }
+  
+  return { barber, error: null };
+};
+
+/**
+ * Serviciile fiecărei persoane dintr-o rezervare de grup, combinate în intervalul lor comun
+ * @param {Array<Object>} attendees - Persoanele grupului ({ name, serviceIds }), în ordine
+ * @returns {Promise<Object|null>} - Rezultatul combineGroup sau null dacă un serviciu nu există
+ */
+const getGroupBundle = async (attendees) => {
+  const bundles = [];
+  for (const attendee of attendees) {
+    bundles.push(await serviceCache.getBundle(parseServiceIds(attendee.serviceId, attendee.serviceIds)));
+  }
+  return combineGroup(bundles);
+};
+
+/**
+ * Găsește clientul după email sau îl creează; datele de contact se actualizează dacă s-au schimbat.
+ * Un client blocat este returnat neschimbat (apelantul refuză rezervarea).
+ * @param {Object} data - { clientName, phoneNumber, email, countryCode, preferredChannel } - canalul este opțional
+ * @returns {Promise<Object>} - Documentul Client
+ */
+const findOrCreateClient = async ({ clientName, phoneNumber, email, countryCode, preferredChannel }) => {
+  let client = await Client.findByEmail(email);
+  
+  if (client) {
+    if (client.isBlocked) {
+      return client;
+    }
+    
+    // Update client information if it has changed
+    if (client.name !== clientName || client.phoneNumber !== phoneNumber ||
+        (preferredChannel && client.preferredChannel !== preferredChannel)) {
+      client.name = clientName;
+      client.phoneNumber = phoneNumber;
+      client.countryCode = countryCode || '+40';
+      if (preferredChannel) {
+        client.preferredChannel = preferredChannel;
+      }
+      await client.save();
+    }
+  } else {
+    // Create new client
+    client = new Client({
+      name: clientName,
+      phoneNumber,
+      email: email,
+      countryCode: countryCode || '+40',
+      preferredChannel: preferredChannel || 'email'
+    });
+    await client.save();
+  }
+  
+  return client;
+};
+
+/**
+ * Construiește filtrul de frizer pentru listele din dashboard.
+ * Frizerii văd implicit doar rezervările proprii (și cele nealocate), cu ?scope=all pentru toate.
+ * Adminii văd toate rezervările, opțional filtrate cu ?barberId=.
+ * @param {Object} req - Request object
+ * @returns {Object} - Condiția MongoDB
+ */
+const buildBarberListFilter = (req) => {
+  const { scope, barberId } = req.query;
+  
+  if (req.user.role === 'barber' && scope !== 'all') {
+    return { barber: { $in: [new mongoose.Types.ObjectId(req.user.id), null] } };
+  }
+  
+  if (barberId && mongoose.Types.ObjectId.isValid(barberId)) {
+    return { barber: new mongoose.Types.ObjectId(barberId) };
+  }
+  
+  return {};
+};
+
+/**
+ * Generate a secure random verification code
+ * @returns {string} 6-digit code
+ */
+const generateVerificationCode = () => {
+  try {
+    // Generate a secure random number in the range 100000-999999
+    const min = Math.pow(10, VERIFICATION_CODE_LENGTH - 1);
+    const max = Math.pow(10, VERIFICATION_CODE_LENGTH) - 1;
+    const range = max - min + 1;
+    
+    return String(min + crypto.randomInt(range));
+  } catch (error) {
+    // Fallback to Math.random if crypto.randomInt is not available
+    logger.warn('Using fallback random code generation');
+    const min = 100000;
+    const max = 999999;
+    return Math.floor(min + Math.random() * (max - min + 1)).toString();
+  }
+};
+
+/**
+ * Anunță în fundal lista de așteptare că intervalul unei rezervări s-a eliberat
+ * @param {Object} booking - Rezervarea anulată sau respinsă
+ */
+const releaseSlotToWaitlist = (booking) => {
+  notifyWaitlistForDate(booking.date);
+};
+
+/**
+ * Autorul unei modificări făcute din dashboard, pentru istoricul rezervării
+ * @param {Object} req - Request object (cu utilizatorul autentificat)
+ * @returns {Object} - { actor, actorType, actorId }
+ */
+const getStaffActor = (req) => ({
+  actor: req.user.username,
+  actorType: 'staff',
+  actorId: req.user.id ? String(req.user.id) : null
+});
+
+/**
+ * Răspuns pentru o schimbare de status nepermisă de tabelul de tranziții
+ * @param {Object} res - Response object
+ * @param {Object} booking - Rezervarea
+ * @param {string} status - Statusul cerut
+ */
+const invalidTransitionResponse = (res, booking, status) => {
+  return errorResponse(res, 409, `Rezervarea cu statusul "${booking.status}" nu poate fi trecută în statusul "${status}"`, {
+    currentStatus: booking.status,
+    requestedStatus: status
+  });
+};
+
+/**
+ * Răspuns pentru erorile prinse în handler-ele care schimbă statusul: o tranziție respinsă de transitionTo
+ * (de ex. rezervarea a fost între timp anulată sau a expirat) este un conflict, nu o eroare de server
+ * @param {Object} res - Response object
+ * @param {Error} error - Eroarea prinsă
+ * @param {string} message - Mesajul pentru celelalte erori (500)
+ */
+const transitionErrorResponse = (res, error, message) => {
+  if (error.statusCode === 409) {
+    return errorResponse(res, 409, error.message, {
+      currentStatus: error.currentStatus,
+      requestedStatus: error.requestedStatus
+    });
+  }
+  return errorResponse(res, 500, message);
+};
+
+/**
+ * Schimbă statusul rezervărilor dintr-un grup (confirmarea și respingerea se fac pentru tot grupul)
+ * @param {Array<Object>} members - Rezervările (rezultatul getGroupMembers)
+ * @param {string} status - Noul status
+ * @param {Object} details - Detaliile pentru istoric (vezi Booking.transitionTo)
+ */
+const setMembersStatus = async (members, status, details = {}) => {
+  for (const member of members) {
+    member.transitionTo(status, details);
+    await member.save();
+  }
+};
+
+/**
+ * Anulează o rezervare neverificată după prea multe coduri greșite (cu tot grupul ei) și eliberează intervalul
+ * @param {Object} booking - Rezervarea pe care s-a introdus codul
+ */
+const invalidateUnverifiedBooking = async (booking) => {
+  const members = (await booking.getGroupMembers('pending')).filter(member => !member.verified);
+  
+  await setMembersStatus(members, 'cancelled', {
+    action: Booking.HISTORY_ACTIONS.VERIFICATION_FAILED,
+    actor: 'system',
+    note: `${Booking.MAX_VERIFICATION_ATTEMPTS} coduri de verificare greșite`
+  });
+  
+  logger.warn(`Booking ${booking._id} cancelled after ${Booking.MAX_VERIFICATION_ATTEMPTS} failed verification attempts`);
+  releaseSlotToWaitlist(booking);
+};
+
+/**
+ * Persoanele unei rezervări de grup, pentru email-ul comun
+ * @param {Array<Object>} members - Rezervările grupului, în ordine
+ * @returns {Promise<Array<Object>>} - [{ clientName, serviceName, time }]
+ */
+const describeGroupMembers = async (members) => {
+  return Promise.all(members.map(async (member) => {
+    const service = await Service.findBundle(member.getServiceIds());
+    return {
+      clientName: member.clientName,
+      serviceName: service ? service.name : '',
+      time: member.time
+    };
+  }));
+};
+
+/**
+ * Rezervarea din link-ul de gestionare primit pe email
+ * @param {string} token - Token-ul din link
+ * @returns {Promise<Object|null>} - Rezervarea sau null dacă link-ul este invalid/expirat
+ */
+const findManagedBooking = async (token) => {
+  const bookingId = getManagedBookingId(token);
+  if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
+    return null;
+  }
+  
+  return Booking.findById(bookingId).populate('client');
+};
+
+/**
+ * Formatează rezervarea pentru pagina de gestionare a clientului
+ * @param {Object} booking - Rezervarea
+ * @returns {Promise<Object>}
+ */
+const formatManagedBooking = async (booking) => {
+  const [service, barber] = await Promise.all([
+    Service.findBundle(booking.getServiceIds()),
+    booking.barber ? User.findById(booking.barber) : null
+  ]);
+  const policy = checkClientChangePolicy(booking);
+  const groupSize = booking.group ? (await booking.getGroupMembers(booking.status)).length : 1;
+  
+  return {
+    id: booking._id,
+    clientName: booking.clientName,
+    groupSize,
+    serviceId: booking.service,
+    serviceIds: booking.getServiceIds(),
+    service: service ? service.name : 'Unknown Service',
+    duration: service ? service.duration : null,
+    price: service ? service.price : null,
+    date: formatCalendarDate(booking.date),
+    dateKey: toDateKey(booking.date),
+    time: booking.time,
+    barberId: barber ? barber._id : null,
+    barberName: barber ? barber.getDisplayName() : null,
+    status: booking.status,
+    canChange: policy.allowed,
+    // Rezervările de grup pot fi doar anulate online (toate persoanele împreună)
+    canReschedule: policy.allowed && !booking.group,
+    policyMessage: policy.message,
+    changeDeadline: policy.deadline,
+    changeWindowHours: CLIENT_CHANGE_MIN_HOURS,
+    series: booking.series ? await formatManagedSeries(booking) : null
+  };
+};
+
+/**
+ * Seria recurentă a unei rezervări, cu programările viitoare, pentru pagina de gestionare a clientului
+ * @param {Object} booking - Rezervarea din link
+ * @returns {Promise<Object|null>}
+ */
+const formatManagedSeries = async (booking) => {
+  const series = await BookingSeries.findById(booking.series);
+  if (!series) {
+    return null;
+  }
+  
+  const occurrences = await Booking.find({
+    series: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startAt: { $gt: new Date() }
+  }).sort({ startAt: 1 }).limit(20);
+  
+  return {
+    id: series._id,
+    status: series.status,
+    recurrence: series.describeRecurrence(),
+    time: series.time,
+    occurrences: occurrences.map(occurrence => ({
+      id: occurrence._id,
+      date: formatCalendarDate(occurrence.date),
+      dateKey: toDateKey(occurrence.date),
+      time: occurrence.time,
+      isCurrent: occurrence._id.equals(booking._id),
+      canCancel: checkClientChangePolicy(occurrence).allowed
+    }))
+  };
+};
+
+/**
+ * Rezumatul creării unei serii (pentru răspunsurile API și email-ul de confirmare)
+ * @param {Object} result - Rezultatul createSeriesFromBooking
+ * @returns {Object}
+ */
+const summarizeSeriesResult = ({ series, created, conflicts }) => ({
+  id: series._id,
+  recurrence: series.describeRecurrence(),
+  intervalWeeks: series.intervalWeeks,
+  createdCount: created.length,
+  dates: created.map(booking => toDateKey(booking.date)),
+  conflicts: conflicts.map(({ dateKey, time, reason }) => ({ date: dateKey, time, reason }))
+});
+
+/**
+ * Păstrează un interval cât timp personalul face o modificare: verifică disponibilitatea (cu un frizer liber
+ * dacă nu este dat unul), ia un lock atomic, re-verifică intervalul și abia apoi rulează modificarea.
+ * Lock-ul este eliberat la final, indiferent de rezultat.
+ * @param {Object} slot - { date, time, service, barberId, holdOwner, availabilityOptions }
+ * @param {Function} action - async (barberId) => rezultat; rulează doar dacă intervalul este liber
+ * @returns {Promise<Object>} - { available, result }
+ */
+const withSlotHold = async ({ date, time, service, barberId, holdOwner, availabilityOptions }, action) => {
+  let assignedBarberId = barberId || null;
+  let isAvailable;
+  
+  if (assignedBarberId) {
+    isAvailable = await isTimeSlotAvailable(date, time, service.duration, assignedBarberId, availabilityOptions);
+  } else {
+    const result = await findAvailableBarber(date, time, service.duration, availabilityOptions);
+    isAvailable = result.available;
+    assignedBarberId = result.barber ? result.barber._id : null;
+  }
+  
+  if (!isAvailable) {
+    return { available: false };
+  }
+  
+  try {
+    await new TimeLock({
+      date,
+      time,
+      serviceId: service._id,
+      services: service.serviceIds,
+      barber: assignedBarberId,
+      lockedBy: holdOwner
+    }).save();
+  } catch (lockError) {
+    if (lockError.code === 11000) {
+      return { available: false };
+    }
+    throw lockError;
+  }
+  
+  try {
+    const stillAvailable = await isTimeSlotAvailable(
+      date,
+      time,
+      service.duration,
+      assignedBarberId,
+      { ...availabilityOptions, excludeLockedBy: holdOwner }
+    );
+    
+    if (!stillAvailable) {
+      return { available: false };
+    }
+    
+    return { available: true, result: await action(assignedBarberId) };
+  } finally {
+    await TimeLock.deleteOne({ lockedBy: holdOwner });
+  }
+};
+
+/**
+ * Mută o rezervare existentă la altă dată/oră (opțional și alte servicii), păstrându-i identitatea și istoricul.
+ * Noul interval trece prin aceleași verificări ca o rezervare nouă, iar un lock atomic îl păstrează cât timp se face mutarea.
+ * Rezervarea rămâne la același frizer; cele fără frizer primesc oricare frizer liber.
+ * @param {Object} booking - Rezervarea
+ * @param {Object} target - { date, time, service } - service poate combina mai multe servicii
+ * @param {Object} history - { action, actor, actorType, actorId, note } pentru istoricul rezervării
+ * @returns {Promise<Object>} - { success, status, message, previousDate, previousTime }
+ */
+const moveBooking = async (booking, { date, time, service }, history) => {
+  const previousDate = booking.date;
+  const previousTime = booking.time;
+  
+  const hold = await withSlotHold({
+    date,
+    time,
+    service,
+    barberId: booking.barber || null,
+    holdOwner: `move:${booking._id}`,
+    availabilityOptions: { ...service.getBuffers(), excludeBookingId: booking._id }
+  }, async (barberId) => {
+    booking.date = date;
+    booking.time = time;
+    booking.service = service._id;
+    booking.services = service.serviceIds;
+    booking.barber = barberId;
+    booking.addHistoryEntry(history.action, { ...history, previousDate, previousTime });
+    await booking.save();
+  });
+  
+  if (!hold.available) {
+    return {
+      success: false,
+      status: 409,
+      message: `Intervalul orar ${time} nu mai este disponibil. Te rugăm să selectezi o altă oră.`
+    };
+  }
+  
+  // Vechiul interval s-a eliberat
+  notifyWaitlistForDate(previousDate);
+  
+  return { success: true, status: 200, message: null, previousDate, previousTime };
+};
+
+/**
+ * Get all available services
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getServices = async (req, res) => {
+  try {
+    const services = await Service.find().select('_id name duration price');
+    
+    if (!services || services.length === 0) {
+      return errorResponse(res, 404, 'Nu s-au găsit servicii. Contactați administratorul.');
+    }
+    
+    // Sort services by ID for consistent ordering
+    services.sort((a, b) => a._id - b._id);
+    
+    res.status(200).json({ success: true, services });
+  } catch (error) {
+    logger.error('Error fetching services:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea serviciilor disponibile');
+  }
+};
+
+/**
+ * Admin: Actualizează timpii de pauză (înainte/după) ai unui serviciu
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateServiceBuffers = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const { bufferBefore, bufferAfter } = req.body;
+    
+    // Validarea valorilor este făcută în middleware
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    if (bufferBefore !== undefined) {
+      service.bufferBefore = bufferBefore;
+    }
+    if (bufferAfter !== undefined) {
+      service.bufferAfter = bufferAfter;
+    }
+    await service.save();
+    
+    // Forțează reîncărcarea cache-ului de servicii
+    serviceCache.lastUpdated = 0;
+    
+    logger.info(`Service ${service.name} buffers updated by ${req.user.username}: before=${service.bufferBefore}, after=${service.bufferAfter}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Timpii de pauză au fost actualizați',
+      service: {
+        id: service._id,
+        name: service.name,
+        duration: service.duration,
+        bufferBefore: service.bufferBefore,
+        bufferAfter: service.bufferAfter
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating service buffers:', error);
+    return errorResponse(res, 500, 'Eroare la actualizarea timpilor de pauză');
+  }
+};
+
+/**
+ * Admin: Actualizează regulile de rezervare ale unui serviciu (antecedență minimă, orizont)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const updateServiceBookingRules = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const { minLeadMinutes, maxDaysAhead } = req.body;
+    
+    // Validarea valorilor este făcută în middleware (null = valoarea implicită)
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    if (minLeadMinutes !== undefined) {
+      service.minLeadMinutes = minLeadMinutes;
+    }
+    if (maxDaysAhead !== undefined) {
+      service.maxDaysAhead = maxDaysAhead;
+    }
+    await service.save();
+    
+    // Forțează reîncărcarea cache-ului de servicii
+    serviceCache.lastUpdated = 0;
+    
+    logger.info(`Service ${service.name} booking rules updated by ${req.user.username}: minLead=${service.minLeadMinutes}, maxDaysAhead=${service.maxDaysAhead}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Regulile de rezervare au fost actualizate',
+      service: {
+        id: service._id,
+        name: service.name,
+        minLeadMinutes: service.minLeadMinutes,
+        maxDaysAhead: service.maxDaysAhead
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating service booking rules:', error);
+    return errorResponse(res, 500, 'Eroare la actualizarea regulilor de rezervare');
+  }
+};
+
+/**
+ * Get active barbers for client selection
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getBarbers = async (req, res) => {
+  try {
+    const barbers = await User.getActiveBarbers();
+    
+    res.status(200).json({
+      success: true,
+      barbers: barbers.map(barber => ({
+        id: barber._id,
+        name: barber.getDisplayName()
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching barbers:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea listei de frizeri');
+  }
+};
+
+const getAvailableTimeSlots = async (req, res) => {
+  try {
+    const { date, serviceId, serviceIds, attendees, barberId } = req.body;
+    // Pentru un grup se caută ora de la care intervalele tuturor persoanelor sunt libere, una după alta
+    const requestedServiceIds = attendees
+      ? attendees.flatMap(attendee => parseServiceIds(attendee.serviceId, attendee.serviceIds))
+      : parseServiceIds(serviceId, serviceIds);
+    
+    logger.info(`[TIME-SLOTS] Cerere pentru ore disponibile: data=${date}, servicii=${requestedServiceIds.join('+')}, persoane=${attendees ? attendees.length : 1}, barberId=${barberId || 'any'}`);
+    
+    // Rulează auto-cleanup înainte de a genera orele
+    await runFullCleanup();
+    
+    // Validation is handled by middleware
+    const selectedDate = toCalendarDate(date);
+    const now = new Date();
+    
+    // Obține serviciile (durata și prețul totale pentru o rezervare cu mai multe servicii sau de grup)
+    const service = attendees
+      ? await getGroupBundle(attendees)
+      : await serviceCache.getBundle(requestedServiceIds);
+    
+    if (!service) {
+      logger.error(`[TIME-SLOTS] Serviciile ${requestedServiceIds.join(', ')} nu au fost găsite`);
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
+    }
+    
+    logger.info(`[TIME-SLOTS] Serviciu găsit: ${service.name} (${service.duration} min, ${service.price} RON)`);
+    
+    // Frizerul ales (null = oricare frizer disponibil)
+    const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+    if (barberError) {
+      return errorResponse(res, 404, barberError);
+    }
+    
+    // Încarcă o singură dată datele zilei și calculează toate sloturile în memorie
+    const context = await loadAvailabilityContext(selectedDate, selectedDate);
+    const day = computeDayAvailability(context, selectedDate, service, {
+      barberId: selectedBarber ? selectedBarber._id : null,
+      now
+    });
+    const dayOfWeek = day.dayOfWeek; // 0=Duminică, 1=Luni, 6=Sâmbătă
+    
+    // Zi fără program de lucru - închis
+    if (day.status === DAY_STATUS.CLOSED) {
+      const scheduleSummary = await BusinessSchedule.getScheduleSummary();
+      logger.info(`[TIME-SLOTS] ${BusinessSchedule.DAY_NAMES[dayOfWeek]} - închis`);
+      return res.status(200).json({ 
+        success: true, 
+        timeSlots: [],
+        message: `Nu sunt disponibile programări în ziua de ${BusinessSchedule.DAY_NAMES[dayOfWeek].toLowerCase()}. Program de lucru: ${scheduleSummary}.`
+      });
+    }
+    
+    // Ziua este în afara orizontului de rezervare (pe serviciu sau pe zi a săptămânii)
+    if (day.status === DAY_STATUS.OUT_OF_RANGE) {
+      logger.info(`[TIME-SLOTS] Data ${day.date} este în afara orizontului: ${day.reason}`);
+      return res.status(200).json({ 
+        success: true, 
+        timeSlots: [],
+        message: `${day.reason}. Te rugăm să selectezi o dată mai apropiată.`,
+        rule: BOOKING_RULE.HORIZON
+      });
+    }
+    
+    // Verifică dacă data este blocată complet de admin
+    if (day.status === DAY_STATUS.BLOCKED) {
+      logger.info(`[TIME-SLOTS] Data ${day.date} este blocată complet: ${day.reason}`);
+      return res.status(200).json({ 
+        success: true, 
+        timeSlots: [],
+        message: `${day.reason}. Te rugăm să selectezi o altă dată.`
+      });
+    }
+    
+    // Determină dacă data selectată este astăzi
+    // (ziua și ora curentă sunt cele din fusul orar al afacerii)
+    const isToday = day.date === getBusinessDateKey(now);
+    const currentTime = minutesToTime(getBusinessMinutes(now));
+    
+    logger.info(`[TIME-SLOTS] Data selectată: ${day.date}, este astăzi: ${isToday}`);
+    if (isToday) {
+      logger.info(`[TIME-SLOTS] Ora curentă (${BUSINESS_TIMEZONE}): ${currentTime}`);
+    }
+    
+    // Descrierea programului de lucru pentru ziua selectată
+    const scheduleInfo = await BusinessSchedule.describeDay(selectedDate);
+    
+    logger.info(`[TIME-SLOTS] Program de lucru: ${scheduleInfo}, sloturi la ${context.slotInterval} minute`);
+    
+    for (const slot of day.slots) {
+      if (slot.available) {
+        logger.info(`[TIME-SLOTS] ✓ ${slot.time} - disponibil`);
+      } else {
+        logger.info(`[TIME-SLOTS] ✗ ${slot.time} - ${SLOT_REASON_LABELS[slot.reason]}`);
+      }
+    }
+    
+    const availableSlots = day.slots.filter(slot => slot.available).map(slot => slot.time);
+    
+    // Sloturile ascunse de regula de antecedență minimă, cu explicația regulii
+    const leadTimeMessage = describeBookingRule(day.rules, BOOKING_RULE.LEAD_TIME, service);
+    const hiddenSlots = day.slots
+      .filter(slot => slot.reason === SLOT_REASON.LEAD_TIME)
+      .map(slot => ({ time: slot.time, rule: BOOKING_RULE.LEAD_TIME, message: leadTimeMessage }));
+    
+    logger.info(`[TIME-SLOTS] Rezultat final: ${availableSlots.length} slot-uri disponibile din ${day.slots.length} posibile`);
+    
+    // Gestionează cazul când nu există slot-uri disponibile
+    if (availableSlots.length === 0) {
+      let message = 'Nu există intervale orare disponibile pentru data selectată.';
+      
+      // Mesaj personalizat pentru astăzi
+      if (isToday) {
+        message = `Nu mai există intervale orare disponibile pentru astăzi (ora curentă: ${currentTime}). Te rugăm să selectezi o altă dată.`;
+      }
+      
+      // Toate orele rămase sunt ascunse de antecedența minimă
+      if (hiddenSlots.length > 0 && !day.slots.some(slot => slot.reason === SLOT_REASON.BOOKED || slot.reason === SLOT_REASON.BLOCKED)) {
+        message = `${leadTimeMessage}. Te rugăm să selectezi o altă dată.`;
+      }
+      
+      // Verifică dacă sunt ore blocate specific de admin (deja încărcate în context)
+      const blockedDate = context.blockedByDay.get(day.date);
+      if (blockedDate && blockedDate.blockedHours && blockedDate.blockedHours.length > 0) {
+        message = `${blockedDate.reason}. Te rugăm să selectezi o altă dată.`;
+      }
+      
+      logger.info(`[TIME-SLOTS] Nu există slot-uri disponibile: ${message}`);
+      
+      return res.status(200).json({ 
+        success: true, 
+        timeSlots: [],
+        message: message,
+        hiddenSlots,
+        // Lista de așteptare are sens doar dacă un interval se poate elibera (ocupat de o rezervare);
+        // rezervările de grup nu folosesc lista de așteptare
+        canJoinWaitlist: !attendees && day.slots.some(slot => slot.reason === SLOT_REASON.BOOKED)
+      });
+    }
+    
+    // Returnează slot-urile disponibile
+    const response = {
+      success: true, 
+      timeSlots: availableSlots,
+      serviceIds: service.serviceIds,
+      serviceName: service.name,
+      serviceDuration: service.duration,
+      servicePrice: service.price,
+      selectedDate: day.date,
+      isToday: isToday,
+      schedule: scheduleInfo,
+      barber: selectedBarber ? { id: selectedBarber._id, name: selectedBarber.getDisplayName() } : null,
+      bookingRules: {
+        minLeadMinutes: day.rules.minLeadMinutes,
+        maxDaysAhead: day.rules.maxDaysAhead
+      },
+      hiddenSlots
+    };
+    
+    // Adaugă informații suplimentare pentru debugging (doar în development)
+    if (process.env.NODE_ENV === 'development') {
+      response.debug = {
+        currentTime: now.toTimeString().substring(0, 8),
+        totalPossibleSlots: day.slots.length,
+        availableSlotsCount: availableSlots.length,
+        dayOfWeek: dayOfWeek,
+        slotInterval: context.slotInterval,
+        buffers: service.getBuffers()
+      };
+    }
+    
+    logger.info(`[TIME-SLOTS] Răspuns trimis cu ${availableSlots.length} slot-uri: ${availableSlots.join(', ')}`);
+    
+    res.status(200).json(response);
+    
+  } catch (error) {
+    logger.error('[TIME-SLOTS] Eroare la obținerea orelor disponibile:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea intervalelor orare disponibile');
+  }
+};
+
+/**
+ * Disponibilitatea pe un interval de zile (vizualizare calendar lunar)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const { from, to, serviceId, serviceIds, barberId, includeSlots } = req.query;
+    
+    // Validarea parametrilor este făcută în middleware
+    const fromDate = toCalendarDate(from);
+    const toDate = toCalendarDate(to);
+    
+    const service = await serviceCache.getBundle(parseServiceIds(serviceId, serviceIds));
+    
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
+    }
+    
+    const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+    if (barberError) {
+      return errorResponse(res, 404, barberError);
+    }
+    
+    // Zilele în afara orizontului de rezervare sunt marcate out_of_range de motorul de disponibilitate
+    const availability = await getAvailabilityForRange(fromDate, toDate, service, {
+      barberId: selectedBarber ? selectedBarber._id : null
+    });
+    
+    const withSlots = includeSlots === 'true';
+    const days = availability.days.map(day => {
+      const formattedDay = {
+        date: day.date,
+        dayName: BusinessSchedule.DAY_NAMES[day.dayOfWeek],
+        status: day.status,
+        freeSlots: day.freeSlots
+      };
+      
+      if (day.status === DAY_STATUS.BLOCKED || day.status === DAY_STATUS.OUT_OF_RANGE) {
+        formattedDay.reason = day.reason;
+      }
+      
+      if (withSlots) {
+        formattedDay.slots = day.slots.filter(slot => slot.available).map(slot => slot.time);
+      }
+      
+      return formattedDay;
+    });
+    
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      serviceId: service._id,
+      serviceIds: service.serviceIds,
+      serviceName: service.name,
+      serviceDuration: service.duration,
+      servicePrice: service.price,
+      slotInterval: availability.slotInterval,
+      barber: selectedBarber ? { id: selectedBarber._id, name: selectedBarber.getDisplayName() } : null,
+      days
+    });
+  } catch (error) {
+    logger.error('Error getting availability range:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea disponibilității');
+  }
+};
+
+const createBooking = async (req, res) => {
+  try {
+    const { serviceId, serviceIds, date, time, barberId } = req.body;
+    
+    // Validate services exist (durata și prețul se adună pentru mai multe servicii)
+    const service = await serviceCache.getBundle(parseServiceIds(serviceId, serviceIds));
+    
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
+    }
+    
+    // Frizerul ales (null = oricare frizer disponibil)
+    const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+    if (barberError) {
+      return errorResponse(res, 404, barberError);
+    }
+    
+    // Check if the selected time slot is available
+    const selectedDate = toCalendarDate(date);
+    
+    // Antecedența minimă și orizontul de rezervare (pe serviciu și pe zi a săptămânii)
+    const schedule = await BusinessSchedule.getSchedule();
+    const ruleCheck = checkBookingRules(schedule, service, selectedDate, time);
+    if (!ruleCheck.allowed) {
+      return errorResponse(res, 400, `${ruleCheck.message}. Te rugăm să selectezi altă oră.`, { rule: ruleCheck.rule });
+    }
+    
+    let isAvailable;
+    let assignedBarber = selectedBarber;
+    
+    if (selectedBarber) {
+      isAvailable = await isTimeSlotAvailable(selectedDate, time, service.duration, selectedBarber._id, service.getBuffers());
+    } else {
+      const result = await findAvailableBarber(selectedDate, time, service.duration, service.getBuffers());
+      isAvailable = result.available;
+      assignedBarber = result.barber;
+    }
+    
+    if (!isAvailable) {
+      // Verifică dacă data este blocată pentru un mesaj personalizat
+      const blockCheck = await BlockedDate.isDateTimeBlocked(selectedDate, time, service.duration);
+      if (blockCheck.isBlocked) {
+        return errorResponse(res, 400, `${blockCheck.reason}. Te rugăm să selectezi altă dată sau oră.`);
+      }
+      
+      return errorResponse(res, 400, `Intervalul orar ${time} a fost rezervat de un alt client în același timp. Te rugăm să selectezi o altă oră.`);
+    }
+    
+    // Încearcă să creezi lock-ul atomic pentru a preveni race conditions
+    try {
+      const timeLock = new TimeLock({
+        date: selectedDate,
+        time: time,
+        serviceId: service._id,
+        services: service.serviceIds,
+        barber: assignedBarber ? assignedBarber._id : null,
+        lockedBy: req.sessionID 
+      });
+      
+      await timeLock.save(); // Dacă altcineva are deja lock, va da eroare
+      
+    } catch (lockError) {
+      if (lockError.code === 11000) { // Duplicate key error
+        return errorResponse(res, 400, `Intervalul orar ${time} a fost rezervat de un alt client în același timp. Te rugăm să selectezi o altă oră.`);
+      }
+      throw lockError;
+    }
+    
+    // Verificare finală, limitată la intervalul ales: lock-ul unic acoperă doar aceeași oră de început,
+    // așa că o rezervare sau un lock suprapus creat între timp se verifică explicit
+    const stillAvailable = await isTimeSlotAvailable(
+      selectedDate,
+      time,
+      service.duration,
+      assignedBarber ? assignedBarber._id : null,
+      { ...service.getBuffers(), excludeLockedBy: req.sessionID }
+    );
+    
+    if (!stillAvailable) {
+      await TimeLock.deleteOne({
+        date: selectedDate,
+        time: time,
+        serviceId: service._id,
+        barber: assignedBarber ? assignedBarber._id : null,
+        lockedBy: req.sessionID
+      });
+      return errorResponse(res, 400, `Intervalul orar ${time} a fost rezervat de un alt client în același timp. Te rugăm să selectezi o altă oră.`);
+    }
+    
+    // Dacă ajunge aici, lock-ul a fost creat cu succes
+    // Store booking information in session to be od later
+    if (req.session) {
+      req.session.bookingData = {
+        serviceId: service._id,
+        serviceIds: service.serviceIds,
+        date: selectedDate,
+        time,
+        barberId: assignedBarber ? assignedBarber._id.toString() : null,
+        createdAt: new Date() // Add timestamp to track session freshness
+      };
+      // Set a session timeout (default 15 min)
+      req.session.bookingDataExpiry = Date.now() + (BOOKING_SESSION_TIMEOUT_MINS * 60 * 1000);
+      req.session.save();
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Intervalul orar a fost rezervat temporar',
+      bookingData: {
+        serviceId: service._id,
+        serviceIds: service.serviceIds,
+        service: service.name,
+        duration: service.duration,
+        price: service.price,
+        date: formatCalendarDate(selectedDate),
+        time,
+        barberId: assignedBarber ? assignedBarber._id : null,
+        barberName: assignedBarber ? assignedBarber.getDisplayName() : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating booking:', error);
+    return errorResponse(res, 500, 'Eroare la crearea rezervării');
+  }
+};
+
+/**
+ * Blochează temporar intervalele consecutive ale unei rezervări de grup (de ex. un părinte cu copiii),
+ * câte un lock pentru fiecare persoană, la același frizer. Dacă un interval nu mai este liber,
+ * nu se păstrează niciun lock.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const createGroupBooking = async (req, res) => {
+  try {
+    const { attendees, date, time, barberId } = req.body;
+    
+    // Validarea persoanelor și a serviciilor este făcută în middleware
+    const group = await getGroupBundle(attendees);
+    if (!group) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
+    }
+    
+    const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+    if (barberError) {
+      return errorResponse(res, 404, barberError);
+    }
+    
+    const selectedDate = toCalendarDate(date);
+    
+    // Regulile de rezervare cele mai stricte dintre serviciile grupului
+    const schedule = await BusinessSchedule.getSchedule();
+    const ruleCheck = checkBookingRules(schedule, group, selectedDate, time);
+    if (!ruleCheck.allowed) {
+      return errorResponse(res, 400, `${ruleCheck.message}. Te rugăm să selectezi altă oră.`, { rule: ruleCheck.rule });
+    }
+    
+    const slotTimes = getGroupSlotTimes(group, time);
+    const slots = group.members.map((service, index) => ({
+      name: attendees[index].name.trim(),
+      service,
+      time: slotTimes[index]
+    }));
+    
+    // Fiecare persoană se verifică separat (durata totală a grupului poate depăși limita unei rezervări);
+    // intervalele lor se succed fără goluri, deci acoperă tot grupul
+    const isGroupAvailable = async (groupBarberId, options = {}) => {
+      for (const slot of slots) {
+        const available = await isTimeSlotAvailable(selectedDate, slot.time, slot.service.duration, groupBarberId, {
+          ...slot.service.getBuffers(),
+          ...options
+        });
+        if (!available) {
+          return false;
+        }
+      }
+      return true;
+    };
+    
+    // Tot grupul rămâne la același frizer, ca intervalele să fie consecutive
+    let assignedBarber = selectedBarber;
+    let isAvailable = false;
+    
+    if (selectedBarber) {
+      isAvailable = await isGroupAvailable(selectedBarber._id);
+    } else {
+      const barbers = await User.getActiveBarbers();
+      if (barbers.length === 0) {
+        isAvailable = await isGroupAvailable(null);
+      }
+      for (const barber of barbers) {
+        if (await isGroupAvailable(barber._id)) {
+          isAvailable = true;
+          assignedBarber = barber;
+          break;
+        }
+      }
+    }
+    
+    const unavailableMessage = `Intervalele de la ora ${time} nu mai sunt libere pentru tot grupul. Te rugăm să selectezi o altă oră.`;
+    if (!isAvailable) {
+      return errorResponse(res, 400, unavailableMessage);
+    }
+    
+    const assignedBarberId = assignedBarber ? assignedBarber._id : null;
+    const releaseGroupLocks = () => TimeLock.deleteMany({
+      date: selectedDate,
+      time: { $in: slotTimes },
+      barber: assignedBarberId,
+      lockedBy: req.sessionID
+    });
+    
+    // Câte un lock pentru fiecare persoană; la primul conflict se eliberează toate
+    try {
+      for (const slot of slots) {
+        await new TimeLock({
+          date: selectedDate,
+          time: slot.time,
+          serviceId: slot.service._id,
+          services: slot.service.serviceIds,
+          barber: assignedBarberId,
+          lockedBy: req.sessionID
+        }).save();
+      }
+    } catch (lockError) {
+      await releaseGroupLocks();
+      if (lockError.code === 11000) { // Duplicate key error
+        return errorResponse(res, 400, unavailableMessage);
+      }
+      throw lockError;
+    }
+    
+    // Verificare finală, ignorând lock-urile proprii (ca la rezervarea individuală)
+    const stillAvailable = await isGroupAvailable(assignedBarberId, { excludeLockedBy: req.sessionID });
+    if (!stillAvailable) {
+      await releaseGroupLocks();
+      return errorResponse(res, 400, unavailableMessage);
+    }
+    
+    if (req.session) {
+      req.session.groupBookingData = {
+        date: selectedDate,
+        time,
+        barberId: assignedBarberId ? assignedBarberId.toString() : null,
+        attendees: slots.map(slot => ({
+          name: slot.name,
+          serviceIds: slot.service.serviceIds,
+          time: slot.time
+        })),
+        createdAt: new Date()
+      };
+      req.session.groupBookingDataExpiry = Date.now() + (BOOKING_SESSION_TIMEOUT_MINS * 60 * 1000);
+      req.session.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Intervalele orare au fost rezervate temporar pentru tot grupul',
+      bookingData: {
+        date: formatCalendarDate(selectedDate),
+        time,
+        duration: group.duration,
+        price: group.price,
+        barberId: assignedBarberId,
+        barberName: assignedBarber ? assignedBarber.getDisplayName() : null,
+        attendees: slots.map(slot => ({
+          name: slot.name,
+          serviceIds: slot.service.serviceIds,
+          service: slot.service.name,
+          duration: slot.service.duration,
+          price: slot.service.price,
+          time: slot.time
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating group booking:', error);
+    return errorResponse(res, 500, 'Eroare la crearea rezervării de grup');
+  }
+};
+
+/**
+ * Înscrierea pe lista de așteptare pentru o zi fără intervale libere
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { clientName, email, serviceId, serviceIds, date, windowStart, windowEnd, barberId } = req.body;
+    const normalizedEmail = email.trim().toLowerCase();
+    
+    const rateLimitKey = `waitlist_${normalizedEmail}`;
+    if (!rateLimit.check(rateLimitKey, 5, 60 * 60 * 1000)) { // 5 attempts per hour
+      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să încercați mai târziu.');
+    }
+    
+    const selectedDate = toCalendarDate(date);
+    
+    const service = await serviceCache.getBundle(parseServiceIds(serviceId, serviceIds));
+    
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit. Vă rugăm să alegeți un serviciu valid.');
+    }
+    
+    const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+    if (barberError) {
+      return errorResponse(res, 404, barberError);
+    }
+    
+    // Lista de așteptare are sens doar dacă nu există deja un interval liber în intervalul orar dorit
+    const context = await loadAvailabilityContext(selectedDate, selectedDate);
+    const day = computeDayAvailability(context, selectedDate, service, {
+      barberId: selectedBarber ? selectedBarber._id : null
+    });
+    
+    if (day.status === DAY_STATUS.CLOSED || day.status === DAY_STATUS.BLOCKED || day.status === DAY_STATUS.OUT_OF_RANGE) {
+      return errorResponse(res, 400, day.reason ? `${day.reason}.` : 'Nu se fac programări în ziua selectată.');
+    }
+    
+    const entry = new WaitlistEntry({
+      clientName: clientName ? clientName.trim() : undefined,
+      email: normalizedEmail,
+      service: service._id,
+      services: service.serviceIds,
+      date: selectedDate,
+      windowStart,
+      windowEnd,
+      barber: selectedBarber ? selectedBarber._id : null
+    });
+    
+    const freeSlot = day.slots.find(slot => slot.available && entry.acceptsTime(slot.time));
+    if (freeSlot) {
+      return errorResponse(res, 409, `Ora ${freeSlot.time} este disponibilă în intervalul ales. Poți face rezervarea direct.`, {
+        availableTime: freeSlot.time
+      });
+    }
+    
+    const existingEntry = await WaitlistEntry.findOne({
+      email: normalizedEmail,
+      date: selectedDate,
+      service: service._id,
+      status: { $in: ['waiting', 'notified'] }
+    });
+    
+    if (existingEntry) {
+      return errorResponse(res, 409, 'Ești deja pe lista de așteptare pentru această zi și acest serviciu.');
+    }
+    
+    const activeEntries = await WaitlistEntry.countActiveForEmail(normalizedEmail);
+    if (activeEntries >= WaitlistEntry.MAX_ACTIVE_ENTRIES_PER_EMAIL) {
+      return errorResponse(res, 400, `Poți fi înscris pe lista de așteptare pentru cel mult ${WaitlistEntry.MAX_ACTIVE_ENTRIES_PER_EMAIL} zile în același timp.`);
+    }
+    
+    await entry.save();
+    
+    const position = await WaitlistEntry.countDocuments({
+      date: selectedDate,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+    
+    logger.info(`Înscriere pe lista de așteptare: ${normalizedEmail} pentru ${toDateKey(selectedDate)} ${windowStart}-${windowEnd} (poziția ${position})`);
+    
+    res.status(201).json({
+      success: true,
+      message: `Te-ai înscris pe lista de așteptare pentru ${formatCalendarDate(selectedDate)}, între ${windowStart} și ${windowEnd}. Te anunțăm pe email imediat ce se eliberează un loc.`,
+      position
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return errorResponse(res, 400, Object.values(error.errors)[0].message);
+    }
+    logger.error('Error joining waitlist:', error);
+    return errorResponse(res, 500, 'Eroare la înscrierea pe lista de așteptare');
+  }
+};
+
+/**
+ * Revendicarea intervalului oferit prin link-ul din email-ul listei de așteptare.
+ * Intervalul păstrat pentru client trece pe sesiunea curentă, ca la createBooking.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const claimWaitlistSlot = async (req, res) => {
+  try {
+    const payload = verifySignedToken(WAITLIST_CLAIM_PURPOSE, req.body.token);
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.entryId)) {
+      return errorResponse(res, 400, 'Link-ul a expirat sau nu este valid. Intervalul a fost oferit următoarei persoane de pe lista de așteptare.');
+    }
+    
+    const entry = await WaitlistEntry.findById(payload.entryId);
+    if (!entry || entry.status !== 'notified' || !entry.claimExpiresAt || entry.claimExpiresAt < new Date()) {
+      return errorResponse(res, 410, 'Oferta nu mai este valabilă. Intervalul a fost oferit următoarei persoane de pe lista de așteptare.');
+    }
+    
+    const service = await Service.findBundle(entry.getServiceIds());
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    // Mută lock-ul păstrat pentru ofertă pe sesiunea clientului
+    const timeLock = await TimeLock.findOneAndUpdate(
+      { lockedBy: getHoldOwner(entry) },
+      { lockedBy: req.sessionID, lockedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!timeLock) {
+      await entry.resetOffer();
+      return errorResponse(res, 409, 'Intervalul oferit nu mai este disponibil. Rămâi pe lista de așteptare și te anunțăm la următorul loc liber.');
+    }
+    
+    entry.status = 'claimed';
+    entry.claimedAt = new Date();
+    await entry.save();
+    
+    if (req.session) {
+      req.session.bookingData = {
+        serviceId: service._id,
+        serviceIds: service.serviceIds,
+        date: entry.date,
+        time: entry.offeredTime,
+        barberId: entry.offeredBarber ? entry.offeredBarber.toString() : null,
+        createdAt: new Date()
+      };
+      req.session.bookingDataExpiry = Date.now() + (BOOKING_SESSION_TIMEOUT_MINS * 60 * 1000);
+      req.session.save();
+    }
+    
+    const barber = entry.offeredBarber ? await User.findById(entry.offeredBarber) : null;
+    
+    logger.info(`Interval revendicat de pe lista de așteptare: ${entry.email} - ${toDateKey(entry.date)} ${entry.offeredTime}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Intervalul a fost rezervat temporar pentru tine',
+      bookingData: {
+        serviceId: service._id,
+        serviceIds: service.serviceIds,
+        service: service.name,
+        duration: service.duration,
+        price: service.price,
+        date: formatCalendarDate(entry.date),
+        dateKey: toDateKey(entry.date),
+        time: entry.offeredTime,
+        barberId: barber ? barber._id : null,
+        barberName: barber ? barber.getDisplayName() : null,
+        clientName: entry.clientName || null,
+        email: entry.email
+      }
+    });
+  } catch (error) {
+    logger.error('Error claiming waitlist slot:', error);
+    return errorResponse(res, 500, 'Eroare la revendicarea intervalului');
+  }
+};
+
+/**
+ * Resend verification code
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const resendVerificationCode = async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+    
+    // Validation is now handled by middleware
+    
+    // Rate limiting check to prevent abuse
+    const rateLimitKey = `resend_${bookingId}`;
+    if (!rateLimit.check(rateLimitKey, 3, 5 * 60 * 1000)) { // 3 attempts per 5 minutes
+      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați câteva minute.');
+    }
+    
+    const booking = await Booking.findById(bookingId).populate('client');
+    
+    if (!booking) {
+      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+    }
+    
+    // O rezervare verificată sau anulată (ex: după prea multe coduri greșite) nu mai primește coduri
+    if (booking.verified || booking.status !== 'pending') {
+      return errorResponse(res, 400, 'Rezervarea nu mai așteaptă verificarea. Vă rugăm să faceți o rezervare nouă.');
+    }
+    
+    // Verifică limita per rezervare
+    const bookingUsage = await getBookingEmailUsage(bookingId);
+    if (!bookingUsage.success || bookingUsage.remaining <= 0) {
+      return errorResponse(res, 429, 'Nu se mai poate retrimite codul. Ai atins limita de email-uri pentru această rezervare.', {
+        usageInfo: bookingUsage
+      });
+    }
+    
+    // Verifică limita zilnică pentru emailul clientului
+    const dailyUsage = await getDailyEmailUsage(booking.email);
+    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
+      return errorResponse(res, 429, 'Nu se mai poate retrimite codul. Ai atins limita zilnică de email-uri.', {
+        usageInfo: dailyUsage
+      });
+    }
+    
+    // Generate new verification code (codul vechi și încercările greșite se resetează la salvare)
+    const verificationCode = generateVerificationCode();
+    const verificationExpiresAt = booking.setVerificationCode(verificationCode);
+    
+    // Trimite email-ul
+    const emailResult = await sendVerificationEmail(booking.email, verificationCode, bookingId, {
+      expiresAt: verificationExpiresAt,
+      verifyUrl: buildVerificationUrl(booking)
+    });
+    
+    if (!emailResult.success) {
+      return errorResponse(res, 500, emailResult.error || 'Nu s-a putut trimite codul de verificare. Vă rugăm să încercați mai târziu.');
+    }
+    
+    // Update booking cu noul cod și actualizează timestamp
+    booking.lastEmailSentAt = new Date();
+    await booking.save();
+    
+    // Update client email stats
+    if (booking.client) {
+      await booking.client.incrementEmailCounter();
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Un nou cod de verificare a fost trimis',
+      expiresAt: verificationExpiresAt
+    });
+  } catch (error) {
+    logger.error('Error resending verification code:', error);
+    return errorResponse(res, 500, 'Eroare la retrimiterea codului de verificare');
+  }
+};
+
+
+
+const completeBooking = async (req, res) => {
+  try {
+    const { clientName, phoneNumber, email, countryCode, preferredChannel, serviceId, serviceIds, date, time, barberId, recurrenceWeeks } = req.body;
+    
+    // Get booking data from session or request
+    let bookingServiceIds = parseServiceIds(serviceId, serviceIds);
+    let bookingDate = date ? toCalendarDate(date) : null;
+    let bookingTime = time;
+    // Frizerul alocat la blocarea intervalului are prioritate (clientul poate trimite 'any')
+    let bookingBarberId = barberId && mongoose.Types.ObjectId.isValid(barberId) ? barberId : null;
+    
+    // Check session data if available
+    if (req.session && req.session.bookingData) {
+      // Check if session data is expired
+      const now = Date.now();
+      if (req.session.bookingDataExpiry && now > req.session.bookingDataExpiry) {
+        return errorResponse(res, 400, 'Sesiunea a expirat. Vă rugăm să începeți procesul de rezervare din nou.');
+      }
+      
+      const sessionData = req.session.bookingData;
+      bookingServiceIds = bookingServiceIds || sessionData.serviceIds || parseServiceIds(sessionData.serviceId);
+      bookingDate = bookingDate || toCalendarDate(req.session.bookingData.date);
+      bookingTime = bookingTime || req.session.bookingData.time;
+      bookingBarberId = req.session.bookingData.barberId || bookingBarberId;
+    }
+
+    // Validate that we have all required data
+    if (!bookingServiceIds) {
+      return errorResponse(res, 400, 'Serviciul este obligatoriu');
+    }
+
+    if (!bookingDate) {
+      return errorResponse(res, 400, 'Data este obligatorie');
+    }
+
+    if (!bookingTime) {
+      return errorResponse(res, 400, 'Ora este obligatorie');
+    }
+    
+    if (!email) {
+      return errorResponse(res, 400, 'Adresa de email este obligatorie');
+    }
+    
+    // Verifică dacă data e în trecut (ziua de azi în fusul orar al afacerii)
+    const today = getBusinessToday();
+
+    if (bookingDate < today) {
+      return errorResponse(res, 400, 'Nu se pot face rezervări pentru date din trecut');
+    }
+
+    // Validate services exist
+    const service = await serviceCache.getBundle(bookingServiceIds);
+    
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    // Antecedența minimă și orizontul de rezervare, raportate la momentul în care
+    // intervalul a fost blocat (completarea datelor poate dura câteva minute)
+    const schedule = await BusinessSchedule.getSchedule();
+    const lockedAt = req.session && req.session.bookingData && req.session.bookingData.createdAt
+      ? new Date(req.session.bookingData.createdAt)
+      : new Date();
+    const ruleCheck = checkBookingRules(schedule, service, bookingDate, bookingTime, lockedAt);
+    if (!ruleCheck.allowed) {
+      return errorResponse(res, 400, `${ruleCheck.message}.`, { rule: ruleCheck.rule });
+    }
+    
+    // Check if the time slot is still available
+    // const isAvailable = await isTimeSlotAvailable(bookingDate, bookingTime, service.duration);
+    // if (!isAvailable) {
+    //   return errorResponse(res, 400, 'Intervalul orar nu mai este disponibil. Vă rugăm să alegeți alt interval.');
+    // }
+    
+    // Rate limiting check to prevent spam
+    const rateLimitKey = `book_${email}_${Date.now().toString().slice(0, 10)}`;
+    if (!rateLimit.check(rateLimitKey, 5, 30 * 60 * 1000)) { // 5 attempts per 30 minutes
+      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați 30 de minute.');
+    }
+    
+    // Formatează numărul de telefon cu codul de țară
+    const fullPhoneNumber = countryCode && phoneNumber ? 
+      `${countryCode}${phoneNumber.replace(/^0/, '')}` : 
+      phoneNumber;
+    
+    // Find or create client
+    const client = await findOrCreateClient({ clientName, phoneNumber: fullPhoneNumber, email, countryCode, preferredChannel });
+    
+    // Check if client is blocked
+    if (client.isBlocked) {
+      return errorResponse(res, 403, 'Ne pare rău, acest client este blocat', {
+        blockReason: client.blockReason,
+        blockDate: client.blockDate
+      });
+    }
+    
+    // Verifică limita zilnică de email-uri pentru acest email
+    const dailyUsage = await getDailyEmailUsage(email);
+    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
+      return errorResponse(res, 429, 'Nu se poate trimite codul de verificare. Ai atins limita zilnică de email-uri.');
+    }
+    
+    // Generate verification code
+    const verificationCode = generateVerificationCode();
+    
+    // Create booking in pending state with client reference
+    const booking = new Booking({
+      client: client._id,
+      clientName,
+      phoneNumber: fullPhoneNumber,
+      email: email,
+      countryCode: countryCode || '+40',
+      service: service._id,
+      services: service.serviceIds,
+      barber: bookingBarberId,
+      date: bookingDate,
+      time: bookingTime,
+      verified: false,
+      status: 'pending',
+      emailCount: 0,
+      lastEmailSentAt: null,
+      // Seria recurentă cerută de client se creează abia după confirmarea frizerului
+      requestedRecurrenceWeeks: recurrenceWeeks ? parseInt(recurrenceWeeks) : null
+    });
+    const verificationExpiresAt = booking.setVerificationCode(verificationCode);
+   
+    // Save booking to get an ID
+    await booking.save();
+    
+    // Șterge lock-ul pentru că rezervarea a fost finalizată
+    try {
+      await TimeLock.deleteOne({
+        date: bookingDate,
+        time: bookingTime,
+        serviceId: service._id,
+        barber: bookingBarberId,
+        lockedBy: req.sessionID
+      });
+    } catch (lockDeleteError) {
+      logger.warn('Could not delete time lock:', lockDeleteError);
+      // Nu oprește procesul dacă ștergerea lock-ului eșuează
+    }
+    
+    // Update client's total bookings
+    client.totalBookings += 1;
+    await client.save();
+    
+    // Send verification email with booking ID
+    const emailResult = await sendVerificationEmail(email, verificationCode, booking._id, {
+      expiresAt: verificationExpiresAt,
+      verifyUrl: buildVerificationUrl(booking)
+    });
+    
+    if (!emailResult.success) {
+      // If email fails, delete the booking and return error
+      await Booking.findByIdAndDelete(booking._id);
+      // Revert client's total bookings counter
+      client.totalBookings -= 1;
+      await client.save();
+      
+      return errorResponse(res, 500, emailResult.error || 'Nu s-a putut trimite codul de verificare. Vă rugăm să încercați mai târziu.');
+    }
+    
+    // Update client's email counter
+    await client.incrementEmailCounter();
+    
+    // Clear session data and store booking ID
+    if (req.session) {
+      req.session.bookingData = null;
+      req.session.bookingDataExpiry = null;
+      req.session.bookingId = booking._id;
+      req.session.save();
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Codul de verificare a fost trimis',
+      bookingId: booking._id,
+      serviceName: service.name,
+      expiresAt: verificationExpiresAt
+    });
+  } catch (error) {
+    logger.error('Error completing booking:', error);
+    return errorResponse(res, 500, 'Eroare la completarea rezervării');
+  }
+};
+
+/**
+ * Finalizează o rezervare de grup: câte o rezervare pentru fiecare persoană, legate prin același grup.
+ * Se trimite un singur cod de verificare, pe rezervarea primei persoane.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const completeGroupBooking = async (req, res) => {
+  try {
+    const { clientName, phoneNumber, email, countryCode, preferredChannel } = req.body;
+    
+    // Intervalele grupului sunt cele blocate în sesiune
+    const groupData = req.session ? req.session.groupBookingData : null;
+    if (!groupData || (req.session.groupBookingDataExpiry && Date.now() > req.session.groupBookingDataExpiry)) {
+      return errorResponse(res, 400, 'Sesiunea a expirat. Vă rugăm să începeți procesul de rezervare din nou.');
+    }
+    
+    const bookingDate = toCalendarDate(groupData.date);
+    if (bookingDate < getBusinessToday()) {
+      return errorResponse(res, 400, 'Nu se pot face rezervări pentru date din trecut');
+    }
+    
+    const group = await getGroupBundle(groupData.attendees);
+    if (!group) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    // Regulile de rezervare, raportate la momentul în care intervalele au fost blocate
+    const schedule = await BusinessSchedule.getSchedule();
+    const ruleCheck = checkBookingRules(schedule, group, bookingDate, groupData.time, new Date(groupData.createdAt));
+    if (!ruleCheck.allowed) {
+      return errorResponse(res, 400, `${ruleCheck.message}.`, { rule: ruleCheck.rule });
+    }
+    
+    // Rate limiting check to prevent spam
+    const rateLimitKey = `book_${email}_${Date.now().toString().slice(0, 10)}`;
+    if (!rateLimit.check(rateLimitKey, 5, 30 * 60 * 1000)) { // 5 attempts per 30 minutes
+      return errorResponse(res, 429, 'Prea multe încercări. Vă rugăm să așteptați 30 de minute.');
+    }
+    
+    const fullPhoneNumber = countryCode && phoneNumber ? 
+      `${countryCode}${phoneNumber.replace(/^0/, '')}` : 
+      phoneNumber;
+    
+    // Clientul este persoana care face rezervarea pentru tot grupul
+    const client = await findOrCreateClient({ clientName, phoneNumber: fullPhoneNumber, email, countryCode, preferredChannel });
+    if (client.isBlocked) {
+      return errorResponse(res, 403, 'Ne pare rău, acest client este blocat', {
+        blockReason: client.blockReason,
+        blockDate: client.blockDate
+      });
+    }
+    
+    const dailyUsage = await getDailyEmailUsage(email);
+    if (!dailyUsage.success || dailyUsage.remaining <= 0) {
+      return errorResponse(res, 429, 'Nu se poate trimite codul de verificare. Ai atins limita zilnică de email-uri.');
+    }
+    
+    const verificationCode = generateVerificationCode();
+    const groupId = new mongoose.Types.ObjectId();
+    const bookings = [];
+    let verificationExpiresAt = null;
+    
+    try {
+      for (const [index, attendee] of groupData.attendees.entries()) {
+        const service = group.members[index];
+        const booking = new Booking({
+          client: client._id,
+          clientName: attendee.name,
+          phoneNumber: fullPhoneNumber,
+          email: email,
+          countryCode: countryCode || '+40',
+          service: service._id,
+          services: service.serviceIds,
+          barber: groupData.barberId,
+          date: bookingDate,
+          time: attendee.time,
+          verified: false,
+          status: 'pending',
+          emailCount: 0,
+          lastEmailSentAt: null,
+          group: groupId,
+          groupPosition: index,
+          groupOrganizer: clientName
+        });
+        // Codul se verifică doar pe prima rezervare, care le verifică pe toate
+        if (index === 0) {
+          verificationExpiresAt = booking.setVerificationCode(verificationCode);
+        }
+        await booking.save();
+        bookings.push(booking);
+      }
+    } catch (saveError) {
+      await Booking.deleteMany({ group: groupId });
+      throw saveError;
+    }
+    
+    const leadBooking = bookings[0];
+    
+    // Șterge lock-urile grupului pentru că rezervările au fost create
+    try {
+      await TimeLock.deleteMany({
+        date: bookingDate,
+        time: { $in: groupData.attendees.map(attendee => attendee.time) },
+        barber: groupData.barberId,
+        lockedBy: req.sessionID
+      });
+    } catch (lockDeleteError) {
+      logger.warn('Could not delete group time locks:', lockDeleteError);
+    }
+    
+    client.totalBookings += bookings.length;
+    await client.save();
+    
+    // Un singur email de verificare pentru tot grupul
+    const emailResult = await sendVerificationEmail(email, verificationCode, leadBooking._id, {
+      expiresAt: verificationExpiresAt,
+      verifyUrl: buildVerificationUrl(leadBooking)
+    });
+    
+    if (!emailResult.success) {
+      await Booking.deleteMany({ group: groupId });
+      client.totalBookings -= bookings.length;
+      await client.save();
+      
+      return errorResponse(res, 500, emailResult.error || 'Nu s-a putut trimite codul de verificare. Vă rugăm să încercați mai târziu.');
+    }
+    
+    await client.incrementEmailCounter();
+    
+    if (req.session) {
+      req.session.groupBookingData = null;
+      req.session.groupBookingDataExpiry = null;
+      req.session.bookingId = leadBooking._id;
+      req.session.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Codul de verificare a fost trimis',
+      bookingId: leadBooking._id,
+      groupSize: bookings.length,
+      serviceName: group.name,
+      expiresAt: verificationExpiresAt
+    });
+  } catch (error) {
+    logger.error('Error completing group booking:', error);
+    return errorResponse(res, 500, 'Eroare la completarea rezervării de grup');
+  }
+};
+
+/**
+ * Marchează rezervarea ca verificată (cu tot grupul ei) și aplică regulile de aprobare automată.
+ * Comun pentru verificarea cu cod și pentru link-ul din email.
+ * @param {Object} booking - Rezervarea (cu clientul populat)
+ * @param {Object} req - Request object
+ * @returns {Promise<Object|null>} - { service, autoApproval, groupSize } sau null dacă rezervarea era deja verificată
+ */
+const finalizeVerification = async (booking, req) => {
+  // Actualizare atomică: codul și link-ul folosite în paralel verifică rezervarea o singură dată
+  // (codul folosit nu mai este păstrat)
+  const claimed = await Booking.updateOne(
+    { _id: booking._id, verified: false, status: 'pending' },
+    { $set: { verified: true }, $unset: { verificationCodeHash: 1, verificationExpiresAt: 1 } }
+  );
+  
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+  
+  booking.set({ verified: true, verificationCodeHash: undefined, verificationExpiresAt: undefined });
+  
+  // Codul primei persoane verifică toată rezervarea de grup
+  let groupSize = null;
+  if (booking.group) {
+    const groupUpdate = await Booking.updateMany(
+      { group: booking.group, _id: { $ne: booking._id } },
+      { verified: true }
+    );
+    groupSize = groupUpdate.matchedCount + 1;
+  }
+  
+  // Clear session
+  if (req.session) {
+    req.session.bookingId = null;
+    req.session.save();
+  }
+  
+  // Get service details for response
+  const service = await Service.findBundle(booking.getServiceIds());
+  
+  // Regulile de aprobare automată pot confirma sau respinge rezervarea imediat (cu email-ul corespunzător)
+  const autoApproval = service ? await applyApprovalRules(booking, service) : null;
+  
+  return { service, autoApproval, groupSize };
+};
+
+/**
+ * Verify booking with code
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const verifyBooking = async (req, res) => {
+  try {
+    const { bookingId, code } = req.body;
+    
+    // Validation is now handled by middleware
+    const booking = await Booking.findById(bookingId).populate('client');
+    
+    if (!booking) {
+      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+    }
+    
+    if (booking.verified) {
+      return errorResponse(res, 400, 'Rezervarea este deja verificată');
+    }
+    
+    if (booking.status !== 'pending') {
+      return errorResponse(res, 410, 'Rezervarea a fost anulată. Vă rugăm să faceți o rezervare nouă.');
+    }
+    
+    if (booking.isVerificationCodeExpired()) {
+      return errorResponse(res, 400, 'Codul de verificare a expirat. Cereți un cod nou.', { codeExpired: true });
+    }
+    
+    if (!booking.matchesVerificationCode(code)) {
+      // Contorul este incrementat atomic în baza de date (protecție la încercări în paralel)
+      const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, verified: false, status: 'pending' },
+        { $inc: { verificationAttempts: 1 } },
+        { new: true }
+      );
+      const attempts = updated ? updated.verificationAttempts : Booking.MAX_VERIFICATION_ATTEMPTS;
+      
+      if (attempts >= Booking.MAX_VERIFICATION_ATTEMPTS) {
+        if (updated) {
+          await invalidateUnverifiedBooking(updated);
+        }
+        return errorResponse(res, 410, 'Prea multe încercări greșite. Rezervarea a fost anulată și intervalul eliberat.', {
+          attemptsRemaining: 0
+        });
+      }
+      
+      return errorResponse(res, 400, 'Cod de verificare invalid', {
+        attemptsRemaining: Booking.MAX_VERIFICATION_ATTEMPTS - attempts
+      });
+    }
+    
+    const verification = await finalizeVerification(booking, req);
+    
+    if (!verification) {
+      return errorResponse(res, 400, 'Rezervarea este deja verificată');
+    }
+    
+    const { service, autoApproval, groupSize } = verification;
+    
+    const messages = {
+      pending: 'Rezervare verificată cu succes. Așteptați confirmarea frizerului.',
+      confirmed: 'Rezervare verificată și confirmată. Vei primi detaliile pe email.',
+      declined: 'Rezervarea a fost verificată, dar nu poate fi acceptată. Vei primi detaliile pe email.'
+    };
+    
+    res.status(200).json({ 
+      success: true, 
+      message: messages[booking.status] || messages.pending,
+      booking: {
+        id: booking._id,
+        clientName: booking.clientName,
+        serviceName: service ? service.name : 'Unknown Service',
+        date: formatCalendarDate(booking.date),
+        time: booking.time,
+        status: booking.status,
+        autoApproved: Boolean(autoApproval),
+        groupSize
+      }
+    });
+  } catch (error) {
+    logger.error('Error verifying booking:', error);
+    return transitionErrorResponse(res, error, 'Eroare la verificarea rezervării');
+  }
+};
+
+/**
+ * Verifică rezervarea prin link-ul din email (alternativa la cod) și redirecționează
+ * către pagina de rezervare, care afișează rezultatul
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const verifyBookingByLink = async (req, res) => {
+  const redirectWith = (result) => res.redirect(303, buildVerificationResultUrl(result));
+  // Starea salvată a unei rezervări verificate deja (sau anulate între timp)
+  const redirectWithStoredState = (stored) => {
+    if (stored && stored.verified) {
+      return redirectWith(['pending', 'confirmed', 'declined'].includes(stored.status) ? stored.status : 'cancelled');
+    }
+    return redirectWith('cancelled');
+  };
+  
+  try {
+    const linkData = getVerificationLinkData(req.params.token);
+    
+    if (!linkData || !mongoose.Types.ObjectId.isValid(linkData.bookingId)) {
+      return redirectWith('invalid');
+    }
+    
+    const booking = await Booking.findById(linkData.bookingId).populate('client');
+    
+    if (!booking) {
+      return redirectWith('invalid');
+    }
+    
+    // Link deschis a doua oară: se afișează starea curentă
+    if (booking.verified || booking.status !== 'pending') {
+      return redirectWithStoredState(booking);
+    }
+    
+    // Un cod retrimis înlocuiește link-urile trimise anterior
+    if (!isCurrentVerificationLink(booking, linkData.codeRef)) {
+      return redirectWith('replaced');
+    }
+    
+    if (booking.isVerificationCodeExpired()) {
+      return redirectWith('expired');
+    }
+    
+    const verification = await finalizeVerification(booking, req);
+    
+    // Rezervarea a fost verificată, anulată sau invalidată între timp de o altă cerere
+    if (!verification) {
+      return redirectWithStoredState(await Booking.findById(booking._id));
+    }
+    
+    logger.info(`Booking ${booking._id} verified by email link`);
+    return redirectWith(booking.status);
+  } catch (error) {
+    logger.error('Error verifying booking by link:', error);
+    return redirectWith('error');
+  }
+};
+
+/**
+ * Admin: Get pending bookings
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getPendingBookings = async (req, res) => {
+  try {
+    const pendingBookings = await Booking.find({ 
+      status: 'pending', 
+      verified: true,
+      ...buildBarberListFilter(req)
+    }).populate('client').populate('barber', 'username displayName').sort({ date: 1, time: 1 }); // Sort by date and time
+    
+    // Numărul de persoane din fiecare rezervare de grup (afișate împreună în dashboard)
+    const groupSizes = new Map();
+    for (const booking of pendingBookings) {
+      if (booking.group) {
+        const groupKey = booking.group.toString();
+        groupSizes.set(groupKey, (groupSizes.get(groupKey) || 0) + 1);
+      }
+    }
+    
+    // Get service details for each booking
+    const formattedBookings = [];
+    for (const booking of pendingBookings) {
+      const service = await Service.findBundle(booking.getServiceIds());
+      if (service) {
+        formattedBookings.push({
+          id: booking._id,
+          clientId: booking.client ? booking.client._id : null,
+          clientName: booking.clientName,
+          phoneNumber: booking.phoneNumber,
+          email: booking.email, // Added email field
+          service: service.name,
+          serviceDuration: service.duration,
+          servicePrice: service.price,
+          serviceId: booking.service,
+          serviceIds: service.serviceIds,
+          date: formatCalendarDate(booking.date),
+          dateKey: toDateKey(booking.date),
+          time: booking.time,
+          startAt: booking.startAt,
+          endAt: booking.endAt,
+          barberId: booking.barber ? booking.barber._id : null,
+          barberName: booking.barber ? booking.barber.getDisplayName() : null,
+          createdAt: booking.createdAt,
+          seriesId: booking.series,
+          requestedRecurrenceWeeks: booking.requestedRecurrenceWeeks,
+          groupId: booking.group,
+          groupPosition: booking.groupPosition,
+          groupOrganizer: booking.groupOrganizer,
+          groupSize: booking.group ? groupSizes.get(booking.group.toString()) : null,
+          totalClientBookings: booking.client ? booking.client.totalBookings : 1,
+          clientNoShows: booking.client ? booking.client.noShowCount || 0 : 0
+        });
+      }
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      bookings: formattedBookings,
+      count: formattedBookings.length
+    });
+  } catch (error) {
+    logger.error('Error fetching pending bookings:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea rezervărilor în așteptare');
+  }
+};
+
+/**
+ * Admin: Detaliile unei rezervări, inclusiv istoricul schimbărilor de status
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getBookingDetails = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .populate('barber', 'username displayName');
+    
+    if (!booking) {
+      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+    }
+    
+    const service = await Service.findBundle(booking.getServiceIds());
+    
+    res.status(200).json({
+      success: true,
+      booking: {
+        id: booking._id,
+        clientId: booking.client,
+        clientName: booking.clientName,
+        phoneNumber: booking.phoneNumber,
+        email: booking.email,
+        service: service ? service.name : 'Unknown Service',
+        serviceDuration: service ? service.duration : null,
+        servicePrice: service ? service.price : 0,
+        serviceIds: booking.getServiceIds(),
+        date: formatCalendarDate(booking.date),
+        dateKey: toDateKey(booking.date),
+        time: booking.time,
+        startAt: booking.startAt,
+        endAt: booking.endAt,
+        barberName: booking.barber ? booking.barber.getDisplayName() : null,
+        status: booking.status,
+        allowedTransitions: Booking.STATUS_TRANSITIONS[booking.status] || [],
+        verified: booking.verified,
+        createdAt: booking.createdAt,
+        completedAt: booking.completedAt,
+        notes: booking.notes,
+        seriesId: booking.series,
+        groupId: booking.group,
+        statusHistory: booking.statusHistory.map(entry => ({
+          status: entry.status,
+          previousStatus: entry.previousStatus,
+          action: entry.action,
+          actor: entry.actor,
+          actorType: entry.actorType,
+          actorId: entry.actorId,
+          note: entry.note,
+          previousDate: entry.previousDate ? formatCalendarDate(entry.previousDate) : null,
+          previousTime: entry.previousTime,
+          changedAt: entry.changedAt
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching booking details:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea detaliilor rezervării');
+  }
+};
+
+/**
+ * Admin: Get confirmed bookings for a specific date
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getConfirmedBookings = async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    if (!date) {
+      return errorResponse(res, 400, 'Data este obligatorie');
+    }
+    
+    // Validate date format
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return errorResponse(res, 400, 'Format dată invalid. Folosiți formatul YYYY-MM-DD.');
+    }
+    
+    const { start: selectedDate, end: nextDay } = getDayRange(date);
+    if (isNaN(selectedDate.getTime())) {
+      return errorResponse(res, 400, 'Dată invalidă.');
+    }
+    
+    const confirmedBookings = await Booking.find({
+      status: 'confirmed',
+      date: {
+        $gte: selectedDate,
+        $lt: nextDay
+      },
+      ...buildBarberListFilter(req)
+    }).populate('client').populate('barber', 'username displayName').sort({ time: 1 }); // Sort by time
+    
+    // Get service details for each booking
+    const formattedBookings = [];
+    let totalPrice = 0;
+    
+    for (const booking of confirmedBookings) {
+      const service = await Service.findBundle(booking.getServiceIds());
+      if (service) {
+        formattedBookings.push({
+          id: booking._id,
+          clientId: booking.client ? booking.client._id : null,
+          clientName: booking.clientName,
+          phoneNumber: booking.phoneNumber,
+          email: booking.email, // Added email field
+          service: service.name,
+          serviceId: booking.service,
+          serviceIds: service.serviceIds,
+          servicePrice: service.price,
+          serviceDuration: service.duration,
+          dateKey: toDateKey(booking.date),
+          time: booking.time,
+          startAt: booking.startAt,
+          endAt: booking.endAt,
+          barberId: booking.barber ? booking.barber._id : null,
+          barberName: booking.barber ? booking.barber.getDisplayName() : null,
+          seriesId: booking.series,
+          totalClientBookings: booking.client ? booking.client.totalBookings : 1,
+          completedBookings: booking.client ? booking.client.completedBookings : 0,
+          clientNoShows: booking.client ? booking.client.noShowCount || 0 : 0
+        });
+        // Prețul rezervărilor cu mai multe servicii este suma serviciilor
+        totalPrice += service.price;
+      }
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      bookings: formattedBookings,
+      totalPrice,
+      count: formattedBookings.length,
+      date: formatCalendarDate(selectedDate)
+    });
+  } catch (error) {
+    logger.error('Error fetching confirmed bookings:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea rezervărilor confirmate');
+  }
+};
+
+/**
+ * Confirmă o rezervare în așteptare și trimite notificarea de confirmare pe canalul clientului
+ * (cu link-ul pentru anulare/reprogramare).
+ * O rezervare de grup se confirmă pentru toate persoanele, cu o singură notificare.
+ * Folosită de confirmarea din dashboard și de regulile de aprobare automată.
+ * @param {Object} booking - Rezervarea (cu clientul populat)
+ * @param {Object} service - Serviciile rezervării (Service.findBundle)
+ * @param {Object} actor - Autorul confirmării, pentru istoric ({ actor, actorType, actorId, note })
+ * @returns {Promise<Object>} - { emailStatus, emailError, limit, channel, series, groupSize }
+ */
+const confirmPendingBooking = async (booking, service, actor) => {
+  const members = await booking.getGroupMembers('pending');
+  const groupDetails = members.length > 1 ? await describeGroupMembers(members) : null;
+  
+  // Confirmarea se salvează prima: dacă rezervarea a fost între timp anulată sau a expirat,
+  // tranziția eșuează înainte ca seria să fie creată și clientul să fie anunțat
+  await setMembersStatus(members, 'confirmed', actor);
+  
+  // Seria recurentă cerută de client pornește de la rezervarea confirmată acum;
+  // programările în conflict sunt raportate frizerului și clientului
+  let recurring = null;
+  if (booking.requestedRecurrenceWeeks && !booking.series) {
+    try {
+      recurring = await createSeriesFromBooking(booking, {
+        intervalWeeks: booking.requestedRecurrenceWeeks,
+        createdBy: 'client'
+      });
+    } catch (seriesError) {
+      logger.error(`Error creating recurring series for booking ${booking._id}:`, seriesError);
+    }
+  }
+  const result = {
+    series: recurring ? summarizeSeriesResult(recurring) : undefined,
+    groupSize: members.length
+  };
+  
+  // Notificarea de confirmare (cu link-ul pentru anulare/reprogramare); rezervarea se confirmă oricum,
+  // chiar dacă notificarea nu poate fi trimisă (limită atinsă, eroare sau client fără date de contact)
+  const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_CONFIRMED, getBookingRecipient(booking), {
+    _id: booking._id,
+    clientName: booking.groupOrganizer || booking.clientName,
+    serviceName: service.name,
+    date: booking.date,
+    time: members[0].time,
+    group: groupDetails,
+    manageUrl: buildManageUrl(booking),
+    changeWindowHours: CLIENT_CHANGE_MIN_HOURS,
+    series: recurring ? {
+      recurrence: recurring.series.describeRecurrence(),
+      dates: recurring.created.map(occurrence => occurrence.date),
+      conflicts: recurring.conflicts
+    } : null
+  });
+  
+  return {
+    ...result,
+    emailStatus: notification.status,
+    emailError: notification.error,
+    limit: notification.limit,
+    channel: notification.channel
+  };
+};
+
+/**
+ * Respinge o rezervare în așteptare (sau anulează una confirmată) și trimite notificarea pe canalul clientului.
+ * O rezervare de grup se respinge pentru toate persoanele încă neconfirmate, cu o singură notificare.
+ * Folosită de respingerea din dashboard și de regulile de aprobare automată.
+ * @param {Object} booking - Rezervarea (cu clientul populat)
+ * @param {Object} service - Serviciile rezervării (Service.findBundle)
+ * @param {Object} actor - Autorul respingerii, pentru istoric ({ actor, actorType, actorId, note })
+ * @returns {Promise<Object>} - { emailStatus, emailError, limit, channel }
+ */
+const declinePendingBooking = async (booking, service, actor) => {
+  const members = await booking.getGroupMembers('pending');
+  const groupDetails = members.length > 1 ? await describeGroupMembers(members) : null;
+  
+  // Respingerea se salvează înaintea notificării (tranziția eșuează dacă rezervarea și-a schimbat între timp statusul)
+  await setMembersStatus(members, 'declined', actor);
+  releaseSlotToWaitlist(booking);
+  
+  // Rezervarea rămâne respinsă chiar dacă notificarea nu poate fi trimisă
+  const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_REJECTED, getBookingRecipient(booking), {
+    _id: booking._id,
+    serviceName: groupDetails
+      ? groupDetails.map(member => `${member.serviceName} (${member.clientName}, ora ${member.time})`).join(', ')
+      : service.name,
+    clientName: booking.groupOrganizer || booking.clientName,
+    date: booking.date,
+    time: booking.time
+  });
+  
+  return {
+    emailStatus: notification.status,
+    emailError: notification.error,
+    limit: notification.limit,
+    channel: notification.channel
+  };
+};
+
+/**
+ * Aplică regulile de aprobare automată unei rezervări tocmai verificate.
+ * Dacă nicio regulă nu se potrivește (sau evaluarea eșuează), rezervarea rămâne în așteptare.
+ * @param {Object} booking - Rezervarea verificată (cu clientul populat)
+ * @param {Object} service - Serviciile rezervării
+ * @returns {Promise<Object|null>} - { status, rule, emailStatus } sau null
+ */
+const applyApprovalRules = async (booking, service) => {
+  try {
+    const decision = await evaluateApprovalRules(booking);
+    if (!decision) {
+      return null;
+    }
+    
+    const actor = {
+      actor: 'system',
+      actorType: 'system',
+      note: `Regula de aprobare automată: ${decision.rule.name}`
+    };
+    
+    const outcome = decision.action === 'confirm'
+      ? await confirmPendingBooking(booking, service, actor)
+      : await declinePendingBooking(booking, service, actor);
+    
+    return {
+      status: booking.status,
+      rule: decision.rule.name,
+      emailStatus: outcome.emailStatus
+    };
+  } catch (error) {
+    logger.error(`Error applying approval rules for booking ${booking._id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Admin: Confirm booking
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const confirmBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    
+    // Validation is now handled by middleware
+    
+    const booking = await Booking.findById(bookingId).populate('client');
+    
+    if (!booking) {
+      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+    }
+    
+    if (!booking.canTransitionTo('confirmed')) {
+      return invalidTransitionResponse(res, booking, 'confirmed');
+    }
+    
+    // Get service for email
+    const service = await Service.findBundle(booking.getServiceIds());
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    const { emailStatus, emailError, limit, channel, series, groupSize } =
+      await confirmPendingBooking(booking, service, getStaffActor(req));
+    
+    const channelLabel = CHANNEL_LABELS[channel];
+    const messages = {
+      none: 'Rezervare confirmată (clientul nu are date de contact pentru notificări)',
+      sent: `Rezervare confirmată și ${channelLabel} de confirmare trimis`,
+      failed: `Rezervare confirmată, dar nu s-a putut trimite ${channelLabel} de confirmare`,
+      limited: limit === 'daily'
+        ? `Rezervare confirmată, dar nu s-a putut trimite ${channelLabel} de confirmare (limită zilnică atinsă)`
+        : `Rezervare confirmată, dar nu s-a putut trimite ${channelLabel} de confirmare (limită atinsă)`
+    };
+    
+    res.status(200).json({ 
+      success: true,
+      message: messages[emailStatus],
+      emailStatus,
+      emailError,
+      channel,
+      series,
+      groupSize
+    });
+  } catch (error) {
+    logger.error('Error confirming booking:', error);
+    return transitionErrorResponse(res, error, 'Eroare la confirmarea rezervării');
+  }
+};
+
+/**
+* Admin: Decline booking
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const declineBooking = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   
+   // Validation is now handled by middleware
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (!booking.canTransitionTo('declined')) {
+     return invalidTransitionResponse(res, booking, 'declined');
+   }
+   
+   // Get service for email
+   const service = await Service.findBundle(booking.getServiceIds());
+   if (!service) {
+     return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+   }
+   
+   const { emailStatus, emailError, limit, channel } = await declinePendingBooking(booking, service, getStaffActor(req));
+   
+   const channelLabel = CHANNEL_LABELS[channel];
+   const messages = {
+     none: 'Rezervare respinsă (clientul nu are date de contact pentru notificări)',
+     sent: `Rezervare respinsă și ${channelLabel} de notificare trimis`,
+     failed: `Rezervare respinsă, dar nu s-a putut trimite ${channelLabel} de notificare`,
+     limited: limit === 'daily'
+       ? `Rezervare respinsă, dar nu s-a putut trimite ${channelLabel} de notificare (limită zilnică atinsă)`
+       : `Rezervare respinsă, dar nu s-a putut trimite ${channelLabel} de notificare (limită atinsă)`
+   };
+   
+   res.status(200).json({ 
+     success: true,
+     message: messages[emailStatus],
+     emailStatus,
+     emailError,
+     channel
+   });
+ } catch (error) {
+   logger.error('Error declining booking:', error);
+   return transitionErrorResponse(res, error, 'Eroare la respingerea rezervării');
+ }
+};
+
+/**
+* Admin: Mută o rezervare la altă dată/oră și opțional alt serviciu (de ex. când clientul sună).
+* Regulile de antecedență și orizont nu se aplică personalului; conflictele se verifică la fel ca la o rezervare nouă.
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const rescheduleBooking = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   const { date, time, serviceId, serviceIds, reason } = req.body;
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (!['pending', 'confirmed'].includes(booking.status)) {
+     return errorResponse(res, 400, `Nu se poate muta o rezervare cu statusul: ${booking.status}`);
+   }
+   
+   // Persoanele unui grup au intervale consecutive; mutarea uneia singure ar despărți grupul
+   if (booking.group) {
+     return errorResponse(res, 400, 'O rezervare de grup nu poate fi mutată. Anulează rezervarea și creează una nouă la ora dorită.');
+   }
+   
+   // Fără servicii noi, rezervarea își păstrează serviciile
+   const service = await Service.findBundle(parseServiceIds(serviceId, serviceIds) || booking.getServiceIds());
+   if (!service) {
+     return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+   }
+   
+   const newDate = toCalendarDate(date);
+   const sameServices = service.serviceIds.join(',') === booking.getServiceIds().join(',');
+   if (newDate.getTime() === booking.date.getTime() && time === booking.time && sameServices) {
+     return errorResponse(res, 400, 'Rezervarea este deja la această dată, oră și serviciu.');
+   }
+   
+   const moved = await moveBooking(
+     booking,
+     { date: newDate, time, service },
+     {
+       action: Booking.HISTORY_ACTIONS.RESCHEDULED_BY_STAFF,
+       ...getStaffActor(req),
+       note: reason ? reason.trim() : undefined
+     }
+   );
+   
+   if (!moved.success) {
+     // Mesaj personalizat pentru datele blocate
+     const blockCheck = await BlockedDate.isDateTimeBlocked(newDate, time, service.duration);
+     if (blockCheck.isBlocked) {
+       return errorResponse(res, 409, blockCheck.reason);
+     }
+     return errorResponse(res, moved.status, moved.message);
+   }
+   
+   // Notificarea "programare mutată" (cu link-ul de gestionare pentru rezervările confirmate)
+   const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_MOVED, getBookingRecipient(booking), {
+     _id: booking._id,
+     clientName: booking.clientName,
+     serviceName: service.name,
+     date: booking.date,
+     time: booking.time,
+     previousDate: moved.previousDate,
+     previousTime: moved.previousTime,
+     manageUrl: booking.status === 'confirmed' ? buildManageUrl(booking) : null,
+     changeWindowHours: CLIENT_CHANGE_MIN_HOURS
+   });
+   
+   logger.info(`Rezervare mutată de ${req.user.username}: ${booking._id} (${toDateKey(moved.previousDate)} ${moved.previousTime} -> ${toDateKey(booking.date)} ${booking.time})`);
+   
+   const bookingSummary = {
+     id: booking._id,
+     date: formatCalendarDate(booking.date),
+     dateKey: toDateKey(booking.date),
+     time: booking.time,
+     serviceId: service._id,
+     service: service.name,
+     barberId: booking.barber,
+     status: booking.status
+   };
+   
+   const channelLabel = CHANNEL_LABELS[notification.channel];
+   const messages = {
+     none: 'Rezervare mutată (clientul nu are date de contact pentru notificări)',
+     sent: `Rezervare mutată și ${channelLabel} trimis clientului`,
+     failed: `Rezervare mutată, dar nu s-a putut trimite ${channelLabel} către client`,
+     limited: `Rezervare mutată, dar nu s-a putut trimite ${channelLabel} către client (limită atinsă)`
+   };
+   
+   res.status(200).json({
+     success: true,
+     message: messages[notification.status],
+     emailStatus: notification.status,
+     emailError: notification.error,
+     channel: notification.channel,
+     booking: bookingSummary
+   });
+ } catch (error) {
+   logger.error('Error rescheduling booking:', error);
+   return errorResponse(res, 500, 'Eroare la mutarea rezervării');
+ }
+};
+
+/**
+* Admin: Creează direct o rezervare confirmată pentru un client sosit fără programare sau programat telefonic.
+* Nu se trimite cod de verificare, iar email-ul clientului este opțional (fără email nu se trimite confirmarea).
+* Disponibilitatea se verifică la fel ca la o rezervare nouă; cu override: true personalul acceptă explicit
+* un interval ocupat sau închis. Regulile de antecedență și orizont nu se aplică personalului.
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const createAdminBooking = async (req, res) => {
+ try {
+   const {
+     clientId, clientName, phoneNumber, email, countryCode,
+     date, time, serviceId, serviceIds, barberId, notes, override
+   } = req.body;
+   
+   const service = await Service.findBundle(parseServiceIds(serviceId, serviceIds));
+   if (!service) {
+     return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+   }
+   
+   const { barber: selectedBarber, error: barberError } = await resolveSelectedBarber(barberId);
+   if (barberError) {
+     return errorResponse(res, 404, barberError);
+   }
+   
+   // Clientul: unul existent (din lista de clienți) sau unul nou, identificat după email sau telefon
+   let client;
+   if (clientId) {
+     client = await Client.findById(clientId);
+     if (!client) {
+       return errorResponse(res, 404, 'Clientul nu a fost găsit');
+     }
+   } else {
+     // Numărul se salvează cu prefixul țării, ca la rezervările online (formularul trimite de obicei 07...)
+     const clientCountryCode = countryCode || '+40';
+     const cleanNumber = phoneNumber.replace(/\s+|-|\(|\)/g, '');
+     const fullPhoneNumber = cleanNumber.startsWith('+')
+       ? cleanNumber
+       : `${clientCountryCode}${cleanNumber.replace(/^0/, '')}`;
+     
+     if (email) {
+       client = await findOrCreateClient({ clientName: clientName.trim(), phoneNumber: fullPhoneNumber, email, countryCode: clientCountryCode });
+     } else {
+       // Același telefon poate fi folosit de mai multe persoane (ex. o familie): clientul existent
+       // este folosit doar dacă are același nume
+       const samePhoneClients = await Client.find({ phoneNumber: fullPhoneNumber });
+       client = samePhoneClients.find(candidate => normalizeName(candidate.name) === normalizeName(clientName));
+     }
+     
+     if (!client) {
+       client = new Client({
+         name: clientName.trim(),
+         phoneNumber: fullPhoneNumber,
+         countryCode: clientCountryCode
+       });
+       await client.save();
+     }
+   }
+   
+   if (client.isBlocked) {
+     return errorResponse(res, 403, 'Clientul este blocat. Deblochează-l înainte de a-i adăuga o programare.', {
+       blockReason: client.blockReason
+     });
+   }
+   
+   const selectedDate = toCalendarDate(date);
+   const saveBooking = async (assignedBarberId) => {
+     const booking = new Booking({
+       client: client._id,
+       // Numele introdus de personal rămâne pe programare (clientul existent este ales doar după ID)
+       clientName: clientId ? client.name : clientName.trim(),
+       phoneNumber: client.phoneNumber,
+       email: client.email,
+       countryCode: client.countryCode,
+       service: service._id,
+       services: service.serviceIds,
+       barber: assignedBarberId,
+       date: selectedDate,
+       time,
+       verified: true,
+       status: 'confirmed',
+       createdByStaff: true,
+       notes: notes ? notes.trim() : undefined
+     });
+     booking.addHistoryEntry(Booking.HISTORY_ACTIONS.CREATED_BY_STAFF, {
+       ...getStaffActor(req),
+       note: override ? 'Creată peste verificarea disponibilității (override)' : undefined
+     });
+     await booking.save();
+     return booking;
+   };
+   
+   let booking;
+   if (override) {
+     // Cu override se alege totuși un frizer liber, dacă există, când nu este ales unul anume
+     let assignedBarberId = selectedBarber ? selectedBarber._id : null;
+     if (!assignedBarberId) {
+       const result = await findAvailableBarber(selectedDate, time, service.duration, service.getBuffers());
+       assignedBarberId = result.barber ? result.barber._id : null;
+     }
+     booking = await saveBooking(assignedBarberId);
+     logger.warn(`Rezervare creată cu override de ${req.user.username}: ${booking._id} (${toDateKey(selectedDate)} ${time})`);
+   } else {
+     const hold = await withSlotHold({
+       date: selectedDate,
+       time,
+       service,
+       barberId: selectedBarber ? selectedBarber._id : null,
+       holdOwner: `staff:${req.user.id}:${toDateKey(selectedDate)}:${time}`,
+       availabilityOptions: service.getBuffers()
+     }, saveBooking);
+     
+     if (!hold.available) {
+       const blockCheck = await BlockedDate.isDateTimeBlocked(selectedDate, time, service.duration);
+       return errorResponse(res, 409, blockCheck.isBlocked
+         ? blockCheck.reason
+         : `Intervalul orar ${time} nu este disponibil. Alege altă oră sau folosește override pentru a-l rezerva oricum.`,
+         { canOverride: true });
+     }
+     booking = hold.result;
+   }
+   
+   client.totalBookings += 1;
+   await client.save();
+   
+   // Confirmarea (cu link-ul de gestionare) pe canalul clientului; clientul fără email o poate primi prin SMS
+   const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_CONFIRMED, getBookingRecipient(booking, client), {
+     _id: booking._id,
+     clientName: booking.clientName,
+     serviceName: service.name,
+     date: booking.date,
+     time: booking.time,
+     manageUrl: buildManageUrl(booking),
+     changeWindowHours: CLIENT_CHANGE_MIN_HOURS
+   });
+   
+   logger.info(`Rezervare adăugată de ${req.user.username}: ${booking._id} (${toDateKey(booking.date)} ${booking.time})`);
+   
+   const channelLabel = CHANNEL_LABELS[notification.channel];
+   const messages = {
+     none: 'Rezervare adăugată',
+     sent: 'Rezervare adăugată',
+     failed: `Rezervare adăugată, dar nu s-a putut trimite ${channelLabel} de confirmare`,
+     limited: `Rezervare adăugată, dar nu s-a putut trimite ${channelLabel} de confirmare (limită atinsă)`
+   };
+   
+   res.status(201).json({
+     success: true,
+     message: messages[notification.status],
+     emailStatus: notification.status,
+     emailError: notification.error,
+     channel: notification.channel,
+     booking: {
+       id: booking._id,
+       clientId: client._id,
+       clientName: booking.clientName,
+       date: formatCalendarDate(booking.date),
+       dateKey: toDateKey(booking.date),
+       time: booking.time,
+       serviceId: service._id,
+       serviceIds: service.serviceIds,
+       service: service.name,
+       barberId: booking.barber,
+       status: booking.status,
+       override: Boolean(override)
+     }
+   });
+ } catch (error) {
+   logger.error('Error creating admin booking:', error);
+   return errorResponse(res, 500, 'Eroare la adăugarea rezervării');
+ }
+};
+
+/**
+* Admin: Transformă o rezervare confirmată într-o serie recurentă (ex: clientul revine la fiecare 3 săptămâni).
+* Programările se generează până la orizontul de rezervare; cele în conflict sunt raportate, nu omise.
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const createBookingSeries = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   const { intervalWeeks, endDate } = req.body;
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (booking.status !== 'confirmed') {
+     return errorResponse(res, 400, 'Doar o rezervare confirmată poate deveni o serie recurentă');
+   }
+   
+   if (booking.series) {
+     return errorResponse(res, 409, 'Rezervarea face deja parte dintr-o serie recurentă', { seriesId: booking.series });
+   }
+   
+   const service = await Service.findBundle(booking.getServiceIds());
+   if (!service) {
+     return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+   }
+   
+   const recurring = await createSeriesFromBooking(booking, {
+     intervalWeeks: parseInt(intervalWeeks),
+     endDate: endDate ? toCalendarDate(endDate) : null,
+     createdBy: req.user.username
+   });
+   
+   // Clientul primește din nou confirmarea, cu programările rezervate și cele în conflict
+   const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_CONFIRMED, getBookingRecipient(booking), {
+     _id: booking._id,
+     clientName: booking.clientName,
+     serviceName: service.name,
+     date: booking.date,
+     time: booking.time,
+     manageUrl: buildManageUrl(booking),
+     changeWindowHours: CLIENT_CHANGE_MIN_HOURS,
+     series: {
+       recurrence: recurring.series.describeRecurrence(),
+       dates: recurring.created.map(occurrence => occurrence.date),
+       conflicts: recurring.conflicts
+     }
+   });
+   
+   logger.info(`Serie recurentă creată de ${req.user.username} din rezervarea ${booking._id}: ${recurring.created.length} programări, ${recurring.conflicts.length} conflicte`);
+   
+   let message = `Serie creată: ${recurring.created.length} programări rezervate`;
+   if (recurring.conflicts.length > 0) {
+     message += `, ${recurring.conflicts.length} în conflict`;
+   }
+   
+   res.status(201).json({
+     success: true,
+     message,
+     emailStatus: notification.status,
+     emailError: notification.error,
+     channel: notification.channel,
+     series: summarizeSeriesResult(recurring)
+   });
+ } catch (error) {
+   logger.error('Error creating booking series:', error);
+   return errorResponse(res, 500, 'Eroare la crearea seriei recurente');
+ }
+};
+
+/**
+* Admin: Detaliile unei serii recurente, cu programările și conflictele viitoare
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getBookingSeries = async (req, res) => {
+ try {
+   const series = await BookingSeries.findById(req.params.seriesId);
+   
+   if (!series) {
+     return errorResponse(res, 404, 'Seria nu a fost găsită');
+   }
+   
+   const [service, barber, occurrences] = await Promise.all([
+     Service.findBundle(series.getServiceIds()),
+     series.barber ? User.findById(series.barber) : null,
+     Booking.find({ series: series._id }).sort({ startAt: 1 })
+   ]);
+   const today = getBusinessToday();
+   
+   res.status(200).json({
+     success: true,
+     series: {
+       id: series._id,
+       clientName: series.clientName,
+       phoneNumber: series.phoneNumber,
+       email: series.email,
+       serviceId: series.service,
+       serviceIds: series.getServiceIds(),
+       service: service ? service.name : 'Unknown Service',
+       barberName: barber ? barber.getDisplayName() : null,
+       time: series.time,
+       intervalWeeks: series.intervalWeeks,
+       recurrence: series.describeRecurrence(),
+       startDate: formatCalendarDate(series.startDate),
+       endDate: series.endDate ? formatCalendarDate(series.endDate) : null,
+       status: series.status,
+       createdBy: series.createdBy,
+       cancelledBy: series.cancelledBy,
+       cancelledAt: series.cancelledAt,
+       occurrences: occurrences.map(occurrence => ({
+         id: occurrence._id,
+         date: formatCalendarDate(occurrence.date),
+         dateKey: toDateKey(occurrence.date),
+         time: occurrence.time,
+         status: occurrence.status
+       })),
+       conflicts: series.conflicts
+         .filter(conflict => conflict.date >= today)
+         .map(conflict => ({
+           date: formatCalendarDate(conflict.date),
+           dateKey: toDateKey(conflict.date),
+           time: conflict.time,
+           reason: conflict.reason
+         }))
+     }
+   });
+ } catch (error) {
+   logger.error('Error fetching booking series:', error);
+   return errorResponse(res, 500, 'Eroare la obținerea seriei recurente');
+ }
+};
+
+/**
+* Admin: Anulează o serie recurentă și toate programările ei viitoare (clientul este anunțat pe email)
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const cancelBookingSeries = async (req, res) => {
+ try {
+   const { reason } = req.body;
+   const note = reason && typeof reason === 'string' ? reason.trim().substring(0, 200) : undefined;
+   
+   const series = await BookingSeries.findById(req.params.seriesId);
+   
+   if (!series) {
+     return errorResponse(res, 404, 'Seria nu a fost găsită');
+   }
+   
+   if (series.status !== 'active') {
+     return errorResponse(res, 400, 'Seria recurentă a fost deja anulată');
+   }
+   
+   const { cancelled } = await cancelSeries(series, { ...getStaffActor(req), note });
+   
+   const [service, client] = await Promise.all([
+     Service.findBundle(series.getServiceIds()),
+     series.client ? Client.findById(series.client) : null
+   ]);
+   const notification = await sendNotification(NOTIFICATION_TYPES.SERIES_CANCELLED, getSeriesRecipient(series, client), {
+     clientName: series.clientName,
+     serviceName: service ? service.name : '',
+     time: series.time,
+     recurrence: series.describeRecurrence(),
+     dates: cancelled.map(occurrence => occurrence.date),
+     reason: note
+   });
+   
+   res.status(200).json({
+     success: true,
+     message: `Seria recurentă a fost anulată (${cancelled.length} programări)`,
+     cancelledCount: cancelled.length,
+     emailStatus: notification.status,
+     emailError: notification.error,
+     channel: notification.channel
+   });
+ } catch (error) {
+   logger.error('Error cancelling booking series:', error);
+   return transitionErrorResponse(res, error, 'Eroare la anularea seriei recurente');
+ }
+};
+
+/**
+* Admin: Block user
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const blockUser = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   const { reason } = req.body;
+   
+   // Validation is now handled by middleware
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (!booking.canTransitionTo('declined')) {
+     return invalidTransitionResponse(res, booking, 'declined');
+   }
+   
+   const declineDetails = {
+     ...getStaffActor(req),
+     action: Booking.HISTORY_ACTIONS.BLOCKED_CLIENT,
+     note: reason
+   };
+   
+   // Block client in the client model
+   let client = booking.client;
+   if (!client) {
+     // If for some reason the client reference is missing, try to find/create the client
+     client = await Client.findByEmail(booking.email);
+     
+     if (!client) {
+       client = new Client({
+         name: booking.clientName,
+         phoneNumber: booking.phoneNumber,
+         email: booking.email,
+         countryCode: booking.countryCode || '+40'
+       });
+     }
+   }
+   await client.block(reason || 'No reason provided');
+   
+   // Rezervarea (cu tot grupul ei) se respinge înaintea notificării, indiferent dacă notificarea poate fi trimisă;
+   // persoanele unui grup sunt în aceeași zi, deci lista de așteptare se anunță o singură dată
+   const members = await booking.getGroupMembers(booking.status);
+   await setMembersStatus(members, 'declined', declineDetails);
+   releaseSlotToWaitlist(booking);
+   
+   // Clientul este anunțat pe canalul lui că a fost blocat (limitele canalului se aplică)
+   const notification = await sendNotification(NOTIFICATION_TYPES.CLIENT_BLOCKED, getBookingRecipient(booking, client), {
+     name: booking.clientName,
+     phoneNumber: booking.phoneNumber,
+     email: booking.email,
+     reason
+   });
+   
+   const channelLabel = CHANNEL_LABELS[notification.channel];
+   const messages = {
+     none: 'Utilizator blocat și rezervare respinsă (clientul nu are date de contact pentru notificări)',
+     sent: 'Utilizator blocat și rezervare respinsă',
+     failed: `Utilizator blocat și rezervare respinsă, dar nu s-a putut trimite ${channelLabel} de notificare`,
+     limited: notification.limit === 'daily'
+       ? `Utilizator blocat și rezervare respinsă (nu s-a trimis ${channelLabel} din cauza limitei zilnice)`
+       : `Utilizator blocat și rezervare respinsă (nu s-a trimis ${channelLabel} din cauza limitei)`
+   };
+   
+   res.status(200).json({ 
+     success: true, 
+     message: messages[notification.status],
+     emailStatus: notification.status,
+     emailError: notification.error,
+     channel: notification.channel,
+     email: booking.email,
+     phoneNumber: booking.phoneNumber,
+     clientId: client._id
+   });
+ } catch (error) {
+   logger.error('Error blocking user:', error);
+   return transitionErrorResponse(res, error, 'Eroare la blocarea utilizatorului');
+ }
+};
+
+/**
+* Admin: Get blocked users list
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getBlockedUsers = async (req, res) => {
+ try {
+   // Get blocked users directly from Client model
+   const blockedClients = await Client.find({ isBlocked: true })
+     .sort({ blockDate: -1 }) // Most recent first
+     .select('_id name phoneNumber email blockReason blockDate totalBookings completedBookings');
+     
+   res.status(200).json({
+     success: true,
+     users: blockedClients,
+     count: blockedClients.length
+   });
+ } catch (error) {
+   logger.error('Error fetching blocked users:', error);
+   return errorResponse(res, 500, 'Eroare la obținerea utilizatorilor blocați');
+ }
+};
+
+/**
+* Admin: Unblock user
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const unblockUser = async (req, res) => {
+ try {
+   const { clientId } = req.params;
+   
+   if (!clientId) {
+     return errorResponse(res, 400, 'ID-ul clientului este obligatoriu');
+   }
+   
+   // Find client by ID
+   const client = await Client.findById(clientId);
+   
+   if (!client) {
+     return errorResponse(res, 404, 'Clientul nu a fost găsit');
+   }
+   
+   if (!client.isBlocked) {
+     return errorResponse(res, 400, 'Clientul nu este blocat');
+   }
+   
+   // Unblock client
+   await client.unblock();
+   
+   res.status(200).json({
+     success: true,
+     message: 'Clientul a fost deblocat cu succes',
+     client: {
+       id: client._id,
+       name: client.name,
+       phoneNumber: client.phoneNumber,
+       email: client.email
+     }
+   });
+ } catch (error) {
+   logger.error('Error unblocking user:', error);
+   return errorResponse(res, 500, 'Eroare la deblocarea utilizatorului');
+ }
+};
+
+/**
+* Admin: Get client details and booking history
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getClientDetails = async (req, res) => {
+ try {
+   const { clientId } = req.params;
+   
+   if (!clientId) {
+     return errorResponse(res, 400, 'ID-ul clientului este obligatoriu');
+   }
+   
+   // Find client by ID
+   const client = await Client.findById(clientId);
+   
+   if (!client) {
+     return errorResponse(res, 404, 'Clientul nu a fost găsit');
+   }
+   
+   // Get client's booking history
+   const bookings = await Booking.find({ client: clientId })
+     .sort({ date: -1, time: -1 }); // Most recent first
+   
+   // Clienții duplicați unificați în acest client
+   const merges = await ClientMerge.find({ primaryClient: clientId })
+     .sort({ mergedAt: -1 });
+   
+   // Serviciile fiecărei rezervări (prețul rezervărilor cu mai multe servicii este suma lor)
+   const services = await Service.find();
+   const servicesById = new Map(services.map(service => [service._id, service]));
+   
+   // Format bookings
+   const formattedBookings = bookings.map(booking => {
+     const service = bundleFromMap(servicesById, booking.getServiceIds());
+     return {
+       id: booking._id,
+       date: formatCalendarDate(booking.date),
+       time: booking.time,
+       service: service ? service.name : 'Unknown Service',
+       status: booking.status,
+       price: service ? service.price : 0,
+       createdAt: booking.createdAt
+     };
+   });
+   
+   // Calculate statistics
+   const completedBookings = bookings.filter(b => b.status === 'completed').length;
+   const cancelledBookings = bookings.filter(b => b.status === 'declined' || b.status === 'cancelled').length;
+   const noShows = bookings.filter(b => b.status === 'no_show').length;
+   const totalSpent = formattedBookings
+     .filter(b => b.status === 'completed')
+     .reduce((sum, b) => sum + b.price, 0);
+   
+   res.status(200).json({
+     success: true,
+     client: {
+       id: client._id,
+       name: client.name,
+       phoneNumber: client.phoneNumber,
+       email: client.email,
+       countryCode: client.countryCode || '+40',
+       isBlocked: client.isBlocked,
+       blockReason: client.blockReason,
+       blockDate: client.blockDate,
+       createdAt: client.createdAt,
+       totalBookings: client.totalBookings,
+       completedBookings: client.completedBookings,
+       noShowCount: client.noShowCount || 0,
+       lastNoShowAt: client.lastNoShowAt,
+       emailsSent: client.emailsSent || 0,
+       preferredChannel: client.preferredChannel || 'email',
+       notes: client.notes || ''
+     },
+     statistics: {
+       completedBookings,
+       cancelledBookings,
+       noShows,
+       totalSpent,
+       averageServicePrice: completedBookings > 0 ? (totalSpent / completedBookings).toFixed(2) : 0
+     },
+     bookings: formattedBookings,
+     merges: merges.map(merge => ({
+       id: merge._id,
+       mergedClientId: merge.mergedClientId,
+       mergedClientName: merge.mergedClientSnapshot.name,
+       mergedClientEmail: merge.mergedClientSnapshot.email || null,
+       movedBookings: merge.movedBookingIds.length,
+       matchReasons: merge.matchReasons,
+       reason: merge.reason,
+       mergedBy: merge.mergedBy,
+       mergedAt: merge.mergedAt
+     }))
+   });
+ } catch (error) {
+   logger.error('Error getting client details:', error);
+   return errorResponse(res, 500, 'Eroare la obținerea detaliilor clientului');
+ }
+};
+
+/**
+* Admin: Editează profilul clientului (nume, telefon, cod de țară, email, note).
+* Cu propagateToBookings, datele de contact se copiază și pe programările viitoare și seriile active.
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const updateClient = async (req, res) => {
+ try {
+   const { clientId } = req.params;
+   const { clientName, phoneNumber, email, countryCode, notes, preferredChannel, propagateToBookings } = req.body;
+   
+   const client = await Client.findById(clientId);
+   
+   if (!client) {
+     return errorResponse(res, 404, 'Clientul nu a fost găsit');
+   }
+   
+   // Email-ul identifică clientul la rezervările online, deci trebuie să fie unic
+   // (inclusiv față de adresele preluate de alți clienți la unificarea duplicatelor)
+   if (email && email !== client.email) {
+     const existingClient = await Client.findOne({
+       $or: [{ email }, { mergedEmails: email }],
+       _id: { $ne: client._id }
+     });
+     if (existingClient) {
+       return errorResponse(res, 409, 'Există deja un client cu această adresă de email', {
+         existingClientId: existingClient._id
+       });
+     }
+   }
+   
+   // Numărul se salvează cu prefixul țării, ca la rezervare
+   const newCountryCode = countryCode || client.countryCode || '+40';
+   const fullPhoneNumber = phoneNumber.startsWith('+') ?
+     phoneNumber :
+     `${newCountryCode}${phoneNumber.replace(/^0/, '')}`;
+   
+   const previous = {
+     name: client.name,
+     phoneNumber: client.phoneNumber,
+     email: client.email
+   };
+   
+   client.name = clientName;
+   client.phoneNumber = fullPhoneNumber;
+   client.countryCode = newCountryCode;
+   client.email = email || undefined;
+   if (email && client.mergedEmails && client.mergedEmails.includes(email)) {
+     client.mergedEmails = client.mergedEmails.filter(mergedEmail => mergedEmail !== email);
+   }
+   if (notes !== undefined && notes !== null) {
+     client.notes = notes.trim();
+   }
+   if (preferredChannel) {
+     client.preferredChannel = preferredChannel;
+   }
+   
+   try {
+     await client.save();
+   } catch (saveError) {
+     // Alt client a primit între timp același email
+     if (saveError.code === 11000) {
+       return errorResponse(res, 409, 'Există deja un client cu această adresă de email');
+     }
+     throw saveError;
+   }
+   
+   let updatedBookings = 0;
+   let updatedSeries = 0;
+   
+   if (propagateToBookings) {
+     const contactUpdate = { phoneNumber: client.phoneNumber, countryCode: client.countryCode };
+     // Programările fără email există doar pentru clienții adăugați de personal; email-ul nu se șterge de pe ele
+     if (client.email) {
+       contactUpdate.email = client.email;
+     }
+     
+     const futureFilter = {
+       client: client._id,
+       status: { $in: ['pending', 'confirmed'] },
+       startAt: { $gte: new Date() }
+     };
+     
+     const bookingResult = await Booking.updateMany(futureFilter, { $set: contactUpdate });
+     // La rezervările de grup, clientName este numele fiecărei persoane: se schimbă doar unde era numele clientului
+     if (previous.name !== client.name) {
+       await Booking.updateMany({ ...futureFilter, clientName: previous.name }, { $set: { clientName: client.name } });
+       await Booking.updateMany({ ...futureFilter, groupOrganizer: previous.name }, { $set: { groupOrganizer: client.name } });
+     }
+     
+     const seriesFilter = { client: client._id, status: 'active' };
+     const seriesResult = await BookingSeries.updateMany(seriesFilter, { $set: contactUpdate });
+     if (previous.name !== client.name) {
+       await BookingSeries.updateMany({ ...seriesFilter, clientName: previous.name }, { $set: { clientName: client.name } });
+     }
+     
+     updatedBookings = bookingResult.modifiedCount || 0;
+     updatedSeries = seriesResult.modifiedCount || 0;
+   }
+   
+   logger.info(`Client actualizat de ${req.user.username}: ${client._id}` +
+     (propagateToBookings ? ` (${updatedBookings} programări, ${updatedSeries} serii actualizate)` : ''));
+   
+   res.status(200).json({
+     success: true,
+     message: propagateToBookings ?
+       `Datele clientului au fost actualizate, inclusiv pe ${updatedBookings} programări viitoare.` :
+       'Datele clientului au fost actualizate.',
+     client: {
+       id: client._id,
+       name: client.name,
+       phoneNumber: client.phoneNumber,
+       email: client.email,
+       countryCode: client.countryCode,
+       preferredChannel: client.preferredChannel,
+       notes: client.notes || ''
+     },
+     updatedBookings,
+     updatedSeries
+   });
+ } catch (error) {
+   if (error.name === 'ValidationError') {
+     return errorResponse(res, 400, Object.values(error.errors).map(e => e.message).join(', '));
+   }
+   logger.error('Error updating client:', error);
+   return errorResponse(res, 500, 'Eroare la actualizarea clientului');
+ }
+};
+
+/**
+* Admin: Lista perechilor de clienți care sunt probabil aceeași persoană
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getDuplicateClients = async (req, res) => {
+ try {
+   const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+   const duplicates = await findDuplicateClients({ limit });
+   
+   res.status(200).json({
+     success: true,
+     duplicates
+   });
+ } catch (error) {
+   logger.error('Error finding duplicate clients:', error);
+   return errorResponse(res, 500, 'Eroare la căutarea clienților duplicați');
+ }
+};
+
+/**
+* Admin: Unifică un client duplicat în clientul din URL (rezervări, contoare, note)
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const mergeClients = async (req, res) => {
+ try {
+   const { clientId } = req.params;
+   const { duplicateClientId, reason } = req.body;
+   
+   const [primary, duplicate] = await Promise.all([
+     Client.findById(clientId),
+     Client.findById(duplicateClientId)
+   ]);
+   
+   if (!primary || !duplicate) {
+     return errorResponse(res, 404, 'Clientul nu a fost găsit');
+   }
+   
+   const result = await mergeClientRecords(primary, duplicate, {
+     mergedBy: req.user.username,
+     reason: reason ? reason.trim() : null
+   });
+   
+   res.status(200).json({
+     success: true,
+     message: `Clientul ${duplicate.name} a fost unificat cu ${result.client.name} (${result.movedBookings} rezervări mutate).`,
+     client: {
+       id: result.client._id,
+       name: result.client.name,
+       phoneNumber: result.client.phoneNumber,
+       email: result.client.email,
+       mergedEmails: result.client.mergedEmails,
+       totalBookings: result.client.totalBookings,
+       completedBookings: result.client.completedBookings,
+       noShowCount: result.client.noShowCount,
+       isBlocked: result.client.isBlocked,
+       notes: result.client.notes || ''
+     },
+     mergeId: result.merge._id,
+     movedBookings: result.movedBookings,
+     movedSeries: result.movedSeries
+   });
+ } catch (error) {
+   logger.error('Error merging clients:', error);
+   return errorResponse(res, 500, 'Eroare la unificarea clienților');
+ }
+};
+
+/**
+* Admin: Get Email usage statistics
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getEmailUsageStats = async (req, res) => {
+ try {
+   // Get today's date (start of day)
+   const today = getBusinessToday();
+   
+   // Get daily usage for all emails
+   const dailyUsage = await EmailUsage.find({
+     date: {
+       $gte: today,
+       $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+     }
+   }).sort({ count: -1 }); // Highest usage first
+   
+   // Calculate total emails sent today
+   const totalEmailsToday = dailyUsage.reduce((total, record) => total + record.count, 0);
+   
+   // Get top clients by email usage
+   const topClientsByEmail = await Client.find()
+     .sort({ emailsSent: -1 })
+     .limit(10)
+     .select('name email emailsSent lastEmailSentAt');
+   
+   // Get email usage by day (last 7 days)
+   const sevenDaysAgo = addDays(today, -7);
+   
+   const dailyTotals = await EmailUsage.aggregate([
+     {
+       $match: {
+         date: { $gte: sevenDaysAgo }
+       }
+     },
+     {
+       $group: {
+         _id: {
+           $dateToString: { format: '%Y-%m-%d', date: '$date' }
+         },
+         totalEmails: { $sum: '$count' }
+       }
+     },
+     { $sort: { _id: 1 } }
+   ]);
+   
+   res.status(200).json({
+     success: true,
+     stats: {
+       today: {
+         totalEmails: totalEmailsToday,
+         usageByEmail: dailyUsage.map(record => ({
+           email: record.email,
+           count: record.count,
+           remainingToday: DAILY_EMAIL_LIMIT - record.count
+         }))
+       },
+       topClients: topClientsByEmail,
+       dailyTotals: dailyTotals
+     }
+   });
+ } catch (error) {
+   logger.error('Error getting email usage stats:', error);
+   return errorResponse(res, 500, 'Eroare la obținerea statisticilor email');
+ }
+};
+
+/**
+* Mark booking as completed
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const completeBookingService = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   
+   if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+     return errorResponse(res, 400, 'ID rezervare invalid');
+   }
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (!booking.canTransitionTo('completed')) {
+     return invalidTransitionResponse(res, booking, 'completed');
+   }
+   
+   // Update booking status (completedAt este setat de transitionTo)
+   booking.transitionTo('completed', getStaffActor(req));
+   await booking.save();
+   
+   // Update client stats
+   if (booking.client) {
+     booking.client.completedBookings += 1;
+     booking.client.lastVisit = new Date();
+     await booking.client.save();
+   }
+   
+   // Get service details
+   const service = await Service.findBundle(booking.getServiceIds());
+   
+   res.status(200).json({
+     success: true,
+     message: 'Rezervare marcată ca finalizată',
+     booking: {
+       id: booking._id,
+       clientName: booking.clientName,
+       email: booking.email,
+       phoneNumber: booking.phoneNumber,
+       date: formatCalendarDate(booking.date),
+       time: booking.time,
+       status: booking.status,
+       service: service ? service.name : 'Unknown Service',
+       price: service ? service.price : 0
+     }
+   });
+ } catch (error) {
+   logger.error('Error completing booking service:', error);
+   return transitionErrorResponse(res, error, 'Eroare la marcarea rezervării ca finalizată');
+ }
+};
+
+/**
+* Admin: Marchează o rezervare confirmată ca neprezentare (clientul nu a venit).
+* Clientul este blocat automat la atingerea pragului de neprezentări (vezi utils/noShowPolicy.js).
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const markNoShow = async (req, res) => {
+ try {
+   const { bookingId } = req.params;
+   
+   const booking = await Booking.findById(bookingId).populate('client');
+   
+   if (!booking) {
+     return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+   }
+   
+   if (!booking.canTransitionTo('no_show')) {
+     return invalidTransitionResponse(res, booking, 'no_show');
+   }
+   
+   if (booking.startAt && booking.startAt > new Date()) {
+     return errorResponse(res, 400, 'Programarea nu a început încă. Neprezentarea se poate marca doar după ora programării.');
+   }
+   
+   const result = await recordNoShow(booking, getStaffActor(req));
+   
+   res.status(200).json({
+     success: true,
+     message: result.blocked
+       ? `Neprezentare înregistrată. Clientul a fost blocat automat (${result.recentNoShows} neprezentări în ultimele ${NO_SHOW_WINDOW_MONTHS} luni).`
+       : 'Neprezentare înregistrată',
+     noShowCount: result.noShowCount,
+     recentNoShows: result.recentNoShows,
+     clientBlocked: result.blocked
+   });
+ } catch (error) {
+   logger.error('Error marking no-show:', error);
+   return transitionErrorResponse(res, error, 'Eroare la marcarea neprezentării');
+ }
+};
+
+/**
+* Get all clients (with optional filters)
+* @param {Object} req - Request object
+* @param {Object} res - Response object
+*/
+const getAllClients = async (req, res) => {
+ try {
+   // Parse query parameters for filtering
+   const { search, sort = 'lastVisit', order = 'desc', limit = 50, page = 1 } = req.query;
+   
+   // Build query
+   let query = {};
+   
+   // Add search filter if provided
+   if (search) {
+     const searchRegex = new RegExp(search, 'i');
+     query = {
+       $or: [
+         { name: searchRegex },
+         { phoneNumber: searchRegex },
+         { email: searchRegex } // Added search by email
+       ]
+     };
+   }
+   
+   // Calculate pagination
+   const skip = (parseInt(page) - 1) * parseInt(limit);
+   
+   // Build sort configuration
+   const sortConfig = {};
+   sortConfig[sort] = order === 'desc' ? -1 : 1;
+   
+   // Execute query with pagination and sorting
+   const clients = await Client.find(query)
+     .sort(sortConfig)
+     .skip(skip)
+     .limit(parseInt(limit))
+     .select('_id name phoneNumber email isBlocked totalBookings completedBookings noShowCount lastVisit createdAt');
+   
+   // Get total count for pagination
+   const totalCount = await Client.countDocuments(query);
+   
+   res.status(200).json({
+     success: true,
+     clients,
+     pagination: {
+       total: totalCount,
+       page: parseInt(page),
+       limit: parseInt(limit),
+       pages: Math.ceil(totalCount / parseInt(limit))
+     }
+   });
+ } catch (error) {
+   logger.error('Error getting clients:', error);
+   return errorResponse(res, 500, 'Eroare la obținerea listei de clienți');
+ }
+};
+
+
+
+/**
+ * Detaliile rezervării pentru pagina de gestionare (link-ul din email-ul de confirmare)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const getManagedBooking = async (req, res) => {
+  try {
+    const booking = await findManagedBooking(req.body.token);
+    if (!booking) {
+      return errorResponse(res, 410, MANAGE_LINK_INVALID_MESSAGE);
+    }
+    
+    res.status(200).json({
+      success: true,
+      booking: await formatManagedBooking(booking)
+    });
+  } catch (error) {
+    logger.error('Error getting managed booking:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea detaliilor programării');
+  }
+};
+
+/**
+ * Anularea rezervării de către client, prin link-ul din email-ul de confirmare.
+ * Pentru programările recurente, clientul poate anula o singură programare a seriei sau toată seria.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const cancelManagedBooking = async (req, res) => {
+  try {
+    const { token, reason, scope, occurrenceId } = req.body;
+    const note = reason ? reason.trim() : undefined;
+    
+    const booking = await findManagedBooking(token);
+    if (!booking) {
+      return errorResponse(res, 410, MANAGE_LINK_INVALID_MESSAGE);
+    }
+    
+    if (scope === 'series') {
+      return await cancelManagedSeries(req, res, booking, note);
+    }
+    
+    // O altă programare din aceeași serie (link-ul unei programări recurente acoperă toată seria)
+    let target = booking;
+    if (occurrenceId && occurrenceId !== booking._id.toString()) {
+      target = booking.series
+        ? await Booking.findOne({ _id: occurrenceId, series: booking.series })
+        : null;
+      if (!target) {
+        return errorResponse(res, 404, 'Programarea nu a fost găsită în seria ta');
+      }
+    }
+    
+    const policy = checkClientChangePolicy(target);
+    if (!policy.allowed) {
+      return errorResponse(res, 403, policy.message);
+    }
+    
+    // Link-ul unei rezervări de grup este trimis o singură dată, pentru toate persoanele: se anulează tot grupul
+    const members = await target.getGroupMembers('confirmed');
+    await setMembersStatus(members, 'cancelled', {
+      action: Booking.HISTORY_ACTIONS.CANCELLED_BY_CLIENT,
+      actor: 'client',
+      actorType: 'client',
+      note
+    });
+    releaseSlotToWaitlist(target);
+    
+    const service = await Service.findBundle(target.getServiceIds());
+    notifyBarberOfClientChange(target, {
+      action: 'cancel',
+      serviceName: service ? service.name : null
+    });
+    
+    logger.info(`Rezervare anulată de client prin link: ${target._id}` +
+      (members.length > 1 ? ` (grup de ${members.length} persoane)` : ''));
+    
+    res.status(200).json({
+      success: true,
+      message: members.length > 1
+        ? `Programarea de grup (${members.length} persoane) a fost anulată. Îți mulțumim că ne-ai anunțat!`
+        : 'Programarea a fost anulată. Îți mulțumim că ne-ai anunțat!',
+      booking: await formatManagedBooking(target === booking ? booking : await Booking.findById(booking._id))
+    });
+  } catch (error) {
+    logger.error('Error cancelling managed booking:', error);
+    return transitionErrorResponse(res, error, 'Eroare la anularea programării');
+  }
+};
+
+/**
+ * Anularea întregii serii recurente de către client, prin link-ul unei programări din serie.
+ * Programările prea apropiate pentru anularea online rămân valabile, iar clientul este anunțat.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} booking - Rezervarea din link
+ * @param {string} note - Motivul anulării (opțional)
+ */
+const cancelManagedSeries = async (req, res, booking, note) => {
+  if (!booking.series) {
+    return errorResponse(res, 400, 'Programarea nu face parte dintr-o serie recurentă');
+  }
+  
+  const series = await BookingSeries.findById(booking.series);
+  if (!series || series.status !== 'active') {
+    return errorResponse(res, 400, 'Seria recurentă a fost deja anulată');
+  }
+  
+  const { cancelled, kept } = await cancelSeries(series, {
+    actor: 'client',
+    note,
+    canCancel: occurrence => checkClientChangePolicy(occurrence).allowed
+  });
+  
+  if (cancelled.length > 0) {
+    const service = await Service.findBundle(series.getServiceIds());
+    notifyBarberOfClientChange(cancelled[0], {
+      action: 'cancel',
+      serviceName: service ? service.name : null,
+      seriesCancelledCount: cancelled.length
+    });
+  }
+  
+  let message = `Seria recurentă a fost anulată (${cancelled.length} programări). Îți mulțumim că ne-ai anunțat!`;
+  if (kept.length > 0) {
+    message = `Seria recurentă a fost anulată (${cancelled.length} programări). ` +
+      `Programarea din ${formatCalendarDate(kept[0].date)}, ora ${kept[0].time} este prea apropiată pentru anularea online - te rugăm să ne contactezi telefonic.`;
+  }
+  
+  res.status(200).json({
+    success: true,
+    message,
+    cancelledCount: cancelled.length,
+    booking: await formatManagedBooking(await Booking.findById(booking._id))
+  });
+};
+
+/**
+ * Mutarea rezervării de către client la altă dată/oră, prin link-ul din email-ul de confirmare.
+ * Rezervarea își păstrează identitatea și istoricul; noul interval trece prin aceleași verificări ca o rezervare nouă.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+const rescheduleManagedBooking = async (req, res) => {
+  try {
+    const { token, date, time } = req.body;
+    
+    const booking = await findManagedBooking(token);
+    if (!booking) {
+      return errorResponse(res, 410, MANAGE_LINK_INVALID_MESSAGE);
+    }
+    
+    const policy = checkClientChangePolicy(booking);
+    if (!policy.allowed) {
+      return errorResponse(res, 403, policy.message);
+    }
+    
+    // Persoanele unui grup au intervale consecutive, care nu pot fi mutate online
+    if (booking.group) {
+      return errorResponse(res, 400, 'O programare de grup nu poate fi mutată online. Te rugăm să ne contactezi telefonic sau să o anulezi și să faci o rezervare nouă.');
+    }
+    
+    const newDate = toCalendarDate(date);
+    if (newDate.getTime() === booking.date.getTime() && time === booking.time) {
+      return errorResponse(res, 400, 'Programarea este deja la această dată și oră.');
+    }
+    
+    const service = await Service.findBundle(booking.getServiceIds());
+    if (!service) {
+      return errorResponse(res, 404, 'Serviciul nu a fost găsit');
+    }
+    
+    // Antecedența minimă și orizontul de rezervare se aplică și noului interval
+    const schedule = await BusinessSchedule.getSchedule();
+    const ruleCheck = checkBookingRules(schedule, service, newDate, time);
+    if (!ruleCheck.allowed) {
+      return errorResponse(res, 400, `${ruleCheck.message}. Te rugăm să selectezi altă oră.`, { rule: ruleCheck.rule });
+    }
+    
+    const moved = await moveBooking(
+      booking,
+      { date: newDate, time, service },
+      { action: Booking.HISTORY_ACTIONS.RESCHEDULED_BY_CLIENT, actor: 'client' }
+    );
+    if (!moved.success) {
+      return errorResponse(res, moved.status, moved.message);
+    }
+    
+    const { previousDate, previousTime } = moved;
+    notifyBarberOfClientChange(booking, {
+      action: 'reschedule',
+      serviceName: service.name,
+      previousDate,
+      previousTime
+    });
+    
+    // Confirmarea noii ore, cu un link de gestionare valabil până la noua programare
+    const notification = await sendNotification(NOTIFICATION_TYPES.BOOKING_CONFIRMED, getBookingRecipient(booking), {
+      _id: booking._id,
+      clientName: booking.clientName,
+      serviceName: service.name,
+      date: booking.date,
+      time: booking.time,
+      manageUrl: buildManageUrl(booking),
+      changeWindowHours: CLIENT_CHANGE_MIN_HOURS
+    });
+    
+    logger.info(`Rezervare mutată de client prin link: ${booking._id} (${toDateKey(previousDate)} ${previousTime} -> ${toDateKey(newDate)} ${time})`);
+    
+    res.status(200).json({
+      success: true,
+      message: notification.status === 'sent'
+        ? `Programarea a fost mutată. Ți-am trimis prin ${CHANNEL_LABELS[notification.channel]} confirmarea noii ore.`
+        : 'Programarea a fost mutată, dar nu s-a putut trimite confirmarea noii ore.',
+      emailStatus: notification.status,
+      channel: notification.channel,
+      booking: await formatManagedBooking(booking)
+    });
+  } catch (error) {
+    logger.error('Error rescheduling managed booking:', error);
+    return errorResponse(res, 500, 'Eroare la mutarea programării');
+  }
+};
+
+const suspendBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    
+    const booking = await Booking.findById(bookingId);
+    
+    if (!booking) {
+      return errorResponse(res, 404, 'Rezervarea nu a fost găsită');
+    }
+    
+    // Verifică dacă rezervarea nu este deja confirmată
+    if (booking.status === 'confirmed') {
+      return errorResponse(res, 400, 'Nu se poate suspenda o rezervare confirmată');
+    }
+    
+    if (!booking.canTransitionTo('cancelled')) {
+      return invalidTransitionResponse(res, booking, 'cancelled');
+    }
+    
+    // Șterge lock-ul asociat dacă există
+    try {
+      await TimeLock.deleteOne({
+        date: booking.date,
+        time: booking.time,
+        serviceId: booking.service,
+        barber: booking.barber,
+        lockedBy: req.sessionID
+      });
+    } catch (lockDeleteError) {
+      logger.warn('Could not delete time lock during suspension:', lockDeleteError);
+    }
+    
+    // Marchează rezervarea ca suspendată/anulată (pentru un grup, toate persoanele încă neconfirmate)
+    const members = await booking.getGroupMembers('pending');
+    await setMembersStatus(members, 'cancelled', {
+      action: Booking.HISTORY_ACTIONS.SUSPENDED,
+      actor: 'client',
+      actorType: 'client'
+    });
+    releaseSlotToWaitlist(booking);
+    
+    logger.info(`Rezervare suspendată: ${bookingId}`);
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Rezervarea a fost suspendată cu succes. Intervalul orar este din nou disponibil.' 
+    });
+  } catch (error) {
+    logger.error('Error suspending booking:', error);
+    return transitionErrorResponse(res, error, 'Eroare la suspendarea rezervării');
+  }
+};
+
+const runManualCleanup = async (req, res) => {
+  try {
+    const results = await runFullCleanup();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Curățarea automată a fost executată cu succes',
+      results: {
+        totalCleaned: results.totalCleaned,
+        totalErrors: results.totalErrors,
+        details: {
+          expired: results.expired,
+          unconfirmed: results.unconfirmed,
+          declined: results.declined,
+          series: results.series
+        },
+        timestamp: results.timestamp
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error running manual cleanup:', error);
+    return errorResponse(res, 500, 'Eroare la rularea curățării automate');
+  }
+};
+
+// Export all functions
+module.exports = {
+  getServices,
+  updateServiceBuffers,
+  updateServiceBookingRules,
+  getBarbers,
+  getAvailableTimeSlots, // Actualizat
+  getAvailability,
+  createBooking, // Actualizat
+  createGroupBooking,
+  joinWaitlist,
+  claimWaitlistSlot,
+  completeBooking,
+  completeGroupBooking,
+  verifyBooking,
+  verifyBookingByLink,
+  resendVerificationCode,
+  getPendingBookings,
+  getConfirmedBookings,
+  confirmBooking,
+  declineBooking,
+  rescheduleBooking,
+  createBookingSeries,
+  getBookingSeries,
+  cancelBookingSeries,
+  blockUser,
+  getBlockedUsers,
+  unblockUser,
+  getClientDetails,
+  updateClient,
+  getDuplicateClients,
+  mergeClients,
+  getEmailUsageStats, 
+  completeBookingService,
+  markNoShow,
+  getBookingDetails,
+  createAdminBooking,
+  getAllClients,
+  getManagedBooking,
+  cancelManagedBooking,
+  rescheduleManagedBooking,
+  suspendBooking,
+  runManualCleanup // Nou
 };
\ No newline at end of file
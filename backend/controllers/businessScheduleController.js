@@ -0,0 +1,103 @@
+// backend/controllers/businessScheduleController.js
+const BusinessSchedule = require('../models/BusinessSchedule');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BUSINESS-SCHEDULE');
+
+/**
+ * Standardizează răspunsurile de eroare
+ */
+const errorResponse = (res, status, message, extra = {}) => {
+  return res.status(status).json({
+    success: false,
+    message,
+    ...extra
+  });
+};
+
+/**
+ * Formatează programul pentru răspunsurile API
+ */
+const formatSchedule = async (schedule) => ({
+  days: schedule.days.map(day => ({
+    dayOfWeek: day.dayOfWeek,
+    dayName: BusinessSchedule.DAY_NAMES[day.dayOfWeek],
+    isOpen: day.intervals.length > 0,
+    intervals: day.intervals.map(interval => ({
+      start: interval.start,
+      end: interval.end
+    })),
+    minLeadMinutes: day.minLeadMinutes ?? null,
+    maxDaysAhead: day.maxDaysAhead ?? null
+  })),
+  slotInterval: schedule.slotInterval,
+  summary: await BusinessSchedule.getScheduleSummary(),
+  updatedAt: schedule.updatedAt
+});
+
+/**
+ * Obține programul de lucru săptămânal
+ */
+const getBusinessSchedule = async (req, res) => {
+  try {
+    const schedule = await BusinessSchedule.getSchedule();
+
+    res.status(200).json({
+      success: true,
+      schedule: await formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    logger.error('Error getting business schedule:', error);
+    return errorResponse(res, 500, 'Eroare la obținerea programului de lucru');
+  }
+};
+
+/**
+ * Actualizează programul de lucru săptămânal (doar admin)
+ */
+const updateBusinessSchedule = async (req, res) => {
+  try {
+    const { days, slotInterval } = req.body;
+
+    // Validarea formatului este făcută în middleware
+    const normalizedDays = days.map(day => ({
+      dayOfWeek: day.dayOfWeek,
+      intervals: day.intervals.map(interval => ({
+        start: interval.start,
+        end: interval.end
+      })),
+      minLeadMinutes: day.minLeadMinutes ?? null,
+      maxDaysAhead: day.maxDaysAhead ?? null
+    }));
+
+    let schedule;
+    try {
+      schedule = await BusinessSchedule.updateSchedule(
+        normalizedDays,
+        req.user.id,
+        slotInterval !== undefined ? parseInt(slotInterval) : undefined
+      );
+    } catch (validationError) {
+      return errorResponse(res, 400, validationError.message);
+    }
+
+    logger.info(`Business schedule updated by ${req.user.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Programul de lucru a fost actualizat',
+      schedule: await formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    logger.error('Error updating business schedule:', error);
+    return errorResponse(res, 500, 'Eroare la actualizarea programului de lucru');
+  }
+};
+
+module.exports = {
+  getBusinessSchedule,
+  updateBusinessSchedule
+};
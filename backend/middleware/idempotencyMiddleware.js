@@ -0,0 +1,147 @@
+// middleware/idempotencyMiddleware.js
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('IDEMPOTENCY');
+
+// Formatul acceptat pentru cheie (ex: UUID generat de browser)
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Cât așteaptă o cerere duplicat terminarea primei cereri, înainte de a răspunde cu 409
+const IDEMPOTENCY_WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS) || 10000;
+const IDEMPOTENCY_POLL_MS = 250;
+
+// O cerere rămasă 'processing' mai mult de atât (ex: serverul a fost repornit) este considerată abandonată
+const IDEMPOTENCY_STALE_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Amprenta corpului cererii
+ * @param {Object} body - Corpul cererii
+ * @returns {string}
+ */
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+};
+
+/**
+ * Retrimite răspunsul salvat pentru o cerere deja procesată
+ */
+const replayResponse = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).json(record.responseBody);
+};
+
+/**
+ * Așteaptă terminarea cererii care a rezervat cheia
+ * @returns {Promise<Object|null>} - Înregistrarea finalizată sau null dacă nu s-a terminat la timp
+ */
+const waitForCompletion = async (recordId) => {
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    await sleep(IDEMPOTENCY_POLL_MS);
+    const record = await IdempotencyRecord.findById(recordId).lean();
+
+    // Prima cerere a eșuat și a eliberat cheia
+    if (!record) return null;
+    if (record.status === 'completed') return record;
+  }
+
+  return null;
+};
+
+/**
+ * Middleware pentru cererile care creează rezervări: dacă cererea are header-ul
+ * Idempotency-Key, primul răspuns este salvat și retrimis la orice reluare a cererii
+ * (ex: dublu-click pe "Trimite" pe o conexiune lentă). Fără header, cererea rulează normal.
+ */
+const idempotentRequest = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_REGEX.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Header-ul Idempotency-Key are un format invalid'
+    });
+  }
+
+  // Cererile personalului sunt separate pe utilizator
+  const scope = `${req.method} ${req.baseUrl}${req.path}${req.user ? `:${req.user.id}` : ''}`;
+  const requestHash = hashRequestBody(req.body);
+
+  let record;
+  try {
+    try {
+      record = await IdempotencyRecord.create({ key, scope, requestHash });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      let existing = await IdempotencyRecord.findOne({ key, scope }).lean();
+
+      // Cheia a fost eliberată între timp (prima cerere a eșuat)
+      if (!existing) {
+        record = await IdempotencyRecord.create({ key, scope, requestHash });
+      } else if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Cheia Idempotency-Key a fost deja folosită pentru o altă cerere'
+        });
+      } else if (existing.status === 'completed') {
+        logger.info(`Replaying stored response for ${scope}`);
+        return replayResponse(res, existing);
+      } else if (Date.now() - new Date(existing.createdAt).getTime() > IDEMPOTENCY_STALE_MS) {
+        // Cererea inițială nu s-a mai terminat; se preia cheia
+        logger.warn(`Taking over stale idempotency key for ${scope}`);
+        await IdempotencyRecord.deleteOne({ _id: existing._id, status: 'processing' });
+        record = await IdempotencyRecord.create({ key, scope, requestHash });
+      } else {
+        // Cerere duplicat simultană: se așteaptă răspunsul primei cereri
+        existing = await waitForCompletion(existing._id);
+        if (existing) {
+          logger.info(`Replaying stored response for concurrent request on ${scope}`);
+          return replayResponse(res, existing);
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: 'Cererea este încă în curs de procesare. Vă rugăm să așteptați.'
+        });
+      }
+    }
+  } catch (error) {
+    // O eroare la salvarea cheii nu trebuie să blocheze rezervarea
+    logger.error('Error reserving idempotency key:', error);
+    return next();
+  }
+
+  // Dacă serverul se oprește înainte de răspuns, cheia este preluată după IDEMPOTENCY_STALE_MS
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    // Erorile de server nu se salvează, pentru ca clientul să poată reîncerca cu aceeași cheie
+    const update = res.statusCode >= 500
+      ? IdempotencyRecord.deleteOne({ _id: record._id })
+      : IdempotencyRecord.updateOne(
+          { _id: record._id },
+          { status: 'completed', statusCode: res.statusCode, responseBody: body, completedAt: new Date() }
+        );
+
+    update.catch(error => logger.error('Error storing idempotent response:', error));
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotentRequest
+};
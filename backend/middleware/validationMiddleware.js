@@ -1,506 +1,1710 @@
-// middleware/validationMiddleware.js
-const { validate } = require('../models/BlockedDates');
-const { BlockedUser } = require('../models/Booking');
-const Client = require('../models/Client');
-const mongoose = require('mongoose');
-
-// Sistem de logging îmbunătățit
-const NODE_ENV = process.env.NODE_ENV;
-const { createContextLogger } = require('../utils/logger');
-const logger = createContextLogger('VALIDATION');
-
-/**
- * Middleware pentru validarea datelor de rezervare
- */
-const validateBookingData = (req, res, next) => {
-  const { serviceId, date, time } = req.body;
-  
-  if (!serviceId || !date || !time) {
-    return res.status(400).json({
-      success: false,
-      message: 'ServiceId, date, și time sunt obligatorii'
-    });
-  }
-  
-  // Validare format dată
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
-    });
-  }
-  
-  // Validare format timp
-  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-  if (!timeRegex.test(time)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Format timp invalid. Folosiți formatul HH:MM.'
-    });
-  }
-
-  const [hours, minutes] = time.split(':').map(Number);
-  if (minutes !== 0 && minutes !== 30) {
-    return res.status(400).json({
-      success: false,
-      message: 'Ora trebuie să fie un slot valid (format HH:00 sau HH:30). Exemplu: 13:00, 13:30, 14:00.'
-    });
-  }
-  
-  // Validare dată nu este în trecut
-  const selectedDate = new Date(date);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  if (selectedDate < today) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nu se pot programa rezervări în trecut.'
-    });
-  }
-  
-  // Verifică dacă ziua selectată se încadrează în orarul de lucru (Luni-Sâmbătă)
-  const dayOfWeek = selectedDate.getDay(); // 0 = Duminică, 1 = Luni, ...
-  if (dayOfWeek === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nu sunt disponibile programări duminica.'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Middleware pentru validarea cererii de intervale orare disponibile
- */
-const validateTimeSlotRequest = (req, res, next) => {
-  const { serviceId, date } = req.body;
-  
-  if (!serviceId || !date) {
-    return res.status(400).json({
-      success: false,
-      message: 'ServiceId și date sunt obligatorii'
-    });
-  }
-  
-  // Validare format dată
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
-    });
-  }
-  
-  // Validare dată nu este în trecut
-  const selectedDate = new Date(date);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  if (selectedDate < today) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nu se pot programa rezervări în trecut.'
-    });
-  }
-  
-  // Verifică dacă ziua selectată se încadrează în orarul de lucru (Luni-Sâmbătă)
-  const dayOfWeek = selectedDate.getDay(); // 0 = Duminică, 1 = Luni, ...
-  if (dayOfWeek === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nu sunt disponibile programări duminica.'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Middleware pentru validarea îmbunătățită a informațiilor despre client
- */
-const validateClientInfo = (req, res, next) => {
-  const { clientName, phoneNumber, email, countryCode } = req.body;
-  
-  // Validare nume client
-  if (!clientName) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numele clientului este obligatoriu.'
-    });
-  }
-  
-  const trimmedName = clientName.trim();
-  
-  // Verificare lungime minimă și maximă
-  if (trimmedName.length < 3) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numele trebuie să conțină cel puțin 3 caractere.'
-    });
-  }
-  
-  if (trimmedName.length > 50) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numele nu poate depăși 50 de caractere.'
-    });
-  }
-  
-  // Validare nume (doar litere, spații și cratime)
-  const nameRegex = /^[A-Za-zĂăÂâÎîȘșȚț\s-]+$/;
-  if (!nameRegex.test(trimmedName)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numele poate conține doar litere, spații și cratime.'
-    });
-  }
-  
-  // Verificare spații multiple consecutive
-  if (/\s\s/.test(trimmedName)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numele nu poate conține spații multiple consecutive.'
-    });
-  }
-  
-  // Validare email (nou)
-  if (!email) {
-    return res.status(400).json({
-      success: false,
-      message: 'Adresa de email este obligatorie.'
-    });
-  }
-  
-  // Validare format email
-  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Formatul adresei de email este invalid.'
-    });
-  }
-  
-  // Validare lungime email
-  if (email.length > 100) {
-    return res.status(400).json({
-      success: false,
-      message: 'Adresa de email este prea lungă (maxim 100 caractere).'
-    });
-  }
-  
-  // Validare număr de telefon
-  if (!phoneNumber) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numărul de telefon este obligatoriu.'
-    });
-  }
-  
-  // Curățăm numărul de telefon de spații, paranteze, etc.
-  const cleanNumber = phoneNumber.replace(/\s+|-|\(|\)|\+/g, '');
-  
-  // Limită lungime pentru a preveni atacuri DoS
-  if (cleanNumber.length > 30) {
-    return res.status(400).json({
-      success: false,
-      message: 'Numărul de telefon este prea lung.'
-    });
-  }
-  
-  // Validare număr de telefon (acum acceptăm formate internaționale)
-  // Verificăm doar dacă conține doar cifre, fără limită strictă pe format
-  if (!/^[0-9]+$/.test(cleanNumber)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Număr de telefon invalid. Trebuie să conțină doar cifre.'
-    });
-  }
-  
-  // Adăugăm valorile sanitizate înapoi în request pentru a fi folosite mai departe
-  req.body.clientName = trimmedName;
-  req.body.email = email.toLowerCase().trim();
-  
-  next();
-};
-
-/**
- * Middleware pentru verificare client blocat
- */
-const checkBlockedUser = async (req, res, next) => {
-  try {
-    const { phoneNumber, email } = req.body;
-    
-    // Verifică client după email
-    if (email) {
-      const clientByEmail = await Client.findByEmail(email);
-      if (clientByEmail && clientByEmail.isBlocked) {
-        return res.status(403).json({
-          success: false,
-          message: 'Acest email este blocat și nu poate face rezervări.',
-          blockReason: clientByEmail.blockReason,
-          blockDate: clientByEmail.blockDate
-        });
-      }
-    }
-    
-    // Verifică client după număr de telefon
-    if (phoneNumber) {
-      const client = await Client.findByPhoneNumber(phoneNumber);
-      if (client && client.isBlocked) {
-        return res.status(403).json({
-          success: false,
-          message: 'Acest număr de telefon este blocat și nu poate face rezervări.',
-          blockReason: client.blockReason,
-          blockDate: client.blockDate
-        });
-      }
-      
-      // Verifică și în modelul vechi BlockedUser pentru compatibilitate
-      const blockedUser = await BlockedUser.findOne({ 
-        phoneNumber: { $regex: phoneNumber.replace(/\s+|-|\(|\)|\+/g, '') } 
-      });
-      
-      if (blockedUser) {
-        return res.status(403).json({
-          success: false,
-          message: 'Acest număr de telefon este blocat și nu poate face rezervări.'
-        });
-      }
-    }
-    
-    next();
-  } catch (error) {
-    logger.error('Error checking blocked user:', error);
-    res.status(500).json({ success: false, message: 'Eroare de server' });
-  }
-};
-
-/**
- * Middleware pentru validarea codului de verificare
- */
-const validateVerification = (req, res, next) => {
-  const { bookingId, code } = req.body;
-  
-  if (!bookingId || !code) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID-ul rezervării și codul de verificare sunt obligatorii.'
-    });
-  }
-  
-  // Validare format ID MongoDB
-  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID rezervare invalid.'
-    });
-  }
-  
-  // Validare format cod (6 cifre)
-  const codeRegex = /^\d{6}$/;
-  if (!codeRegex.test(code)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Cod de verificare invalid. Codul trebuie să conțină 6 cifre.'
-    });
-  }
-  
-  next();
-};
-
-
-/**
- * Middleware pentru a valida ID-uri de rezervări
- */
-const validateBookingId = (req, res, next) => {
-  const bookingId = req.params.bookingId || req.body.bookingId;
-  
-  if (!bookingId) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID-ul rezervării este obligatoriu'
-    });
-  }
-  
-  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID rezervare invalid'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Middleware pentru a valida ID-uri de clienți
- */
-const validateClientId = (req, res, next) => {
-  const { clientId } = req.params;
-  
-  if (!clientId) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID-ul clientului este obligatoriu'
-    });
-  }
-  
-  if (!mongoose.Types.ObjectId.isValid(clientId)) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID client invalid'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Middleware pentru a sanitiza intrările (protecție XSS)
- */
-const sanitizeInputs = (req, res, next) => {
-  try {
-    // Sanitizează un șir de caractere
-    const sanitizeString = (str) => {
-      if (!str) return str;
-      return str.toString()
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        .replace(/`/g, '&#96;');
-    };
-    
-    // Sanitizează corpul cererii
-    if (req.body) {
-      for (const key in req.body) {
-        if (typeof req.body[key] === 'string') {
-          req.body[key] = sanitizeString(req.body[key]);
-        }
-      }
-    }
-    
-    // Sanitizează parametrii query
-    if (req.query) {
-      for (const key in req.query) {
-        if (typeof req.query[key] === 'string') {
-          req.query[key] = sanitizeString(req.query[key]);
-        }
-      }
-    }
-    
-    // Sanitizează parametrii din URL
-    if (req.params) {
-      for (const key in req.params) {
-        if (typeof req.params[key] === 'string' && !mongoose.Types.ObjectId.isValid(req.params[key])) {
-          // Nu sanitiza ID-uri de tip ObjectId
-          req.params[key] = sanitizeString(req.params[key]);
-        }
-      }
-    }
-    
-    next();
-  } catch (error) {
-    logger.error('Error in sanitizeInputs middleware:', error);
-    next(); // Continuă chiar dacă sanitizarea eșuează
-  }
-};
-
-const validateBlockedDateData = (req, res, next) => {
-  const { date, isFullDay, hours } = req.body;
-  
-  if (!date) {
-    return res.status(400).json({
-      success: false,
-      message: 'Data este obligatorie'
-    });
-  }
-  
-  // Validare format dată
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(date)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
-    });
-  }
-  
-  // Validare dată nu este în trecut
-  const selectedDate = new Date(date);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  if (selectedDate < today) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nu se pot bloca date din trecut.'
-    });
-  }
-  
-  // Validare pentru blocarea parțială
-  if (!isFullDay) {
-    if (!hours || !Array.isArray(hours) || hours.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Trebuie să specifici orele de blocat dacă nu blochezi toată ziua'
-      });
-    }
-    
-    // Validare format ore
-    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    for (const hour of hours) {
-      if (!timeRegex.test(hour)) {
-        return res.status(400).json({
-          success: false,
-          message: `Format oră invalid: ${hour}`
-        });
-      }
-    }
-    
-    // Limitare număr ore
-    if (hours.length > 20) {
-      return res.status(400).json({
-        success: false,
-        message: 'Prea multe ore selectate (maxim 20)'
-      });
-    }
-  }
-  
-  next();
-};
-
-const validateBlockedDateId = (req, res, next) => {
-  const { blockedDateId } = req.params;
-  
-  if (!blockedDateId) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID-ul datei blocate este obligatoriu'
-    });
-  }
-  
-  if (!mongoose.Types.ObjectId.isValid(blockedDateId)) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID dată blocată invalid'
-    });
-  }
-  
-  next();
-};
-
-module.exports = {
-  validateBookingData,
-  validateTimeSlotRequest,
-  validateClientInfo,
-  checkBlockedUser,
-  validateVerification,
-  validateBookingId,
-  validateClientId,
-  sanitizeInputs,
-  validateBlockedDateData,
-  validateBlockedDateId
+// middleware/validationMiddleware.js
+const { validate } = require('../models/BlockedDates');
+const { BlockedUser, Service } = require('../models/Booking');
+const Client = require('../models/Client');
+const BusinessSchedule = require('../models/BusinessSchedule');
+const BlockRule = require('../models/BlockRule');
+const BookingSeries = require('../models/BookingSeries');
+const ApprovalRules = require('../models/ApprovalRules');
+const { TIME_REGEX, timeToMinutes } = require('../utils/timeUtils');
+const { HOLIDAY_KEYS } = require('../utils/holidays');
+const { toCalendarDate, getBusinessToday, getDayOfWeek } = require('../utils/timezone');
+const { checkBookingRules } = require('../utils/bookingRules');
+const {
+  MAX_SERVICES_PER_BOOKING,
+  MAX_BOOKING_DURATION,
+  MAX_GROUP_SIZE,
+  parseServiceIds
+} = require('../utils/serviceBundle');
+const mongoose = require('mongoose');
+
+// Sistem de logging îmbunătățit
+const NODE_ENV = process.env.NODE_ENV;
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('VALIDATION');
+
+// Domeniu de email (ex: example.com, mail.example.co.uk)
+const EMAIL_DOMAIN_REGEX = /^(?=.{1,100}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Verifică o condiție numerică opțională a unei reguli de aprobare (null = fără condiție)
+ * @param {*} value - Valoarea primită
+ * @param {number} max - Valoarea maximă
+ * @returns {boolean}
+ */
+const isValidRuleThreshold = (value, max) => {
+  return value === undefined || value === null || (Number.isInteger(value) && value >= 0 && value <= max);
+};
+
+/**
+ * Verifică o regulă de aprobare automată
+ * @param {Object} rule - Regula primită
+ * @returns {string|null} - Mesajul de eroare sau null dacă regula este validă
+ */
+const getApprovalRuleError = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'Regulă invalidă';
+  }
+  
+  if (typeof rule.name !== 'string' || rule.name.trim().length === 0 || rule.name.trim().length > 50) {
+    return 'Numele regulii trebuie să aibă între 1 și 50 de caractere';
+  }
+  
+  if (!ApprovalRules.RULE_ACTIONS.includes(rule.action)) {
+    return `Acțiunea regulii "${rule.name}" trebuie să fie una dintre: ${ApprovalRules.RULE_ACTIONS.join(', ')}`;
+  }
+  
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    return `Câmpul enabled al regulii "${rule.name}" trebuie să fie true sau false`;
+  }
+  
+  if (!isValidRuleThreshold(rule.minCompletedBookings, 1000)) {
+    return `Numărul minim de vizite al regulii "${rule.name}" trebuie să fie între 0 și 1000`;
+  }
+  
+  if (!isValidRuleThreshold(rule.maxRecentNoShows, 100)) {
+    return `Numărul maxim de neprezentări al regulii "${rule.name}" trebuie să fie între 0 și 100`;
+  }
+  
+  if (rule.emailDomains !== undefined) {
+    if (!Array.isArray(rule.emailDomains) || rule.emailDomains.length > 50) {
+      return `Domeniile de email ale regulii "${rule.name}" trebuie să fie o listă (maxim 50)`;
+    }
+    
+    const invalidDomain = rule.emailDomains.find(domain =>
+      typeof domain !== 'string' || !EMAIL_DOMAIN_REGEX.test(domain.trim().toLowerCase())
+    );
+    if (invalidDomain !== undefined) {
+      return `Domeniu de email invalid în regula "${rule.name}": ${invalidDomain}`;
+    }
+  }
+  
+  if (!ApprovalRules.hasConditions(rule)) {
+    return `Regula "${rule.name}" trebuie să aibă cel puțin o condiție`;
+  }
+  
+  return null;
+};
+
+/**
+ * Verifică intervalul (în săptămâni) al unei programări recurente
+ * @param {*} weeks - Valoarea primită de la client
+ * @returns {boolean}
+ */
+const isValidRecurrenceWeeks = (weeks) => {
+  const value = Number(weeks);
+  return Number.isInteger(value) &&
+    value >= BookingSeries.MIN_INTERVAL_WEEKS &&
+    value <= BookingSeries.MAX_INTERVAL_WEEKS;
+};
+
+/**
+ * Verifică frizerul opțional din cerere ('any' sau un ID valid)
+ * @param {*} barberId - Valoarea primită de la client
+ * @returns {boolean}
+ */
+const isValidBarberSelection = (barberId) => {
+  return barberId === undefined || barberId === null || barberId === '' ||
+    barberId === 'any' || mongoose.Types.ObjectId.isValid(barberId);
+};
+
+/**
+ * Verifică regulile opționale de antecedență și orizont (null = fără regulă proprie)
+ * @param {Object} values - { minLeadMinutes, maxDaysAhead }
+ * @returns {string|null} - Mesajul de eroare sau null
+ */
+const getBookingRulesError = ({ minLeadMinutes, maxDaysAhead }) => {
+  if (minLeadMinutes !== undefined && minLeadMinutes !== null &&
+      (!Number.isInteger(minLeadMinutes) || minLeadMinutes < 0 || minLeadMinutes > 10080)) {
+    return 'minLeadMinutes trebuie să fie un număr întreg de minute între 0 și 10080 (7 zile).';
+  }
+  
+  if (maxDaysAhead !== undefined && maxDaysAhead !== null &&
+      (!Number.isInteger(maxDaysAhead) || maxDaysAhead < 1 || maxDaysAhead > 365)) {
+    return 'maxDaysAhead trebuie să fie un număr întreg de zile între 1 și 365.';
+  }
+  
+  return null;
+};
+
+// Mesajul pentru o listă de servicii invalidă
+const INVALID_SERVICES_MESSAGE = `Servicii invalide. Alegeți între 1 și ${MAX_SERVICES_PER_BOOKING} servicii diferite.`;
+
+/**
+ * Verifică persoanele unei rezervări de grup: între 2 și MAX_GROUP_SIZE, fiecare cu nume și servicii
+ * @param {*} attendees - Lista primită de la client ([{ name, serviceIds }])
+ * @returns {string|null} - Mesajul de eroare sau null
+ */
+const getGroupAttendeesError = (attendees) => {
+  if (!Array.isArray(attendees) || attendees.length < 2 || attendees.length > MAX_GROUP_SIZE) {
+    return `O rezervare de grup trebuie să conțină între 2 și ${MAX_GROUP_SIZE} persoane.`;
+  }
+  
+  const nameRegex = /^[A-Za-zĂăÂâÎîȘșȚț\s-]+$/;
+  for (const attendee of attendees) {
+    if (!attendee || typeof attendee !== 'object') {
+      return 'Persoanele din grup sunt invalide.';
+    }
+    
+    const name = typeof attendee.name === 'string' ? attendee.name.trim() : '';
+    if (name.length < 3 || name.length > 50 || !nameRegex.test(name) || /\s\s/.test(name)) {
+      return 'Numele fiecărei persoane trebuie să conțină între 3 și 50 de caractere (doar litere, spații și cratime).';
+    }
+    
+    if (!parseServiceIds(attendee.serviceId, attendee.serviceIds)) {
+      return `${INVALID_SERVICES_MESSAGE} (${name})`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Verifică regulile de antecedență și orizont pentru serviciile și ziua din cerere,
+ * precum și durata totală a serviciilor. Un serviciu inexistent este raportat mai departe de controller.
+ * @param {Array<number>} serviceIds - Serviciile rezervării, în ordine
+ * @returns {Promise<string|null>} - Mesajul regulii încălcate sau null
+ */
+const getBookingRuleViolation = async (serviceIds, date, time = null) => {
+  const [service, schedule] = await Promise.all([
+    Service.findBundle(serviceIds),
+    BusinessSchedule.getSchedule()
+  ]);
+  
+  if (!service) {
+    return null;
+  }
+  
+  if (service.duration > MAX_BOOKING_DURATION) {
+    return `Serviciile alese durează ${service.duration} de minute, iar o programare poate dura cel mult ${MAX_BOOKING_DURATION} de minute.`;
+  }
+  
+  const ruleCheck = checkBookingRules(schedule, service, date, time);
+  return ruleCheck.allowed ? null : `${ruleCheck.message}.`;
+};
+
+/**
+ * Middleware pentru validarea datelor de rezervare
+ */
+const validateBookingData = async (req, res, next) => {
+  const { serviceId, serviceIds, date, time, barberId } = req.body;
+  
+  if ((!serviceId && !serviceIds) || !date || !time) {
+    return res.status(400).json({
+      success: false,
+      message: 'ServiceId, date, și time sunt obligatorii'
+    });
+  }
+  
+  const requestedServiceIds = parseServiceIds(serviceId, serviceIds);
+  if (!requestedServiceIds) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (!isValidBarberSelection(barberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frizer invalid.'
+    });
+  }
+  
+  // Validare format dată
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  // Validare format timp
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  if (!timeRegex.test(time)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format timp invalid. Folosiți formatul HH:MM.'
+    });
+  }
+
+  // Validare dată nu este în trecut
+  const selectedDate = toCalendarDate(date);
+  const today = getBusinessToday();
+  
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dată invalidă.'
+    });
+  }
+  
+  if (selectedDate < today) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu se pot programa rezervări în trecut.'
+    });
+  }
+  
+  // Verifică dacă ziua selectată se încadrează în programul de lucru configurat
+  try {
+    const isOpen = await BusinessSchedule.isOpenOn(selectedDate);
+    if (!isOpen) {
+      const dayName = BusinessSchedule.DAY_NAMES[getDayOfWeek(selectedDate)].toLowerCase();
+      return res.status(400).json({
+        success: false,
+        message: `Nu sunt disponibile programări în ziua de ${dayName}.`
+      });
+    }
+    
+    // Ora trebuie să fie începutul unui slot, conform granularității configurate
+    const isValidSlot = await BusinessSchedule.isValidSlotStart(selectedDate, time);
+    if (!isValidSlot) {
+      const slotInterval = await BusinessSchedule.getSlotInterval();
+      return res.status(400).json({
+        success: false,
+        message: `Ora trebuie să fie un slot valid din programul de lucru (sloturi la fiecare ${slotInterval} minute).`
+      });
+    }
+    
+    // Antecedența minimă și orizontul de rezervare (pe serviciu și pe zi)
+    const ruleViolation = await getBookingRuleViolation(requestedServiceIds, selectedDate, time);
+    if (ruleViolation) {
+      return res.status(400).json({
+        success: false,
+        message: ruleViolation
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking business schedule:', error);
+    return res.status(500).json({ success: false, message: 'Eroare de server' });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea cererii de intervale orare disponibile
+ */
+const validateTimeSlotRequest = async (req, res, next) => {
+  const { serviceId, serviceIds, attendees, date, barberId } = req.body;
+  
+  if ((!serviceId && !serviceIds && !attendees) || !date) {
+    return res.status(400).json({
+      success: false,
+      message: 'ServiceId și date sunt obligatorii'
+    });
+  }
+  
+  // Pentru o rezervare de grup, fiecare persoană are serviciile ei
+  const attendeesError = attendees ? getGroupAttendeesError(attendees) : null;
+  if (attendeesError) {
+    return res.status(400).json({
+      success: false,
+      message: attendeesError
+    });
+  }
+  
+  const requestedServiceGroups = attendees
+    ? attendees.map(attendee => parseServiceIds(attendee.serviceId, attendee.serviceIds))
+    : [parseServiceIds(serviceId, serviceIds)];
+  if (!requestedServiceGroups[0]) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (!isValidBarberSelection(barberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frizer invalid.'
+    });
+  }
+  
+  // Validare format dată
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  // Validare dată nu este în trecut
+  const selectedDate = toCalendarDate(date);
+  const today = getBusinessToday();
+  
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dată invalidă.'
+    });
+  }
+  
+  if (selectedDate < today) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu se pot programa rezervări în trecut.'
+    });
+  }
+  
+  // Verifică dacă ziua selectată se încadrează în programul de lucru configurat
+  try {
+    const isOpen = await BusinessSchedule.isOpenOn(selectedDate);
+    if (!isOpen) {
+      const dayName = BusinessSchedule.DAY_NAMES[getDayOfWeek(selectedDate)].toLowerCase();
+      return res.status(400).json({
+        success: false,
+        message: `Nu sunt disponibile programări în ziua de ${dayName}.`
+      });
+    }
+    
+    // Orizontul de rezervare (pe serviciu și pe zi); antecedența se aplică pe fiecare slot
+    for (const requestedServiceIds of requestedServiceGroups) {
+      const ruleViolation = await getBookingRuleViolation(requestedServiceIds, selectedDate);
+      if (ruleViolation) {
+        return res.status(400).json({
+          success: false,
+          message: ruleViolation
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking business schedule:', error);
+    return res.status(500).json({ success: false, message: 'Eroare de server' });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea unei rezervări de grup (intervale consecutive, câte unul pentru fiecare persoană)
+ */
+const validateGroupBookingData = async (req, res, next) => {
+  const { attendees, date, time, barberId } = req.body;
+  
+  if (!attendees || !date || !time) {
+    return res.status(400).json({
+      success: false,
+      message: 'Persoanele, data și ora sunt obligatorii'
+    });
+  }
+  
+  const attendeesError = getGroupAttendeesError(attendees);
+  if (attendeesError) {
+    return res.status(400).json({
+      success: false,
+      message: attendeesError
+    });
+  }
+  
+  if (!isValidBarberSelection(barberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frizer invalid.'
+    });
+  }
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  if (!TIME_REGEX.test(time)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format timp invalid. Folosiți formatul HH:MM.'
+    });
+  }
+  
+  const selectedDate = toCalendarDate(date);
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dată invalidă.'
+    });
+  }
+  
+  if (selectedDate < getBusinessToday()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu se pot programa rezervări în trecut.'
+    });
+  }
+  
+  try {
+    const isOpen = await BusinessSchedule.isOpenOn(selectedDate);
+    if (!isOpen) {
+      const dayName = BusinessSchedule.DAY_NAMES[getDayOfWeek(selectedDate)].toLowerCase();
+      return res.status(400).json({
+        success: false,
+        message: `Nu sunt disponibile programări în ziua de ${dayName}.`
+      });
+    }
+    
+    // Doar prima persoană începe la un slot din grilă; următoarele încep imediat după ea
+    const isValidSlot = await BusinessSchedule.isValidSlotStart(selectedDate, time);
+    if (!isValidSlot) {
+      const slotInterval = await BusinessSchedule.getSlotInterval();
+      return res.status(400).json({
+        success: false,
+        message: `Ora trebuie să fie un slot valid din programul de lucru (sloturi la fiecare ${slotInterval} minute).`
+      });
+    }
+    
+    // Durata și regulile de rezervare ale fiecărei persoane
+    for (const attendee of attendees) {
+      const ruleViolation = await getBookingRuleViolation(
+        parseServiceIds(attendee.serviceId, attendee.serviceIds),
+        selectedDate,
+        time
+      );
+      if (ruleViolation) {
+        return res.status(400).json({
+          success: false,
+          message: ruleViolation
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking business schedule:', error);
+    return res.status(500).json({ success: false, message: 'Eroare de server' });
+  }
+  
+  next();
+};
+
+// Numărul maxim de zile dintr-o cerere de disponibilitate (un calendar lunar afișează cel mult 6 săptămâni)
+const MAX_AVAILABILITY_RANGE_DAYS = 42;
+
+/**
+ * Middleware pentru validarea cererii de disponibilitate pe un interval de date
+ */
+const validateAvailabilityRangeRequest = (req, res, next) => {
+  const { from, to, serviceId, serviceIds, barberId, includeSlots } = req.query;
+  
+  if (!from || !to || (!serviceId && !serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parametrii from, to și serviceId sunt obligatorii'
+    });
+  }
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(from) || !dateRegex.test(to)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  const fromDate = toCalendarDate(from);
+  const toDate = toCalendarDate(to);
+  if (!fromDate || !toDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dată invalidă.'
+    });
+  }
+  
+  if (fromDate > toDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Data de început trebuie să fie înaintea datei de sfârșit.'
+    });
+  }
+  
+  const rangeDays = Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+  if (rangeDays > MAX_AVAILABILITY_RANGE_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `Intervalul poate conține cel mult ${MAX_AVAILABILITY_RANGE_DAYS} de zile.`
+    });
+  }
+  
+  // serviceIds se trimite ca listă separată prin virgulă (ex: 1,2)
+  if (!parseServiceIds(serviceId, serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (!isValidBarberSelection(barberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frizer invalid.'
+    });
+  }
+  
+  if (includeSlots !== undefined && includeSlots !== 'true' && includeSlots !== 'false') {
+    return res.status(400).json({
+      success: false,
+      message: 'Parametrul includeSlots trebuie să fie true sau false.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validează datele de contact ale clientului (folosit la rezervare și la editarea profilului)
+ * @param {Object} data - { clientName, phoneNumber, email }
+ * @param {Object} options - { requireEmail } - email-ul lipsește doar la clienții adăugați de personal
+ * @returns {string|null} - Mesajul de eroare sau null dacă datele sunt valide
+ */
+const getContactInfoError = ({ clientName, phoneNumber, email }, { requireEmail = true } = {}) => {
+  // Validare nume client
+  if (!clientName || typeof clientName !== 'string') {
+    return 'Numele clientului este obligatoriu.';
+  }
+  
+  const trimmedName = clientName.trim();
+  
+  // Verificare lungime minimă și maximă
+  if (trimmedName.length < 3) {
+    return 'Numele trebuie să conțină cel puțin 3 caractere.';
+  }
+  
+  if (trimmedName.length > 50) {
+    return 'Numele nu poate depăși 50 de caractere.';
+  }
+  
+  // Validare nume (doar litere, spații și cratime)
+  const nameRegex = /^[A-Za-zĂăÂâÎîȘșȚț\s-]+$/;
+  if (!nameRegex.test(trimmedName)) {
+    return 'Numele poate conține doar litere, spații și cratime.';
+  }
+  
+  // Verificare spații multiple consecutive
+  if (/\s\s/.test(trimmedName)) {
+    return 'Numele nu poate conține spații multiple consecutive.';
+  }
+  
+  // Validare email
+  if (!email) {
+    if (requireEmail) {
+      return 'Adresa de email este obligatorie.';
+    }
+  } else {
+    // Validare format email
+    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (typeof email !== 'string' || !emailRegex.test(email)) {
+      return 'Formatul adresei de email este invalid.';
+    }
+    
+    // Validare lungime email
+    if (email.length > 100) {
+      return 'Adresa de email este prea lungă (maxim 100 caractere).';
+    }
+  }
+  
+  // Validare număr de telefon
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return 'Numărul de telefon este obligatoriu.';
+  }
+  
+  // Curățăm numărul de telefon de spații, paranteze, etc.
+  const cleanNumber = phoneNumber.replace(/\s+|-|\(|\)|\+/g, '');
+  
+  // Limită lungime pentru a preveni atacuri DoS
+  if (cleanNumber.length > 30) {
+    return 'Numărul de telefon este prea lung.';
+  }
+  
+  // Validare număr de telefon (acum acceptăm formate internaționale)
+  // Verificăm doar dacă conține doar cifre, fără limită strictă pe format
+  if (!/^[0-9]+$/.test(cleanNumber)) {
+    return 'Număr de telefon invalid. Trebuie să conțină doar cifre.';
+  }
+  
+  return null;
+};
+
+/**
+ * Middleware pentru validarea îmbunătățită a informațiilor despre client
+ */
+const validateClientInfo = (req, res, next) => {
+  const { clientName, phoneNumber, email, countryCode, preferredChannel, recurrenceWeeks, serviceIds } = req.body;
+  
+  const contactError = getContactInfoError({ clientName, phoneNumber, email });
+  if (contactError) {
+    return res.status(400).json({
+      success: false,
+      message: contactError
+    });
+  }
+  
+  // Canalul preferat pentru notificări este opțional
+  if (preferredChannel !== undefined && preferredChannel !== null &&
+      !Client.NOTIFICATION_CHANNELS.includes(preferredChannel)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Canalul de notificare este invalid.'
+    });
+  }
+  
+  // Programarea recurentă este opțională
+  if (recurrenceWeeks !== undefined && recurrenceWeeks !== null && recurrenceWeeks !== '' &&
+      !isValidRecurrenceWeeks(recurrenceWeeks)) {
+    return res.status(400).json({
+      success: false,
+      message: `Recurența trebuie să fie între ${BookingSeries.MIN_INTERVAL_WEEKS} și ${BookingSeries.MAX_INTERVAL_WEEKS} săptămâni.`
+    });
+  }
+  
+  if (serviceIds !== undefined && serviceIds !== null && !parseServiceIds(null, serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  // Adăugăm valorile sanitizate înapoi în request pentru a fi folosite mai departe
+  req.body.clientName = clientName.trim();
+  req.body.email = email.toLowerCase().trim();
+  
+  next();
+};
+
+/**
+ * Middleware pentru verificare client blocat
+ */
+const checkBlockedUser = async (req, res, next) => {
+  try {
+    const { phoneNumber, email } = req.body;
+    
+    // Verifică client după email
+    if (email) {
+      const clientByEmail = await Client.findByEmail(email);
+      if (clientByEmail && clientByEmail.isBlocked) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acest email este blocat și nu poate face rezervări.',
+          blockReason: clientByEmail.blockReason,
+          blockDate: clientByEmail.blockDate
+        });
+      }
+    }
+    
+    // Verifică client după număr de telefon
+    if (phoneNumber) {
+      const client = await Client.findByPhoneNumber(phoneNumber);
+      if (client && client.isBlocked) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acest număr de telefon este blocat și nu poate face rezervări.',
+          blockReason: client.blockReason,
+          blockDate: client.blockDate
+        });
+      }
+      
+      // Verifică și în modelul vechi BlockedUser pentru compatibilitate
+      const blockedUser = await BlockedUser.findOne({ 
+        phoneNumber: { $regex: phoneNumber.replace(/\s+|-|\(|\)|\+/g, '') } 
+      });
+      
+      if (blockedUser) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acest număr de telefon este blocat și nu poate face rezervări.'
+        });
+      }
+    }
+    
+    next();
+  } catch (error) {
+    logger.error('Error checking blocked user:', error);
+    res.status(500).json({ success: false, message: 'Eroare de server' });
+  }
+};
+
+/**
+ * Middleware pentru validarea codului de verificare
+ */
+const validateVerification = (req, res, next) => {
+  const { bookingId, code } = req.body;
+  
+  if (!bookingId || !code) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID-ul rezervării și codul de verificare sunt obligatorii.'
+    });
+  }
+  
+  // Validare format ID MongoDB
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID rezervare invalid.'
+    });
+  }
+  
+  // Validare format cod (6 cifre)
+  const codeRegex = /^\d{6}$/;
+  if (!codeRegex.test(code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cod de verificare invalid. Codul trebuie să conțină 6 cifre.'
+    });
+  }
+  
+  next();
+};
+
+
+/**
+ * Middleware pentru a valida ID-uri de rezervări
+ */
+const validateBookingId = (req, res, next) => {
+  const bookingId = req.params.bookingId || req.body.bookingId;
+  
+  if (!bookingId) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID-ul rezervării este obligatoriu'
+    });
+  }
+  
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID rezervare invalid'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru a valida ID-uri de clienți
+ */
+const validateClientId = (req, res, next) => {
+  const { clientId } = req.params;
+  
+  if (!clientId) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID-ul clientului este obligatoriu'
+    });
+  }
+  
+  if (!mongoose.Types.ObjectId.isValid(clientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID client invalid'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru a valida ID-uri de serii recurente
+ */
+const validateSeriesId = (req, res, next) => {
+  const { seriesId } = req.params;
+  
+  if (!seriesId || !mongoose.Types.ObjectId.isValid(seriesId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID serie invalid'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru a sanitiza intrările (protecție XSS)
+ */
+const sanitizeInputs = (req, res, next) => {
+  try {
+    // Sanitizează un șir de caractere
+    const sanitizeString = (str) => {
+      if (!str) return str;
+      return str.toString()
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/`/g, '&#96;');
+    };
+    
+    // Sanitizează corpul cererii
+    if (req.body) {
+      for (const key in req.body) {
+        if (typeof req.body[key] === 'string') {
+          req.body[key] = sanitizeString(req.body[key]);
+        }
+      }
+    }
+    
+    // Sanitizează parametrii query
+    if (req.query) {
+      for (const key in req.query) {
+        if (typeof req.query[key] === 'string') {
+          req.query[key] = sanitizeString(req.query[key]);
+        }
+      }
+    }
+    
+    // Sanitizează parametrii din URL
+    if (req.params) {
+      for (const key in req.params) {
+        if (typeof req.params[key] === 'string' && !mongoose.Types.ObjectId.isValid(req.params[key])) {
+          // Nu sanitiza ID-uri de tip ObjectId
+          req.params[key] = sanitizeString(req.params[key]);
+        }
+      }
+    }
+    
+    next();
+  } catch (error) {
+    logger.error('Error in sanitizeInputs middleware:', error);
+    next(); // Continuă chiar dacă sanitizarea eșuează
+  }
+};
+
+const validateBlockedDateData = (req, res, next) => {
+  const { date, isFullDay, hours } = req.body;
+  
+  if (!date) {
+    return res.status(400).json({
+      success: false,
+      message: 'Data este obligatorie'
+    });
+  }
+  
+  // Validare format dată
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  // Validare dată nu este în trecut
+  const selectedDate = toCalendarDate(date);
+  const today = getBusinessToday();
+  
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dată invalidă.'
+    });
+  }
+  
+  if (selectedDate < today) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu se pot bloca date din trecut.'
+    });
+  }
+  
+  // Validare pentru blocarea parțială
+  if (!isFullDay) {
+    if (!hours || !Array.isArray(hours) || hours.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trebuie să specifici orele de blocat dacă nu blochezi toată ziua'
+      });
+    }
+    
+    // Validare format ore
+    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    for (const hour of hours) {
+      if (!timeRegex.test(hour)) {
+        return res.status(400).json({
+          success: false,
+          message: `Format oră invalid: ${hour}`
+        });
+      }
+    }
+    
+    // Limitare număr ore
+    if (hours.length > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prea multe ore selectate (maxim 20)'
+      });
+    }
+  }
+  
+  next();
+};
+
+const validateBlockedDateId = (req, res, next) => {
+  const { blockedDateId } = req.params;
+  
+  if (!blockedDateId) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID-ul datei blocate este obligatoriu'
+    });
+  }
+  
+  if (!mongoose.Types.ObjectId.isValid(blockedDateId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID dată blocată invalid'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea regulilor recurente de blocare
+ */
+const validateBlockRuleData = (req, res, next) => {
+  const { frequency, daysOfWeek, nthWeek, isFullDay, startTime, endTime, startDate, endDate, reason } = req.body;
+  
+  if (!BlockRule.RULE_FREQUENCIES.includes(frequency)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frecvență invalidă.'
+    });
+  }
+  
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      !daysOfWeek.every(day => Number.isInteger(Number(day)) && Number(day) >= 0 && Number(day) <= 6)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Selectează cel puțin o zi a săptămânii.'
+    });
+  }
+  
+  if (frequency === 'monthlyNthWeekday') {
+    if (daysOfWeek.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Regulile lunare se aplică unei singure zile a săptămânii.'
+      });
+    }
+    
+    if (!BlockRule.NTH_WEEK_VALUES.includes(Number(nthWeek))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Săptămâna din lună este invalidă.'
+      });
+    }
+  }
+  
+  if (typeof isFullDay !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'isFullDay trebuie să fie true sau false.'
+    });
+  }
+  
+  if (!isFullDay) {
+    if (!TIME_REGEX.test(startTime || '') || !TIME_REGEX.test(endTime || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format oră invalid. Folosiți formatul HH:MM.'
+      });
+    }
+    
+    if (timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ora de sfârșit trebuie să fie după ora de început.'
+      });
+    }
+  }
+  
+  const firstDate = toCalendarDate(startDate || '');
+  if (!firstDate || !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Data de început este obligatorie (format YYYY-MM-DD).'
+    });
+  }
+  
+  if (endDate) {
+    const lastDate = toCalendarDate(endDate);
+    if (!lastDate || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format dată de sfârșit invalid. Folosiți formatul YYYY-MM-DD.'
+      });
+    }
+    
+    if (lastDate < firstDate || lastDate < getBusinessToday()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data de sfârșit trebuie să fie după data de început și să nu fie în trecut.'
+      });
+    }
+  }
+  
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Motivul poate avea cel mult 200 de caractere.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea excepțiilor de la închiderea în sărbătorile legale
+ */
+const validateHolidayOverride = (req, res, next) => {
+  const { holidayKey } = req.params;
+  const { isOpen, year, allYears } = req.body;
+  
+  if (!HOLIDAY_KEYS.includes(holidayKey)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Sărbătoare necunoscută.'
+    });
+  }
+  
+  if (typeof isOpen !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'isOpen trebuie să fie true sau false.'
+    });
+  }
+  
+  if (allYears !== undefined && typeof allYears !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'allYears trebuie să fie true sau false.'
+    });
+  }
+  
+  if (!allYears && (!Number.isInteger(Number(year)) || Number(year) < 2000 || Number(year) > 2100)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Anul este obligatoriu (între 2000 și 2100).'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea programului de lucru săptămânal
+ */
+const validateBusinessScheduleData = (req, res, next) => {
+  const { days, slotInterval } = req.body;
+  
+  if (!Array.isArray(days) || days.length !== 7) {
+    return res.status(400).json({
+      success: false,
+      message: 'Programul trebuie să conțină exact 7 zile'
+    });
+  }
+  
+  // Granularitatea sloturilor este opțională (se păstrează valoarea existentă)
+  if (slotInterval !== undefined && !BusinessSchedule.SLOT_INTERVALS.includes(parseInt(slotInterval))) {
+    return res.status(400).json({
+      success: false,
+      message: `Granularitatea sloturilor trebuie să fie una dintre valorile: ${BusinessSchedule.SLOT_INTERVALS.join(', ')} minute`
+    });
+  }
+  
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const seenDays = new Set();
+  
+  for (const day of days) {
+    if (!day || !Number.isInteger(day.dayOfWeek) || day.dayOfWeek < 0 || day.dayOfWeek > 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ziua săptămânii trebuie să fie un număr între 0 (Duminică) și 6 (Sâmbătă)'
+      });
+    }
+    
+    if (seenDays.has(day.dayOfWeek)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ziua ${day.dayOfWeek} apare de mai multe ori în program`
+      });
+    }
+    seenDays.add(day.dayOfWeek);
+    
+    if (!Array.isArray(day.intervals)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Intervalele de lucru trebuie să fie o listă (goală pentru zilele închise)'
+      });
+    }
+    
+    // Limitare număr intervale pe zi
+    if (day.intervals.length > 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prea multe intervale pentru o zi (maxim 6)'
+      });
+    }
+    
+    for (const interval of day.intervals) {
+      if (!interval || !timeRegex.test(interval.start) || !timeRegex.test(interval.end)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format oră invalid în intervale. Folosiți formatul HH:MM.'
+        });
+      }
+      
+      if (timeToMinutes(interval.start) >= timeToMinutes(interval.end)) {
+        return res.status(400).json({
+          success: false,
+          message: `Interval invalid: ${interval.start}-${interval.end}`
+        });
+      }
+    }
+    
+    // Regulile de rezervare ale zilei sunt opționale (null = fără regulă proprie)
+    const rulesError = getBookingRulesError(day);
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: `${BusinessSchedule.DAY_NAMES[day.dayOfWeek]}: ${rulesError}`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea timpilor de pauză ai unui serviciu
+ */
+const validateServiceBuffers = (req, res, next) => {
+  const { serviceId } = req.params;
+  const { bufferBefore, bufferAfter } = req.body;
+  
+  if (!/^\d+$/.test(serviceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID serviciu invalid.'
+    });
+  }
+  
+  if (bufferBefore === undefined && bufferAfter === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Specificați cel puțin una dintre valorile bufferBefore sau bufferAfter.'
+    });
+  }
+  
+  for (const [field, value] of [['bufferBefore', bufferBefore], ['bufferAfter', bufferAfter]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 60)) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} trebuie să fie un număr întreg de minute între 0 și 60.`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea regulilor de rezervare ale unui serviciu
+ */
+const validateServiceBookingRules = (req, res, next) => {
+  const { serviceId } = req.params;
+  const { minLeadMinutes, maxDaysAhead } = req.body;
+  
+  if (!/^\d+$/.test(serviceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID serviciu invalid.'
+    });
+  }
+  
+  if (minLeadMinutes === undefined && maxDaysAhead === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Specificați cel puțin una dintre valorile minLeadMinutes sau maxDaysAhead (null pentru valoarea implicită).'
+    });
+  }
+  
+  const rulesError = getBookingRulesError({ minLeadMinutes, maxDaysAhead });
+  if (rulesError) {
+    return res.status(400).json({
+      success: false,
+      message: rulesError
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea înscrierii pe lista de așteptare
+ */
+const validateWaitlistEntry = (req, res, next) => {
+  const { clientName, email, serviceId, serviceIds, date, windowStart, windowEnd, barberId } = req.body;
+  
+  if (!email || (!serviceId && !serviceIds) || !date || !windowStart || !windowEnd) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email-ul, serviciul, data și intervalul orar sunt obligatorii.'
+    });
+  }
+  
+  const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+  if (typeof email !== 'string' || email.length > 100 || !emailRegex.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Adresă de email invalidă.'
+    });
+  }
+  
+  if (clientName !== undefined && clientName !== null &&
+      (typeof clientName !== 'string' || clientName.trim().length > 50)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Numele nu poate depăși 50 de caractere.'
+    });
+  }
+  
+  if (!parseServiceIds(serviceId, serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (!isValidBarberSelection(barberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Frizer invalid.'
+    });
+  }
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const selectedDate = dateRegex.test(date) ? toCalendarDate(date) : null;
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  if (selectedDate < getBusinessToday()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu te poți înscrie pe lista de așteptare pentru o dată din trecut.'
+    });
+  }
+  
+  if (!TIME_REGEX.test(windowStart) || !TIME_REGEX.test(windowEnd)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format timp invalid. Folosiți formatul HH:MM.'
+    });
+  }
+  
+  if (timeToMinutes(windowEnd) <= timeToMinutes(windowStart)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Ora de sfârșit a intervalului trebuie să fie după ora de început.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware pentru validarea revendicării unui loc de pe lista de așteptare
+ */
+const validateWaitlistClaim = (req, res, next) => {
+  const { token } = req.body;
+  
+  if (!token || typeof token !== 'string' || token.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Link-ul de revendicare este invalid.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validează link-ul de gestionare a rezervării (și motivul opțional al anulării)
+ */
+const validateManageToken = (req, res, next) => {
+  const { token, reason, scope, occurrenceId } = req.body;
+  
+  if (!token || typeof token !== 'string' || token.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Link-ul de gestionare este invalid.'
+    });
+  }
+  
+  if (reason !== undefined && reason !== null &&
+      (typeof reason !== 'string' || reason.trim().length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Motivul anulării nu poate depăși 200 de caractere.'
+    });
+  }
+  
+  // Anularea poate viza o singură programare (implicit) sau toată seria recurentă
+  if (scope !== undefined && scope !== null && !['occurrence', 'series'].includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tip de anulare invalid.'
+    });
+  }
+  
+  if (occurrenceId !== undefined && occurrenceId !== null && !mongoose.Types.ObjectId.isValid(occurrenceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID programare invalid.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validează noua dată, ora și (opțional) serviciul și motivul la mutarea unei rezervări
+ */
+const validateRescheduleData = (req, res, next) => {
+  const { date, time, serviceId, serviceIds, reason } = req.body;
+  
+  if (!date || !time) {
+    return res.status(400).json({
+      success: false,
+      message: 'Data și ora sunt obligatorii.'
+    });
+  }
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const selectedDate = dateRegex.test(date) ? toCalendarDate(date) : null;
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  if (selectedDate < getBusinessToday()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu poți muta programarea pe o dată din trecut.'
+    });
+  }
+  
+  if (!TIME_REGEX.test(time)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format timp invalid. Folosiți formatul HH:MM.'
+    });
+  }
+  
+  // Serviciile sunt opționale (fără ele rezervarea își păstrează serviciile)
+  const hasServices = (serviceId !== undefined && serviceId !== null) || (serviceIds !== undefined && serviceIds !== null);
+  if (hasServices && !parseServiceIds(serviceId, serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (reason !== undefined && reason !== null &&
+      (typeof reason !== 'string' || reason.trim().length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Motivul nu poate depăși 200 de caractere.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validează crearea unei serii recurente dintr-o rezervare (intervalul și, opțional, ultima zi)
+ */
+const validateSeriesData = (req, res, next) => {
+  const { intervalWeeks, endDate } = req.body;
+  
+  if (!isValidRecurrenceWeeks(intervalWeeks)) {
+    return res.status(400).json({
+      success: false,
+      message: `Intervalul trebuie să fie între ${BookingSeries.MIN_INTERVAL_WEEKS} și ${BookingSeries.MAX_INTERVAL_WEEKS} săptămâni.`
+    });
+  }
+  
+  if (endDate !== undefined && endDate !== null && endDate !== '') {
+    const endDay = /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? toCalendarDate(endDate) : null;
+    if (!endDay) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+      });
+    }
+    
+    if (endDay < getBusinessToday()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ultima zi a seriei nu poate fi în trecut.'
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validare pentru rezervările adăugate de personal (client sosit fără programare sau programat telefonic).
+ * Clientul este unul existent (clientId) sau unul nou (nume și telefon, email opțional).
+ */
+const validateAdminBookingData = (req, res, next) => {
+  const { clientId, clientName, phoneNumber, email, date, time, serviceId, serviceIds, notes, override } = req.body;
+  
+  if (!date || !time) {
+    return res.status(400).json({
+      success: false,
+      message: 'Data și ora sunt obligatorii.'
+    });
+  }
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const selectedDate = dateRegex.test(date) ? toCalendarDate(date) : null;
+  if (!selectedDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format dată invalid. Folosiți formatul YYYY-MM-DD.'
+    });
+  }
+  
+  if (selectedDate < getBusinessToday()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nu poți adăuga o programare pe o dată din trecut.'
+    });
+  }
+  
+  if (!TIME_REGEX.test(time)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format timp invalid. Folosiți formatul HH:MM.'
+    });
+  }
+  
+  if (!parseServiceIds(serviceId, serviceIds)) {
+    return res.status(400).json({
+      success: false,
+      message: INVALID_SERVICES_MESSAGE
+    });
+  }
+  
+  if (clientId !== undefined && clientId !== null && clientId !== '') {
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID client invalid'
+      });
+    }
+  } else {
+    const trimmedName = typeof clientName === 'string' ? clientName.trim() : '';
+    if (trimmedName.length < 3 || trimmedName.length > 50 ||
+        !/^[A-Za-zĂăÂâÎîȘșȚț\s-]+$/.test(trimmedName) || /\s\s/.test(trimmedName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Numele clientului trebuie să aibă între 3 și 50 de caractere și poate conține doar litere, spații și cratime.'
+      });
+    }
+    
+    const cleanNumber = typeof phoneNumber === 'string' ? phoneNumber.replace(/\s+|-|\(|\)|\+/g, '') : '';
+    if (!cleanNumber || cleanNumber.length > 30 || !/^[0-9]+$/.test(cleanNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Număr de telefon invalid. Trebuie să conțină doar cifre.'
+      });
+    }
+    
+    // Email-ul este opțional pentru clienții adăugați de personal
+    if (email !== undefined && email !== null && email !== '' &&
+        (typeof email !== 'string' || email.length > 100 || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Formatul adresei de email este invalid.'
+      });
+    }
+  }
+  
+  if (override !== undefined && typeof override !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Câmpul override trebuie să fie true sau false.'
+    });
+  }
+  
+  if (notes !== undefined && notes !== null &&
+      (typeof notes !== 'string' || notes.trim().length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Notele nu pot depăși 500 de caractere.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validare pentru editarea profilului unui client din dashboard (aceleași reguli ca la rezervare)
+ */
+const validateClientUpdate = (req, res, next) => {
+  const { clientName, phoneNumber, email, countryCode, notes, preferredChannel, propagateToBookings } = req.body;
+  
+  // Email-ul este opțional pentru clienții adăugați de personal
+  const contactError = getContactInfoError({ clientName, phoneNumber, email }, { requireEmail: false });
+  if (contactError) {
+    return res.status(400).json({
+      success: false,
+      message: contactError
+    });
+  }
+  
+  if (countryCode !== undefined && countryCode !== null &&
+      (typeof countryCode !== 'string' || !/^\+\d{1,4}$/.test(countryCode.trim()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Codul de țară este invalid (ex: +40).'
+    });
+  }
+  
+  if (notes !== undefined && notes !== null &&
+      (typeof notes !== 'string' || notes.trim().length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Notele nu pot depăși 500 de caractere.'
+    });
+  }
+  
+  if (preferredChannel !== undefined && preferredChannel !== null &&
+      !Client.NOTIFICATION_CHANNELS.includes(preferredChannel)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Canalul de notificare este invalid.'
+    });
+  }
+  
+  if (propagateToBookings !== undefined && typeof propagateToBookings !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Câmpul propagateToBookings trebuie să fie true sau false.'
+    });
+  }
+  
+  req.body.clientName = clientName.trim();
+  req.body.phoneNumber = phoneNumber.trim();
+  req.body.email = email ? email.toLowerCase().trim() : null;
+  if (typeof countryCode === 'string') {
+    req.body.countryCode = countryCode.trim();
+  }
+  
+  next();
+};
+
+/**
+ * Validare pentru unificarea unui client duplicat în clientul din URL
+ */
+const validateClientMerge = (req, res, next) => {
+  const { duplicateClientId, reason } = req.body;
+  
+  if (!duplicateClientId || !mongoose.Types.ObjectId.isValid(duplicateClientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID-ul clientului duplicat este invalid.'
+    });
+  }
+  
+  if (duplicateClientId === req.params.clientId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Un client nu poate fi unificat cu el însuși.'
+    });
+  }
+  
+  if (reason !== undefined && reason !== null &&
+      (typeof reason !== 'string' || reason.trim().length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Motivul unificării nu poate depăși 200 de caractere.'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validare pentru setul de reguli de aprobare automată
+ */
+const validateApprovalRules = (req, res, next) => {
+  const { enabled, rules } = req.body;
+  
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'Câmpul enabled trebuie să fie true sau false'
+    });
+  }
+  
+  if (!Array.isArray(rules) || rules.length > ApprovalRules.MAX_APPROVAL_RULES) {
+    return res.status(400).json({
+      success: false,
+      message: `Regulile trebuie să fie o listă de cel mult ${ApprovalRules.MAX_APPROVAL_RULES} elemente`
+    });
+  }
+  
+  for (const rule of rules) {
+    const ruleError = getApprovalRuleError(rule);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+  }
+  
+  next();
+};
+
+module.exports = {
+  validateBookingData,
+  validateGroupBookingData,
+  validateTimeSlotRequest,
+  validateClientInfo,
+  checkBlockedUser,
+  validateVerification,
+  validateBookingId,
+  validateClientId,
+  sanitizeInputs,
+  validateBlockedDateData,
+  validateBlockedDateId,
+  validateBlockRuleData,
+  validateHolidayOverride,
+  validateBusinessScheduleData,
+  validateServiceBuffers,
+  validateServiceBookingRules,
+  validateAvailabilityRangeRequest,
+  validateWaitlistEntry,
+  validateWaitlistClaim,
+  validateManageToken,
+  validateRescheduleData,
+  validateSeriesId,
+  validateSeriesData,
+  validateApprovalRules,
+  validateAdminBookingData,
+  validateClientUpdate,
+  validateClientMerge
 };      
\ No newline at end of file
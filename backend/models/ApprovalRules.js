@@ -0,0 +1,191 @@
+// backend/models/ApprovalRules.js - Regulile de aprobare automată a rezervărilor verificate
+const mongoose = require('mongoose');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('APPROVAL-RULES-MODEL');
+
+// Ce face o regulă când se potrivește: confirmă sau respinge rezervarea
+const RULE_ACTIONS = ['confirm', 'decline'];
+
+// Numărul maxim de reguli dintr-un set
+const MAX_APPROVAL_RULES = 10;
+
+// Regulile implicite (dezactivate până le pornește un admin)
+const DEFAULT_APPROVAL_RULES = [
+  {
+    name: 'Domenii de email blocate',
+    action: 'decline',
+    enabled: false,
+    emailDomains: []
+  },
+  {
+    name: 'Clienți fideli',
+    action: 'confirm',
+    enabled: false,
+    minCompletedBookings: 5,
+    maxRecentNoShows: 0
+  }
+];
+
+// O regulă se potrivește când toate condițiile ei setate sunt îndeplinite
+const approvalRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Numele regulii este obligatoriu'],
+    trim: true,
+    maxlength: 50
+  },
+  action: {
+    type: String,
+    enum: RULE_ACTIONS,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Numărul minim de vizite finalizate ale clientului (null = fără condiție)
+  minCompletedBookings: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 1000
+  },
+  // Numărul maxim de neprezentări în perioada din utils/noShowPolicy.js (null = fără condiție)
+  maxRecentNoShows: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  },
+  // Domeniile de email pentru care se aplică regula (incluzând subdomeniile; gol = fără condiție)
+  emailDomains: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+const approvalRulesSchema = new mongoose.Schema({
+  // Există un singur set de reguli activ, identificat prin cheie
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    trim: true
+  },
+  // Aprobarea automată poate fi oprită complet fără a pierde regulile
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Regulile se evaluează în ordine; prima regulă potrivită decide
+  rules: {
+    type: [approvalRuleSchema],
+    validate: {
+      validator: rules => rules.length <= MAX_APPROVAL_RULES,
+      message: `Se pot defini cel mult ${MAX_APPROVAL_RULES} reguli`
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+approvalRulesSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Cache în memorie pentru reguli, evaluate la fiecare rezervare verificată
+ */
+const rulesCache = {
+  ruleSet: null,
+  lastUpdated: 0,
+  ttl: 60000
+};
+
+/**
+ * Metodă statică care verifică dacă o regulă are cel puțin o condiție
+ * (o regulă fără condiții s-ar aplica tuturor rezervărilor)
+ * @param {Object} rule - Regula
+ * @returns {boolean}
+ */
+approvalRulesSchema.statics.hasConditions = function(rule) {
+  return (rule.minCompletedBookings ?? null) !== null ||
+    (rule.maxRecentNoShows ?? null) !== null ||
+    (rule.emailDomains || []).length > 0;
+};
+
+/**
+ * Metodă statică pentru obținerea setului de reguli (creează regulile implicite dacă nu există)
+ * @returns {Promise<Object>} - Documentul cu regulile
+ */
+approvalRulesSchema.statics.getRules = async function() {
+  const now = Date.now();
+  if (rulesCache.ruleSet && now - rulesCache.lastUpdated < rulesCache.ttl) {
+    return rulesCache.ruleSet;
+  }
+
+  try {
+    let ruleSet = await this.findOne({ key: 'default' }).maxTimeMS(5000);
+
+    if (!ruleSet) {
+      ruleSet = await this.create({ key: 'default', rules: DEFAULT_APPROVAL_RULES });
+      logger.info('Default approval rules created');
+    }
+
+    rulesCache.ruleSet = ruleSet;
+    rulesCache.lastUpdated = now;
+    return ruleSet;
+  } catch (error) {
+    logger.error('Error loading approval rules:', error);
+
+    // În caz de eroare aprobarea automată nu se aplică (rezervările rămân în așteptare)
+    return rulesCache.ruleSet || new this({ key: 'default', enabled: false, rules: DEFAULT_APPROVAL_RULES });
+  }
+};
+
+/**
+ * Metodă statică pentru actualizarea regulilor
+ * @param {boolean} enabled - Dacă aprobarea automată este pornită
+ * @param {Array} rules - Regulile, în ordinea evaluării
+ * @param {string} userId - ID-ul utilizatorului care face modificarea
+ * @returns {Promise<Object>} - Setul de reguli actualizat
+ */
+approvalRulesSchema.statics.updateRules = async function(enabled, rules, userId) {
+  let ruleSet = await this.findOne({ key: 'default' });
+
+  if (!ruleSet) {
+    ruleSet = new this({ key: 'default' });
+  }
+
+  ruleSet.enabled = enabled;
+  ruleSet.rules = rules;
+  ruleSet.updatedBy = userId;
+  await ruleSet.save();
+
+  this.invalidateCache();
+  return ruleSet;
+};
+
+/**
+ * Metodă statică pentru invalidarea cache-ului (după modificări)
+ */
+approvalRulesSchema.statics.invalidateCache = function() {
+  rulesCache.ruleSet = null;
+  rulesCache.lastUpdated = 0;
+};
+
+const ApprovalRules = mongoose.model('ApprovalRules', approvalRulesSchema);
+
+ApprovalRules.RULE_ACTIONS = RULE_ACTIONS;
+ApprovalRules.MAX_APPROVAL_RULES = MAX_APPROVAL_RULES;
+
+module.exports = ApprovalRules;
@@ -0,0 +1,251 @@
+// backend/models/BlockRule.js - Reguli recurente de blocare (pauză de masă, zile libere periodice)
+const mongoose = require('mongoose');
+const { DAY_NAMES } = require('./BusinessSchedule');
+const { TIME_REGEX, timeToMinutes, rangesOverlap } = require('../utils/timeUtils');
+const { toCalendarDate, addDays, DAY_MS } = require('../utils/timezone');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BLOCK-RULE-MODEL');
+
+// Frecvențele suportate
+const RULE_FREQUENCIES = ['weekly', 'biweekly', 'monthlyNthWeekday'];
+
+// A câta apariție a zilei în lună (-1 = ultima)
+const NTH_WEEK_VALUES = [1, 2, 3, 4, 5, -1];
+
+const blockRuleSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: RULE_FREQUENCIES,
+    required: [true, 'Frecvența este obligatorie']
+  },
+  // Zilele săptămânii în care se aplică regula (0=Duminică ... 6=Sâmbătă)
+  daysOfWeek: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    validate: {
+      validator: function(days) {
+        if (!days || days.length === 0) {
+          return false;
+        }
+        // Regula lunară se aplică unei singure zile a săptămânii
+        return this.frequency !== 'monthlyNthWeekday' || days.length === 1;
+      },
+      message: 'Selectează zilele săptămânii (o singură zi pentru regulile lunare)'
+    }
+  },
+  // Pentru regulile lunare: a câta apariție a zilei în lună
+  nthWeek: {
+    type: Number,
+    enum: NTH_WEEK_VALUES,
+    required: function() {
+      return this.frequency === 'monthlyNthWeekday';
+    }
+  },
+  isFullDay: {
+    type: Boolean,
+    default: false
+  },
+  startTime: {
+    type: String,
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)'],
+    required: function() {
+      return !this.isFullDay;
+    }
+  },
+  endTime: {
+    type: String,
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)'],
+    required: function() {
+      return !this.isFullDay;
+    },
+    validate: {
+      validator: function(value) {
+        return this.isFullDay || timeToMinutes(value) > timeToMinutes(this.startTime);
+      },
+      message: 'Ora de sfârșit trebuie să fie după ora de început'
+    }
+  },
+  // Prima zi în care se aplică regula (și referința pentru regulile bisăptămânale)
+  startDate: {
+    type: Date,
+    required: [true, 'Data de început este obligatorie']
+  },
+  // Ultima zi în care se aplică regula (opțional)
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'Data de sfârșit trebuie să fie după data de început'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Motivul nu poate depăși 200 de caractere']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Datele se păstrează ca zile calendaristice (miezul nopții UTC)
+blockRuleSchema.pre('validate', function(next) {
+  if (this.isModified('startDate') && this.startDate) {
+    this.startDate = toCalendarDate(this.startDate);
+  }
+  if (this.isModified('endDate') && this.endDate) {
+    this.endDate = toCalendarDate(this.endDate);
+  }
+  if (this.isFullDay) {
+    this.startTime = undefined;
+    this.endTime = undefined;
+  }
+  if (!this.reason) {
+    this.reason = this.isFullDay ? 'Suntem închiși în această zi' : 'Interval indisponibil';
+  }
+  next();
+});
+
+blockRuleSchema.index({ startDate: 1, endDate: 1 });
+
+/**
+ * Metodă de instanță care verifică dacă regula se aplică într-o zi
+ * @param {Date} date - Ziua de verificat
+ * @returns {boolean}
+ */
+blockRuleSchema.methods.occursOn = function(date) {
+  const day = toCalendarDate(date);
+  if (!day || day < this.startDate || (this.endDate && day > this.endDate)) {
+    return false;
+  }
+
+  const dayOfWeek = day.getUTCDay();
+  if (!this.daysOfWeek.includes(dayOfWeek)) {
+    return false;
+  }
+
+  switch (this.frequency) {
+    case 'weekly':
+      return true;
+
+    case 'biweekly': {
+      // Săptămânile (luni-duminică) se numără de la săptămâna datei de început
+      const weekStart = (value) => addDays(value, -((value.getUTCDay() + 6) % 7));
+      const weeks = Math.round((weekStart(day) - weekStart(this.startDate)) / (7 * DAY_MS));
+      return weeks % 2 === 0;
+    }
+
+    case 'monthlyNthWeekday': {
+      const dayOfMonth = day.getUTCDate();
+      if (this.nthWeek === -1) {
+        return addDays(day, 7).getUTCMonth() !== day.getUTCMonth();
+      }
+      return Math.ceil(dayOfMonth / 7) === this.nthWeek;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Metodă de instanță care aplică regula pentru o oră dintr-o zi în care regula se aplică.
+ * Cu o durată specificată, se verifică suprapunerea intervalului [ora, ora + durata) cu regula.
+ * @param {string} time - Ora de verificat (opțional; fără oră se verifică doar ziua)
+ * @param {number} duration - Durata în minute (opțional)
+ * @returns {Object} - Rezultatul verificării ({ isBlocked, reason, type })
+ */
+blockRuleSchema.methods.getBlockStatus = function(time = null, duration = 0) {
+  if (this.isFullDay) {
+    return { isBlocked: true, reason: this.reason, type: 'recurringFullDay' };
+  }
+
+  if (!time) {
+    return { isBlocked: false, reason: null, type: null };
+  }
+
+  const startMinutes = timeToMinutes(time);
+  const ruleStart = timeToMinutes(this.startTime);
+  const ruleEnd = timeToMinutes(this.endTime);
+  const isBlocked = duration > 0
+    ? rangesOverlap(startMinutes, startMinutes + duration, ruleStart, ruleEnd)
+    : startMinutes >= ruleStart && startMinutes < ruleEnd;
+
+  return {
+    isBlocked,
+    reason: isBlocked ? this.reason : null,
+    type: isBlocked ? 'recurringHours' : null
+  };
+};
+
+/**
+ * Metodă de instanță pentru descrierea regulii (ex: "Luni, Marți: 14:00-14:30, săptămânal")
+ * @returns {string}
+ */
+blockRuleSchema.methods.describe = function() {
+  const days = [...this.daysOfWeek].sort().map(day => DAY_NAMES[day]).join(', ');
+  const hours = this.isFullDay ? 'toată ziua' : `${this.startTime}-${this.endTime}`;
+
+  let frequency;
+  if (this.frequency === 'weekly') {
+    frequency = 'săptămânal';
+  } else if (this.frequency === 'biweekly') {
+    frequency = 'o dată la două săptămâni';
+  } else {
+    frequency = this.nthWeek === -1 ? 'ultima din lună' : `a ${this.nthWeek}-a din lună`;
+  }
+
+  return `${days}: ${hours}, ${frequency}`;
+};
+
+/**
+ * Metodă statică pentru obținerea regulilor care pot fi active într-un interval de zile
+ * @param {Date} from - Prima zi din interval
+ * @param {Date} to - Ultima zi din interval (inclusiv)
+ * @returns {Promise<Array>} - Regulile găsite
+ */
+blockRuleSchema.statics.findActiveInRange = async function(from, to) {
+  return this.find({
+    startDate: { $lte: toCalendarDate(to) },
+    $or: [
+      { endDate: null },
+      { endDate: { $gte: toCalendarDate(from) } }
+    ]
+  }).maxTimeMS(5000);
+};
+
+/**
+ * Metodă statică pentru regulile care se aplică într-o zi
+ * @param {Date} date - Ziua de verificat
+ * @returns {Promise<Array>} - Regulile care se aplică în acea zi
+ */
+blockRuleSchema.statics.findForDate = async function(date) {
+  try {
+    const rules = await this.findActiveInRange(date, date);
+    return rules.filter(rule => rule.occursOn(date));
+  } catch (error) {
+    logger.error('Error loading block rules for date:', error);
+    return [];
+  }
+};
+
+const BlockRule = mongoose.model('BlockRule', blockRuleSchema);
+
+BlockRule.RULE_FREQUENCIES = RULE_FREQUENCIES;
+BlockRule.NTH_WEEK_VALUES = NTH_WEEK_VALUES;
+
+module.exports = BlockRule;
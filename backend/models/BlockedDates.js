@@ -1,382 +1,481 @@
-// backend/models/BlockedDates.js - Model complet pentru blocarea datelor/orelor
-const mongoose = require('mongoose');
-
-// Sistem de logging îmbunătățit
-const NODE_ENV = process.env.NODE_ENV;
-const { createContextLogger } = require('../utils/logger');
-const logger = createContextLogger('BLOCKED-DATES-MODEL');
-// Schema pentru blocarea datelor și orelor
-const blockedDateSchema = new mongoose.Schema({
-  date: {
-    type: Date,
-    required: [true, 'Data este obligatorie'],
-    validate: {
-      validator: function(value) {
-        // Verifică că data nu este în trecut
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const selectedDate = new Date(value);
-        selectedDate.setHours(0, 0, 0, 0);
-        return selectedDate >= today;
-      },
-      message: 'Nu se pot bloca date din trecut'
-    }
-  },
-  isFullDayBlocked: {
-    type: Boolean,
-    default: false,
-    required: true
-  },
-  blockedHours: [{
-    type: String,
-    match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Format oră invalid (HH:MM)'],
-    validate: {
-      validator: function(hour) {
-        // Verifică că ora este în intervalul de program (10:00-19:00)
-        const [hours, minutes] = hour.split(':').map(Number);
-        const timeInMinutes = hours * 60 + minutes;
-        return timeInMinutes >= 600 && timeInMinutes <= 1140; // 10:00-19:00
-      },
-      message: 'Ora trebuie să fie în intervalul 10:00-19:00'
-    }
-  }],
-  reason: {
-    type: String,
-    trim: true,
-    maxlength: [500, 'Motivul nu poate depăși 500 de caractere'],
-    default: function() {
-      const dayName = this.constructor.formatDateInRomanian(this.date);
-      return this.isFullDayBlocked 
-        ? `Suntem închiși în ${dayName}` 
-        : `Anumite ore sunt indisponibile în ${dayName}`;
-    }
-  },
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'Utilizatorul creator este obligatoriu']
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-// Middleware pre-save pentru actualizarea timestampului și validări
-blockedDateSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
-  
-  // Validare: dacă nu este toată ziua blocată, trebuie să existe ore
-  if (!this.isFullDayBlocked && (!this.blockedHours || this.blockedHours.length === 0)) {
-    return next(new Error('Trebuie să specifici ore de blocat dacă nu blochezi toată ziua'));
-  }
-  
-  // Validare: elimină orele duplicate
-  if (this.blockedHours && this.blockedHours.length > 0) {
-    this.blockedHours = [...new Set(this.blockedHours)];
-  }
-  
-  // Dacă este toată ziua blocată, curăță array-ul de ore
-  if (this.isFullDayBlocked) {
-    this.blockedHours = [];
-  }
-  
-  // Generează motivul automat dacă nu este specificat
-  if (!this.reason) {
-    const dayName = this.constructor.formatDateInRomanian(this.date);
-    this.reason = this.isFullDayBlocked 
-      ? `Suntem închiși în ${dayName}` 
-      : `Anumite ore sunt indisponibile în ${dayName}`;
-  }
-  
-  next();
-});
-
-// Index-uri pentru căutări rapide și performanță
-blockedDateSchema.index({ date: 1, isFullDayBlocked: 1 });
-blockedDateSchema.index({ createdBy: 1 });
-blockedDateSchema.index({ createdAt: -1 });
-
-// Index unic pentru a preveni duplicatele pe aceeași dată
-blockedDateSchema.index({ date: 1 }, { 
-  unique: true,
-  partialFilterExpression: { date: { $exists: true } }
-});
-
-/**
- * Metodă statică pentru verificarea dacă o dată/oră este blocată
- * @param {Date} date - Data de verificat
- * @param {string} time - Ora de verificat (opțional)
- * @returns {Promise<Object>} - Rezultatul verificării
- */
-blockedDateSchema.statics.isDateTimeBlocked = async function(date, time = null) {
-  try {
-    // Validare input
-    if (!date || !(date instanceof Date)) {
-      logger.error('Date parameter must be a valid Date object');
-      return { isBlocked: false, reason: null, type: null };
-    }
-    
-    // Validare timp dacă este specificat
-    if (time && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
-      logger.error('Invalid time format:', time);
-      return { isBlocked: false, reason: null, type: null };
-    }
-    
-    // Pregătește intervalul de căutare pentru ziua specificată
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    // Caută blocarea pentru această dată
-    const blockedDate = await this.findOne({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
-    }).maxTimeMS(5000); // Timeout pentru performanță
-    
-    if (!blockedDate) {
-      return { isBlocked: false, reason: null, type: null };
-    }
-    
-    // Dacă toată ziua este blocată
-    if (blockedDate.isFullDayBlocked) {
-      return { 
-        isBlocked: true, 
-        reason: blockedDate.reason,
-        type: 'fullDay',
-        blockedDate: blockedDate
-      };
-    }
-    
-    // Dacă nu este specificată o oră, verifică doar ziua
-    if (!time) {
-      return { isBlocked: false, reason: null, type: null };
-    }
-    
-    // Verifică dacă ora specifică este blocată
-    const isHourBlocked = blockedDate.blockedHours && blockedDate.blockedHours.includes(time);
-    return { 
-      isBlocked: isHourBlocked, 
-      reason: isHourBlocked ? blockedDate.reason : null,
-      type: isHourBlocked ? 'specificHours' : null,
-      blockedDate: isHourBlocked ? blockedDate : null
-    };
-    
-  } catch (error) {
-    logger.error('Error checking blocked date/time:', error);
-    return { isBlocked: false, reason: null, type: null };
-  }
-};
-
-/**
- * Metodă statică pentru obținerea orelor blocate pentru o dată
- * @param {Date} date - Data pentru care să obțină orele blocate
- * @returns {Promise<Object>} - Informațiile despre orele blocate
- */
-blockedDateSchema.statics.getBlockedHours = async function(date) {
-  try {
-    // Validare input
-    if (!date || !(date instanceof Date)) {
-      logger.error('Date parameter must be a valid Date object');
-      return { isFullDayBlocked: false, blockedHours: [], reason: null };
-    }
-    
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const blockedDate = await this.findOne({
-      date: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
-    }).maxTimeMS(5000);
-    
-    if (!blockedDate) {
-      return { isFullDayBlocked: false, blockedHours: [], reason: null };
-    }
-    
-    return {
-      isFullDayBlocked: blockedDate.isFullDayBlocked,
-      blockedHours: blockedDate.blockedHours || [],
-      reason: blockedDate.reason,
-      blockedDate: blockedDate
-    };
-    
-  } catch (error) {
-    logger.error('Error getting blocked hours:', error);
-    return { isFullDayBlocked: false, blockedHours: [], reason: null };
-  }
-};
-
-/**
- * Metodă statică pentru formatarea datei în română
- * @param {Date} date - Data de formatat
- * @returns {string} - Data formatată în română
- */
-blockedDateSchema.statics.formatDateInRomanian = function(date) {
-  try {
-    if (!date || !(date instanceof Date)) {
-      return 'Dată invalidă';
-    }
-    
-    const days = ['Duminică', 'Luni', 'Marți', 'Miercuri', 'Joi', 'Vineri', 'Sâmbătă'];
-    const months = [
-      'Ianuarie', 'Februarie', 'Martie', 'Aprilie', 'Mai', 'Iunie',
-      'Iulie', 'August', 'Septembrie', 'Octombrie', 'Noiembrie', 'Decembrie'
-    ];
-    
-    const dayName = days[date.getDay()];
-    const day = date.getDate();
-    const month = months[date.getMonth()];
-    const year = date.getFullYear();
-    
-    return `${dayName}, ${day} ${month} ${year}`;
-  } catch (error) {
-    logger.error('Error formatting date in Romanian:', error);
-    return 'Dată invalidă';
-  }
-};
-
-/**
- * Metodă statică pentru curățarea datelor blocate expirate
- * @returns {Promise<Object>} - Rezultatul operației de curățare
- */
-blockedDateSchema.statics.cleanupExpiredBlockedDates = async function() {
-  try {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(23, 59, 59, 999);
-    
-    const result = await this.deleteMany({
-      date: { $lt: yesterday }
-    });
-    
-    logger.info(`Cleaned up ${result.deletedCount} expired blocked dates`);
-    
-    return {
-      success: true,
-      deletedCount: result.deletedCount,
-      message: `${result.deletedCount} date blocate expirate au fost curățate`
-    };
-    
-  } catch (error) {
-    logger.error('Error cleaning up expired blocked dates:', error);
-    return {
-      success: false,
-      deletedCount: 0,
-      message: 'Eroare la curățarea datelor blocate expirate'
-    };
-  }
-};
-
-/**
- * Metodă statică pentru obținerea tuturor datelor blocate active
- * @returns {Promise<Array>} - Lista datelor blocate active
- */
-blockedDateSchema.statics.getActiveBlockedDates = async function() {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const activeBlockedDates = await this.find({
-      date: { $gte: today }
-    })
-    .populate('createdBy', 'username role')
-    .sort({ date: 1 })
-    .maxTimeMS(10000);
-    
-    return activeBlockedDates;
-    
-  } catch (error) {
-    logger.error('Error getting active blocked dates:', error);
-    return [];
-  }
-};
-
-/**
- * Metodă de instanță pentru actualizarea unei blocări existente
- * @param {boolean} isFullDay - Dacă să blocheze toată ziua
- * @param {Array} hours - Array cu orele de blocat
- * @param {string} userId - ID-ul utilizatorului care face modificarea
- * @returns {Promise<Object>} - Blocarea actualizată
- */
-blockedDateSchema.methods.updateBlocking = async function(isFullDay, hours = [], userId) {
-  try {
-    this.isFullDayBlocked = isFullDay;
-    this.blockedHours = isFullDay ? [] : [...new Set(hours)];
-    this.createdBy = userId;
-    this.updatedAt = new Date();
-    
-    // Regenerează motivul
-    const dayName = this.constructor.formatDateInRomanian(this.date);
-    this.reason = isFullDay 
-      ? `Suntem închiși în ${dayName}` 
-      : `Anumite ore sunt indisponibile în ${dayName}`;
-    
-    return await this.save();
-    
-  } catch (error) {
-    logger.error('Error updating blocking:', error);
-    throw error;
-  }
-};
-
-/**
- * Metodă virtuală pentru obținerea informațiilor formatate
- */
-blockedDateSchema.virtual('formattedInfo').get(function() {
-  return {
-    id: this._id,
-    date: this.date,
-    dateFormatted: this.constructor.formatDateInRomanian(this.date),
-    isFullDayBlocked: this.isFullDayBlocked,
-    blockedHours: this.blockedHours,
-    hoursCount: this.blockedHours ? this.blockedHours.length : 0,
-    reason: this.reason,
-    createdAt: this.createdAt,
-    updatedAt: this.updatedAt
-  };
-});
-
-// Asigură-te că virtualele sunt incluse în JSON
-blockedDateSchema.set('toJSON', { virtuals: true });
-blockedDateSchema.set('toObject', { virtuals: true });
-
-blockedDateSchema.statics.cleanupExpiredBlockedDates = async function() {
-  try {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(23, 59, 59, 999);
-    
-    const result = await this.deleteMany({
-      date: { $lt: yesterday }
-    });
-    
-    return {
-      success: true,
-      deletedCount: result.deletedCount
-    };
-  } catch (error) {
-    return {
-      success: false,
-      deletedCount: 0,
-      error: error.message
-    };
-  }
-};
-
-// Creează modelul
-const BlockedDate = mongoose.model('BlockedDate', blockedDateSchema);
-
+// backend/models/BlockedDates.js - Model complet pentru blocarea datelor/orelor
+const mongoose = require('mongoose');
+const BusinessSchedule = require('./BusinessSchedule');
+const BlockRule = require('./BlockRule');
+const HolidayOverride = require('./HolidayOverride');
+const { toCalendarDate, getBusinessToday, getDayRange, getDayOfWeek, addDays } = require('../utils/timezone');
+const { minutesToTime } = require('../utils/timeUtils');
+
+// Sistem de logging îmbunătățit
+const NODE_ENV = process.env.NODE_ENV;
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BLOCKED-DATES-MODEL');
+// Schema pentru blocarea datelor și orelor
+const blockedDateSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Data este obligatorie'],
+    validate: {
+      validator: function(value) {
+        // Verifică că data nu este în trecut
+        const selectedDate = toCalendarDate(value);
+        return selectedDate !== null && selectedDate >= getBusinessToday();
+      },
+      message: 'Nu se pot bloca date din trecut'
+    }
+  },
+  isFullDayBlocked: {
+    type: Boolean,
+    default: false,
+    required: true
+  },
+  blockedHours: {
+    type: [{
+      type: String,
+      match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Format oră invalid (HH:MM)']
+    }],
+    validate: {
+      validator: async function(hours) {
+        // Verifică că fiecare oră este în programul de lucru configurat pentru ziua respectivă
+        if (!hours || hours.length === 0 || !this.date) {
+          return true;
+        }
+        
+        for (const hour of hours) {
+          if (!(await BusinessSchedule.isTimeWithinBusinessHours(this.date, hour))) {
+            return false;
+          }
+        }
+        return true;
+      },
+      message: 'Orele blocate trebuie să fie în intervalul programului de lucru'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Motivul nu poate depăși 500 de caractere'],
+    default: function() {
+      const dayName = this.constructor.formatDateInRomanian(this.date);
+      return this.isFullDayBlocked 
+        ? `Suntem închiși în ${dayName}` 
+        : `Anumite ore sunt indisponibile în ${dayName}`;
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Utilizatorul creator este obligatoriu']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Middleware pre-save pentru actualizarea timestampului și validări
+blockedDateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  
+  // Data se păstrează ca zi calendaristică (miezul nopții UTC)
+  if (this.isModified('date')) {
+    this.date = toCalendarDate(this.date);
+  }
+  
+  // Validare: dacă nu este toată ziua blocată, trebuie să existe ore
+  if (!this.isFullDayBlocked && (!this.blockedHours || this.blockedHours.length === 0)) {
+    return next(new Error('Trebuie să specifici ore de blocat dacă nu blochezi toată ziua'));
+  }
+  
+  // Validare: elimină orele duplicate
+  if (this.blockedHours && this.blockedHours.length > 0) {
+    this.blockedHours = [...new Set(this.blockedHours)];
+  }
+  
+  // Dacă este toată ziua blocată, curăță array-ul de ore
+  if (this.isFullDayBlocked) {
+    this.blockedHours = [];
+  }
+  
+  // Generează motivul automat dacă nu este specificat
+  if (!this.reason) {
+    const dayName = this.constructor.formatDateInRomanian(this.date);
+    this.reason = this.isFullDayBlocked 
+      ? `Suntem închiși în ${dayName}` 
+      : `Anumite ore sunt indisponibile în ${dayName}`;
+  }
+  
+  next();
+});
+
+// Index-uri pentru căutări rapide și performanță
+blockedDateSchema.index({ date: 1, isFullDayBlocked: 1 });
+blockedDateSchema.index({ createdBy: 1 });
+blockedDateSchema.index({ createdAt: -1 });
+
+// Index unic pentru a preveni duplicatele pe aceeași dată
+blockedDateSchema.index({ date: 1 }, { 
+  unique: true,
+  partialFilterExpression: { date: { $exists: true } }
+});
+
+/**
+ * Metodă statică pentru verificarea dacă o dată/oră este blocată
+ * (blocări punctuale și reguli recurente)
+ * @param {Date} date - Data de verificat
+ * @param {string} time - Ora de verificat (opțional)
+ * @param {number} duration - Durata programării, pentru suprapunerea cu regulile pe interval (opțional)
+ * @returns {Promise<Object>} - Rezultatul verificării
+ */
+blockedDateSchema.statics.isDateTimeBlocked = async function(date, time = null, duration = 0) {
+  try {
+    // Validare input
+    if (!date || !(date instanceof Date)) {
+      logger.error('Date parameter must be a valid Date object');
+      return { isBlocked: false, reason: null, type: null };
+    }
+    
+    // Validare timp dacă este specificat
+    if (time && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+      logger.error('Invalid time format:', time);
+      return { isBlocked: false, reason: null, type: null };
+    }
+    
+    // Pregătește intervalul de căutare pentru ziua specificată
+    const { start: startOfDay, end: endOfDay } = getDayRange(date);
+    
+    // Caută blocarea pentru această dată
+    const blockedDate = await this.findOne({
+      date: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      }
+    }).maxTimeMS(5000); // Timeout pentru performanță
+    
+    if (blockedDate) {
+      const blockStatus = blockedDate.getBlockStatus(time);
+      if (blockStatus.isBlocked) {
+        return blockStatus;
+      }
+    }
+    
+    // Sărbătorile legale închid automat toată ziua (cu excepția celor marcate ca deschise)
+    const holiday = await HolidayOverride.getClosureForDate(date);
+    if (holiday) {
+      return { isBlocked: true, reason: holiday.reason, type: 'holiday', holiday };
+    }
+    
+    // Regulile recurente care se aplică în această zi
+    const rules = await BlockRule.findForDate(date);
+    for (const rule of rules) {
+      const ruleStatus = rule.getBlockStatus(time, duration);
+      if (ruleStatus.isBlocked) {
+        return { ...ruleStatus, blockRule: rule };
+      }
+    }
+    
+    return { isBlocked: false, reason: null, type: null };
+    
+  } catch (error) {
+    logger.error('Error checking blocked date/time:', error);
+    return { isBlocked: false, reason: null, type: null };
+  }
+};
+
+/**
+ * Metodă de instanță care aplică regulile de blocare pentru o oră din ziua blocată
+ * (folosită atât pentru verificările individuale cât și pentru calculul pe intervale de date)
+ * @param {string} time - Ora de verificat (opțional; fără oră se verifică doar ziua)
+ * @returns {Object} - Rezultatul verificării ({ isBlocked, reason, type, blockedDate })
+ */
+blockedDateSchema.methods.getBlockStatus = function(time = null) {
+  // Dacă toată ziua este blocată
+  if (this.isFullDayBlocked) {
+    return { 
+      isBlocked: true, 
+      reason: this.reason,
+      type: 'fullDay',
+      blockedDate: this
+    };
+  }
+  
+  // Dacă nu este specificată o oră, verifică doar ziua
+  if (!time) {
+    return { isBlocked: false, reason: null, type: null };
+  }
+  
+  // Verifică dacă ora specifică este blocată
+  const isHourBlocked = this.blockedHours && this.blockedHours.includes(time);
+  return { 
+    isBlocked: isHourBlocked, 
+    reason: isHourBlocked ? this.reason : null,
+    type: isHourBlocked ? 'specificHours' : null,
+    blockedDate: isHourBlocked ? this : null
+  };
+};
+
+/**
+ * Metodă statică pentru obținerea blocărilor dintr-un interval de date (o singură interogare)
+ * @param {Date} from - Prima zi din interval
+ * @param {Date} to - Ultima zi din interval (inclusiv)
+ * @returns {Promise<Array>} - Blocările găsite
+ */
+blockedDateSchema.statics.findInRange = async function(from, to) {
+  const startOfRange = toCalendarDate(from);
+  const endOfRange = addDays(toCalendarDate(to), 1);
+  
+  return this.find({
+    date: {
+      $gte: startOfRange,
+      $lt: endOfRange
+    }
+  }).maxTimeMS(5000);
+};
+
+/**
+ * Metodă statică pentru obținerea orelor blocate pentru o dată
+ * @param {Date} date - Data pentru care să obțină orele blocate
+ * @returns {Promise<Object>} - Informațiile despre orele blocate
+ */
+blockedDateSchema.statics.getBlockedHours = async function(date) {
+  try {
+    // Validare input
+    if (!date || !(date instanceof Date)) {
+      logger.error('Date parameter must be a valid Date object');
+      return { isFullDayBlocked: false, blockedHours: [], reason: null };
+    }
+    
+    const { start: startOfDay, end: endOfDay } = getDayRange(date);
+    
+    const blockedDate = await this.findOne({
+      date: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      }
+    }).maxTimeMS(5000);
+    
+    const [rules, holiday] = await Promise.all([
+      BlockRule.findForDate(date),
+      HolidayOverride.getClosureForDate(date)
+    ]);
+    
+    if (holiday) {
+      return {
+        isFullDayBlocked: true,
+        blockedHours: [],
+        reason: holiday.reason,
+        blockedDate: blockedDate,
+        holiday
+      };
+    }
+    
+    if (!blockedDate && rules.length === 0) {
+      return { isFullDayBlocked: false, blockedHours: [], reason: null };
+    }
+    
+    const fullDayRule = rules.find(rule => rule.isFullDay);
+    const isFullDayBlocked = Boolean((blockedDate && blockedDate.isFullDayBlocked) || fullDayRule);
+    const blockedHours = new Set(blockedDate ? blockedDate.blockedHours : []);
+    
+    // Orele de început ale sloturilor care cad în intervalele regulilor recurente
+    const hourRules = rules.filter(rule => !rule.isFullDay);
+    if (!isFullDayBlocked && hourRules.length > 0) {
+      const schedule = await BusinessSchedule.getSchedule();
+      const intervals = schedule.getDayIntervals(getDayOfWeek(date));
+      const slotInterval = schedule.slotInterval || 30;
+      
+      for (const interval of intervals) {
+        for (let minutes = interval.startMinutes; minutes < interval.endMinutes; minutes += slotInterval) {
+          const time = minutesToTime(minutes);
+          if (hourRules.some(rule => rule.getBlockStatus(time).isBlocked)) {
+            blockedHours.add(time);
+          }
+        }
+      }
+    }
+    
+    let reason = blockedDate ? blockedDate.reason : null;
+    if (fullDayRule && !(blockedDate && blockedDate.isFullDayBlocked)) {
+      reason = fullDayRule.reason;
+    } else if (!reason && hourRules.length > 0) {
+      reason = hourRules[0].reason;
+    }
+    
+    return {
+      isFullDayBlocked,
+      blockedHours: isFullDayBlocked ? [] : [...blockedHours].sort(),
+      reason,
+      blockedDate: blockedDate,
+      blockRules: rules
+    };
+    
+  } catch (error) {
+    logger.error('Error getting blocked hours:', error);
+    return { isFullDayBlocked: false, blockedHours: [], reason: null };
+  }
+};
+
+/**
+ * Metodă statică pentru formatarea datei în română
+ * @param {Date} date - Data de formatat
+ * @returns {string} - Data formatată în română
+ */
+blockedDateSchema.statics.formatDateInRomanian = function(date) {
+  try {
+    if (!date || !(date instanceof Date)) {
+      return 'Dată invalidă';
+    }
+    
+    const days = ['Duminică', 'Luni', 'Marți', 'Miercuri', 'Joi', 'Vineri', 'Sâmbătă'];
+    const months = [
+      'Ianuarie', 'Februarie', 'Martie', 'Aprilie', 'Mai', 'Iunie',
+      'Iulie', 'August', 'Septembrie', 'Octombrie', 'Noiembrie', 'Decembrie'
+    ];
+    
+    // Ziua calendaristică, independent de fusul orar al serverului
+    const calendarDate = toCalendarDate(date);
+    const dayName = days[calendarDate.getUTCDay()];
+    const day = calendarDate.getUTCDate();
+    const month = months[calendarDate.getUTCMonth()];
+    const year = calendarDate.getUTCFullYear();
+    
+    return `${dayName}, ${day} ${month} ${year}`;
+  } catch (error) {
+    logger.error('Error formatting date in Romanian:', error);
+    return 'Dată invalidă';
+  }
+};
+
+/**
+ * Metodă statică pentru curățarea datelor blocate expirate
+ * @returns {Promise<Object>} - Rezultatul operației de curățare
+ */
+blockedDateSchema.statics.cleanupExpiredBlockedDates = async function() {
+  try {
+    // Zilele dinaintea zilei de azi (în fusul orar al afacerii)
+    const today = getBusinessToday();
+    
+    const result = await this.deleteMany({
+      date: { $lt: today }
+    });
+    
+    logger.info(`Cleaned up ${result.deletedCount} expired blocked dates`);
+    
+    return {
+      success: true,
+      deletedCount: result.deletedCount,
+      message: `${result.deletedCount} date blocate expirate au fost curățate`
+    };
+    
+  } catch (error) {
+    logger.error('Error cleaning up expired blocked dates:', error);
+    return {
+      success: false,
+      deletedCount: 0,
+      message: 'Eroare la curățarea datelor blocate expirate'
+    };
+  }
+};
+
+/**
+ * Metodă statică pentru obținerea tuturor datelor blocate active
+ * @returns {Promise<Array>} - Lista datelor blocate active
+ */
+blockedDateSchema.statics.getActiveBlockedDates = async function() {
+  try {
+    const today = getBusinessToday();
+    
+    const activeBlockedDates = await this.find({
+      date: { $gte: today }
+    })
+    .populate('createdBy', 'username role')
+    .sort({ date: 1 })
+    .maxTimeMS(10000);
+    
+    return activeBlockedDates;
+    
+  } catch (error) {
+    logger.error('Error getting active blocked dates:', error);
+    return [];
+  }
+};
+
+/**
+ * Metodă de instanță pentru actualizarea unei blocări existente
+ * @param {boolean} isFullDay - Dacă să blocheze toată ziua
+ * @param {Array} hours - Array cu orele de blocat
+ * @param {string} userId - ID-ul utilizatorului care face modificarea
+ * @returns {Promise<Object>} - Blocarea actualizată
+ */
+blockedDateSchema.methods.updateBlocking = async function(isFullDay, hours = [], userId) {
+  try {
+    this.isFullDayBlocked = isFullDay;
+    this.blockedHours = isFullDay ? [] : [...new Set(hours)];
+    this.createdBy = userId;
+    this.updatedAt = new Date();
+    
+    // Regenerează motivul
+    const dayName = this.constructor.formatDateInRomanian(this.date);
+    this.reason = isFullDay 
+      ? `Suntem închiși în ${dayName}` 
+      : `Anumite ore sunt indisponibile în ${dayName}`;
+    
+    return await this.save();
+    
+  } catch (error) {
+    logger.error('Error updating blocking:', error);
+    throw error;
+  }
+};
+
+/**
+ * Metodă virtuală pentru obținerea informațiilor formatate
+ */
+blockedDateSchema.virtual('formattedInfo').get(function() {
+  return {
+    id: this._id,
+    date: this.date,
+    dateFormatted: this.constructor.formatDateInRomanian(this.date),
+    isFullDayBlocked: this.isFullDayBlocked,
+    blockedHours: this.blockedHours,
+    hoursCount: this.blockedHours ? this.blockedHours.length : 0,
+    reason: this.reason,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+});
+
+// Asigură-te că virtualele sunt incluse în JSON
+blockedDateSchema.set('toJSON', { virtuals: true });
+blockedDateSchema.set('toObject', { virtuals: true });
+
+blockedDateSchema.statics.cleanupExpiredBlockedDates = async function() {
+  try {
+    // Zilele dinaintea zilei de azi (în fusul orar al afacerii)
+    const today = getBusinessToday();
+    
+    const result = await this.deleteMany({
+      date: { $lt: today }
+    });
+    
+    return {
+      success: true,
+      deletedCount: result.deletedCount
+    };
+  } catch (error) {
+    return {
+      success: false,
+      deletedCount: 0,
+      error: error.message
+    };
+  }
+};
+
+// Creează modelul
+const BlockedDate = mongoose.model('BlockedDate', blockedDateSchema);
+
 module.exports = BlockedDate;
\ No newline at end of file
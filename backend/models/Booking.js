@@ -1,563 +1,1121 @@
-// models/Booking.js - Versiune actualizată pentru sistemul de email
-const mongoose = require('mongoose');
-const BlockedDate = require('./BlockedDates');
-const TimeLock = require('./TimeLock');
-require('dotenv').config();
-
-
-// Environment variables - fără credențiale hardcodate
-const NODE_ENV = process.env.NODE_ENV || 'production';
-const MONGO_URL = process.env.MONGO_URL || (NODE_ENV === 'production' 
-  ? null // În producție, trebuie să fie configurat în variabilele de mediu
-  : 'mongodb://localhost:27017/barbershop'); // Local development fallback
-
-// Sistem de logging îmbunătățit
-const { createContextLogger } = require('../utils/logger');
-const logger = createContextLogger('BOOKING-MODEL');
-
-// Verifică dacă MONGO_URL este setat în producție
-if (NODE_ENV === 'production' && !process.env.MONGO_URL) {
-  logger.error('ERROR: MONGO_URL environment variable is required in production!');
-  process.exit(1);
-}
-
-// Services Schema
-const serviceSchema = new mongoose.Schema({
-  _id: {
-    type: Number,
-    required: true
-  },
-  name: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    maxlength: 50
-  },
-  duration: {
-    type: Number,  // Duration in minutes
-    required: true,
-    min: 5,
-    max: 240
-  },
-  price: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 10000
-  }
-});
-
-// Booking Schema (actualizat pentru a include referința la Client și câmpul email)
-const bookingSchema = new mongoose.Schema({
-  // Referință către Client
-  client: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Client'
-  },
-  // Păstrăm aceste câmpuri pentru compatibilitate descendentă
-  clientName: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50
-  },
-  phoneNumber: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 30 // Mărit pentru a permite numere internaționale
-  },
-  // Adăugăm câmpul email
-  email: {
-    type: String,
-    required: true,
-    trim: true,
-    lowercase: true,
-    maxlength: 100,
-    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Introduceți un email valid']
-  },
-  service: {
-    type: Number,
-    ref: 'Service',
-    required: true
-  },
-  date: {
-    type: Date,
-    required: true
-  },
-  time: {
-    type: String,
-    required: true,
-    match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'confirmed', 'declined', 'completed', 'cancelled'],
-    default: 'pending'
-  },
-  verificationCode: {
-    type: String,
-    maxlength: 10
-  },
-  verified: {
-    type: Boolean,
-    default: false
-  },
-  // Modificat din smsCount în emailCount
-  emailCount: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 20
-  },
-  // Modificat din lastSmsSentAt în lastEmailSentAt
-  lastEmailSentAt: {
-    type: Date
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  // Câmpuri noi pentru îmbunătățirea sistemului
-  completedAt: {
-    type: Date
-  },
-  notes: {
-    type: String,
-    trim: true,
-    maxlength: 500
-  },
-  // Câmp pentru a stoca codul țării/prefixul
-  countryCode: {
-    type: String,
-    trim: true,
-    maxlength: 5,
-    default: '+40' // Implicit România
-  }
-});
-
-// Adăugăm indecși pentru îmbunătățirea performanței
-bookingSchema.index({ client: 1 });
-bookingSchema.index({ phoneNumber: 1 });
-bookingSchema.index({ email: 1 }); // Nou index pentru email
-bookingSchema.index({ date: 1, status: 1 });
-bookingSchema.index({ status: 1, verified: 1 });
-bookingSchema.index({ createdAt: 1 });
-
-// Blocked Users Schema 
-const blockedUserSchema = new mongoose.Schema({
-  phoneNumber: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    maxlength: 30
-  },
-  // Adăugăm câmpul email pentru blocaje
-  email: {
-    type: String,
-    trim: true,
-    lowercase: true,
-    maxlength: 100,
-    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Introduceți un email valid']
-  },
-  reason: {
-    type: String,
-    trim: true,
-    maxlength: 200
-  },
-  blockedAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-// Modificat din SMSUsage în EmailUsage
-const emailUsageSchema = new mongoose.Schema({
-  email: {
-    type: String,
-    required: true,
-    trim: true,
-    lowercase: true,
-    maxlength: 100
-  },
-  date: {
-    type: Date,
-    required: true
-  },
-  count: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100
-  }
-});
-
-// UPDATED: findOrCreateDailyUsage method cu validare îmbunătățită pentru email
-emailUsageSchema.statics.findOrCreateDailyUsage = async function(email) {
-  // Validare email
-  if (!email || typeof email !== 'string' || email.length > 100) {
-    throw new Error('Invalid email');
-  }
-  
-  const cleanEmail = email.trim().toLowerCase().substring(0, 100);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  try {
-    let usage = await this.findOne({
-      email: cleanEmail,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      }
-    });
-    
-    if (!usage) {
-      usage = new this({
-        email: cleanEmail,
-        date: today,
-        count: 0
-      });
-      await usage.save();
-    }
-    
-    return usage;
-  } catch (error) {
-    logger.error('Error in findOrCreateDailyUsage:', error);
-    throw error;
-  }
-};
-
-// Admin User Schema
-const userSchema = new mongoose.Schema({
-  username: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    minlength: 3,
-    maxlength: 30,
-    match: /^[a-zA-Z0-9_]+$/
-  },
-  password: {
-    type: String,
-    required: true
-  },
-  role: {
-    type: String,
-    enum: ['admin', 'barber'],
-    default: 'barber'
-  },
-  lastLogin: {
-    type: Date
-  },
-  loginAttempts: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 10
-  },
-  active: {
-    type: Boolean,
-    default: true
-  }
-});
-
-
-// Helper function: verifică disponibilitatea intervalului orar
-const isTimeSlotAvailable = async (date, time, duration) => {
-  try {
-    // Validare input
-    if (!date || !time || isNaN(duration)) {
-      logger.error('Invalid parameters for isTimeSlotAvailable');
-      return false;
-    }
-    
-    // Limitare durata pentru securitate
-    if (duration <= 0 || duration > 240) {
-      logger.error('Invalid duration value');
-      return false;
-    }
-    
-    // Validare format timp
-    if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
-      logger.error('Invalid time format');
-      return false;
-    }
-    
-    const startTime = new Date(`${date.toDateString()} ${time}`);
-    if (isNaN(startTime.getTime())) {
-      logger.error('Invalid date/time format');
-      return false;
-    }
-    
-    const endTime = new Date(startTime.getTime() + duration * 60000);
-    
-    // Verifică dacă este duminică (0 = Duminică)
-    const dayOfWeek = date.getDay();
-    if (dayOfWeek === 0) {
-      return false; // Duminica este închis
-    }
-    
-    // Verifică programul de lucru - ACTUALIZAT pentru sâmbătă 10-13
-    const hour = parseInt(time.split(':')[0]);
-    const minute = parseInt(time.split(':')[1]);
-    const timeInMinutes = hour * 60 + minute;
-    const endTimeInMinutes = timeInMinutes + duration;
-    
-    if (dayOfWeek === 6) { // Sâmbătă - program special 10:00-13:00
-      const saturdayStart = 10 * 60; // 10:00
-      const saturdayEnd = 13 * 60;   // 13:00
-      
-      if (timeInMinutes < saturdayStart || endTimeInMinutes > saturdayEnd) {
-        return false;
-      }
-    } else { // Luni-Vineri - program normal 10:00-19:00
-      const weekdayStart = 10 * 60; // 10:00
-      const weekdayEnd = 19 * 60;   // 19:00
-      
-      if (timeInMinutes < weekdayStart || endTimeInMinutes > weekdayEnd) {
-        return false;
-      }
-    }
-    
-    // Găsește intervalul de serviciu pentru a verifica toate orele ocupate
-    const services = await Service.find();
-    const serviceIds = services.map(s => s._id);
-    
-    // Verifică lock-urile pentru toate serviciile (orice serviciu poate bloca o oră)
-    const activeLocks = await TimeLock.find({
-      date: {
-        $gte: new Date(date.toDateString()),
-        $lt: new Date(new Date(date.toDateString()).getTime() + 24 * 60 * 60 * 1000)
-      },
-      serviceId: { $in: serviceIds }
-    }).limit(50);
-    
-    // Verifică dacă ora curentă este locked
-    for (const lock of activeLocks) {
-      // Găsește serviciul pentru lock pentru a determina durata
-      const lockService = services.find(s => s._id === lock.serviceId);
-      if (!lockService) continue;
-      
-      const lockStartTime = new Date(`${lock.date.toDateString()} ${lock.time}`);
-      const lockEndTime = new Date(lockStartTime.getTime() + lockService.duration * 60000);
-      
-      // Verifică dacă există suprapunere
-      if (
-        (startTime >= lockStartTime && startTime < lockEndTime) || 
-        (endTime > lockStartTime && endTime <= lockEndTime) ||
-        (startTime <= lockStartTime && endTime >= lockEndTime)
-      ) {
-        logger.info(`Time slot ${time} is locked by session ${lock.lockedBy}`);
-        return false;
-      }
-    }
-    
-    // Limitare rezultate pentru performanță
-    const overlappingBookings = await Booking.find({
-      date: {
-        $gte: new Date(date.toDateString()),
-        $lt: new Date(new Date(date.toDateString()).getTime() + 24 * 60 * 60 * 1000)
-      },
-      status: { $in: ['pending', 'confirmed'] }
-    }).populate('service').limit(50);
-
-    // Check for overlaps cu rezervările existente
-    for (const booking of overlappingBookings) {
-      const service = await Service.findById(booking.service);
-      if (!service) continue;
-      
-      const bookingStartTime = new Date(`${booking.date.toDateString()} ${booking.time}`);
-      const bookingEndTime = new Date(bookingStartTime.getTime() + service.duration * 60000);
-      
-      // Check if there's an overlap
-      if (
-        (startTime >= bookingStartTime && startTime < bookingEndTime) || 
-        (endTime > bookingStartTime && endTime <= bookingEndTime) ||
-        (startTime <= bookingStartTime && endTime >= bookingEndTime)
-      ) {
-        return false;
-      }
-    }
-    
-    // Verifică din nou dacă data/ora a fost blocată între timp (previne race conditions)
-    const finalBlockCheck = await BlockedDate.isDateTimeBlocked(date, time);
-    if (finalBlockCheck.isBlocked) {
-      logger.info(`Time slot ${time} on ${date.toDateString()} was blocked during reservation process`);
-      return false;
-    }
-
-    // Verifică din nou dacă toată ziua a fost blocată
-    const finalDayBlockCheck = await BlockedDate.isDateTimeBlocked(date);
-    if (finalDayBlockCheck.isBlocked && finalDayBlockCheck.type === 'fullDay') {
-      logger.info(`Full day ${date.toDateString()} was blocked during reservation process`);
-      return false;
-    }
-    
-    return true;
-  } catch (error) {
-    logger.error('Error checking time slot availability:', error);
-    return false; // În caz de eroare, presupunem că slotul nu este disponibil
-  }
-};
-
-// Create models
-const Service = mongoose.model('Service', serviceSchema);
-const Booking = mongoose.model('Booking', bookingSchema);
-const BlockedUser = mongoose.model('BlockedUser', blockedUserSchema);
-const User = mongoose.model('User', userSchema);
-// Redenumit din SMSUsage în EmailUsage
-const EmailUsage = mongoose.model('EmailUsage', emailUsageSchema);
-
-// Initialize default services if none exist
-const initializeServices = async () => {
-  try {
-    // Limităm inițializarea serviciilor doar în dezvoltare sau când se cere explicit
-    if (NODE_ENV === 'production' && process.env.INIT_SERVICES !== 'true') {
-      logger.info('Skipping service initialization in production');
-      return;
-    }
-    
-    const count = await Service.countDocuments();
-    if (count === 0) {
-      await Service.create([
-        { _id: 1, name: 'Tuns', duration: 30, price: 80 },
-        { _id: 2, name: 'Tuns & Barba', duration: 30, price: 100 },
-        { _id: 3, name: 'Precision Haircut', duration: 60, price: 150 }
-      ]);
-      logger.info('Default services created');
-    }
-  } catch (error) {
-    logger.error('Error initializing services:', error);
-  }
-};
-
-// Improved MongoDB connection with error handling
-const connect = async () => {
-  try {
-    // Log connection info (fără credențiale)
-    const sanitizedUrl = MONGO_URL ? MONGO_URL.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@') : 'undefined';
-    logger.info(`Connecting to MongoDB in ${NODE_ENV} mode: ${sanitizedUrl}`);
-    
-    // Configurare opțiuni de conexiune cu focus pe securitate și stabilitate
-    const connectionOptions = {
-      serverSelectionTimeoutMS: 10000,
-      socketTimeoutMS: 45000,
-      family: 4,
-      maxPoolSize: 10
-    };
-    
-    // Opțiuni extra în producție
-    if (NODE_ENV === 'production') {
-      connectionOptions.retryWrites = true;
-      connectionOptions.retryReads = true;
-      connectionOptions.connectTimeoutMS = 30000;
-    }
-    
-    await mongoose.connect(MONGO_URL, connectionOptions);
-    logger.info(`Connected to MongoDB in ${NODE_ENV} mode`);
-    
-    // Inițializează serviciile
-    await initializeServices();
-    
-    return true;
-  } catch (error) {
-    logger.error('MongoDB connection error:', error);
-    
-    // În producție, opriți aplicația dacă nu se poate conecta
-    if (NODE_ENV === 'production') {
-      logger.error('Failed to connect to MongoDB in production. Exiting.');
-      process.exit(1);
-    }
-    
-    return false;
-  }
-};
-
-// Graceful disconnect
-const disconnect = async () => {
-  try {
-    await mongoose.disconnect();
-    logger.info('Disconnected from MongoDB');
-    return true;
-  } catch (error) {
-    logger.error('Error disconnecting from MongoDB:', error);
-    return false;
-  }
-};
-
-// Funcție nouă pentru generarea orelor disponibile cu programul actualizat
-const generateAvailableTimeSlots = async (date, duration) => {
-  try {
-    const dayOfWeek = date.getDay();
-    
-    // Verifică dacă este duminică
-    if (dayOfWeek === 0) {
-      return [];
-    }
-    
-    // Verifică dacă toată ziua este blocată
-    const dayBlockCheck = await BlockedDate.isDateTimeBlocked(date);
-    if (dayBlockCheck.isBlocked && dayBlockCheck.type === 'fullDay') {
-      return [];
-    }
-    
-    let startHour, endHour;
-    
-    if (dayOfWeek === 6) { // Sâmbătă - program special 10:00-13:00
-      startHour = 10;
-      endHour = 13;
-    } else { // Luni-Vineri - program normal 10:00-19:00
-      startHour = 10;
-      endHour = 19;
-    }
-    
-    const timeSlots = [];
-    
-    // Generate slots every 30 minutes
-    for (let hour = startHour; hour < endHour; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        // Format time string with leading zeros
-        const startTime = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-        
-        // Skip slots that would extend beyond closing time
-        const startTimeInMinutes = hour * 60 + minute;
-        const endTimeInMinutes = startTimeInMinutes + duration;
-        
-        if (endTimeInMinutes > endHour * 60) {
-          continue;
-        }
-        
-        // Check if the time slot is available
-        const available = await isTimeSlotAvailable(date, startTime, duration);
-        
-        if (available) {
-          timeSlots.push(startTime);
-        }
-      }
-    }
-    
-    return timeSlots;
-  } catch (error) {
-    logger.error('Error generating available time slots:', error);
-    return [];
-  }
-};
-
-
-
-module.exports = {
-  Service,
-  Booking,
-  BlockedUser,
-  User,
-  EmailUsage,
-  initializeServices,
-  isTimeSlotAvailable,
-  generateAvailableTimeSlots, 
-  connect,
-  disconnect
+// models/Booking.js - Versiune actualizată pentru sistemul de email
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const BlockedDate = require('./BlockedDates');
+const BlockRule = require('./BlockRule');
+const HolidayOverride = require('./HolidayOverride');
+const TimeLock = require('./TimeLock');
+const BusinessSchedule = require('./BusinessSchedule');
+const Client = require('./Client');
+const { timeToMinutes, rangesOverlap } = require('../utils/timeUtils');
+const { toCalendarDate, getDayRange, getBusinessToday, getAppointmentInstants } = require('../utils/timezone');
+const { MAX_BOOKING_DURATION, getRecordServiceIds, bundleFromMap } = require('../utils/serviceBundle');
+require('dotenv').config();
+
+
+// Environment variables - fără credențiale hardcodate
+const NODE_ENV = process.env.NODE_ENV || 'production';
+const MONGO_URL = process.env.MONGO_URL || (NODE_ENV === 'production' 
+  ? null // În producție, trebuie să fie configurat în variabilele de mediu
+  : 'mongodb://localhost:27017/barbershop'); // Local development fallback
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BOOKING-MODEL');
+
+// Verifică dacă MONGO_URL este setat în producție
+if (NODE_ENV === 'production' && !process.env.MONGO_URL) {
+  logger.error('ERROR: MONGO_URL environment variable is required in production!');
+  process.exit(1);
+}
+
+// Codurile de verificare: valabilitate, numărul de încercări greșite permise și cheia pentru hash
+const VERIFICATION_CODE_EXPIRY_MINS = parseInt(process.env.VERIFICATION_CODE_EXPIRY_MINS) || 15;
+const MAX_VERIFICATION_ATTEMPTS = parseInt(process.env.MAX_VERIFICATION_ATTEMPTS) || 5;
+const VERIFICATION_CODE_SECRET = process.env.VERIFICATION_CODE_SECRET || process.env.JWT_SECRET || 'dev_verification_secret';
+
+// Services Schema
+const serviceSchema = new mongoose.Schema({
+  _id: {
+    type: Number,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  duration: {
+    type: Number,  // Duration in minutes
+    required: true,
+    min: 5,
+    max: 240
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  // Timp de pregătire înainte de serviciu (minute)
+  bufferBefore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 60
+  },
+  // Timp de curățenie după serviciu (minute)
+  bufferAfter: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 60
+  },
+  // Antecedența minimă a unei rezervări (minute; null = valoarea implicită)
+  minLeadMinutes: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 10080
+  },
+  // Cu câte zile în avans se poate rezerva cel mult (null = valoarea implicită)
+  maxDaysAhead: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 365
+  }
+});
+
+/**
+ * Metodă pentru timpii de pauză ai serviciului
+ * @returns {{bufferBefore: number, bufferAfter: number}}
+ */
+serviceSchema.methods.getBuffers = function() {
+  return {
+    bufferBefore: this.bufferBefore || 0,
+    bufferAfter: this.bufferAfter || 0
+  };
+};
+
+/**
+ * Metodă pentru intervalul ocupat de serviciu, inclusiv timpii de pauză
+ * @param {number} startMinutes - Ora de început a serviciului în minute de la miezul nopții
+ * @returns {{startMinutes: number, endMinutes: number}}
+ */
+serviceSchema.methods.getOccupiedRange = function(startMinutes) {
+  const { bufferBefore, bufferAfter } = this.getBuffers();
+  return {
+    startMinutes: startMinutes - bufferBefore,
+    endMinutes: startMinutes + this.duration + bufferAfter
+  };
+};
+
+/**
+ * Metodă pentru regulile de rezervare proprii serviciului (null = nesetat)
+ * @returns {{minLeadMinutes: number|null, maxDaysAhead: number|null}}
+ */
+serviceSchema.methods.getBookingRules = function() {
+  return {
+    minLeadMinutes: this.minLeadMinutes ?? null,
+    maxDaysAhead: this.maxDaysAhead ?? null
+  };
+};
+
+/**
+ * Metodă statică pentru serviciile unei rezervări combinate (durata și prețul totale)
+ * @param {Array<number>} serviceIds - ID-urile serviciilor, în ordine
+ * @returns {Promise<Object|null>} - Serviciile combinate sau null dacă un serviciu nu există
+ */
+serviceSchema.statics.findBundle = async function(serviceIds) {
+  if (!serviceIds || serviceIds.length === 0) {
+    return null;
+  }
+  
+  const services = await this.find({ _id: { $in: serviceIds } });
+  return bundleFromMap(new Map(services.map(service => [service._id, service])), serviceIds);
+};
+
+// Tranzițiile de status permise: o rezervare poate trece doar în statusurile din listă.
+// declined, cancelled, completed și no_show sunt finale
+const BOOKING_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'declined', 'cancelled'],
+  confirmed: ['completed', 'no_show', 'declined', 'cancelled'],
+  declined: [],
+  cancelled: [],
+  completed: [],
+  no_show: []
+};
+
+// Intrare în istoricul unei rezervări: ce s-a schimbat, cine a făcut schimbarea și când
+const statusHistorySchema = new mongoose.Schema({
+  // Statusul rezervării după schimbare
+  status: {
+    type: String,
+    required: true
+  },
+  // Statusul dinainte (lipsește la intrările care nu schimbă statusul, de ex. reprogramări)
+  previousStatus: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  // Cine a făcut schimbarea (ex: 'client', numele frizerului, 'system')
+  actor: {
+    type: String,
+    maxlength: 100,
+    default: 'system'
+  },
+  // staff = utilizator din dashboard, client = prin link-ul din email, system = job automat
+  actorType: {
+    type: String,
+    enum: ['staff', 'client', 'system'],
+    default: 'system'
+  },
+  // ID-ul utilizatorului, pentru modificările făcute din dashboard
+  actorId: {
+    type: String,
+    default: null
+  },
+  // Motivul schimbării
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Data și ora dinaintea unei reprogramări
+  previousDate: {
+    type: Date
+  },
+  previousTime: {
+    type: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Booking Schema (actualizat pentru a include referința la Client și câmpul email)
+const bookingSchema = new mongoose.Schema({
+  // Referință către Client
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  // Păstrăm aceste câmpuri pentru compatibilitate descendentă
+  clientName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30 // Mărit pentru a permite numere internaționale
+  },
+  // Adăugăm câmpul email (lipsește doar la rezervările create de personal pentru clienți fără email)
+  email: {
+    type: String,
+    required: function() {
+      return !this.createdByStaff;
+    },
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Introduceți un email valid']
+  },
+  // Primul serviciu al rezervării (păstrat pentru compatibilitate și interogări)
+  service: {
+    type: Number,
+    ref: 'Service',
+    required: true
+  },
+  // Toate serviciile rezervării, în ordinea în care se fac (gol pentru rezervările mai vechi)
+  services: {
+    type: [Number],
+    default: []
+  },
+  // Frizerul alocat (null pentru rezervările făcute înainte de suportul multi-frizer)
+  barber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true,
+    match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/
+  },
+  // Începutul și sfârșitul programării (UTC), calculate din date/time în fusul orar al afacerii
+  startAt: {
+    type: Date
+  },
+  endAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    // no_show = rezervare confirmată la care clientul nu s-a prezentat
+    enum: ['pending', 'confirmed', 'declined', 'completed', 'cancelled', 'no_show'],
+    default: 'pending'
+  },
+  // Codul de verificare este păstrat doar ca hash (HMAC legat de rezervare)
+  verificationCodeHash: {
+    type: String
+  },
+  verificationExpiresAt: {
+    type: Date
+  },
+  // Încercările greșite pentru codul curent; la MAX_VERIFICATION_ATTEMPTS rezervarea este anulată
+  verificationAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  // Modificat din smsCount în emailCount
+  emailCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 20
+  },
+  // Modificat din lastSmsSentAt în lastEmailSentAt
+  lastEmailSentAt: {
+    type: Date
+  },
+  // Notificările prin SMS au limite separate, după modelul celor de email
+  smsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastSmsSentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Câmpuri noi pentru îmbunătățirea sistemului
+  completedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Câmp pentru a stoca codul țării/prefixul
+  countryCode: {
+    type: String,
+    trim: true,
+    maxlength: 5,
+    default: '+40' // Implicit România
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  // Seria recurentă din care face parte rezervarea (null = programare unică)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    default: null
+  },
+  // Recurența cerută de client la rezervare (săptămâni); seria se creează la confirmare
+  requestedRecurrenceWeeks: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 12
+  },
+  // Rezervarea de grup (intervale consecutive, câte unul pentru fiecare persoană; null = rezervare individuală).
+  // clientName este numele persoanei, groupOrganizer numele celui care a făcut rezervarea
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  groupPosition: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  groupOrganizer: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  // Rezervare adăugată din dashboard (client sosit direct sau programat telefonic), fără verificare pe email
+  createdByStaff: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Adăugăm indecși pentru îmbunătățirea performanței
+bookingSchema.index({ client: 1 });
+bookingSchema.index({ phoneNumber: 1 });
+bookingSchema.index({ email: 1 }); // Nou index pentru email
+bookingSchema.index({ date: 1, status: 1 });
+bookingSchema.index({ barber: 1, date: 1, status: 1 });
+bookingSchema.index({ status: 1, verified: 1 });
+bookingSchema.index({ createdAt: 1 });
+bookingSchema.index({ startAt: 1, status: 1 });
+bookingSchema.index({ series: 1, date: 1 });
+bookingSchema.index({ group: 1 });
+
+/**
+ * Metodă pentru adăugarea unei intrări în istoricul rezervării (statusul curent este preluat automat)
+ * @param {string} action - Acțiunea făcută (ex: 'cancelled_by_client')
+ * @param {Object} details - { actor, actorType, actorId, note, previousStatus, previousDate, previousTime }
+ */
+bookingSchema.methods.addHistoryEntry = function(action, details = {}) {
+  const {
+    actor = 'system',
+    actorType = actor === 'client' ? 'client' : actor === 'system' ? 'system' : 'staff',
+    actorId = null,
+    note,
+    previousStatus,
+    previousDate,
+    previousTime
+  } = details;
+  this.statusHistory.push({
+    status: this.status,
+    previousStatus,
+    action,
+    actor,
+    actorType,
+    actorId,
+    note,
+    previousDate,
+    previousTime,
+    changedAt: new Date()
+  });
+};
+
+/**
+ * Metodă care verifică dacă rezervarea poate trece în statusul dat
+ * @param {string} status - Noul status
+ * @returns {boolean}
+ */
+bookingSchema.methods.canTransitionTo = function(status) {
+  return (BOOKING_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Metodă pentru schimbarea statusului: singurul loc în care se schimbă statusul unei rezervări.
+ * Tranziția este verificată în tabelul de tranziții și înregistrată în istoric (rezervarea nu este salvată).
+ * Aruncă o eroare cu statusCode 409 dacă tranziția nu este permisă.
+ * @param {string} status - Noul status
+ * @param {Object} details - { action, actor, actorType, actorId, note } - action implicit = noul status
+ */
+bookingSchema.methods.transitionTo = function(status, details = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Tranziție de status nepermisă: ${this.status} → ${status}`);
+    error.statusCode = 409;
+    error.currentStatus = this.status;
+    error.requestedStatus = status;
+    throw error;
+  }
+  
+  const previousStatus = this.status;
+  this.status = status;
+  if (status === 'completed') {
+    this.completedAt = new Date();
+  }
+  
+  const { action = status, ...historyDetails } = details;
+  this.addHistoryEntry(action, { ...historyDetails, previousStatus });
+};
+
+/**
+ * Hash-ul unui cod de verificare pentru o rezervare (același cod dă hash-uri diferite pe rezervări diferite)
+ * @param {string} bookingId - ID-ul rezervării
+ * @param {string} code - Codul de verificare
+ * @returns {string}
+ */
+const hashVerificationCode = (bookingId, code) => {
+  return crypto.createHmac('sha256', VERIFICATION_CODE_SECRET)
+    .update(`${bookingId}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Metodă pentru setarea unui cod de verificare nou: salvează hash-ul, expirarea și resetează încercările
+ * (rezervarea nu este salvată)
+ * @param {string} code - Codul trimis clientului
+ * @returns {Date} - Momentul expirării codului
+ */
+bookingSchema.methods.setVerificationCode = function(code) {
+  this.verificationCodeHash = hashVerificationCode(this._id, code);
+  this.verificationExpiresAt = new Date(Date.now() + VERIFICATION_CODE_EXPIRY_MINS * 60 * 1000);
+  this.verificationAttempts = 0;
+  return this.verificationExpiresAt;
+};
+
+/**
+ * Metodă care compară un cod cu hash-ul salvat (comparație în timp constant)
+ * @param {string} code - Codul introdus de client
+ * @returns {boolean}
+ */
+bookingSchema.methods.matchesVerificationCode = function(code) {
+  if (!this.verificationCodeHash || typeof code !== 'string') {
+    return false;
+  }
+  
+  return crypto.timingSafeEqual(
+    Buffer.from(this.verificationCodeHash, 'hex'),
+    Buffer.from(hashVerificationCode(this._id, code), 'hex')
+  );
+};
+
+/**
+ * Metodă care verifică dacă a expirat codul de verificare curent
+ * @returns {boolean}
+ */
+bookingSchema.methods.isVerificationCodeExpired = function() {
+  return !this.verificationExpiresAt || this.verificationExpiresAt.getTime() <= Date.now();
+};
+
+/**
+ * Metodă pentru serviciile rezervării, în ordine (rezervările vechi au un singur serviciu)
+ * @returns {Array<number>}
+ */
+bookingSchema.methods.getServiceIds = function() {
+  return getRecordServiceIds(this);
+};
+
+/**
+ * Metodă pentru rezervările din același grup cu statusul dat, inclusiv aceasta, în ordinea intervalelor
+ * @param {string} status - Statusul căutat (rezervarea curentă este inclusă oricum)
+ * @returns {Promise<Array<Object>>} - [this] pentru o rezervare individuală
+ */
+bookingSchema.methods.getGroupMembers = async function(status) {
+  if (!this.group) {
+    return [this];
+  }
+  
+  const others = await this.constructor.find({
+    group: this.group,
+    status,
+    _id: { $ne: this._id }
+  });
+  return [this, ...others].sort((a, b) => a.groupPosition - b.groupPosition);
+};
+
+// Păstrează data normalizată (miezul nopții UTC al zilei) și momentele startAt/endAt sincronizate
+bookingSchema.pre('save', async function(next) {
+  try {
+    // Primul serviciu din listă rămâne și în câmpul service
+    if (this.services.length > 0 && this.service !== this.services[0]) {
+      this.service = this.services[0];
+    }
+    
+    if (this.isNew || this.isModified('date') || this.isModified('time') || this.isModified('service') ||
+        this.isModified('services') || !this.startAt) {
+      this.date = toCalendarDate(this.date);
+      
+      const bundle = await mongoose.model('Service').findBundle(this.getServiceIds());
+      const duration = bundle ? bundle.duration : 0;
+      const { startAt, endAt } = getAppointmentInstants(this.date, this.time, duration);
+      this.startAt = startAt;
+      this.endAt = endAt;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Blocked Users Schema 
+const blockedUserSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 30
+  },
+  // Adăugăm câmpul email pentru blocaje
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Introduceți un email valid']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  blockedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Modificat din SMSUsage în EmailUsage
+const emailUsageSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+});
+
+// UPDATED: findOrCreateDailyUsage method cu validare îmbunătățită pentru email
+emailUsageSchema.statics.findOrCreateDailyUsage = async function(email) {
+  // Validare email
+  if (!email || typeof email !== 'string' || email.length > 100) {
+    throw new Error('Invalid email');
+  }
+  
+  const cleanEmail = email.trim().toLowerCase().substring(0, 100);
+  const today = getBusinessToday();
+  
+  try {
+    let usage = await this.findOne({
+      email: cleanEmail,
+      date: {
+        $gte: today,
+        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+      }
+    });
+    
+    if (!usage) {
+      usage = new this({
+        email: cleanEmail,
+        date: today,
+        count: 0
+      });
+      await usage.save();
+    }
+    
+    return usage;
+  } catch (error) {
+    logger.error('Error in findOrCreateDailyUsage:', error);
+    throw error;
+  }
+};
+
+// Numărul de SMS-uri trimise zilnic către un număr de telefon (la fel ca EmailUsage)
+const smsUsageSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+});
+
+smsUsageSchema.index({ phoneNumber: 1, date: 1 });
+
+/**
+ * Metodă statică pentru înregistrarea zilei curente a unui număr de telefon
+ * @param {string} phoneNumber - Numărul de telefon (normalizat)
+ * @returns {Promise<Object>}
+ */
+smsUsageSchema.statics.findOrCreateDailyUsage = async function(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string' || phoneNumber.length > 30) {
+    throw new Error('Invalid phone number');
+  }
+  
+  const today = getBusinessToday();
+  
+  let usage = await this.findOne({
+    phoneNumber,
+    date: {
+      $gte: today,
+      $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+    }
+  });
+  
+  if (!usage) {
+    usage = new this({ phoneNumber, date: today, count: 0 });
+    await usage.save();
+  }
+  
+  return usage;
+};
+
+// Admin User Schema
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 30,
+    match: /^[a-zA-Z0-9_]+$/
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'barber'],
+    default: 'barber'
+  },
+  // Numele afișat clienților la alegerea frizerului
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  // Adresa la care frizerul primește notificări despre rezervările sale (opțională)
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Introduceți un email valid']
+  },
+  lastLogin: {
+    type: Date
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
+/**
+ * Metodă statică pentru obținerea frizerilor activi care pot primi rezervări
+ * @returns {Promise<Array>} - Lista frizerilor (fără parolă)
+ */
+userSchema.statics.getActiveBarbers = async function() {
+  return this.find({ role: 'barber', active: true })
+    .select('_id username displayName')
+    .sort({ username: 1 });
+};
+
+/**
+ * Metodă pentru numele afișat al unui utilizator
+ * @returns {string}
+ */
+userSchema.methods.getDisplayName = function() {
+  return this.displayName || this.username;
+};
+
+/**
+ * Filtru pentru rezervările/lock-urile care ocupă un frizer:
+ * cele alocate lui și cele fără frizer (care blochează pe toată lumea)
+ * @param {string|null} barberId - ID-ul frizerului (null = un singur scaun)
+ * @returns {Object} - Condiția MongoDB
+ */
+const buildBarberFilter = (barberId) => {
+  return barberId ? { barber: { $in: [barberId, null] } } : {};
+};
+
+// Helper function: verificarea finală, îngust delimitată, a unui singur interval orar
+// (per frizer dacă barberId este specificat, altfel pentru un singur scaun).
+// Pentru listarea sloturilor se folosește motorul din utils/availability.js; această funcție
+// rămâne verificarea făcută la blocarea intervalului, pentru corectitudine la cereri concurente.
+// Opțiuni: bufferBefore/bufferAfter (timpii de pauză ai serviciului nou),
+// excludeLockedBy (ignoră lock-ul propriu al sesiunii la re-verificare) și
+// excludeBookingId (ignoră rezervarea care este mutată, la reprogramare).
+const isTimeSlotAvailable = async (date, time, duration, barberId = null, options = {}) => {
+  try {
+    // Validare input
+    if (!date || !time || isNaN(duration)) {
+      logger.error('Invalid parameters for isTimeSlotAvailable');
+      return false;
+    }
+    
+    // Limitare durata pentru securitate
+    if (duration <= 0 || duration > MAX_BOOKING_DURATION) {
+      logger.error('Invalid duration value');
+      return false;
+    }
+    
+    // Validare format timp
+    if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+      logger.error('Invalid time format');
+      return false;
+    }
+    
+    if (!toCalendarDate(date)) {
+      logger.error('Invalid date/time format');
+      return false;
+    }
+    const { start: dayStart, end: dayEnd } = getDayRange(date);
+    
+    // Intervalul ocupat de noua rezervare, inclusiv pregătirea și curățenia
+    const { bufferBefore = 0, bufferAfter = 0, excludeLockedBy = null, excludeBookingId = null } = options;
+    const startMinutes = timeToMinutes(time) - bufferBefore;
+    const endMinutes = timeToMinutes(time) + duration + bufferAfter;
+    
+    // Verifică programul de lucru configurat (zile închise, intervale multiple pe zi)
+    const fitsSchedule = await BusinessSchedule.fitsWithinBusinessHours(date, time, duration);
+    if (!fitsSchedule) {
+      return false;
+    }
+    
+    // O singură citire pentru fiecare sursă de date, limitată la ziua și frizerul relevant
+    const [blockedDate, dayRules, holiday, services, activeLocks, dayBookings] = await Promise.all([
+      BlockedDate.findOne({ date: { $gte: dayStart, $lt: dayEnd } }).maxTimeMS(5000),
+      BlockRule.findForDate(dayStart),
+      HolidayOverride.getClosureForDate(dayStart),
+      Service.find().select('_id duration bufferBefore bufferAfter'),
+      TimeLock.find({
+        date: { $gte: dayStart, $lt: dayEnd },
+        ...buildBarberFilter(barberId),
+        ...(excludeLockedBy ? { lockedBy: { $ne: excludeLockedBy } } : {})
+      }).select('time serviceId services lockedBy').limit(50),
+      Booking.find({
+        date: { $gte: dayStart, $lt: dayEnd },
+        status: { $in: ['pending', 'confirmed'] },
+        ...buildBarberFilter(barberId),
+        ...(excludeBookingId ? { _id: { $ne: excludeBookingId } } : {})
+      }).select('time service services').limit(50)
+    ]);
+    
+    // Verifică dacă ziua sau ora a fost blocată (previne race conditions cu adminul)
+    if (blockedDate && blockedDate.getBlockStatus(time).isBlocked) {
+      logger.info(`Time slot ${time} on ${dayStart.toISOString().split('T')[0]} is blocked`);
+      return false;
+    }
+    
+    // Sărbătorile legale închid toată ziua
+    if (holiday) {
+      logger.info(`Time slot ${time} on ${holiday.dateKey} is closed for ${holiday.name}`);
+      return false;
+    }
+    
+    // Regulile recurente blochează orice programare care se suprapune cu intervalul lor
+    if (dayRules.some(rule => rule.getBlockStatus(time, duration).isBlocked)) {
+      logger.info(`Time slot ${time} on ${dayStart.toISOString().split('T')[0]} is blocked by a recurring rule`);
+      return false;
+    }
+    
+    const servicesById = new Map(services.map(s => [s._id, s]));
+    // Rezervările și lock-urile cu mai multe servicii ocupă intervalul tuturor serviciilor
+    const overlapsWith = (record) => {
+      const otherService = bundleFromMap(servicesById, getRecordServiceIds(record));
+      if (!otherService) return false;
+      
+      const otherRange = otherService.getOccupiedRange(timeToMinutes(record.time));
+      return rangesOverlap(startMinutes, endMinutes, otherRange.startMinutes, otherRange.endMinutes);
+    };
+    
+    // Verifică lock-urile (orice serviciu poate bloca o oră)
+    const conflictingLock = activeLocks.find(lock => overlapsWith(lock));
+    if (conflictingLock) {
+      logger.info(`Time slot ${time} is locked by session ${conflictingLock.lockedBy}`);
+      return false;
+    }
+    
+    // Check for overlaps cu rezervările existente (inclusiv timpii de pauză)
+    if (dayBookings.some(booking => overlapsWith(booking))) {
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('Error checking time slot availability:', error);
+    return false; // În caz de eroare, presupunem că slotul nu este disponibil
+  }
+};
+
+/**
+ * Găsește un frizer liber pentru intervalul dat ("oricare frizer disponibil").
+ * Frizerii cu mai puține rezervări în acea zi au prioritate.
+ * Fără frizeri configurați se verifică disponibilitatea unui singur scaun.
+ * @param {Date} date - Data programării
+ * @param {string} time - Ora de început (HH:MM)
+ * @param {number} duration - Durata totală a serviciilor în minute
+ * @param {Object} options - Opțiunile transmise către isTimeSlotAvailable ({ bufferBefore, bufferAfter, excludeLockedBy, excludeBookingId })
+ * @returns {Promise<{available: boolean, barber: Object|null}>}
+ */
+const findAvailableBarber = async (date, time, duration, options = {}) => {
+  try {
+    const barbers = await User.getActiveBarbers();
+    
+    if (barbers.length === 0) {
+      const available = await isTimeSlotAvailable(date, time, duration, null, options);
+      return { available, barber: null };
+    }
+    
+    // Numărul de rezervări active din ziua respectivă pentru fiecare frizer
+    const { start: dayStart, end: dayEnd } = getDayRange(date);
+    const dayCounts = await Booking.aggregate([
+      {
+        $match: {
+          barber: { $in: barbers.map(b => b._id) },
+          date: { $gte: dayStart, $lt: dayEnd },
+          status: { $in: ['pending', 'confirmed'] }
+        }
+      },
+      { $group: { _id: '$barber', count: { $sum: 1 } } }
+    ]);
+    
+    const countFor = (barber) => {
+      const entry = dayCounts.find(c => c._id.equals(barber._id));
+      return entry ? entry.count : 0;
+    };
+    const orderedBarbers = [...barbers].sort((a, b) => countFor(a) - countFor(b));
+    
+    for (const barber of orderedBarbers) {
+      if (await isTimeSlotAvailable(date, time, duration, barber._id, options)) {
+        return { available: true, barber };
+      }
+    }
+    
+    return { available: false, barber: null };
+  } catch (error) {
+    logger.error('Error finding available barber:', error);
+    return { available: false, barber: null };
+  }
+};
+
+// Create models
+const Service = mongoose.model('Service', serviceSchema);
+const Booking = mongoose.model('Booking', bookingSchema);
+const BlockedUser = mongoose.model('BlockedUser', blockedUserSchema);
+const User = mongoose.model('User', userSchema);
+// Redenumit din SMSUsage în EmailUsage
+const EmailUsage = mongoose.model('EmailUsage', emailUsageSchema);
+const SmsUsage = mongoose.model('SmsUsage', smsUsageSchema);
+
+// Acțiunile înregistrate în istoricul rezervărilor
+Booking.HISTORY_ACTIONS = {
+  CANCELLED_BY_CLIENT: 'cancelled_by_client',
+  RESCHEDULED_BY_CLIENT: 'rescheduled_by_client',
+  RESCHEDULED_BY_STAFF: 'rescheduled_by_staff',
+  CREATED_FROM_SERIES: 'created_from_series',
+  SERIES_CANCELLED: 'series_cancelled',
+  CREATED_BY_STAFF: 'created_by_staff',
+  SUSPENDED: 'suspended',
+  BLOCKED_CLIENT: 'declined_client_blocked',
+  AUTO_DECLINED: 'auto_declined_expired',
+  VERIFICATION_FAILED: 'cancelled_verification_failed'
+};
+
+Booking.STATUS_TRANSITIONS = BOOKING_STATUS_TRANSITIONS;
+Booking.VERIFICATION_CODE_EXPIRY_MINS = VERIFICATION_CODE_EXPIRY_MINS;
+Booking.MAX_VERIFICATION_ATTEMPTS = MAX_VERIFICATION_ATTEMPTS;
+
+// Initialize default services if none exist
+const initializeServices = async () => {
+  try {
+    // Limităm inițializarea serviciilor doar în dezvoltare sau când se cere explicit
+    if (NODE_ENV === 'production' && process.env.INIT_SERVICES !== 'true') {
+      logger.info('Skipping service initialization in production');
+      return;
+    }
+    
+    const count = await Service.countDocuments();
+    if (count === 0) {
+      await Service.create([
+        { _id: 1, name: 'Tuns', duration: 30, price: 80 },
+        { _id: 2, name: 'Tuns & Barba', duration: 30, price: 100 },
+        { _id: 3, name: 'Precision Haircut', duration: 60, price: 150 }
+      ]);
+      logger.info('Default services created');
+    }
+  } catch (error) {
+    logger.error('Error initializing services:', error);
+  }
+};
+
+// Migrează rezervările salvate înainte de stocarea momentelor UTC: normalizează data
+// la ziua din fusul orar al afacerii și calculează startAt/endAt din date/time
+const migrateAppointmentInstants = async () => {
+  try {
+    const services = await Service.find().select('_id duration');
+    const durations = new Map(services.map(service => [service._id, service.duration]));
+    
+    const bookings = await Booking.find({ startAt: { $exists: false } }).select('date time service');
+    if (bookings.length > 0) {
+      await Booking.bulkWrite(bookings.map(booking => {
+        const date = toCalendarDate(booking.date);
+        const { startAt, endAt } = getAppointmentInstants(date, booking.time, durations.get(booking.service) || 0);
+        return {
+          updateOne: {
+            filter: { _id: booking._id },
+            update: { $set: { date, startAt, endAt } }
+          }
+        };
+      }));
+      logger.info(`Migrated ${bookings.length} bookings to UTC appointment instants`);
+    }
+    
+    // Datele blocate salvate cu ora locală a serverului
+    const blockedDates = await BlockedDate.find().select('date');
+    const blockedUpdates = blockedDates
+      .map(blockedDate => ({ blockedDate, date: toCalendarDate(blockedDate.date) }))
+      .filter(({ blockedDate, date }) => date.getTime() !== blockedDate.date.getTime())
+      .map(({ blockedDate, date }) => ({
+        updateOne: {
+          filter: { _id: blockedDate._id },
+          update: { $set: { date } }
+        }
+      }));
+    
+    if (blockedUpdates.length > 0) {
+      await BlockedDate.bulkWrite(blockedUpdates);
+      logger.info(`Normalized ${blockedUpdates.length} blocked dates to calendar days`);
+    }
+  } catch (error) {
+    logger.error('Error migrating appointment instants:', error);
+  }
+};
+
+// Improved MongoDB connection with error handling
+const connect = async () => {
+  try {
+    // Log connection info (fără credențiale)
+    const sanitizedUrl = MONGO_URL ? MONGO_URL.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@') : 'undefined';
+    logger.info(`Connecting to MongoDB in ${NODE_ENV} mode: ${sanitizedUrl}`);
+    
+    // Configurare opțiuni de conexiune cu focus pe securitate și stabilitate
+    const connectionOptions = {
+      serverSelectionTimeoutMS: 10000,
+      socketTimeoutMS: 45000,
+      family: 4,
+      maxPoolSize: 10
+    };
+    
+    // Opțiuni extra în producție
+    if (NODE_ENV === 'production') {
+      connectionOptions.retryWrites = true;
+      connectionOptions.retryReads = true;
+      connectionOptions.connectTimeoutMS = 30000;
+    }
+    
+    await mongoose.connect(MONGO_URL, connectionOptions);
+    logger.info(`Connected to MongoDB in ${NODE_ENV} mode`);
+    
+    // Inițializează serviciile
+    await initializeServices();
+    
+    // Completează startAt/endAt pentru rezervările existente
+    await migrateAppointmentInstants();
+    
+    // Actualizează indecșii lock-urilor (indexul unic include acum frizerul)
+    try {
+      await TimeLock.syncIndexes();
+    } catch (indexError) {
+      logger.error('Error syncing time lock indexes:', indexError);
+    }
+    
+    // Indexul unic pe email-ul clienților este acum sparse (email-ul este opțional)
+    try {
+      await Client.syncIndexes();
+    } catch (indexError) {
+      logger.error('Error syncing client indexes:', indexError);
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('MongoDB connection error:', error);
+    
+    // În producție, opriți aplicația dacă nu se poate conecta
+    if (NODE_ENV === 'production') {
+      logger.error('Failed to connect to MongoDB in production. Exiting.');
+      process.exit(1);
+    }
+    
+    return false;
+  }
+};
+
+// Graceful disconnect
+const disconnect = async () => {
+  try {
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+    return true;
+  } catch (error) {
+    logger.error('Error disconnecting from MongoDB:', error);
+    return false;
+  }
+};
+
+// Generarea orelor disponibile pentru o zi, printr-un singur calcul în memorie
+// (motorul de disponibilitate încarcă o singură dată rezervările, lock-urile, blocările și serviciile)
+// serviceId poate fi și lista serviciilor unei rezervări combinate
+const generateAvailableTimeSlots = async (date, serviceId, barberId = null) => {
+  try {
+    // Încărcat la apel pentru a evita dependența circulară (utils/availability folosește acest modul)
+    const { loadAvailabilityContext, computeDayAvailability } = require('../utils/availability');
+    
+    const context = await loadAvailabilityContext(date, date);
+    const service = bundleFromMap(context.servicesById, Array.isArray(serviceId) ? serviceId : [serviceId]);
+    if (!service) {
+      logger.error(`Service ${serviceId} not found while generating time slots`);
+      return [];
+    }
+    
+    const day = computeDayAvailability(context, date, service, { barberId });
+    return day.slots.filter(slot => slot.available).map(slot => slot.time);
+  } catch (error) {
+    logger.error('Error generating available time slots:', error);
+    return [];
+  }
+};
+
+
+
+module.exports = {
+  Service,
+  Booking,
+  BlockedUser,
+  User,
+  EmailUsage,
+  SmsUsage,
+  initializeServices,
+  isTimeSlotAvailable,
+  findAvailableBarber,
+  generateAvailableTimeSlots, 
+  connect,
+  disconnect
 };
\ No newline at end of file
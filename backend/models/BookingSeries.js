@@ -0,0 +1,217 @@
+// backend/models/BookingSeries.js - Programările recurente ale clienților fideli (ex: la fiecare 3 săptămâni)
+const mongoose = require('mongoose');
+const { TIME_REGEX } = require('../utils/timeUtils');
+const { toCalendarDate, addDays } = require('../utils/timezone');
+const { getRecordServiceIds } = require('../utils/serviceBundle');
+
+// Stările unei serii
+const SERIES_STATUSES = ['active', 'cancelled'];
+
+// Intervalul permis între două programări ale seriei (săptămâni)
+const MIN_INTERVAL_WEEKS = 1;
+const MAX_INTERVAL_WEEKS = 12;
+
+// Câte conflicte se păstrează pe o serie (cele mai vechi sunt eliminate)
+const MAX_STORED_CONFLICTS = 50;
+
+// O programare a seriei care nu a putut fi creată și motivul
+const seriesConflictSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const bookingSeriesSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  clientName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30
+  },
+  // Lipsește pentru seriile clienților adăugați de personal fără email
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  },
+  countryCode: {
+    type: String,
+    trim: true,
+    maxlength: 5,
+    default: '+40'
+  },
+  service: {
+    type: Number,
+    ref: 'Service',
+    required: true
+  },
+  // Toate serviciile programărilor, în ordine (service = primul)
+  services: {
+    type: [Number],
+    default: []
+  },
+  // Frizerul seriei (null = oricare frizer disponibil la fiecare programare)
+  barber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  time: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)']
+  },
+  // Ziua programării de bază; următoarele cad în aceeași zi a săptămânii
+  startDate: {
+    type: Date,
+    required: true
+  },
+  intervalWeeks: {
+    type: Number,
+    required: true,
+    min: MIN_INTERVAL_WEEKS,
+    max: MAX_INTERVAL_WEEKS
+  },
+  // Ultima zi a seriei (null = fără sfârșit, până la anulare)
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Rezervarea din care a pornit seria
+  baseBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: SERIES_STATUSES,
+    default: 'active'
+  },
+  // Până la ce zi au fost deja generate (sau raportate ca fiind în conflict) programările
+  generatedUntil: {
+    type: Date,
+    default: null
+  },
+  conflicts: {
+    type: [seriesConflictSchema],
+    default: []
+  },
+  // Cine a creat seria ('client' sau numele frizerului)
+  createdBy: {
+    type: String,
+    maxlength: 100,
+    default: 'client'
+  },
+  cancelledBy: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Datele se păstrează ca zile calendaristice (miezul nopții UTC)
+bookingSeriesSchema.pre('validate', function(next) {
+  if (this.isModified('startDate') && this.startDate) {
+    this.startDate = toCalendarDate(this.startDate);
+  }
+  if (this.isModified('endDate') && this.endDate) {
+    this.endDate = toCalendarDate(this.endDate);
+  }
+  next();
+});
+
+bookingSeriesSchema.index({ status: 1 });
+bookingSeriesSchema.index({ client: 1 });
+
+/**
+ * Metodă de instanță pentru zilele seriei dintr-un interval, după programarea de bază
+ * @param {Date} from - Prima zi luată în considerare (inclusiv)
+ * @param {Date} to - Ultima zi luată în considerare (inclusiv)
+ * @returns {Array<Date>}
+ */
+bookingSeriesSchema.methods.getOccurrenceDates = function(from, to) {
+  const start = toCalendarDate(from);
+  const end = this.endDate && this.endDate < toCalendarDate(to) ? this.endDate : toCalendarDate(to);
+  const dates = [];
+
+  for (let index = 1; ; index++) {
+    const date = addDays(this.startDate, index * this.intervalWeeks * 7);
+    if (date > end) {
+      break;
+    }
+    if (date >= start) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Metodă de instanță pentru serviciile programărilor seriei, în ordine
+ * @returns {Array<number>}
+ */
+bookingSeriesSchema.methods.getServiceIds = function() {
+  return getRecordServiceIds(this);
+};
+
+/**
+ * Metodă de instanță pentru înregistrarea unei programări care nu a putut fi creată
+ * @param {Date} date - Ziua programării
+ * @param {string} reason - Motivul conflictului
+ */
+bookingSeriesSchema.methods.addConflict = function(date, reason) {
+  this.conflicts.push({ date, time: this.time, reason, detectedAt: new Date() });
+  if (this.conflicts.length > MAX_STORED_CONFLICTS) {
+    this.conflicts.splice(0, this.conflicts.length - MAX_STORED_CONFLICTS);
+  }
+};
+
+/**
+ * Descrierea recurenței pentru mesaje (ex: "la fiecare 3 săptămâni")
+ * @returns {string}
+ */
+bookingSeriesSchema.methods.describeRecurrence = function() {
+  return this.intervalWeeks === 1 ? 'în fiecare săptămână' : `la fiecare ${this.intervalWeeks} săptămâni`;
+};
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+BookingSeries.SERIES_STATUSES = SERIES_STATUSES;
+BookingSeries.MIN_INTERVAL_WEEKS = MIN_INTERVAL_WEEKS;
+BookingSeries.MAX_INTERVAL_WEEKS = MAX_INTERVAL_WEEKS;
+
+module.exports = BookingSeries;
@@ -0,0 +1,405 @@
+// backend/models/BusinessSchedule.js - Programul de lucru săptămânal, sursa unică pentru orele de deschidere
+const mongoose = require('mongoose');
+const { TIME_REGEX, timeToMinutes } = require('../utils/timeUtils');
+const { getDayOfWeek } = require('../utils/timezone');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BUSINESS-SCHEDULE-MODEL');
+
+const DAY_NAMES = ['Duminică', 'Luni', 'Marți', 'Miercuri', 'Joi', 'Vineri', 'Sâmbătă'];
+
+// Granularitățile acceptate pentru sloturile de programare (în minute)
+const SLOT_INTERVALS = [15, 20, 30];
+const DEFAULT_SLOT_INTERVAL = 30;
+
+// Programul implicit (cel folosit înainte de configurarea din baza de date)
+const DEFAULT_WEEKLY_SCHEDULE = [
+  { dayOfWeek: 0, intervals: [] },
+  { dayOfWeek: 1, intervals: [{ start: '10:00', end: '19:00' }] },
+  { dayOfWeek: 2, intervals: [{ start: '10:00', end: '19:00' }] },
+  { dayOfWeek: 3, intervals: [{ start: '10:00', end: '19:00' }] },
+  { dayOfWeek: 4, intervals: [{ start: '10:00', end: '19:00' }] },
+  { dayOfWeek: 5, intervals: [{ start: '10:00', end: '19:00' }] },
+  { dayOfWeek: 6, intervals: [{ start: '10:00', end: '13:00' }] }
+];
+
+// Schema pentru un interval de lucru (ex: 10:00-14:00)
+const intervalSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: [true, 'Ora de început este obligatorie'],
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)']
+  },
+  end: {
+    type: String,
+    required: [true, 'Ora de sfârșit este obligatorie'],
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)']
+  }
+}, { _id: false });
+
+// Schema pentru programul unei zile din săptămână (0 = Duminică, 6 = Sâmbătă)
+const dayScheduleSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // O zi fără intervale este o zi închisă
+  intervals: {
+    type: [intervalSchema],
+    default: []
+  },
+  // Antecedența minimă pentru rezervările din această zi (minute; null = fără regulă proprie)
+  minLeadMinutes: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 10080
+  },
+  // Cu câte zile în avans se poate rezerva în această zi (null = fără regulă proprie)
+  maxDaysAhead: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 365
+  }
+}, { _id: false });
+
+const businessScheduleSchema = new mongoose.Schema({
+  // Există un singur program activ, identificat prin cheie
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    trim: true
+  },
+  days: {
+    type: [dayScheduleSchema],
+    validate: {
+      validator: function(days) {
+        const uniqueDays = new Set(days.map(day => day.dayOfWeek));
+        return days.length === 7 && uniqueDays.size === 7;
+      },
+      message: 'Programul trebuie să conțină exact o intrare pentru fiecare zi a săptămânii'
+    }
+  },
+  // Pasul dintre două sloturi consecutive (în minute)
+  slotInterval: {
+    type: Number,
+    enum: {
+      values: SLOT_INTERVALS,
+      message: `Granularitatea sloturilor trebuie să fie una dintre valorile: ${SLOT_INTERVALS.join(', ')} minute`
+    },
+    default: DEFAULT_SLOT_INTERVAL
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Validare: intervalele fiecărei zile trebuie să fie corecte și să nu se suprapună
+businessScheduleSchema.pre('validate', function(next) {
+  for (const day of this.days || []) {
+    const sortedIntervals = [...day.intervals].sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+
+    for (let i = 0; i < sortedIntervals.length; i++) {
+      const startMinutes = timeToMinutes(sortedIntervals[i].start);
+      const endMinutes = timeToMinutes(sortedIntervals[i].end);
+
+      if (startMinutes >= endMinutes) {
+        return next(new Error(`Interval invalid pentru ${DAY_NAMES[day.dayOfWeek]}: ${sortedIntervals[i].start}-${sortedIntervals[i].end}`));
+      }
+
+      if (i > 0 && startMinutes < timeToMinutes(sortedIntervals[i - 1].end)) {
+        return next(new Error(`Intervalele pentru ${DAY_NAMES[day.dayOfWeek]} se suprapun`));
+      }
+    }
+
+    day.intervals = sortedIntervals;
+  }
+
+  if (this.days) {
+    this.days.sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+  }
+
+  next();
+});
+
+businessScheduleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Cache în memorie pentru program, pentru a evita o interogare la fiecare verificare de slot
+ */
+const scheduleCache = {
+  schedule: null,
+  lastUpdated: 0,
+  ttl: 60000
+};
+
+/**
+ * Metodă statică pentru obținerea programului activ (creează programul implicit dacă nu există)
+ * @returns {Promise<Object>} - Documentul cu programul de lucru
+ */
+businessScheduleSchema.statics.getSchedule = async function() {
+  const now = Date.now();
+  if (scheduleCache.schedule && now - scheduleCache.lastUpdated < scheduleCache.ttl) {
+    return scheduleCache.schedule;
+  }
+
+  try {
+    let schedule = await this.findOne({ key: 'default' }).maxTimeMS(5000);
+
+    if (!schedule) {
+      schedule = await this.create({ key: 'default', days: DEFAULT_WEEKLY_SCHEDULE });
+      logger.info('Default business schedule created');
+    }
+
+    scheduleCache.schedule = schedule;
+    scheduleCache.lastUpdated = now;
+    return schedule;
+  } catch (error) {
+    logger.error('Error loading business schedule:', error);
+
+    // În caz de eroare folosim ultima valoare cunoscută sau programul implicit
+    return scheduleCache.schedule || new this({ key: 'default', days: DEFAULT_WEEKLY_SCHEDULE });
+  }
+};
+
+/**
+ * Metodă statică pentru actualizarea programului de lucru
+ * @param {Array} days - Programul pe zile ({ dayOfWeek, intervals: [{ start, end }], minLeadMinutes, maxDaysAhead })
+ * @param {string} userId - ID-ul utilizatorului care face modificarea
+ * @param {number} slotInterval - Granularitatea sloturilor (opțional, se păstrează valoarea existentă)
+ * @returns {Promise<Object>} - Programul actualizat
+ */
+businessScheduleSchema.statics.updateSchedule = async function(days, userId, slotInterval) {
+  let schedule = await this.findOne({ key: 'default' });
+
+  if (!schedule) {
+    schedule = new this({ key: 'default' });
+  }
+
+  schedule.days = days;
+  if (slotInterval !== undefined) {
+    schedule.slotInterval = slotInterval;
+  }
+  schedule.updatedBy = userId;
+  await schedule.save();
+
+  this.invalidateCache();
+  return schedule;
+};
+
+/**
+ * Metodă statică pentru invalidarea cache-ului (după modificări)
+ */
+businessScheduleSchema.statics.invalidateCache = function() {
+  scheduleCache.schedule = null;
+  scheduleCache.lastUpdated = 0;
+};
+
+/**
+ * Metodă statică pentru obținerea granularității sloturilor
+ * @returns {Promise<number>} - Pasul dintre sloturi în minute
+ */
+businessScheduleSchema.statics.getSlotInterval = async function() {
+  const schedule = await this.getSchedule();
+  return schedule.slotInterval || DEFAULT_SLOT_INTERVAL;
+};
+
+/**
+ * Metodă de instanță pentru intervalele de lucru dintr-o zi a săptămânii (fără interogări)
+ * @param {number} dayOfWeek - Ziua săptămânii (0 = Duminică)
+ * @returns {Array} - Intervalele cu minutele de început și sfârșit
+ */
+businessScheduleSchema.methods.getDayIntervals = function(dayOfWeek) {
+  const day = this.days.find(d => d.dayOfWeek === dayOfWeek);
+
+  if (!day) {
+    return [];
+  }
+
+  return day.intervals.map(interval => ({
+    start: interval.start,
+    end: interval.end,
+    startMinutes: timeToMinutes(interval.start),
+    endMinutes: timeToMinutes(interval.end)
+  }));
+};
+
+/**
+ * Metodă de instanță pentru regulile de rezervare ale unei zile a săptămânii (null = nesetat)
+ * @param {number} dayOfWeek - Ziua săptămânii (0 = Duminică)
+ * @returns {{minLeadMinutes: number|null, maxDaysAhead: number|null}}
+ */
+businessScheduleSchema.methods.getDayBookingRules = function(dayOfWeek) {
+  const day = this.days.find(d => d.dayOfWeek === dayOfWeek);
+
+  return {
+    minLeadMinutes: day ? day.minLeadMinutes ?? null : null,
+    maxDaysAhead: day ? day.maxDaysAhead ?? null : null
+  };
+};
+
+/**
+ * Metodă statică pentru obținerea intervalelor de lucru dintr-o zi a săptămânii
+ * @param {number} dayOfWeek - Ziua săptămânii (0 = Duminică)
+ * @returns {Promise<Array>} - Intervalele cu minutele de început și sfârșit
+ */
+businessScheduleSchema.statics.getIntervalsForDay = async function(dayOfWeek) {
+  const schedule = await this.getSchedule();
+  return schedule.getDayIntervals(dayOfWeek);
+};
+
+/**
+ * Metodă statică pentru obținerea intervalelor de lucru pentru o dată
+ * @param {Date} date - Data de verificat
+ * @returns {Promise<Array>} - Intervalele de lucru din acea zi
+ */
+businessScheduleSchema.statics.getIntervalsForDate = async function(date) {
+  if (!date || !(date instanceof Date) || isNaN(date.getTime())) {
+    logger.error('Date parameter must be a valid Date object');
+    return [];
+  }
+
+  return this.getIntervalsForDay(getDayOfWeek(date));
+};
+
+/**
+ * Metodă statică pentru a verifica dacă afacerea este deschisă într-o anumită zi
+ * @param {Date} date - Data de verificat
+ * @returns {Promise<boolean>}
+ */
+businessScheduleSchema.statics.isOpenOn = async function(date) {
+  const intervals = await this.getIntervalsForDate(date);
+  return intervals.length > 0;
+};
+
+/**
+ * Metodă statică pentru a verifica dacă un serviciu se încadrează complet într-un interval de lucru
+ * @param {Date} date - Data programării
+ * @param {string} time - Ora de început (HH:MM)
+ * @param {number} duration - Durata serviciului în minute
+ * @returns {Promise<boolean>}
+ */
+businessScheduleSchema.statics.fitsWithinBusinessHours = async function(date, time, duration) {
+  const startMinutes = timeToMinutes(time);
+  if (isNaN(startMinutes)) {
+    return false;
+  }
+
+  const endMinutes = startMinutes + duration;
+  const intervals = await this.getIntervalsForDate(date);
+
+  return intervals.some(interval => startMinutes >= interval.startMinutes && endMinutes <= interval.endMinutes);
+};
+
+/**
+ * Metodă statică pentru a verifica dacă o oră este începutul unui slot valid
+ * (în programul de lucru și aliniată la granularitatea configurată față de începutul intervalului)
+ * @param {Date} date - Data programării
+ * @param {string} time - Ora de început (HH:MM)
+ * @returns {Promise<boolean>}
+ */
+businessScheduleSchema.statics.isValidSlotStart = async function(date, time) {
+  const minutes = timeToMinutes(time);
+  if (isNaN(minutes)) {
+    return false;
+  }
+
+  const [intervals, slotInterval] = await Promise.all([
+    this.getIntervalsForDate(date),
+    this.getSlotInterval()
+  ]);
+
+  return intervals.some(interval =>
+    minutes >= interval.startMinutes &&
+    minutes < interval.endMinutes &&
+    (minutes - interval.startMinutes) % slotInterval === 0
+  );
+};
+
+/**
+ * Metodă statică pentru a verifica dacă o oră cade în programul de lucru (folosită la blocarea orelor)
+ * @param {Date} date - Data de verificat
+ * @param {string} time - Ora (HH:MM)
+ * @returns {Promise<boolean>}
+ */
+businessScheduleSchema.statics.isTimeWithinBusinessHours = async function(date, time) {
+  const minutes = timeToMinutes(time);
+  if (isNaN(minutes)) {
+    return false;
+  }
+
+  const intervals = await this.getIntervalsForDate(date);
+  return intervals.some(interval => minutes >= interval.startMinutes && minutes < interval.endMinutes);
+};
+
+/**
+ * Metodă statică pentru descrierea programului unei zile (ex: "Sâmbătă (10:00-13:00)")
+ * @param {Date} date - Data pentru care se descrie programul
+ * @returns {Promise<string>}
+ */
+businessScheduleSchema.statics.describeDay = async function(date) {
+  const intervals = await this.getIntervalsForDate(date);
+  const dayName = DAY_NAMES[getDayOfWeek(date)];
+
+  if (intervals.length === 0) {
+    return `${dayName} (închis)`;
+  }
+
+  return `${dayName} (${intervals.map(i => `${i.start}-${i.end}`).join(', ')})`;
+};
+
+/**
+ * Metodă statică pentru un rezumat al programului săptămânal
+ * (ex: "Luni-Vineri (10:00-19:00), Sâmbătă (10:00-13:00)")
+ * @returns {Promise<string>}
+ */
+businessScheduleSchema.statics.getScheduleSummary = async function() {
+  const schedule = await this.getSchedule();
+
+  // Ordinea afișării începe cu Luni
+  const orderedDays = [1, 2, 3, 4, 5, 6, 0]
+    .map(dayOfWeek => schedule.days.find(d => d.dayOfWeek === dayOfWeek))
+    .filter(day => day && day.intervals.length > 0);
+
+  // Grupează zilele consecutive cu același program
+  const groups = [];
+  for (const day of orderedDays) {
+    const hours = day.intervals.map(i => `${i.start}-${i.end}`).join(', ');
+    const lastGroup = groups[groups.length - 1];
+    const isConsecutive = lastGroup && (lastGroup.lastDay + 1) % 7 === day.dayOfWeek;
+
+    if (lastGroup && lastGroup.hours === hours && isConsecutive) {
+      lastGroup.lastDay = day.dayOfWeek;
+    } else {
+      groups.push({ firstDay: day.dayOfWeek, lastDay: day.dayOfWeek, hours });
+    }
+  }
+
+  return groups.map(group => {
+    const days = group.firstDay === group.lastDay
+      ? DAY_NAMES[group.firstDay]
+      : `${DAY_NAMES[group.firstDay]}-${DAY_NAMES[group.lastDay]}`;
+    return `${days} (${group.hours})`;
+  }).join(', ');
+};
+
+const BusinessSchedule = mongoose.model('BusinessSchedule', businessScheduleSchema);
+
+BusinessSchedule.DAY_NAMES = DAY_NAMES;
+BusinessSchedule.DEFAULT_WEEKLY_SCHEDULE = DEFAULT_WEEKLY_SCHEDULE;
+BusinessSchedule.SLOT_INTERVALS = SLOT_INTERVALS;
+
+module.exports = BusinessSchedule;
@@ -0,0 +1,60 @@
+// backend/models/ClientMerge.js - Istoricul unificărilor de clienți duplicați (pentru audit)
+const mongoose = require('mongoose');
+
+const clientMergeSchema = new mongoose.Schema({
+  // Clientul păstrat, care a primit rezervările și contoarele
+  primaryClient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  // ID-ul clientului șters la unificare
+  mergedClientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Copia completă a clientului șters, așa cum era înainte de unificare
+  mergedClientSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Datele clientului păstrat înainte de unificare (contoare, contact, note)
+  primaryClientBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Rezervările și seriile mutate de pe clientul șters
+  movedBookingIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  movedSeriesIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  }],
+  // Motivele pentru care clienții au fost considerați duplicați
+  matchReasons: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Motivul unificării nu poate depăși 200 de caractere'],
+    default: null
+  },
+  mergedBy: {
+    type: String,
+    required: true
+  },
+  mergedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+clientMergeSchema.index({ primaryClient: 1, mergedAt: -1 });
+clientMergeSchema.index({ mergedClientId: 1 });
+
+const ClientMerge = mongoose.model('ClientMerge', clientMergeSchema);
+
+module.exports = ClientMerge;
@@ -0,0 +1,105 @@
+// backend/models/HolidayOverride.js - Excepții de la închiderea automată în sărbătorile legale
+const mongoose = require('mongoose');
+const { HOLIDAY_KEYS, getRomanianHolidays } = require('../utils/holidays');
+const { toCalendarDate, formatCalendarDate } = require('../utils/timezone');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('HOLIDAY-OVERRIDE-MODEL');
+
+const holidayOverrideSchema = new mongoose.Schema({
+  holidayKey: {
+    type: String,
+    enum: HOLIDAY_KEYS,
+    required: [true, 'Sărbătoarea este obligatorie']
+  },
+  // Anul pentru care se aplică excepția (null = în fiecare an)
+  year: {
+    type: Number,
+    min: 2000,
+    max: 2100,
+    default: null
+  },
+  // true = frizeria este deschisă în această sărbătoare
+  isOpen: {
+    type: Boolean,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+holidayOverrideSchema.index({ holidayKey: 1, year: 1 }, { unique: true });
+
+/**
+ * Metodă statică pentru sărbătorile unui an, cu starea deschis/închis după excepții.
+ * Excepția pentru un an anume are prioritate față de cea pentru toți anii.
+ * @param {number} year - Anul
+ * @returns {Promise<Array>} - [{ key, name, date, dateKey, isOpen, overrideYear }]
+ */
+holidayOverrideSchema.statics.getHolidaysForYear = async function(year) {
+  const overrides = await this.find({ year: { $in: [year, null] } });
+
+  return getRomanianHolidays(year).map(holiday => {
+    const override = overrides.find(o => o.holidayKey === holiday.key && o.year === year) ||
+      overrides.find(o => o.holidayKey === holiday.key && o.year === null);
+
+    return {
+      ...holiday,
+      isOpen: override ? override.isOpen : false,
+      overrideYear: override ? override.year : undefined
+    };
+  });
+};
+
+/**
+ * Metodă statică pentru zilele închise de sărbătoare dintr-un interval (o interogare per an)
+ * @param {Date} from - Prima zi din interval
+ * @param {Date} to - Ultima zi din interval (inclusiv)
+ * @returns {Promise<Array>} - [{ key, name, date, dateKey, reason }]
+ */
+holidayOverrideSchema.statics.getClosuresInRange = async function(from, to) {
+  try {
+    const rangeStart = toCalendarDate(from);
+    const rangeEnd = toCalendarDate(to);
+    const closures = [];
+
+    for (let year = rangeStart.getUTCFullYear(); year <= rangeEnd.getUTCFullYear(); year++) {
+      const holidays = await this.getHolidaysForYear(year);
+      holidays
+        .filter(holiday => !holiday.isOpen && holiday.date >= rangeStart && holiday.date <= rangeEnd)
+        .forEach(holiday => closures.push({
+          key: holiday.key,
+          name: holiday.name,
+          date: holiday.date,
+          dateKey: holiday.dateKey,
+          reason: `Suntem închiși de sărbătoare: ${holiday.name} (${formatCalendarDate(holiday.date)})`
+        }));
+    }
+
+    return closures;
+  } catch (error) {
+    logger.error('Error loading holiday closures:', error);
+    return [];
+  }
+};
+
+/**
+ * Metodă statică pentru închiderea de sărbătoare dintr-o zi (dacă există)
+ * @param {Date} date - Ziua de verificat
+ * @returns {Promise<Object|null>} - Închiderea sau null
+ */
+holidayOverrideSchema.statics.getClosureForDate = async function(date) {
+  const closures = await this.getClosuresInRange(date, date);
+  return closures[0] || null;
+};
+
+const HolidayOverride = mongoose.model('HolidayOverride', holidayOverrideSchema);
+
+module.exports = HolidayOverride;
@@ -0,0 +1,58 @@
+// backend/models/IdempotencyRecord.js - Răspunsurile salvate pentru cererile cu Idempotency-Key
+const mongoose = require('mongoose');
+
+// Cât timp se păstrează un răspuns pentru reluarea cererii (implicit 24 de ore)
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  // Cheia trimisă de client în header-ul Idempotency-Key
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Metoda și ruta cererii (aceeași cheie poate fi folosită pe rute diferite)
+  scope: {
+    type: String,
+    required: true
+  },
+  // Amprenta corpului cererii, pentru a detecta reutilizarea cheii cu alte date
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // 'processing' cât timp prima cerere rulează, apoi 'completed' cu răspunsul salvat
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// O singură înregistrare pentru fiecare cheie pe o rută (blochează cererile duplicate simultane)
+idempotencyRecordSchema.index({ key: 1, scope: 1 }, { unique: true });
+
+// Expirare automată a răspunsurilor salvate
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_TTL_HOURS * 3600 });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+IdempotencyRecord.IDEMPOTENCY_TTL_HOURS = IDEMPOTENCY_TTL_HOURS;
+
+module.exports = IdempotencyRecord;
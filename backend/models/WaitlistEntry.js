@@ -0,0 +1,225 @@
+// backend/models/WaitlistEntry.js - Lista de așteptare pentru zilele fără intervale libere
+const mongoose = require('mongoose');
+const { TIME_REGEX, timeToMinutes } = require('../utils/timeUtils');
+const { toCalendarDate, getBusinessToday } = require('../utils/timezone');
+const { getRecordServiceIds } = require('../utils/serviceBundle');
+
+// Sistem de logging îmbunătățit
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('WAITLIST-MODEL');
+
+// Stările unei înscrieri pe lista de așteptare
+const WAITLIST_STATUSES = ['waiting', 'notified', 'claimed', 'expired', 'cancelled'];
+
+// Cât timp are clientul pentru a revendica intervalul oferit.
+// Egal cu durata de viață a unui TimeLock, care ține intervalul rezervat până atunci.
+const CLAIM_WINDOW_MINUTES = 15;
+
+// Numărul maxim de înscrieri active pentru același email
+const MAX_ACTIVE_ENTRIES_PER_EMAIL = 3;
+
+const waitlistEntrySchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Numele nu poate depăși 50 de caractere']
+  },
+  email: {
+    type: String,
+    required: [true, 'Adresa de email este obligatorie'],
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Email-ul nu poate depăși 100 caractere'],
+    match: [/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/, 'Adresă de email invalidă']
+  },
+  service: {
+    type: Number,
+    ref: 'Service',
+    required: [true, 'Serviciul este obligatoriu']
+  },
+  // Toate serviciile dorite, în ordine (service = primul; gol pentru înscrierile mai vechi)
+  services: {
+    type: [Number],
+    default: []
+  },
+  // Ziua dorită (zi calendaristică, miezul nopții UTC)
+  date: {
+    type: Date,
+    required: [true, 'Data este obligatorie']
+  },
+  // Intervalul orar acceptat de client (ora de început a programării)
+  windowStart: {
+    type: String,
+    required: [true, 'Ora de început a intervalului este obligatorie'],
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)']
+  },
+  windowEnd: {
+    type: String,
+    required: [true, 'Ora de sfârșit a intervalului este obligatorie'],
+    match: [TIME_REGEX, 'Format oră invalid (HH:MM)'],
+    validate: {
+      validator: function(value) {
+        return timeToMinutes(value) > timeToMinutes(this.windowStart);
+      },
+      message: 'Ora de sfârșit trebuie să fie după ora de început'
+    }
+  },
+  // Frizerul dorit (null = oricare frizer disponibil)
+  barber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+  // Intervalul oferit clientului la eliberarea unui loc
+  offeredTime: {
+    type: String,
+    default: null
+  },
+  offeredBarber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  claimExpiresAt: {
+    type: Date,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Datele se păstrează ca zile calendaristice (miezul nopții UTC)
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.isModified('date') && this.date) {
+    this.date = toCalendarDate(this.date);
+  }
+  next();
+});
+
+waitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ email: 1, status: 1 });
+
+/**
+ * Metodă de instanță care verifică dacă o oră se încadrează în intervalul dorit de client
+ * @param {string} time - Ora de început a programării (HH:MM)
+ * @returns {boolean}
+ */
+waitlistEntrySchema.methods.acceptsTime = function(time) {
+  const minutes = timeToMinutes(time);
+  return minutes >= timeToMinutes(this.windowStart) && minutes <= timeToMinutes(this.windowEnd);
+};
+
+/**
+ * Metodă de instanță pentru serviciile dorite, în ordine
+ * @returns {Array<number>}
+ */
+waitlistEntrySchema.methods.getServiceIds = function() {
+  return getRecordServiceIds(this);
+};
+
+/**
+ * Metodă de instanță care eliberează oferta și pune clientul înapoi la coadă (își păstrează locul)
+ * @returns {Promise<Object>}
+ */
+waitlistEntrySchema.methods.resetOffer = async function() {
+  this.status = 'waiting';
+  this.offeredTime = null;
+  this.offeredBarber = null;
+  this.notifiedAt = null;
+  this.claimExpiresAt = null;
+  return this.save();
+};
+
+/**
+ * Metodă statică pentru înscrierile care așteaptă un loc într-o zi, în ordinea înscrierii
+ * @param {Date} date - Ziua
+ * @returns {Promise<Array>}
+ */
+waitlistEntrySchema.statics.findWaitingForDate = async function(date) {
+  return this.find({
+    date: toCalendarDate(date),
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Metodă statică pentru zilele în care există înscrieri în așteptare
+ * @returns {Promise<Array<Date>>}
+ */
+waitlistEntrySchema.statics.findWaitingDates = async function() {
+  return this.distinct('date', {
+    status: 'waiting',
+    date: { $gte: getBusinessToday() }
+  });
+};
+
+/**
+ * Metodă statică pentru numărul de înscrieri active ale unui email
+ * @param {string} email - Adresa de email
+ * @returns {Promise<number>}
+ */
+waitlistEntrySchema.statics.countActiveForEmail = async function(email) {
+  return this.countDocuments({
+    email: email.toLowerCase(),
+    status: { $in: ['waiting', 'notified'] },
+    date: { $gte: getBusinessToday() }
+  });
+};
+
+/**
+ * Metodă statică pentru expirarea ofertelor nerevendicate și a înscrierilor din zilele trecute
+ * @returns {Promise<Object>} - { expiredOffers: [date], expiredEntries: number }
+ */
+waitlistEntrySchema.statics.expireStaleEntries = async function() {
+  try {
+    const now = new Date();
+
+    const staleOffers = await this.find({
+      status: 'notified',
+      claimExpiresAt: { $lt: now }
+    });
+
+    if (staleOffers.length > 0) {
+      await this.updateMany(
+        { _id: { $in: staleOffers.map(entry => entry._id) } },
+        { $set: { status: 'expired' } }
+      );
+    }
+
+    const pastEntries = await this.updateMany(
+      { status: { $in: ['waiting', 'notified'] }, date: { $lt: getBusinessToday() } },
+      { $set: { status: 'expired' } }
+    );
+
+    return {
+      expiredOffers: staleOffers.map(entry => entry.date),
+      expiredEntries: staleOffers.length + (pastEntries.modifiedCount || 0)
+    };
+  } catch (error) {
+    logger.error('Error expiring waitlist entries:', error);
+    return { expiredOffers: [], expiredEntries: 0 };
+  }
+};
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+WaitlistEntry.WAITLIST_STATUSES = WAITLIST_STATUSES;
+WaitlistEntry.CLAIM_WINDOW_MINUTES = CLAIM_WINDOW_MINUTES;
+WaitlistEntry.MAX_ACTIVE_ENTRIES_PER_EMAIL = MAX_ACTIVE_ENTRIES_PER_EMAIL;
+
+module.exports = WaitlistEntry;
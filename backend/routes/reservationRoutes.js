@@ -1,214 +1,467 @@
-// routes/reservationRoutes.js
-const express = require('express');
-const router = express.Router();
-const bookingController = require('../controllers/bookingController');
-const validationMiddleware = require('../middleware/validationMiddleware');
-const { authenticateJWT, authorizeRole } = require('../middleware/authMiddleware');
-const blockedDatesController = require('../controllers/blockedDatesController');
-
-// Middleware de sanitizare globală pentru toate rutele
-router.use(validationMiddleware.sanitizeInputs);
-
-router.get('/services', bookingController.getServices);
-
-router.post(
-  '/admin/blocked-dates',
-  authenticateJWT,
-  authorizeRole(['admin']),
-  validationMiddleware.sanitizeInputs,
-  blockedDatesController.blockDate
-);
-
-// Obține toate datele blocate
-router.get(
-  '/admin/blocked-dates',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  blockedDatesController.getBlockedDates
-);
-
-// Șterge o dată blocată (doar admin)
-router.delete(
-  '/admin/blocked-dates/:blockedDateId',
-  authenticateJWT,
-  authorizeRole(['admin']),
-  validationMiddleware.sanitizeInputs,
-  blockedDatesController.unblockDate
-);
-
-// Verifică dacă o dată/oră este blocată (endpoint public pentru frontend)
-router.get(
-  '/check-blocked-date',
-  validationMiddleware.sanitizeInputs,
-  blockedDatesController.checkDateBlocked
-);
-
-// Obține orele blocate pentru o dată specifică
-router.get(
-  '/blocked-hours/:date',
-  validationMiddleware.sanitizeInputs,
-  blockedDatesController.getBlockedHoursForDate
-);
-
-// Rulează manual curățarea automată (doar admin)
-router.post(
-  '/admin/cleanup',
-  authenticateJWT,
-  authorizeRole(['admin']),
-  bookingController.runManualCleanup
-);
-
-router.post(
-  '/admin/blocked-dates',
-  authenticateJWT,
-  authorizeRole(['admin']),
-  validationMiddleware.sanitizeInputs,
-  validationMiddleware.validateBlockedDateData,
-  blockedDatesController.blockDate
-);
-
-router.delete(
-  '/admin/blocked-dates/:blockedDateId',
-  authenticateJWT,
-  authorizeRole(['admin']),
-  validationMiddleware.sanitizeInputs,
-  validationMiddleware.validateBlockedDateId,
-  blockedDatesController.unblockDate
-);
-
-router.post(
-  '/available-time-slots',
-  validationMiddleware.validateTimeSlotRequest,
-  bookingController.getAvailableTimeSlots
-);
-
-router.post(
-  '/bookings',
-  validationMiddleware.validateBookingData,
-  bookingController.createBooking
-);
-
-router.post(
-  '/bookings/complete',
-  validationMiddleware.validateClientInfo,
-  validationMiddleware.checkBlockedUser,
-  bookingController.completeBooking
-);
-
-router.post(
-  '/bookings/verify',
-  validationMiddleware.validateVerification,
-  bookingController.verifyBooking
-);
-
-router.post(
-  '/bookings/resend-code',
-  validationMiddleware.validateBookingId,
-  bookingController.resendVerificationCode
-);
-
-
-router.get(
-  '/admin/bookings/pending',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  bookingController.getPendingBookings
-);
-
-router.get(
-  '/admin/bookings/confirmed',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  bookingController.getConfirmedBookings
-);
-
-router.put(
-  '/admin/bookings/:bookingId/confirm',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  validationMiddleware.validateBookingId,
-  bookingController.confirmBooking
-);
-
-router.put(
-  '/admin/bookings/:bookingId/decline',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  validationMiddleware.validateBookingId,
-  bookingController.declineBooking
-);
-
-// Rute restrânse doar pentru admin
-router.post(
-  '/admin/users/block/:bookingId',
-  authenticateJWT,
-  authorizeRole(['admin']), // Doar admin poate bloca utilizatori
-  validationMiddleware.validateBookingId,
-  bookingController.blockUser
-);
-
-// Rute noi pentru gestionarea clienților
-router.get(
-  '/admin/clients',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  bookingController.getAllClients
-);
-
-router.get(
-  '/admin/clients/:clientId',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  validationMiddleware.validateClientId,
-  bookingController.getClientDetails
-);
-
-router.put(
-  '/admin/clients/:clientId/unblock',
-  authenticateJWT,
-  authorizeRole(['admin']), // Doar admin poate debloca utilizatori
-  validationMiddleware.validateClientId,
-  bookingController.unblockUser
-);
-
-router.put(
-  '/bookings/:bookingId/suspend',
-  validationMiddleware.validateBookingId,
-  bookingController.suspendBooking
-);
-
-router.put(
-  '/admin/bookings/:bookingId/complete',
-  authenticateJWT,
-  authorizeRole(['admin', 'barber']),
-  validationMiddleware.validateBookingId,
-  bookingController.completeBookingService
-);
-
-// Rute pentru statistici - Actualizate pentru email în loc de SMS
-router.get(
-  '/admin/statistics/email',
-  authenticateJWT,
-  authorizeRole(['admin']), // Doar admin poate vedea statistici
-  bookingController.getEmailUsageStats // Actualizat din getSMSUsageStats
-);
-
-router.get(
-  '/admin/users/blocked',
-  authenticateJWT,
-  authorizeRole(['admin']), 
-  bookingController.getBlockedUsers
-);
-
-// Tratare erori pentru rute
-router.use((err, req, res, next) => {
-  console.error('Route error:', err);
-  res.status(500).json({ 
-    success: false, 
-    message: process.env.NODE_ENV === 'production' 
-      ? 'A apărut o eroare pe server' 
-      : err.message 
-  });
-});
-
+// routes/reservationRoutes.js
+const express = require('express');
+const router = express.Router();
+const bookingController = require('../controllers/bookingController');
+const validationMiddleware = require('../middleware/validationMiddleware');
+const { authenticateJWT, authorizeRole } = require('../middleware/authMiddleware');
+const { idempotentRequest } = require('../middleware/idempotencyMiddleware');
+const blockedDatesController = require('../controllers/blockedDatesController');
+const businessScheduleController = require('../controllers/businessScheduleController');
+const approvalRulesController = require('../controllers/approvalRulesController');
+
+// Middleware de sanitizare globală pentru toate rutele
+router.use(validationMiddleware.sanitizeInputs);
+
+router.get('/services', bookingController.getServices);
+
+// Frizerii activi, pentru alegerea frizerului la programare
+router.get('/barbers', bookingController.getBarbers);
+
+router.post(
+  '/admin/blocked-dates',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.sanitizeInputs,
+  blockedDatesController.blockDate
+);
+
+// Obține toate datele blocate
+router.get(
+  '/admin/blocked-dates',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  blockedDatesController.getBlockedDates
+);
+
+// Șterge o dată blocată (doar admin)
+router.delete(
+  '/admin/blocked-dates/:blockedDateId',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.sanitizeInputs,
+  blockedDatesController.unblockDate
+);
+
+// Reguli recurente de blocare (pauze, zile libere periodice)
+router.get(
+  '/admin/block-rules',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  blockedDatesController.getBlockRules
+);
+
+router.post(
+  '/admin/block-rules',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateBlockRuleData,
+  blockedDatesController.createBlockRule
+);
+
+router.delete(
+  '/admin/block-rules/:ruleId',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  blockedDatesController.deleteBlockRule
+);
+
+// Sărbătorile legale (închise automat) și excepțiile setate de admin
+router.get(
+  '/admin/holidays',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  blockedDatesController.getHolidays
+);
+
+router.put(
+  '/admin/holidays/:holidayKey',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateHolidayOverride,
+  blockedDatesController.updateHolidayOverride
+);
+
+// Verifică dacă o dată/oră este blocată (endpoint public pentru frontend)
+router.get(
+  '/check-blocked-date',
+  validationMiddleware.sanitizeInputs,
+  blockedDatesController.checkDateBlocked
+);
+
+// Obține orele blocate pentru o dată specifică
+router.get(
+  '/blocked-hours/:date',
+  validationMiddleware.sanitizeInputs,
+  blockedDatesController.getBlockedHoursForDate
+);
+
+// Programul de lucru săptămânal
+router.get(
+  '/admin/business-schedule',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  businessScheduleController.getBusinessSchedule
+);
+
+router.put(
+  '/admin/business-schedule',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateBusinessScheduleData,
+  businessScheduleController.updateBusinessSchedule
+);
+
+// Regulile de aprobare automată a rezervărilor verificate (doar admin)
+router.get(
+  '/admin/approval-rules',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  approvalRulesController.getApprovalRules
+);
+
+router.put(
+  '/admin/approval-rules',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateApprovalRules,
+  approvalRulesController.updateApprovalRules
+);
+
+// Timpii de pauză înainte/după un serviciu (doar admin)
+router.put(
+  '/admin/services/:serviceId/buffers',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateServiceBuffers,
+  bookingController.updateServiceBuffers
+);
+
+// Antecedența minimă și orizontul de rezervare ale unui serviciu (doar admin)
+router.put(
+  '/admin/services/:serviceId/booking-rules',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateServiceBookingRules,
+  bookingController.updateServiceBookingRules
+);
+
+// Rulează manual curățarea automată (doar admin)
+router.post(
+  '/admin/cleanup',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  bookingController.runManualCleanup
+);
+
+router.post(
+  '/admin/blocked-dates',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.sanitizeInputs,
+  validationMiddleware.validateBlockedDateData,
+  blockedDatesController.blockDate
+);
+
+router.delete(
+  '/admin/blocked-dates/:blockedDateId',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.sanitizeInputs,
+  validationMiddleware.validateBlockedDateId,
+  blockedDatesController.unblockDate
+);
+
+router.post(
+  '/available-time-slots',
+  validationMiddleware.validateTimeSlotRequest,
+  bookingController.getAvailableTimeSlots
+);
+
+// Disponibilitatea pe un interval de zile (calendar)
+router.get(
+  '/availability',
+  validationMiddleware.validateAvailabilityRangeRequest,
+  bookingController.getAvailability
+);
+
+router.post(
+  '/bookings',
+  validationMiddleware.validateBookingData,
+  idempotentRequest,
+  bookingController.createBooking
+);
+
+// Rezervări de grup: intervale consecutive pentru mai multe persoane, cu o singură verificare
+router.post(
+  '/bookings/group',
+  validationMiddleware.validateGroupBookingData,
+  idempotentRequest,
+  bookingController.createGroupBooking
+);
+
+router.post(
+  '/bookings/group/complete',
+  validationMiddleware.validateClientInfo,
+  validationMiddleware.checkBlockedUser,
+  idempotentRequest,
+  bookingController.completeGroupBooking
+);
+
+// Lista de așteptare pentru zilele fără intervale libere
+router.post(
+  '/waitlist',
+  validationMiddleware.validateWaitlistEntry,
+  validationMiddleware.checkBlockedUser,
+  bookingController.joinWaitlist
+);
+
+// Revendicarea intervalului oferit prin link-ul din email
+router.post(
+  '/waitlist/claim',
+  validationMiddleware.validateWaitlistClaim,
+  bookingController.claimWaitlistSlot
+);
+
+router.post(
+  '/bookings/complete',
+  validationMiddleware.validateClientInfo,
+  validationMiddleware.checkBlockedUser,
+  idempotentRequest,
+  bookingController.completeBooking
+);
+
+router.post(
+  '/bookings/verify',
+  validationMiddleware.validateVerification,
+  bookingController.verifyBooking
+);
+
+// Verificarea cu un click, din link-ul primit pe email împreună cu codul
+router.get(
+  '/bookings/verify/:token',
+  bookingController.verifyBookingByLink
+);
+
+router.post(
+  '/bookings/resend-code',
+  validationMiddleware.validateBookingId,
+  bookingController.resendVerificationCode
+);
+
+
+router.get(
+  '/admin/bookings/pending',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  bookingController.getPendingBookings
+);
+
+router.get(
+  '/admin/bookings/confirmed',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  bookingController.getConfirmedBookings
+);
+
+// Rezervări adăugate direct de personal (clienți sosiți fără programare sau programați telefonic)
+router.post(
+  '/admin/bookings',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateAdminBookingData,
+  idempotentRequest,
+  bookingController.createAdminBooking
+);
+
+// Detaliile unei rezervări, cu istoricul schimbărilor de status
+router.get(
+  '/admin/bookings/:bookingId',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  bookingController.getBookingDetails
+);
+
+router.put(
+  '/admin/bookings/:bookingId/confirm',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  bookingController.confirmBooking
+);
+
+router.put(
+  '/admin/bookings/:bookingId/decline',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  bookingController.declineBooking
+);
+
+// Mutarea unei rezervări la altă dată/oră (de ex. la cererea telefonică a clientului)
+router.put(
+  '/admin/bookings/:bookingId/reschedule',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  validationMiddleware.validateRescheduleData,
+  bookingController.rescheduleBooking
+);
+
+// Programări recurente: seria pornește de la o rezervare confirmată
+router.post(
+  '/admin/bookings/:bookingId/series',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  validationMiddleware.validateSeriesData,
+  bookingController.createBookingSeries
+);
+
+router.get(
+  '/admin/series/:seriesId',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateSeriesId,
+  bookingController.getBookingSeries
+);
+
+router.put(
+  '/admin/series/:seriesId/cancel',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateSeriesId,
+  bookingController.cancelBookingSeries
+);
+
+// Rute restrânse doar pentru admin
+router.post(
+  '/admin/users/block/:bookingId',
+  authenticateJWT,
+  authorizeRole(['admin']), // Doar admin poate bloca utilizatori
+  validationMiddleware.validateBookingId,
+  bookingController.blockUser
+);
+
+// Rute noi pentru gestionarea clienților
+router.get(
+  '/admin/clients',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  bookingController.getAllClients
+);
+
+// Clienți duplicați (același telefon, nume asemănătoare, rezervări comune) - înaintea rutei cu :clientId
+router.get(
+  '/admin/clients/duplicates',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  bookingController.getDuplicateClients
+);
+
+router.get(
+  '/admin/clients/:clientId',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateClientId,
+  bookingController.getClientDetails
+);
+
+// Editarea profilului clientului (corectarea datelor de contact, note)
+router.put(
+  '/admin/clients/:clientId',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateClientId,
+  validationMiddleware.validateClientUpdate,
+  bookingController.updateClient
+);
+
+// Unificarea unui client duplicat în clientul din URL (se păstrează istoricul pentru audit)
+router.post(
+  '/admin/clients/:clientId/merge',
+  authenticateJWT,
+  authorizeRole(['admin']),
+  validationMiddleware.validateClientId,
+  validationMiddleware.validateClientMerge,
+  bookingController.mergeClients
+);
+
+router.put(
+  '/admin/clients/:clientId/unblock',
+  authenticateJWT,
+  authorizeRole(['admin']), // Doar admin poate debloca utilizatori
+  validationMiddleware.validateClientId,
+  bookingController.unblockUser
+);
+
+// Gestionarea rezervării de către client, prin link-ul din email-ul de confirmare
+router.post(
+  '/bookings/manage',
+  validationMiddleware.validateManageToken,
+  bookingController.getManagedBooking
+);
+
+router.post(
+  '/bookings/manage/cancel',
+  validationMiddleware.validateManageToken,
+  bookingController.cancelManagedBooking
+);
+
+router.post(
+  '/bookings/manage/reschedule',
+  validationMiddleware.validateManageToken,
+  validationMiddleware.validateRescheduleData,
+  bookingController.rescheduleManagedBooking
+);
+
+router.put(
+  '/bookings/:bookingId/suspend',
+  validationMiddleware.validateBookingId,
+  bookingController.suspendBooking
+);
+
+router.put(
+  '/admin/bookings/:bookingId/complete',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  bookingController.completeBookingService
+);
+
+// Clientul nu s-a prezentat la o programare confirmată
+router.put(
+  '/admin/bookings/:bookingId/no-show',
+  authenticateJWT,
+  authorizeRole(['admin', 'barber']),
+  validationMiddleware.validateBookingId,
+  bookingController.markNoShow
+);
+
+// Rute pentru statistici - Actualizate pentru email în loc de SMS
+router.get(
+  '/admin/statistics/email',
+  authenticateJWT,
+  authorizeRole(['admin']), // Doar admin poate vedea statistici
+  bookingController.getEmailUsageStats // Actualizat din getSMSUsageStats
+);
+
+router.get(
+  '/admin/users/blocked',
+  authenticateJWT,
+  authorizeRole(['admin']), 
+  bookingController.getBlockedUsers
+);
+
+// Tratare erori pentru rute
+router.use((err, req, res, next) => {
+  console.error('Route error:', err);
+  res.status(500).json({ 
+    success: false, 
+    message: process.env.NODE_ENV === 'production' 
+      ? 'A apărut o eroare pe server' 
+      : err.message 
+  });
+});
+
 module.exports = router;
\ No newline at end of file
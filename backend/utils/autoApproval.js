@@ -0,0 +1,80 @@
+// utils/autoApproval.js - Evaluarea regulilor de aprobare automată pentru rezervările verificate
+const ApprovalRules = require('../models/ApprovalRules');
+const { countRecentNoShows } = require('./noShowPolicy');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('AUTO-APPROVAL');
+
+/**
+ * Verifică dacă domeniul unui email este în listă (sunt incluse și subdomeniile)
+ * @param {string} email - Adresa de email
+ * @param {Array<string>} domains - Domeniile (ex: 'example.com')
+ * @returns {boolean}
+ */
+const matchesEmailDomain = (email, domains) => {
+  const domain = String(email || '').split('@').pop().toLowerCase();
+  return domains.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+};
+
+/**
+ * Verifică dacă toate condițiile setate ale unei reguli sunt îndeplinite de rezervare
+ * @param {Object} rule - Regula
+ * @param {Object} booking - Rezervarea (cu clientul populat)
+ * @param {Function} getRecentNoShows - Numărul de neprezentări recente ale clientului (calculat o singură dată)
+ * @returns {Promise<boolean>}
+ */
+const matchesRule = async (rule, booking, getRecentNoShows) => {
+  if (!ApprovalRules.hasConditions(rule)) {
+    return false;
+  }
+
+  if (rule.emailDomains.length > 0 && !matchesEmailDomain(booking.email, rule.emailDomains)) {
+    return false;
+  }
+
+  const client = booking.client;
+
+  if (rule.minCompletedBookings !== null && (!client || client.completedBookings < rule.minCompletedBookings)) {
+    return false;
+  }
+
+  if (rule.maxRecentNoShows !== null && await getRecentNoShows() > rule.maxRecentNoShows) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Evaluează regulile de aprobare automată pentru o rezervare tocmai verificată.
+ * Regulile se evaluează în ordine, iar prima regulă potrivită decide.
+ * @param {Object} booking - Rezervarea (cu clientul populat)
+ * @returns {Promise<Object|null>} - { action: 'confirm'|'decline', rule } sau null dacă rezervarea rămâne în așteptare
+ */
+const evaluateApprovalRules = async (booking) => {
+  const ruleSet = await ApprovalRules.getRules();
+  if (!ruleSet.enabled) {
+    return null;
+  }
+
+  let recentNoShows = null;
+  const getRecentNoShows = async () => {
+    if (recentNoShows === null) {
+      recentNoShows = booking.client ? await countRecentNoShows(booking.client._id) : 0;
+    }
+    return recentNoShows;
+  };
+
+  for (const rule of ruleSet.rules) {
+    if (rule.enabled && await matchesRule(rule, booking, getRecentNoShows)) {
+      logger.info(`Rezervarea ${booking._id}: regula "${rule.name}" (${rule.action})`);
+      return { action: rule.action, rule };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  matchesEmailDomain,
+  evaluateApprovalRules
+};
@@ -0,0 +1,270 @@
+// backend/utils/availability.js - Calculul disponibilității pe intervale de date, cu un număr fix de interogări
+const { Service, Booking, User } = require('../models/Booking');
+const BlockedDate = require('../models/BlockedDates');
+const BlockRule = require('../models/BlockRule');
+const HolidayOverride = require('../models/HolidayOverride');
+const TimeLock = require('../models/TimeLock');
+const BusinessSchedule = require('../models/BusinessSchedule');
+const { timeToMinutes, minutesToTime, rangesOverlap } = require('./timeUtils');
+const { bundleFromMap, getRecordServiceIds } = require('./serviceBundle');
+const {
+  toDateKey,
+  toCalendarDate,
+  addDays,
+  getBusinessDateKey,
+  getBusinessMinutes
+} = require('./timezone');
+const {
+  BOOKING_RULE,
+  resolveBookingRules,
+  describeBookingRule,
+  getLastBookableDate,
+  meetsLeadTime
+} = require('./bookingRules');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('AVAILABILITY');
+
+// Statusul unei zile în calendar
+const DAY_STATUS = {
+  PAST: 'past',
+  OUT_OF_RANGE: 'out_of_range',
+  CLOSED: 'closed',
+  BLOCKED: 'blocked',
+  FULLY_BOOKED: 'fully_booked',
+  AVAILABLE: 'available'
+};
+
+// Motivul pentru care un slot nu este disponibil
+const SLOT_REASON = {
+  STARTED: 'started',
+  LEAD_TIME: 'lead_time',
+  BLOCKED: 'blocked',
+  BOOKED: 'booked'
+};
+
+/**
+ * Încarcă o singură dată toate datele necesare pentru calculul disponibilității într-un interval de zile.
+ * Numărul de interogări este fix, indiferent de câte zile conține intervalul.
+ * @param {Date} from - Prima zi din interval
+ * @param {Date} to - Ultima zi din interval (inclusiv)
+ * @returns {Promise<Object>} - Contextul folosit de computeDayAvailability
+ */
+const loadAvailabilityContext = async (from, to) => {
+  const rangeStart = toCalendarDate(from);
+  const rangeEnd = toCalendarDate(to);
+  const rangeEndExclusive = addDays(rangeEnd, 1);
+
+  const [services, barbers, schedule, blockedDates, blockRules, holidays, bookings, locks] = await Promise.all([
+    Service.find(),
+    User.getActiveBarbers(),
+    BusinessSchedule.getSchedule(),
+    BlockedDate.findInRange(rangeStart, rangeEnd),
+    BlockRule.findActiveInRange(rangeStart, rangeEnd),
+    HolidayOverride.getClosuresInRange(rangeStart, rangeEnd),
+    Booking.find({
+      date: { $gte: rangeStart, $lt: rangeEndExclusive },
+      status: { $in: ['pending', 'confirmed'] }
+    }).select('service services barber date time'),
+    // Toate lock-urile existente ocupă intervalul, ca în Booking.isTimeSlotAvailable: un lock expirat
+    // blochează încă crearea rezervării până când indexul TTL al TimeLock îl șterge
+    TimeLock.find({
+      date: { $gte: rangeStart, $lt: rangeEndExclusive }
+    })
+  ]);
+
+  const servicesById = new Map(services.map(service => [service._id, service]));
+
+  // Intervalele ocupate (inclusiv timpii de pauză), grupate pe zile
+  const busyByDay = new Map();
+  // Rezervările și lock-urile cu mai multe servicii ocupă intervalul tuturor serviciilor
+  const addBusyRange = (record) => {
+    const { date, time, barber } = record;
+    const service = bundleFromMap(servicesById, getRecordServiceIds(record));
+    if (!service) return;
+
+    const key = toDateKey(date);
+    if (!busyByDay.has(key)) {
+      busyByDay.set(key, []);
+    }
+
+    busyByDay.get(key).push({
+      ...service.getOccupiedRange(timeToMinutes(time)),
+      barber: barber ? barber.toString() : null
+    });
+  };
+
+  bookings.forEach(addBusyRange);
+  locks.forEach(addBusyRange);
+
+  logger.info(`Availability context loaded: ${bookings.length} bookings, ${locks.length} locks, ${blockedDates.length} blocked dates, ${blockRules.length} block rules`);
+
+  return {
+    schedule,
+    slotInterval: schedule.slotInterval || 30,
+    servicesById,
+    barbers,
+    busyByDay,
+    blockedByDay: new Map(blockedDates.map(blockedDate => [toDateKey(blockedDate.date), blockedDate])),
+    blockRules,
+    holidaysByDay: new Map(holidays.map(holiday => [holiday.dateKey, holiday]))
+  };
+};
+
+/**
+ * Calculează disponibilitatea unei zile folosind exclusiv datele din context (fără interogări)
+ * @param {Object} context - Contextul încărcat cu loadAvailabilityContext
+ * @param {Date} date - Ziua de calculat
+ * @param {Object} service - Serviciul (sau serviciile combinate) pentru care se caută sloturi
+ * @param {Object} options - { barberId, now }
+ * @returns {Object} - { date, dayOfWeek, status, reason, rules, freeSlots, slots }
+ */
+const computeDayAvailability = (context, date, service, options = {}) => {
+  const { barberId = null, now = new Date() } = options;
+
+  // Zilele și ora curentă se compară în fusul orar al afacerii, nu al serverului
+  const dayStart = toCalendarDate(date);
+  const dayKey = toDateKey(dayStart);
+  const today = toCalendarDate(getBusinessDateKey(now));
+
+  const result = {
+    date: dayKey,
+    dayOfWeek: dayStart.getUTCDay(),
+    status: null,
+    reason: null,
+    rules: null,
+    freeSlots: 0,
+    slots: []
+  };
+
+  if (dayStart < today) {
+    result.status = DAY_STATUS.PAST;
+    return result;
+  }
+
+  // Antecedența minimă și orizontul de rezervare (pe serviciu și pe zi a săptămânii)
+  const rules = resolveBookingRules(context.schedule, service, result.dayOfWeek);
+  result.rules = rules;
+
+  if (dayStart > getLastBookableDate(rules, now)) {
+    result.status = DAY_STATUS.OUT_OF_RANGE;
+    result.reason = describeBookingRule(rules, BOOKING_RULE.HORIZON, service);
+    return result;
+  }
+
+  const intervals = context.schedule.getDayIntervals(result.dayOfWeek);
+  if (intervals.length === 0) {
+    result.status = DAY_STATUS.CLOSED;
+    return result;
+  }
+
+  // Aceleași reguli ca BlockedDate.isDateTimeBlocked, aplicate pe documentul deja încărcat
+  const blockedDate = context.blockedByDay.get(dayKey);
+  if (blockedDate) {
+    const dayBlock = blockedDate.getBlockStatus();
+    if (dayBlock.isBlocked) {
+      result.status = DAY_STATUS.BLOCKED;
+      result.reason = dayBlock.reason;
+      return result;
+    }
+  }
+
+  // Sărbătorile legale (închidere automată, cu excepțiile setate de admin)
+  const holiday = context.holidaysByDay.get(dayKey);
+  if (holiday) {
+    result.status = DAY_STATUS.BLOCKED;
+    result.reason = holiday.reason;
+    return result;
+  }
+
+  // Regulile recurente (zile libere periodice, pauze pe interval orar)
+  const dayRules = context.blockRules.filter(rule => rule.occursOn(dayStart));
+  const fullDayRule = dayRules.find(rule => rule.isFullDay);
+  if (fullDayRule) {
+    result.status = DAY_STATUS.BLOCKED;
+    result.reason = fullDayRule.reason;
+    return result;
+  }
+
+  // Frizerii luați în calcul: cel ales, toți frizerii activi sau un singur scaun (null)
+  const staff = barberId
+    ? [barberId.toString()]
+    : (context.barbers.length > 0 ? context.barbers.map(barber => barber._id.toString()) : [null]);
+
+  const busyRanges = context.busyByDay.get(dayKey) || [];
+  const isToday = dayStart.getTime() === today.getTime();
+  const nowMinutes = getBusinessMinutes(now);
+
+  for (const interval of intervals) {
+    for (let startMinutes = interval.startMinutes; startMinutes + service.duration <= interval.endMinutes; startMinutes += context.slotInterval) {
+      const slot = {
+        time: minutesToTime(startMinutes),
+        available: false,
+        reason: null,
+        barberIds: []
+      };
+
+      if (isToday && startMinutes <= nowMinutes) {
+        slot.reason = SLOT_REASON.STARTED;
+      } else if (rules.minLeadMinutes > 0 && !meetsLeadTime(rules, dayStart, slot.time, now)) {
+        slot.reason = SLOT_REASON.LEAD_TIME;
+      } else if (
+        (blockedDate && blockedDate.getBlockStatus(slot.time).isBlocked) ||
+        dayRules.some(rule => rule.getBlockStatus(slot.time, service.duration).isBlocked)
+      ) {
+        slot.reason = SLOT_REASON.BLOCKED;
+      } else {
+        const range = service.getOccupiedRange(startMinutes);
+
+        // Rezervările fără frizer alocat ocupă toți frizerii
+        const freeStaff = staff.filter(member => !busyRanges.some(busy =>
+          (member === null || busy.barber === null || busy.barber === member) &&
+          rangesOverlap(range.startMinutes, range.endMinutes, busy.startMinutes, busy.endMinutes)
+        ));
+
+        if (freeStaff.length > 0) {
+          slot.available = true;
+          slot.barberIds = freeStaff.filter(Boolean);
+        } else {
+          slot.reason = SLOT_REASON.BOOKED;
+        }
+      }
+
+      result.slots.push(slot);
+    }
+  }
+
+  result.freeSlots = result.slots.filter(slot => slot.available).length;
+  result.status = result.freeSlots > 0 ? DAY_STATUS.AVAILABLE : DAY_STATUS.FULLY_BOOKED;
+  return result;
+};
+
+/**
+ * Calculează disponibilitatea pentru fiecare zi dintr-un interval
+ * @param {Date} from - Prima zi din interval
+ * @param {Date} to - Ultima zi din interval (inclusiv)
+ * @param {Object} service - Serviciul pentru care se caută sloturi
+ * @param {Object} options - Opțiunile transmise către computeDayAvailability
+ * @returns {Promise<Object>} - { slotInterval, days }
+ */
+const getAvailabilityForRange = async (from, to, service, options = {}) => {
+  const context = await loadAvailabilityContext(from, to);
+
+  const days = [];
+  const lastDay = toCalendarDate(to);
+  for (let day = toCalendarDate(from); day <= lastDay; day = addDays(day, 1)) {
+    days.push(computeDayAvailability(context, day, service, options));
+  }
+
+  return {
+    slotInterval: context.slotInterval,
+    days
+  };
+};
+
+module.exports = {
+  DAY_STATUS,
+  SLOT_REASON,
+  loadAvailabilityContext,
+  computeDayAvailability,
+  getAvailabilityForRange
+};
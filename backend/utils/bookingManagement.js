@@ -0,0 +1,108 @@
+// utils/bookingManagement.js - Anularea și reprogramarea de către client, prin link-ul semnat din email
+const { User } = require('../models/Booking');
+const { createSignedToken, verifySignedToken, buildPublicUrl } = require('./signedLinks');
+const { sendBarberBookingChangeEmail } = require('../config/email');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('BOOKING-MANAGE');
+
+// Scopul token-ului din link-ul de gestionare
+const MANAGE_BOOKING_PURPOSE = 'booking-manage';
+
+// Cu câte ore înainte de programare clientul mai poate anula sau muta singur rezervarea
+const CLIENT_CHANGE_MIN_HOURS = parseInt(process.env.CLIENT_CHANGE_MIN_HOURS) || 24;
+
+// Câte zile rămâne valabil link-ul unei programări recurente (din el se gestionează toată seria)
+const SERIES_MANAGE_LINK_DAYS = parseInt(process.env.SERIES_MANAGE_LINK_DAYS) || 180;
+
+/**
+ * Creează link-ul de gestionare pentru o rezervare confirmată.
+ * Link-ul rămâne valabil până la ora programării; după o reprogramare se trimite unul nou.
+ * Pentru programările recurente rămâne valabil mai mult, ca restul seriei să poată fi gestionat.
+ * @param {Object} booking - Rezervarea
+ * @returns {string} - URL-ul paginii de gestionare
+ */
+const buildManageUrl = (booking) => {
+  const minutesUntilStart = Math.ceil((booking.startAt.getTime() - Date.now()) / 60000);
+  const validMinutes = booking.series
+    ? Math.max(minutesUntilStart, SERIES_MANAGE_LINK_DAYS * 24 * 60)
+    : minutesUntilStart;
+  const token = createSignedToken(
+    MANAGE_BOOKING_PURPOSE,
+    { bookingId: booking._id.toString() },
+    Math.max(validMinutes, 1)
+  );
+  return buildPublicUrl('programare.html', { manageBooking: token });
+};
+
+/**
+ * ID-ul rezervării din token-ul de gestionare
+ * @param {string} token - Token-ul din link
+ * @returns {string|null} - ID-ul rezervării sau null dacă token-ul este invalid/expirat
+ */
+const getManagedBookingId = (token) => {
+  const decoded = verifySignedToken(MANAGE_BOOKING_PURPOSE, token);
+  return decoded ? decoded.bookingId : null;
+};
+
+/**
+ * Verifică dacă clientul mai poate anula sau muta rezervarea
+ * @param {Object} booking - Rezervarea
+ * @param {Date} now - Momentul curent
+ * @returns {Object} - { allowed, message, deadline }
+ */
+const checkClientChangePolicy = (booking, now = new Date()) => {
+  if (booking.status === 'cancelled') {
+    return { allowed: false, message: 'Rezervarea a fost deja anulată', deadline: null };
+  }
+
+  if (booking.status !== 'confirmed') {
+    return { allowed: false, message: 'Rezervarea nu mai poate fi modificată', deadline: null };
+  }
+
+  const deadline = new Date(booking.startAt.getTime() - CLIENT_CHANGE_MIN_HOURS * 60 * 60 * 1000);
+  if (now > deadline) {
+    return {
+      allowed: false,
+      message: `Programarea poate fi anulată sau mutată online cu cel puțin ${CLIENT_CHANGE_MIN_HOURS} ore înainte. Te rugăm să ne contactezi telefonic.`,
+      deadline
+    };
+  }
+
+  return { allowed: true, message: null, deadline };
+};
+
+/**
+ * Anunță frizerul rezervării (sau salonul, dacă frizerul nu are email) despre modificarea făcută de client.
+ * Nu aruncă erori - modificarea rezervării rămâne valabilă chiar dacă notificarea eșuează.
+ * @param {Object} booking - Rezervarea, după modificare
+ * @param {Object} change - { action: 'cancel'|'reschedule', serviceName, previousDate, previousTime, seriesCancelledCount }
+ */
+const notifyBarberOfClientChange = async (booking, change) => {
+  try {
+    const barber = booking.barber ? await User.findById(booking.barber).select('username displayName email') : null;
+
+    const result = await sendBarberBookingChangeEmail(barber ? barber.email : null, {
+      ...change,
+      clientName: booking.clientName,
+      phoneNumber: booking.phoneNumber,
+      date: booking.date,
+      time: booking.time,
+      barberName: barber ? barber.getDisplayName() : null
+    });
+
+    if (!result.success) {
+      logger.warn(`Notificarea frizerului pentru rezervarea ${booking._id} nu a fost trimisă: ${result.error}`);
+    }
+  } catch (error) {
+    logger.error(`Eroare la notificarea frizerului pentru rezervarea ${booking._id}:`, error);
+  }
+};
+
+module.exports = {
+  MANAGE_BOOKING_PURPOSE,
+  CLIENT_CHANGE_MIN_HOURS,
+  buildManageUrl,
+  getManagedBookingId,
+  checkClientChangePolicy,
+  notifyBarberOfClientChange
+};
@@ -0,0 +1,171 @@
+// utils/bookingRules.js - Reguli de antecedență minimă și orizont maxim pentru rezervări
+const { DAY_NAMES } = require('../models/BusinessSchedule');
+const {
+  toCalendarDate,
+  addDays,
+  getBusinessDateKey,
+  zonedTimeToUtc
+} = require('./timezone');
+
+// Valorile implicite, folosite când nici serviciul, nici ziua nu au o regulă proprie
+const DEFAULT_MAX_DAYS_AHEAD = parseInt(process.env.MAX_BOOKING_DAYS_AHEAD) || 30;
+const DEFAULT_MIN_LEAD_MINUTES = parseInt(process.env.MIN_BOOKING_LEAD_MINUTES) || 0;
+
+// Regula care a împiedicat o rezervare
+const BOOKING_RULE = {
+  LEAD_TIME: 'lead_time',
+  HORIZON: 'horizon'
+};
+
+// De unde provine valoarea aplicată
+const RULE_SOURCE = {
+  DEFAULT: 'default',
+  SERVICE: 'service',
+  WEEKDAY: 'weekday'
+};
+
+/**
+ * Formatează o durată în minute pentru mesaje (ex: "2 ore", "o zi", "90 de minute")
+ * @param {number} minutes - Durata în minute
+ * @returns {string}
+ */
+const formatDuration = (minutes) => {
+  if (minutes > 0 && minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return days === 1 ? 'o zi' : `${days} zile`;
+  }
+  if (minutes > 0 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? 'o oră' : `${hours} ore`;
+  }
+  return `${minutes} minute`;
+};
+
+/**
+ * Regulile aplicate unui serviciu într-o zi a săptămânii.
+ * Se aplică varianta cea mai strictă: cea mai mare antecedență și cel mai scurt orizont.
+ * @param {Object} schedule - Programul de lucru (BusinessSchedule)
+ * @param {Object} service - Serviciul
+ * @param {number} dayOfWeek - Ziua săptămânii (0 = Duminică)
+ * @returns {Object} - { dayOfWeek, minLeadMinutes, minLeadSource, maxDaysAhead, maxDaysAheadSource }
+ */
+const resolveBookingRules = (schedule, service, dayOfWeek) => {
+  const dayRules = schedule.getDayBookingRules(dayOfWeek);
+  const serviceRules = service.getBookingRules();
+
+  const rules = {
+    dayOfWeek,
+    minLeadMinutes: DEFAULT_MIN_LEAD_MINUTES,
+    minLeadSource: RULE_SOURCE.DEFAULT,
+    maxDaysAhead: DEFAULT_MAX_DAYS_AHEAD,
+    maxDaysAheadSource: RULE_SOURCE.DEFAULT
+  };
+
+  for (const [source, values] of [[RULE_SOURCE.SERVICE, serviceRules], [RULE_SOURCE.WEEKDAY, dayRules]]) {
+    if (values.minLeadMinutes !== null && values.minLeadMinutes > rules.minLeadMinutes) {
+      rules.minLeadMinutes = values.minLeadMinutes;
+      rules.minLeadSource = source;
+    }
+    if (values.maxDaysAhead !== null && values.maxDaysAhead < rules.maxDaysAhead) {
+      rules.maxDaysAhead = values.maxDaysAhead;
+      rules.maxDaysAheadSource = source;
+    }
+  }
+
+  return rules;
+};
+
+/**
+ * Mesajul care explică o regulă, în funcție de sursa ei
+ * @param {Object} rules - Rezultatul resolveBookingRules
+ * @param {string} rule - BOOKING_RULE.LEAD_TIME sau BOOKING_RULE.HORIZON
+ * @param {Object} service - Serviciul
+ * @returns {string}
+ */
+const describeBookingRule = (rules, rule, service) => {
+  const source = rule === BOOKING_RULE.LEAD_TIME ? rules.minLeadSource : rules.maxDaysAheadSource;
+
+  let subject = 'Rezervările';
+  if (source === RULE_SOURCE.SERVICE) {
+    subject = `Rezervările pentru ${service.name}`;
+  } else if (source === RULE_SOURCE.WEEKDAY) {
+    subject = `Rezervările pentru ${DAY_NAMES[rules.dayOfWeek].toLowerCase()}`;
+  }
+
+  if (rule === BOOKING_RULE.LEAD_TIME) {
+    return rules.minLeadMinutes > 0
+      ? `${subject} se fac cu cel puțin ${formatDuration(rules.minLeadMinutes)} înainte`
+      : 'Ora selectată a trecut deja';
+  }
+
+  return `${subject} se pot face cu cel mult ${rules.maxDaysAhead} zile în avans`;
+};
+
+/**
+ * Ultima zi în care se poate face o rezervare conform regulilor
+ * @param {Object} rules - Rezultatul resolveBookingRules
+ * @param {Date} now - Momentul curent
+ * @returns {Date}
+ */
+const getLastBookableDate = (rules, now = new Date()) => {
+  return addDays(toCalendarDate(getBusinessDateKey(now)), rules.maxDaysAhead);
+};
+
+/**
+ * Verifică dacă o oră respectă antecedența minimă
+ * @param {Object} rules - Rezultatul resolveBookingRules
+ * @param {Date} date - Ziua programării
+ * @param {string} time - Ora programării (HH:MM)
+ * @param {Date} now - Momentul curent
+ * @returns {boolean}
+ */
+const meetsLeadTime = (rules, date, time, now = new Date()) => {
+  const startAt = zonedTimeToUtc(toCalendarDate(date), time);
+  return startAt.getTime() - now.getTime() >= Math.max(rules.minLeadMinutes * 60 * 1000, 1);
+};
+
+/**
+ * Verifică regulile pentru o zi și, opțional, o oră
+ * @param {Object} schedule - Programul de lucru (BusinessSchedule)
+ * @param {Object} service - Serviciul
+ * @param {Date} date - Ziua programării
+ * @param {string} time - Ora programării (opțional; fără oră se verifică doar orizontul)
+ * @param {Date} now - Momentul curent
+ * @returns {Object} - { allowed, rule, message, rules }
+ */
+const checkBookingRules = (schedule, service, date, time = null, now = new Date()) => {
+  const day = toCalendarDate(date);
+  const rules = resolveBookingRules(schedule, service, day.getUTCDay());
+
+  if (day > getLastBookableDate(rules, now)) {
+    return {
+      allowed: false,
+      rule: BOOKING_RULE.HORIZON,
+      message: describeBookingRule(rules, BOOKING_RULE.HORIZON, service),
+      rules
+    };
+  }
+
+  if (time && !meetsLeadTime(rules, day, time, now)) {
+    return {
+      allowed: false,
+      rule: BOOKING_RULE.LEAD_TIME,
+      message: describeBookingRule(rules, BOOKING_RULE.LEAD_TIME, service),
+      rules
+    };
+  }
+
+  return { allowed: true, rule: null, message: null, rules };
+};
+
+module.exports = {
+  DEFAULT_MAX_DAYS_AHEAD,
+  DEFAULT_MIN_LEAD_MINUTES,
+  BOOKING_RULE,
+  RULE_SOURCE,
+  resolveBookingRules,
+  describeBookingRule,
+  getLastBookableDate,
+  meetsLeadTime,
+  checkBookingRules
+};
@@ -0,0 +1,282 @@
+// utils/bookingSeries.js - Generarea și anularea programărilor din seriile recurente
+const { Service, Booking, isTimeSlotAvailable, findAvailableBarber } = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const BlockedDate = require('../models/BlockedDates');
+const BusinessSchedule = require('../models/BusinessSchedule');
+const TimeLock = require('../models/TimeLock');
+const { resolveBookingRules, getLastBookableDate } = require('./bookingRules');
+const { notifyWaitlistForDate } = require('./waitlist');
+const { toDateKey, addDays, getBusinessToday } = require('./timezone');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('BOOKING-SERIES');
+
+// Motivul raportat când intervalul este ocupat sau în afara programului
+const SLOT_UNAVAILABLE_REASON = 'Intervalul este deja ocupat sau în afara programului';
+
+/**
+ * Identificatorul folosit în TimeLock cât timp se creează o programare a seriei
+ * @param {Object} series - Seria
+ * @returns {string}
+ */
+const getHoldOwner = (series) => `series:${series._id}`;
+
+/**
+ * Creează programarea seriei pentru o zi, cu aceleași verificări ca o rezervare nouă
+ * (date blocate, program, suprapuneri) și un lock atomic pe durata creării.
+ * @param {Object} series - Seria
+ * @param {Object} service - Serviciile seriei, combinate
+ * @param {Date} date - Ziua programării
+ * @returns {Promise<Object>} - { booking } sau { reason } dacă intervalul nu este disponibil
+ */
+const reserveOccurrence = async (series, service, date) => {
+  const { time } = series;
+
+  // Motivul exact pentru zilele blocate (dată blocată, sărbătoare, regulă recurentă)
+  const blockCheck = await BlockedDate.isDateTimeBlocked(date, time, service.duration);
+  if (blockCheck.isBlocked) {
+    return { reason: blockCheck.reason };
+  }
+
+  let barberId = series.barber || null;
+  let isAvailable;
+
+  if (barberId) {
+    isAvailable = await isTimeSlotAvailable(date, time, service.duration, barberId, service.getBuffers());
+  } else {
+    const result = await findAvailableBarber(date, time, service.duration, service.getBuffers());
+    isAvailable = result.available;
+    barberId = result.barber ? result.barber._id : null;
+  }
+
+  if (!isAvailable) {
+    return { reason: SLOT_UNAVAILABLE_REASON };
+  }
+
+  const holdOwner = getHoldOwner(series);
+  try {
+    await new TimeLock({
+      date,
+      time,
+      serviceId: service._id,
+      services: service.serviceIds,
+      barber: barberId,
+      lockedBy: holdOwner
+    }).save();
+  } catch (lockError) {
+    if (lockError.code === 11000) {
+      return { reason: SLOT_UNAVAILABLE_REASON };
+    }
+    throw lockError;
+  }
+
+  try {
+    const stillAvailable = await isTimeSlotAvailable(
+      date,
+      time,
+      service.duration,
+      barberId,
+      { ...service.getBuffers(), excludeLockedBy: holdOwner }
+    );
+
+    if (!stillAvailable) {
+      return { reason: SLOT_UNAVAILABLE_REASON };
+    }
+
+    // Seria a fost deja acceptată de frizer, așa că programările ei sunt confirmate direct
+    const booking = new Booking({
+      client: series.client,
+      clientName: series.clientName,
+      phoneNumber: series.phoneNumber,
+      email: series.email,
+      countryCode: series.countryCode,
+      service: service._id,
+      services: service.serviceIds,
+      barber: barberId,
+      date,
+      time,
+      status: 'confirmed',
+      verified: true,
+      series: series._id
+    });
+    booking.addHistoryEntry(Booking.HISTORY_ACTIONS.CREATED_FROM_SERIES, { note: series.describeRecurrence() });
+    await booking.save();
+
+    return { booking };
+  } finally {
+    await TimeLock.deleteOne({ lockedBy: holdOwner });
+  }
+};
+
+/**
+ * Generează programările seriei până la orizontul de rezervare al serviciului.
+ * Zilele deja tratate nu se reiau; cele în conflict sunt salvate pe serie și raportate, nu omise.
+ * @param {Object} series - Seria
+ * @param {Date} now - Momentul curent
+ * @returns {Promise<Object>} - { created: [Booking], conflicts: [{ date, dateKey, time, reason }] }
+ */
+const generateSeriesOccurrences = async (series, now = new Date()) => {
+  const created = [];
+  const conflicts = [];
+
+  if (series.status !== 'active') {
+    return { created, conflicts };
+  }
+
+  const service = await Service.findBundle(series.getServiceIds());
+  if (!service) {
+    logger.warn(`Serviciul ${series.service} al seriei ${series._id} nu mai există`);
+    return { created, conflicts };
+  }
+
+  // Toate programările seriei cad în aceeași zi a săptămânii, deci au același orizont
+  const schedule = await BusinessSchedule.getSchedule();
+  const rules = resolveBookingRules(schedule, service, series.startDate.getUTCDay());
+  const horizon = getLastBookableDate(rules, now);
+
+  const today = getBusinessToday();
+  const nextUnprocessed = series.generatedUntil ? addDays(series.generatedUntil, 1) : series.startDate;
+  const from = nextUnprocessed > today ? nextUnprocessed : today;
+
+  for (const date of series.getOccurrenceDates(from, horizon)) {
+    // O programare a seriei mutată între timp în altă zi nu se recreează
+    const existing = await Booking.exists({ series: series._id, date });
+    if (existing) {
+      continue;
+    }
+
+    const result = await reserveOccurrence(series, service, date);
+    if (result.booking) {
+      created.push(result.booking);
+    } else {
+      series.addConflict(date, result.reason);
+      conflicts.push({ date, dateKey: toDateKey(date), time: series.time, reason: result.reason });
+    }
+  }
+
+  if (!series.generatedUntil || horizon > series.generatedUntil) {
+    series.generatedUntil = horizon;
+  }
+  await series.save();
+
+  if (created.length > 0 || conflicts.length > 0) {
+    logger.info(`Seria ${series._id}: ${created.length} programări create, ${conflicts.length} conflicte`);
+  }
+
+  return { created, conflicts };
+};
+
+/**
+ * Creează o serie pornind de la o rezervare și generează programările următoare
+ * @param {Object} booking - Rezervarea de bază
+ * @param {Object} options - { intervalWeeks, endDate, createdBy }
+ * @returns {Promise<Object>} - { series, created, conflicts }
+ */
+const createSeriesFromBooking = async (booking, { intervalWeeks, endDate = null, createdBy = 'client' }) => {
+  const series = new BookingSeries({
+    client: booking.client,
+    clientName: booking.clientName,
+    phoneNumber: booking.phoneNumber,
+    email: booking.email,
+    countryCode: booking.countryCode,
+    service: booking.service,
+    services: booking.getServiceIds(),
+    barber: booking.barber,
+    time: booking.time,
+    startDate: booking.date,
+    intervalWeeks,
+    endDate,
+    baseBooking: booking._id,
+    createdBy
+  });
+  await series.save();
+
+  booking.series = series._id;
+  booking.requestedRecurrenceWeeks = null;
+  await booking.save();
+
+  const { created, conflicts } = await generateSeriesOccurrences(series);
+  return { series, created, conflicts };
+};
+
+/**
+ * Anulează o serie: nu se mai generează programări, iar cele viitoare sunt anulate.
+ * @param {Object} series - Seria
+ * @param {Object} options - { actor, actorType, actorId, note, canCancel } - canCancel(booking) poate păstra unele programări
+ * @returns {Promise<Object>} - { cancelled: [Booking], kept: [Booking] }
+ */
+const cancelSeries = async (series, { actor = 'system', actorType, actorId, note, canCancel = null } = {}) => {
+  series.status = 'cancelled';
+  series.cancelledBy = actor;
+  series.cancelledAt = new Date();
+  await series.save();
+
+  const upcoming = await Booking.find({
+    series: series._id,
+    status: { $in: ['pending', 'confirmed'] },
+    startAt: { $gt: new Date() }
+  }).sort({ startAt: 1 });
+
+  const cancelled = [];
+  const kept = [];
+
+  for (const booking of upcoming) {
+    if (canCancel && !canCancel(booking)) {
+      kept.push(booking);
+      continue;
+    }
+
+    booking.transitionTo('cancelled', {
+      action: Booking.HISTORY_ACTIONS.SERIES_CANCELLED,
+      actor,
+      actorType,
+      actorId,
+      note
+    });
+    await booking.save();
+    cancelled.push(booking);
+  }
+
+  // Intervalele eliberate sunt oferite clienților de pe lista de așteptare
+  for (const dayKey of new Set(cancelled.map(booking => toDateKey(booking.date)))) {
+    notifyWaitlistForDate(dayKey);
+  }
+
+  logger.info(`Seria ${series._id} anulată de ${actor}: ${cancelled.length} programări anulate, ${kept.length} păstrate`);
+
+  return { cancelled, kept };
+};
+
+/**
+ * Prelungește seriile active pe măsură ce orizontul de rezervare avansează (rulat periodic)
+ * @returns {Promise<Object>} - { series, created, conflicts, errors }
+ */
+const extendActiveSeries = async () => {
+  const totals = { series: 0, created: 0, conflicts: 0, errors: 0 };
+  const activeSeries = await BookingSeries.find({ status: 'active' });
+
+  for (const series of activeSeries) {
+    try {
+      const { created, conflicts } = await generateSeriesOccurrences(series);
+      totals.series++;
+      totals.created += created.length;
+      totals.conflicts += conflicts.length;
+
+      for (const conflict of conflicts) {
+        logger.warn(`Seria ${series._id} (${series.clientName}): ${conflict.dateKey} ${conflict.time} - ${conflict.reason}`);
+      }
+    } catch (error) {
+      logger.error(`Eroare la prelungirea seriei ${series._id}:`, error);
+      totals.errors++;
+    }
+  }
+
+  return totals;
+};
+
+module.exports = {
+  SLOT_UNAVAILABLE_REASON,
+  generateSeriesOccurrences,
+  createSeriesFromBooking,
+  cancelSeries,
+  extendActiveSeries
+};
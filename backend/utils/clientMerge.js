@@ -0,0 +1,321 @@
+// utils/clientMerge.js - Detectarea clienților duplicați și unificarea lor
+const Client = require('../models/Client');
+const ClientMerge = require('../models/ClientMerge');
+const { Booking } = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('CLIENT-MERGE');
+
+// Motivele pentru care doi clienți sunt considerați duplicați
+const DUPLICATE_REASONS = {
+  PHONE: 'phone',
+  NAME: 'name',
+  SHARED_BOOKINGS: 'shared_bookings'
+};
+
+// Ponderea fiecărui motiv în scorul perechii (numele singur nu este suficient pentru o sugestie)
+const REASON_SCORES = {
+  [DUPLICATE_REASONS.PHONE]: 2,
+  [DUPLICATE_REASONS.SHARED_BOOKINGS]: 2,
+  [DUPLICATE_REASONS.NAME]: 1
+};
+
+// Câte cifre de la finalul numărului se compară (ignoră prefixul de țară și 0-ul inițial)
+const PHONE_MATCH_DIGITS = 9;
+
+// Diferența maximă (în litere) între două nume considerate asemănătoare
+const NAME_MAX_DISTANCE = 2;
+
+// Limita contoarelor din modelul Client
+const MAX_COUNTER = 1000;
+
+/**
+ * Numărul de telefon redus la ultimele cifre, comparabil indiferent de format și prefix
+ * @param {string} phoneNumber - Numărul de telefon
+ * @returns {string|null}
+ */
+const normalizePhoneForMatch = (phoneNumber) => {
+  const digits = (phoneNumber || '').replace(/\D/g, '');
+  return digits.length >= PHONE_MATCH_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+};
+
+/**
+ * Numele fără diacritice, cu litere mici și cuvintele în ordine alfabetică
+ * @param {string} name - Numele clientului
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+/**
+ * Distanța de editare între două șiruri (numărul minim de litere adăugate, șterse sau înlocuite)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Verifică dacă două nume aparțin probabil aceleiași persoane (greșeli de scriere, ordinea cuvintelor, diacritice)
+ * @param {string} first
+ * @param {string} second
+ * @returns {boolean}
+ */
+const areNamesSimilar = (first, second) => {
+  const a = normalizeName(first);
+  const b = normalizeName(second);
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return Math.min(a.length, b.length) > NAME_MAX_DISTANCE * 2 && getEditDistance(a, b) <= NAME_MAX_DISTANCE;
+};
+
+/**
+ * Grupurile de clienți diferiți care apar pe rezervări cu același email sau telefon
+ * @returns {Promise<Array<Array<string>>>} - Listele de ID-uri de client
+ */
+const findSharedBookingGroups = async () => {
+  const [byEmail, byPhone] = await Promise.all([
+    Booking.aggregate([
+      { $match: { client: { $ne: null }, email: { $nin: [null, ''] } } },
+      { $group: { _id: '$email', clients: { $addToSet: '$client' } } },
+      { $match: { 'clients.1': { $exists: true } } }
+    ]),
+    Booking.aggregate([
+      { $match: { client: { $ne: null } } },
+      { $group: { _id: '$phoneNumber', clients: { $addToSet: '$client' } } }
+    ])
+  ]);
+
+  // Numerele scrise diferit (cu sau fără prefix) se unesc după normalizare
+  const clientsByPhone = new Map();
+  byPhone.forEach(({ _id: phoneNumber, clients }) => {
+    const key = normalizePhoneForMatch(phoneNumber);
+    if (!key) return;
+    const ids = clientsByPhone.get(key) || new Set();
+    clients.forEach(clientId => ids.add(clientId.toString()));
+    clientsByPhone.set(key, ids);
+  });
+
+  return [
+    ...byEmail.map(({ clients }) => clients.map(clientId => clientId.toString())),
+    ...[...clientsByPhone.values()].filter(ids => ids.size > 1).map(ids => [...ids])
+  ];
+};
+
+/**
+ * Rezumatul clientului afișat în lista de duplicate
+ * @param {Object} client - Clientul
+ * @returns {Object}
+ */
+const summarizeClient = (client) => ({
+  id: client._id,
+  name: client.name,
+  phoneNumber: client.phoneNumber,
+  email: client.email || null,
+  totalBookings: client.totalBookings || 0,
+  completedBookings: client.completedBookings || 0,
+  isBlocked: client.isBlocked,
+  createdAt: client.createdAt,
+  lastVisit: client.lastVisit
+});
+
+/**
+ * Caută perechile de clienți care sunt probabil aceeași persoană
+ * @param {Object} options - { limit } - numărul maxim de perechi returnate
+ * @returns {Promise<Array>} - Perechile { clients, reasons, score }, cele mai probabile primele.
+ *   Primul client din pereche este cel sugerat pentru păstrare (cu mai multe rezervări).
+ */
+const findDuplicateClients = async ({ limit = 50 } = {}) => {
+  const [clients, sharedBookingGroups] = await Promise.all([
+    Client.find().select('name phoneNumber email totalBookings completedBookings isBlocked createdAt lastVisit').lean(),
+    findSharedBookingGroups()
+  ]);
+  const clientsById = new Map(clients.map(client => [client._id.toString(), client]));
+  const pairs = new Map();
+
+  const addPair = (firstId, secondId, reason) => {
+    if (firstId === secondId || !clientsById.has(firstId) || !clientsById.has(secondId)) return;
+    const key = [firstId, secondId].sort().join(':');
+    const pair = pairs.get(key) || { ids: [firstId, secondId], reasons: new Set() };
+    pair.reasons.add(reason);
+    pairs.set(key, pair);
+  };
+
+  const addGroup = (ids, reason) => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        addPair(ids[i], ids[j], reason);
+      }
+    }
+  };
+
+  const idsByPhone = new Map();
+  clients.forEach(client => {
+    const key = normalizePhoneForMatch(client.phoneNumber);
+    if (!key) return;
+    idsByPhone.set(key, [...(idsByPhone.get(key) || []), client._id.toString()]);
+  });
+  idsByPhone.forEach(ids => addGroup(ids, DUPLICATE_REASONS.PHONE));
+  sharedBookingGroups.forEach(ids => addGroup(ids, DUPLICATE_REASONS.SHARED_BOOKINGS));
+
+  return [...pairs.values()]
+    .map(({ ids, reasons }) => {
+      const [first, second] = ids.map(id => clientsById.get(id));
+      if (areNamesSimilar(first.name, second.name)) {
+        reasons.add(DUPLICATE_REASONS.NAME);
+      }
+      const ordered = (second.totalBookings || 0) > (first.totalBookings || 0) ? [second, first] : [first, second];
+      return {
+        clients: ordered.map(summarizeClient),
+        reasons: [...reasons],
+        score: [...reasons].reduce((sum, reason) => sum + REASON_SCORES[reason], 0)
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Motivele pentru care doi clienți anume sunt considerați duplicați (salvate în istoricul unificării)
+ * @param {Object} primary - Clientul păstrat
+ * @param {Object} duplicate - Clientul unificat
+ * @returns {Promise<Array<string>>}
+ */
+const getMatchReasons = async (primary, duplicate) => {
+  const reasons = [];
+  const primaryPhone = normalizePhoneForMatch(primary.phoneNumber);
+  if (primaryPhone && primaryPhone === normalizePhoneForMatch(duplicate.phoneNumber)) {
+    reasons.push(DUPLICATE_REASONS.PHONE);
+  }
+  if (areNamesSimilar(primary.name, duplicate.name)) {
+    reasons.push(DUPLICATE_REASONS.NAME);
+  }
+
+  const duplicateBookings = await Booking.find({ client: duplicate._id }).select('email phoneNumber').lean();
+  const contacts = duplicateBookings.flatMap(booking => [booking.email, normalizePhoneForMatch(booking.phoneNumber)]).filter(Boolean);
+  if (contacts.length > 0) {
+    const primaryBookings = await Booking.find({ client: primary._id }).select('email phoneNumber').lean();
+    const shared = primaryBookings.some(booking =>
+      contacts.includes(booking.email) || contacts.includes(normalizePhoneForMatch(booking.phoneNumber)));
+    if (shared) {
+      reasons.push(DUPLICATE_REASONS.SHARED_BOOKINGS);
+    }
+  }
+
+  return reasons;
+};
+
+/**
+ * Cea mai recentă dintre două date (null dacă lipsesc amândouă)
+ */
+const latestDate = (a, b) => {
+  if (!a || !b) return a || b || null;
+  return a > b ? a : b;
+};
+
+/**
+ * Unifică un client duplicat în clientul păstrat: mută rezervările și seriile, adună contoarele,
+ * combină notele și păstrează adresa de email a duplicatului pentru rezervările viitoare.
+ * Clientul duplicat este șters, iar unificarea se salvează în ClientMerge pentru audit.
+ * @param {Object} primary - Clientul păstrat
+ * @param {Object} duplicate - Clientul unificat (șters la final)
+ * @param {Object} options - { mergedBy, reason }
+ * @returns {Promise<Object>} - { client, merge, movedBookings, movedSeries }
+ */
+const mergeClients = async (primary, duplicate, { mergedBy, reason = null }) => {
+  const [movedBookingIds, movedSeriesIds, matchReasons] = await Promise.all([
+    Booking.find({ client: duplicate._id }).distinct('_id'),
+    BookingSeries.find({ client: duplicate._id }).distinct('_id'),
+    getMatchReasons(primary, duplicate)
+  ]);
+
+  // Istoricul se salvează primul: conține tot ce e necesar pentru a reface manual o unificare întreruptă
+  const merge = await ClientMerge.create({
+    primaryClient: primary._id,
+    mergedClientId: duplicate._id,
+    mergedClientSnapshot: duplicate.toObject(),
+    primaryClientBefore: primary.toObject(),
+    movedBookingIds,
+    movedSeriesIds,
+    matchReasons,
+    reason,
+    mergedBy
+  });
+
+  await Promise.all([
+    Booking.updateMany({ client: duplicate._id }, { $set: { client: primary._id } }),
+    BookingSeries.updateMany({ client: duplicate._id }, { $set: { client: primary._id } })
+  ]);
+
+  ['totalBookings', 'completedBookings', 'noShowCount', 'emailsSent', 'smsSent'].forEach(counter => {
+    primary[counter] = Math.min((primary[counter] || 0) + (duplicate[counter] || 0), MAX_COUNTER);
+  });
+  ['lastVisit', 'lastNoShowAt', 'lastEmailSentAt', 'lastSmsSentAt'].forEach(field => {
+    primary[field] = latestDate(primary[field], duplicate[field]);
+  });
+  if (duplicate.createdAt && duplicate.createdAt < primary.createdAt) {
+    primary.createdAt = duplicate.createdAt;
+  }
+
+  const notes = [primary.notes, duplicate.notes].map(note => (note || '').trim()).filter(Boolean);
+  primary.notes = [...new Set(notes)].join('\n').substring(0, 500);
+
+  // Un client blocat rămâne blocat și după unificare
+  if (duplicate.isBlocked && !primary.isBlocked) {
+    primary.isBlocked = true;
+    primary.blockReason = duplicate.blockReason;
+    primary.blockDate = duplicate.blockDate;
+  }
+
+  // Adresele duplicatului rămân asociate clientului păstrat, ca rezervările noi să nu creeze din nou un duplicat
+  const emails = [duplicate.email, ...(duplicate.mergedEmails || []), ...(primary.mergedEmails || [])].filter(Boolean);
+  if (!primary.email && duplicate.email) {
+    primary.email = duplicate.email;
+  }
+  primary.mergedEmails = [...new Set(emails)].filter(email => email !== primary.email);
+
+  // Duplicatul se șterge înainte de salvare, pentru că email-ul lui poate trece pe clientul păstrat (index unic)
+  await Client.deleteOne({ _id: duplicate._id });
+  await primary.save();
+
+  logger.info(`Client ${duplicate._id} merged into ${primary._id} by ${mergedBy}: ` +
+    `${movedBookingIds.length} bookings, ${movedSeriesIds.length} series moved`);
+
+  return {
+    client: primary,
+    merge,
+    movedBookings: movedBookingIds.length,
+    movedSeries: movedSeriesIds.length
+  };
+};
+
+module.exports = {
+  DUPLICATE_REASONS,
+  normalizePhoneForMatch,
+  normalizeName,
+  areNamesSimilar,
+  findDuplicateClients,
+  mergeClients
+};
@@ -0,0 +1,92 @@
+// utils/holidays.js - Calendarul sărbătorilor legale din România (inclusiv Paștele ortodox)
+const { addDays, toDateKey } = require('./timezone');
+
+// Sărbătorile cu dată fixă: [cheie, nume, lună (1-12), zi]
+const FIXED_HOLIDAYS = [
+  ['new-year', 'Anul Nou', 1, 1],
+  ['new-year-second-day', 'A doua zi de Anul Nou', 1, 2],
+  ['epiphany', 'Boboteaza', 1, 6],
+  ['st-john', 'Sfântul Ioan Botezătorul', 1, 7],
+  ['union-day', 'Ziua Unirii Principatelor Române', 1, 24],
+  ['labour-day', 'Ziua Muncii', 5, 1],
+  ['children-day', 'Ziua Copilului', 6, 1],
+  ['assumption', 'Adormirea Maicii Domnului', 8, 15],
+  ['st-andrew', 'Sfântul Andrei', 11, 30],
+  ['national-day', 'Ziua Națională a României', 12, 1],
+  ['christmas', 'Crăciunul', 12, 25],
+  ['christmas-second-day', 'A doua zi de Crăciun', 12, 26]
+];
+
+// Sărbătorile mobile, relative la Paștele ortodox: [cheie, nume, zile față de Paște]
+const EASTER_HOLIDAYS = [
+  ['good-friday', 'Vinerea Mare', -2],
+  ['easter', 'Paștele', 0],
+  ['easter-monday', 'A doua zi de Paște', 1],
+  ['pentecost', 'Rusaliile', 49],
+  ['pentecost-monday', 'A doua zi de Rusalii', 50]
+];
+
+const HOLIDAY_KEYS = [...FIXED_HOLIDAYS, ...EASTER_HOLIDAYS].map(([key]) => key);
+
+/**
+ * Data Paștelui ortodox (algoritmul Meeus pentru calendarul iulian, convertit în gregorian)
+ * @param {number} year - Anul
+ * @returns {Date} - Data calendaristică (miezul nopții UTC)
+ */
+const getOrthodoxEaster = (year) => {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+
+  // Diferența dintre calendarul iulian și cel gregorian (13 zile între 1900 și 2099)
+  const julianOffset = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+
+  return addDays(new Date(Date.UTC(year, month - 1, day)), julianOffset);
+};
+
+/**
+ * Sărbătorile legale dintr-un an, ordonate cronologic
+ * @param {number} year - Anul
+ * @returns {Array} - [{ key, name, date, dateKey }]
+ */
+const getRomanianHolidays = (year) => {
+  const easter = getOrthodoxEaster(year);
+
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(([key, name, month, day]) => ({
+      key,
+      name,
+      date: new Date(Date.UTC(year, month - 1, day))
+    })),
+    ...EASTER_HOLIDAYS.map(([key, name, offset]) => ({
+      key,
+      name,
+      date: addDays(easter, offset)
+    }))
+  ];
+
+  return holidays
+    .map(holiday => ({ ...holiday, dateKey: toDateKey(holiday.date) }))
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Numele unei sărbători după cheie
+ * @param {string} key - Cheia sărbătorii
+ * @returns {string|null}
+ */
+const getHolidayName = (key) => {
+  const holiday = [...FIXED_HOLIDAYS, ...EASTER_HOLIDAYS].find(([holidayKey]) => holidayKey === key);
+  return holiday ? holiday[1] : null;
+};
+
+module.exports = {
+  HOLIDAY_KEYS,
+  getOrthodoxEaster,
+  getRomanianHolidays,
+  getHolidayName
+};
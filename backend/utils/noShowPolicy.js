@@ -0,0 +1,78 @@
+// utils/noShowPolicy.js - Neprezentările la programări și blocarea automată a clienților care nu vin
+const { Booking } = require('../models/Booking');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('NO-SHOW');
+
+// După câte neprezentări în perioada de mai jos clientul este blocat automat (0 = fără blocare automată)
+const NO_SHOW_BLOCK_THRESHOLD = process.env.NO_SHOW_BLOCK_THRESHOLD !== undefined
+  ? parseInt(process.env.NO_SHOW_BLOCK_THRESHOLD) || 0
+  : 2;
+
+// Perioada (în luni) în care se numără neprezentările pentru blocarea automată
+const NO_SHOW_WINDOW_MONTHS = parseInt(process.env.NO_SHOW_WINDOW_MONTHS) || 6;
+
+/**
+ * Începutul perioadei în care se numără neprezentările
+ * @param {Date} now - Momentul de referință
+ * @returns {Date}
+ */
+const getNoShowWindowStart = (now = new Date()) => {
+  const start = new Date(now);
+  start.setMonth(start.getMonth() - NO_SHOW_WINDOW_MONTHS);
+  return start;
+};
+
+/**
+ * Numărul de neprezentări ale unui client în perioada configurată
+ * @param {Object} clientId - ID-ul clientului
+ * @returns {Promise<number>}
+ */
+const countRecentNoShows = (clientId) => {
+  return Booking.countDocuments({
+    client: clientId,
+    status: 'no_show',
+    startAt: { $gte: getNoShowWindowStart() }
+  });
+};
+
+/**
+ * Marchează o rezervare confirmată ca neprezentare, actualizează contorul clientului
+ * și îl blochează automat dacă a atins pragul de neprezentări din perioada configurată
+ * @param {Object} booking - Rezervarea confirmată (cu clientul populat)
+ * @param {Object} actor - Cine a marcat neprezentarea ({ actor, actorType, actorId })
+ * @returns {Promise<Object>} - { noShowCount, recentNoShows, blocked }
+ */
+const recordNoShow = async (booking, actor) => {
+  booking.transitionTo('no_show', actor);
+  await booking.save();
+
+  const client = booking.client;
+  if (!client) {
+    return { noShowCount: 0, recentNoShows: 0, blocked: false };
+  }
+
+  await client.recordNoShow();
+
+  const recentNoShows = await countRecentNoShows(client._id);
+
+  let blocked = false;
+  if (NO_SHOW_BLOCK_THRESHOLD > 0 && recentNoShows >= NO_SHOW_BLOCK_THRESHOLD && !client.isBlocked) {
+    await client.block(`Blocat automat: ${recentNoShows} neprezentări în ultimele ${NO_SHOW_WINDOW_MONTHS} luni`);
+    blocked = true;
+    logger.info(`Client ${client._id} blocked automatically after ${recentNoShows} no-shows`);
+  }
+
+  return {
+    noShowCount: client.noShowCount,
+    recentNoShows,
+    blocked
+  };
+};
+
+module.exports = {
+  NO_SHOW_BLOCK_THRESHOLD,
+  NO_SHOW_WINDOW_MONTHS,
+  getNoShowWindowStart,
+  countRecentNoShows,
+  recordNoShow
+};
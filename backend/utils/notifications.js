@@ -0,0 +1,98 @@
+// utils/notifications.js - Notificările către clienți, trimise pe canalul preferat al fiecărui client
+const Client = require('../models/Client');
+const { emailChannel } = require('../config/email');
+const { smsChannel } = require('../config/sms');
+
+// Canalele disponibile; fiecare are { name, canReach(recipient), checkLimits(recipient), send(type, recipient, data) }
+const CHANNELS = {
+  email: emailChannel,
+  sms: smsChannel
+};
+
+// Numele canalelor în mesajele pentru personal
+const CHANNEL_LABELS = {
+  email: 'email',
+  sms: 'SMS'
+};
+
+// Tipurile de notificări trimise pe canalul clientului
+const NOTIFICATION_TYPES = {
+  BOOKING_CONFIRMED: 'bookingConfirmed',
+  BOOKING_REJECTED: 'bookingRejected',
+  BOOKING_MOVED: 'bookingMoved',
+  SERIES_CANCELLED: 'seriesCancelled',
+  CLIENT_BLOCKED: 'clientBlocked'
+};
+
+/**
+ * Destinatarul notificărilor pentru o rezervare
+ * @param {Object} booking - Rezervarea (cu clientul populat, dacă există)
+ * @param {Object} client - Clientul, când rezervarea nu îl are populat (ex. rezervare tocmai creată)
+ * @returns {Object} - { email, phoneNumber, preferredChannel, bookingId, client }
+ */
+const getBookingRecipient = (booking, client = booking.client) => {
+  const clientDoc = client && client.preferredChannel ? client : null;
+  return {
+    email: booking.email,
+    phoneNumber: booking.phoneNumber,
+    preferredChannel: clientDoc ? clientDoc.preferredChannel : 'email',
+    bookingId: booking._id,
+    client: clientDoc
+  };
+};
+
+/**
+ * Destinatarul notificărilor pentru o serie recurentă (fără limita pe rezervare)
+ * @param {Object} series - Seria
+ * @param {Object} client - Clientul seriei (opțional)
+ * @returns {Object} - { email, phoneNumber, preferredChannel, bookingId, client }
+ */
+const getSeriesRecipient = (series, client = null) => ({
+  ...getBookingRecipient(series, client),
+  bookingId: null
+});
+
+/**
+ * Alege canalul pentru un destinatar: canalul preferat, apoi celelalte canale, în ordine
+ * @param {Object} recipient - Destinatarul
+ * @returns {Object|null} - Canalul sau null dacă destinatarul nu poate fi contactat
+ */
+const resolveChannel = (recipient) => {
+  const order = [recipient.preferredChannel, ...Client.NOTIFICATION_CHANNELS];
+  const name = order.find(channelName => CHANNELS[channelName] && CHANNELS[channelName].canReach(recipient));
+  return name ? CHANNELS[name] : null;
+};
+
+/**
+ * Trimite o notificare pe canalul potrivit destinatarului
+ * @param {string} type - Tipul notificării (NOTIFICATION_TYPES)
+ * @param {Object} recipient - Destinatarul (getBookingRecipient)
+ * @param {Object} data - Datele notificării
+ * @returns {Promise<Object>} - { status: 'sent'|'failed'|'limited'|'none', channel, limit, error }
+ */
+const sendNotification = async (type, recipient, data) => {
+  const channel = resolveChannel(recipient);
+  if (!channel) {
+    return { status: 'none', channel: null };
+  }
+
+  const limits = await channel.checkLimits(recipient);
+  if (!limits.success) {
+    return { status: 'limited', channel: channel.name, limit: limits.limit };
+  }
+
+  const result = await channel.send(type, recipient, data);
+  if (!result.success) {
+    return { status: 'failed', channel: channel.name, error: result.error };
+  }
+
+  return { status: 'sent', channel: channel.name };
+};
+
+module.exports = {
+  CHANNEL_LABELS,
+  NOTIFICATION_TYPES,
+  getBookingRecipient,
+  getSeriesRecipient,
+  sendNotification
+};
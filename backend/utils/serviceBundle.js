@@ -0,0 +1,186 @@
+// utils/serviceBundle.js - Rezervările cu mai multe servicii, tratate ca un singur interval continuu
+const { timeToMinutes, minutesToTime } = require('./timeUtils');
+
+// Numărul maxim de servicii dintr-o rezervare
+const MAX_SERVICES_PER_BOOKING = 4;
+
+// Durata maximă a unei rezervări (minute), aceeași limită ca la verificarea disponibilității
+const MAX_BOOKING_DURATION = 240;
+
+// Numărul maxim de persoane dintr-o rezervare de grup
+const MAX_GROUP_SIZE = 4;
+
+/**
+ * Combină serviciile unei rezervări, în ordinea aleasă de client, într-un singur "serviciu":
+ * duratele și prețurile se adună, pregătirea este cea a primului serviciu, curățenia a ultimului,
+ * iar regulile de rezervare sunt cele mai stricte dintre servicii.
+ * Rezultatul poate fi folosit oriunde se folosește un document Service.
+ * @param {Array<Object>} services - Documentele Service, în ordine
+ * @returns {Object|null} - { _id, serviceIds, name, duration, price, bufferBefore, bufferAfter, ... }
+ */
+const combineServices = (services) => {
+  if (!services || services.length === 0) {
+    return null;
+  }
+
+  const first = services[0];
+  const last = services[services.length - 1];
+  const minLeads = services.map(service => service.minLeadMinutes ?? null).filter(value => value !== null);
+  const maxDays = services.map(service => service.maxDaysAhead ?? null).filter(value => value !== null);
+
+  return {
+    _id: first._id,
+    serviceIds: services.map(service => service._id),
+    names: services.map(service => service.name),
+    name: services.map(service => service.name).join(' + '),
+    duration: services.reduce((total, service) => total + service.duration, 0),
+    price: services.reduce((total, service) => total + service.price, 0),
+    bufferBefore: first.bufferBefore || 0,
+    bufferAfter: last.bufferAfter || 0,
+    minLeadMinutes: minLeads.length > 0 ? Math.max(...minLeads) : null,
+    maxDaysAhead: maxDays.length > 0 ? Math.min(...maxDays) : null,
+
+    getBuffers() {
+      return {
+        bufferBefore: this.bufferBefore,
+        bufferAfter: this.bufferAfter
+      };
+    },
+
+    getOccupiedRange(startMinutes) {
+      return {
+        startMinutes: startMinutes - this.bufferBefore,
+        endMinutes: startMinutes + this.duration + this.bufferAfter
+      };
+    },
+
+    getBookingRules() {
+      return {
+        minLeadMinutes: this.minLeadMinutes,
+        maxDaysAhead: this.maxDaysAhead
+      };
+    }
+  };
+};
+
+/**
+ * Serviciile unei rezervări sau ale unui lock, în ordine.
+ * Rezervările salvate înainte de suportul multi-serviciu au doar câmpul service (serviceId la lock-uri).
+ * @param {Object} record - Rezervarea (service, services) sau lock-ul (serviceId, services)
+ * @returns {Array<number>}
+ */
+const getRecordServiceIds = (record) => {
+  if (record.services && record.services.length > 0) {
+    return [...record.services];
+  }
+  // Câmpul service poate fi populat cu documentul serviciului
+  const primary = record.service ?? record.serviceId;
+  if (primary === undefined || primary === null) {
+    return [];
+  }
+  return [typeof primary === 'object' ? primary._id : primary];
+};
+
+/**
+ * Combină serviciile dintr-un Map deja încărcat (fără interogări)
+ * @param {Map} servicesById - Serviciile, după ID
+ * @param {Array<number>} serviceIds - ID-urile serviciilor, în ordine
+ * @returns {Object|null} - null dacă un serviciu nu există
+ */
+const bundleFromMap = (servicesById, serviceIds) => {
+  const services = serviceIds.map(id => servicesById.get(id));
+  if (services.length === 0 || services.some(service => !service)) {
+    return null;
+  }
+  return combineServices(services);
+};
+
+/**
+ * Citește serviciile dintr-o cerere: lista serviceIds (ordonată) sau vechiul câmp serviceId.
+ * Acceptă și o listă separată prin virgulă (parametri de query).
+ * @param {*} serviceId - Serviciul unic (compatibilitate)
+ * @param {*} serviceIds - Lista serviciilor
+ * @returns {Array<number>|null} - null dacă valorile sunt invalide
+ */
+const parseServiceIds = (serviceId, serviceIds) => {
+  let values;
+  if (serviceIds !== undefined && serviceIds !== null && serviceIds !== '') {
+    values = Array.isArray(serviceIds) ? serviceIds : String(serviceIds).split(',');
+  } else if (serviceId !== undefined && serviceId !== null && serviceId !== '') {
+    values = [serviceId];
+  } else {
+    return null;
+  }
+
+  if (values.length === 0 || values.length > MAX_SERVICES_PER_BOOKING) {
+    return null;
+  }
+  if (!values.every(value => /^\d+$/.test(String(value).trim()))) {
+    return null;
+  }
+
+  const ids = values.map(value => parseInt(String(value).trim()));
+
+  // Același serviciu nu poate apărea de două ori în aceeași rezervare
+  if (new Set(ids).size !== ids.length) {
+    return null;
+  }
+
+  return ids;
+};
+
+/**
+ * Combină rezervările unui grup (câte una pentru fiecare persoană) în intervalul lor comun.
+ * Fiecare persoană începe după serviciile și curățenia celei dinainte, plus pregătirea proprie,
+ * așa că intervalele ocupate se succed fără goluri la același frizer.
+ * @param {Array<Object>} bundles - Serviciile fiecărei persoane (rezultatul combineServices), în ordine
+ * @returns {Object|null} - Un "serviciu" pentru tot grupul, cu offsets (minute de la primul start) și members
+ */
+const combineGroup = (bundles) => {
+  if (!bundles || bundles.length === 0 || bundles.some(bundle => !bundle)) {
+    return null;
+  }
+
+  const offsets = [0];
+  for (let index = 1; index < bundles.length; index++) {
+    const previous = bundles[index - 1];
+    offsets.push(offsets[index - 1] + previous.duration + previous.bufferAfter + bundles[index].bufferBefore);
+  }
+
+  // Fiecare persoană ocupă până la începutul următoarei (inclusiv pauzele dintre ele)
+  const segments = bundles.map((bundle, index) => ({
+    ...bundle,
+    duration: index < bundles.length - 1 ? offsets[index + 1] - offsets[index] : bundle.duration
+  }));
+
+  return {
+    ...combineServices(segments),
+    serviceIds: bundles.flatMap(bundle => bundle.serviceIds),
+    name: bundles.map(bundle => bundle.name).join(', '),
+    offsets,
+    members: bundles
+  };
+};
+
+/**
+ * Orele de început ale fiecărei persoane dintr-un grup care începe la ora dată
+ * @param {Object} group - Rezultatul combineGroup
+ * @param {string} time - Ora primei persoane (HH:MM)
+ * @returns {Array<string>}
+ */
+const getGroupSlotTimes = (group, time) => {
+  const startMinutes = timeToMinutes(time);
+  return group.offsets.map(offset => minutesToTime(startMinutes + offset));
+};
+
+module.exports = {
+  MAX_SERVICES_PER_BOOKING,
+  MAX_BOOKING_DURATION,
+  MAX_GROUP_SIZE,
+  combineServices,
+  combineGroup,
+  getGroupSlotTimes,
+  getRecordServiceIds,
+  bundleFromMap,
+  parseServiceIds
+};
@@ -0,0 +1,59 @@
+// utils/signedLinks.js - Link-uri semnate și cu expirare trimise clienților pe email
+const jwt = require('jsonwebtoken');
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+// Secret separat pentru link-uri (implicit cel pentru JWT)
+const LINK_SECRET = process.env.LINK_SECRET || process.env.JWT_SECRET || (NODE_ENV === 'development' ? 'dev_link_secret' : null);
+
+// Adresa publică a site-ului, folosită în link-urile din email-uri
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL ||
+  (NODE_ENV === 'production' ? `https://${process.env.DOMAIN || 'dariushreniuc.com'}` : 'http://localhost:5000')
+).replace(/\/+$/, '');
+
+/**
+ * Creează un token semnat pentru un scop anume (ex: 'waitlist-claim')
+ * @param {string} purpose - Scopul link-ului (un token nu poate fi folosit pentru alt scop)
+ * @param {Object} payload - Datele incluse în token
+ * @param {number} expiresInMinutes - Valabilitatea în minute
+ * @returns {string} - Token-ul semnat
+ */
+const createSignedToken = (purpose, payload, expiresInMinutes) => {
+  return jwt.sign({ ...payload, purpose }, LINK_SECRET, { expiresIn: expiresInMinutes * 60 });
+};
+
+/**
+ * Verifică un token semnat pentru scopul dat
+ * @param {string} purpose - Scopul așteptat
+ * @param {string} token - Token-ul primit
+ * @returns {Object|null} - Datele din token sau null dacă este invalid/expirat
+ */
+const verifySignedToken = (purpose, token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, LINK_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Construiește un URL public către o pagină a site-ului
+ * @param {string} path - Calea paginii (ex: 'programare.html')
+ * @param {Object} params - Parametrii din query string
+ * @returns {string}
+ */
+const buildPublicUrl = (path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${PUBLIC_BASE_URL}/${path.replace(/^\/+/, '')}${query ? `?${query}` : ''}`;
+};
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken,
+  buildPublicUrl
+};
@@ -0,0 +1,48 @@
+// utils/timeUtils.js - Funcții comune pentru lucrul cu ore în format HH:MM
+
+// Format oră acceptat în tot sistemul (HH:MM)
+const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Convertește o oră HH:MM în minute de la miezul nopții
+ * @param {string} time - Ora în format HH:MM
+ * @returns {number} - Numărul de minute (NaN dacă formatul este invalid)
+ */
+const timeToMinutes = (time) => {
+  if (typeof time !== 'string' || !TIME_REGEX.test(time)) {
+    return NaN;
+  }
+
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convertește minutele de la miezul nopții într-o oră HH:MM
+ * @param {number} totalMinutes - Numărul de minute
+ * @returns {string} - Ora formatată cu zerouri în față
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Verifică dacă două intervale de minute [start, end) se suprapun
+ * @param {number} startA - Începutul primului interval
+ * @param {number} endA - Sfârșitul primului interval
+ * @param {number} startB - Începutul celui de-al doilea interval
+ * @param {number} endB - Sfârșitul celui de-al doilea interval
+ * @returns {boolean}
+ */
+const rangesOverlap = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA;
+};
+
+module.exports = {
+  TIME_REGEX,
+  timeToMinutes,
+  minutesToTime,
+  rangesOverlap
+};
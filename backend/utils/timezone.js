@@ -0,0 +1,187 @@
+// utils/timezone.js - Lucrul cu date calendaristice și ore în fusul orar al afacerii
+const { timeToMinutes } = require('./timeUtils');
+
+// Fusul orar în care funcționează frizeria, independent de fusul orar al serverului
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Europe/Bucharest';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Componentele unui moment în fusul orar al afacerii
+ * @param {Date} instant - Momentul (UTC)
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (instant) => {
+  const parts = {};
+  partsFormatter.formatToParts(instant).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+};
+
+/**
+ * Diferența (în minute) dintre ora locală a afacerii și UTC la un anumit moment
+ * @param {Date} instant - Momentul (UTC)
+ * @returns {number} - 120 iarna, 180 vara pentru Europe/Bucharest
+ */
+const getOffsetMinutes = (instant) => {
+  const parts = getZonedParts(instant);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Cheia YYYY-MM-DD a unei date calendaristice
+ * @param {Date} calendarDate - Data calendaristică (miezul nopții UTC)
+ * @returns {string}
+ */
+const toDateKey = (calendarDate) => calendarDate.toISOString().split('T')[0];
+
+/**
+ * Ziua calendaristică din fusul orar al afacerii în care cade un moment
+ * @param {Date} instant - Momentul (implicit acum)
+ * @returns {string} - Cheia YYYY-MM-DD
+ */
+const getBusinessDateKey = (instant = new Date()) => {
+  const { year, month, day } = getZonedParts(instant);
+  return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Normalizează o dată calendaristică la miezul nopții UTC al zilei respective.
+ * Șirurile YYYY-MM-DD sunt folosite ca atare; obiectele Date sunt interpretate
+ * ca ziua în care cad în fusul orar al afacerii.
+ * @param {string|Date} value - Data
+ * @returns {Date|null} - Data normalizată sau null dacă este invalidă
+ */
+const toCalendarDate = (value) => {
+  if (typeof value === 'string') {
+    const match = DATE_KEY_REGEX.exec(value.trim());
+    if (match) {
+      const calendarDate = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      // Respinge zilele inexistente (ex: 2025-02-30)
+      return toDateKey(calendarDate) === match[0] ? calendarDate : null;
+    }
+  }
+
+  const instant = value instanceof Date ? value : new Date(value);
+  if (isNaN(instant.getTime())) {
+    return null;
+  }
+
+  return new Date(`${getBusinessDateKey(instant)}T00:00:00.000Z`);
+};
+
+/**
+ * Ziua de azi în fusul orar al afacerii
+ * @returns {Date} - Data calendaristică (miezul nopții UTC)
+ */
+const getBusinessToday = () => toCalendarDate(getBusinessDateKey());
+
+/**
+ * Minutele trecute de la miezul nopții, în fusul orar al afacerii
+ * @param {Date} instant - Momentul (implicit acum)
+ * @returns {number}
+ */
+const getBusinessMinutes = (instant = new Date()) => {
+  const { hour, minute } = getZonedParts(instant);
+  return hour * 60 + minute;
+};
+
+/**
+ * Adaugă un număr de zile la o dată calendaristică
+ * @param {Date} calendarDate - Data calendaristică
+ * @param {number} days - Numărul de zile (poate fi negativ)
+ * @returns {Date}
+ */
+const addDays = (calendarDate, days) => new Date(calendarDate.getTime() + days * DAY_MS);
+
+/**
+ * Ziua săptămânii pentru o dată calendaristică
+ * @param {Date} calendarDate - Data calendaristică
+ * @returns {number} - 0=Duminică ... 6=Sâmbătă
+ */
+const getDayOfWeek = (calendarDate) => toCalendarDate(calendarDate).getUTCDay();
+
+/**
+ * Intervalul [start, end) folosit în interogări pe câmpul `date`
+ * @param {string|Date} value - Data
+ * @returns {Object} - { start, end }
+ */
+const getDayRange = (value) => {
+  const start = toCalendarDate(value);
+  return { start, end: addDays(start, 1) };
+};
+
+/**
+ * Momentul UTC corespunzător unei ore locale dintr-o zi, în fusul orar al afacerii.
+ * Ține cont de trecerea la ora de vară/iarnă.
+ * @param {string|Date} date - Data calendaristică
+ * @param {string} time - Ora în format HH:MM
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (date, time) => {
+  const calendarDate = toCalendarDate(date);
+  const localAsUtc = calendarDate.getTime() + timeToMinutes(time) * 60000;
+
+  // Prima aproximare folosește offset-ul de la acel moment, apoi se corectează în jurul schimbării orei
+  let instant = localAsUtc - getOffsetMinutes(new Date(localAsUtc)) * 60000;
+  const correctedOffset = getOffsetMinutes(new Date(instant));
+  instant = localAsUtc - correctedOffset * 60000;
+
+  return new Date(instant);
+};
+
+/**
+ * Momentele de început și de sfârșit ale unei programări
+ * @param {string|Date} date - Data calendaristică
+ * @param {string} time - Ora de început (HH:MM)
+ * @param {number} duration - Durata în minute
+ * @returns {Object} - { startAt, endAt }
+ */
+const getAppointmentInstants = (date, time, duration) => {
+  const startAt = zonedTimeToUtc(date, time);
+  return {
+    startAt,
+    endAt: new Date(startAt.getTime() + duration * 60000)
+  };
+};
+
+/**
+ * Formatează o dată calendaristică în format românesc (ZZ.LL.AAAA)
+ * @param {string|Date} date - Data calendaristică
+ * @returns {string}
+ */
+const formatCalendarDate = (date) => {
+  return toCalendarDate(date).toLocaleDateString('ro-RO', { timeZone: 'UTC' });
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  DAY_MS,
+  toDateKey,
+  toCalendarDate,
+  getBusinessDateKey,
+  getBusinessToday,
+  getBusinessMinutes,
+  addDays,
+  getDayOfWeek,
+  getDayRange,
+  zonedTimeToUtc,
+  getAppointmentInstants,
+  formatCalendarDate
+};
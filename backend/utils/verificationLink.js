@@ -0,0 +1,63 @@
+// utils/verificationLink.js - Link-ul de verificare cu un click din email-ul cu codul de verificare
+const { createSignedToken, verifySignedToken, buildPublicUrl } = require('./signedLinks');
+
+// Scopul token-ului din link-ul de verificare
+const BOOKING_VERIFY_PURPOSE = 'booking-verify';
+
+/**
+ * Referința codului curent: un link trimis înaintea unui cod retrimis nu mai este valid
+ * @param {Object} booking - Rezervarea
+ * @returns {string}
+ */
+const getCodeReference = (booking) => (booking.verificationCodeHash || '').slice(0, 16);
+
+/**
+ * Creează link-ul de verificare pentru codul curent al rezervării (valabil cât și codul)
+ * @param {Object} booking - Rezervarea, cu codul de verificare deja setat
+ * @returns {string} - URL-ul care verifică rezervarea
+ */
+const buildVerificationUrl = (booking) => {
+  const validMinutes = Math.ceil((booking.verificationExpiresAt.getTime() - Date.now()) / 60000);
+  const token = createSignedToken(
+    BOOKING_VERIFY_PURPOSE,
+    { bookingId: booking._id.toString(), codeRef: getCodeReference(booking) },
+    Math.max(validMinutes, 1)
+  );
+  return buildPublicUrl(`api/bookings/verify/${token}`);
+};
+
+/**
+ * Datele din token-ul de verificare
+ * @param {string} token - Token-ul din link
+ * @returns {Object|null} - { bookingId, codeRef } sau null dacă token-ul este invalid/expirat
+ */
+const getVerificationLinkData = (token) => {
+  const decoded = verifySignedToken(BOOKING_VERIFY_PURPOSE, token);
+  return decoded ? { bookingId: decoded.bookingId, codeRef: decoded.codeRef } : null;
+};
+
+/**
+ * Verifică dacă link-ul a fost creat pentru codul curent al rezervării
+ * @param {Object} booking - Rezervarea
+ * @param {string} codeRef - Referința din token
+ * @returns {boolean}
+ */
+const isCurrentVerificationLink = (booking, codeRef) => {
+  return Boolean(codeRef) && getCodeReference(booking) === codeRef;
+};
+
+/**
+ * Pagina de rezervare care afișează rezultatul verificării prin link
+ * @param {string} result - Statusul rezervării verificate sau motivul eșecului
+ * @returns {string}
+ */
+const buildVerificationResultUrl = (result) => {
+  return buildPublicUrl('programare.html', { bookingVerification: result });
+};
+
+module.exports = {
+  buildVerificationUrl,
+  getVerificationLinkData,
+  isCurrentVerificationLink,
+  buildVerificationResultUrl
+};
@@ -0,0 +1,194 @@
+// utils/waitlist.js - Oferirea intervalelor eliberate clienților de pe lista de așteptare
+const { Service, User } = require('../models/Booking');
+const TimeLock = require('../models/TimeLock');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { loadAvailabilityContext, computeDayAvailability } = require('./availability');
+const { createSignedToken, buildPublicUrl } = require('./signedLinks');
+const { toCalendarDate, toDateKey, getBusinessToday } = require('./timezone');
+const { sendWaitlistSlotEmail } = require('../config/email');
+const { createContextLogger } = require('./logger');
+const logger = createContextLogger('WAITLIST');
+
+// Scopul token-ului din link-ul de revendicare
+const WAITLIST_CLAIM_PURPOSE = 'waitlist-claim';
+
+// Notificările pentru aceeași zi rulează pe rând, ca un interval să nu fie oferit de două ori
+const runningByDay = new Map();
+
+/**
+ * Identificatorul folosit în TimeLock pentru intervalul păstrat unui client de pe lista de așteptare
+ * @param {Object} entry - Înscrierea de pe lista de așteptare
+ * @returns {string}
+ */
+const getHoldOwner = (entry) => `waitlist:${entry._id}`;
+
+/**
+ * Eliberează intervalul păstrat pentru o ofertă (dacă mai există)
+ * @param {Object} entry - Înscrierea de pe lista de așteptare
+ */
+const releaseHold = async (entry) => {
+  await TimeLock.deleteOne({ lockedBy: getHoldOwner(entry) });
+};
+
+/**
+ * Oferă intervalul găsit unui client: păstrează intervalul prin TimeLock și trimite link-ul de revendicare
+ * @param {Object} entry - Înscrierea de pe lista de așteptare
+ * @param {Object} service - Serviciul (sau serviciile combinate) dorit
+ * @param {Object} slot - Slotul liber din computeDayAvailability
+ * @returns {Promise<boolean>} - true dacă oferta a fost trimisă
+ */
+const offerSlot = async (entry, service, slot) => {
+  const barberId = entry.barber || slot.barberIds[0] || null;
+
+  try {
+    await new TimeLock({
+      date: entry.date,
+      time: slot.time,
+      serviceId: service._id,
+      services: service.serviceIds,
+      barber: barberId,
+      lockedBy: getHoldOwner(entry)
+    }).save();
+  } catch (lockError) {
+    if (lockError.code === 11000) {
+      return false;
+    }
+    throw lockError;
+  }
+
+  const now = new Date();
+  entry.status = 'notified';
+  entry.offeredTime = slot.time;
+  entry.offeredBarber = barberId;
+  entry.notifiedAt = now;
+  entry.claimExpiresAt = new Date(now.getTime() + WaitlistEntry.CLAIM_WINDOW_MINUTES * 60 * 1000);
+  await entry.save();
+
+  const barber = barberId ? await User.findById(barberId) : null;
+  const token = createSignedToken(WAITLIST_CLAIM_PURPOSE, { entryId: entry._id.toString() }, WaitlistEntry.CLAIM_WINDOW_MINUTES);
+
+  const emailResult = await sendWaitlistSlotEmail(entry.email, {
+    clientName: entry.clientName,
+    serviceName: service.name,
+    date: entry.date,
+    time: slot.time,
+    barberName: barber ? barber.getDisplayName() : null,
+    claimUrl: buildPublicUrl('programare.html', { waitlistClaim: token }),
+    expiresInMinutes: WaitlistEntry.CLAIM_WINDOW_MINUTES
+  });
+
+  if (!emailResult.success) {
+    // Clientul nu poate fi anunțat - intervalul rămâne liber, iar clientul își păstrează locul în coadă
+    logger.warn(`Nu s-a putut trimite oferta pentru ${entry.email}: ${emailResult.error}`);
+    await releaseHold(entry);
+    await entry.resetOffer();
+    return false;
+  }
+
+  logger.info(`Interval ${toDateKey(entry.date)} ${slot.time} oferit către ${entry.email} (înscrierea ${entry._id})`);
+  return true;
+};
+
+/**
+ * Oferă intervalele libere dintr-o zi clienților de pe lista de așteptare, în ordinea înscrierii.
+ * Fiecare client primește cel mult o ofertă, pentru primul interval liber din intervalul orar dorit.
+ * @param {Date} date - Ziua în care s-a eliberat un interval
+ * @returns {Promise<Object>} - { notified }
+ */
+const processDay = async (date) => {
+  const day = toCalendarDate(date);
+  if (!day || day < getBusinessToday()) {
+    return { notified: 0 };
+  }
+
+  const entries = await WaitlistEntry.findWaitingForDate(day);
+  if (entries.length === 0) {
+    return { notified: 0 };
+  }
+
+  const services = new Map();
+  let context = null;
+  let notified = 0;
+
+  for (const entry of entries) {
+    const serviceIds = entry.getServiceIds();
+    const servicesKey = serviceIds.join(',');
+    if (!services.has(servicesKey)) {
+      services.set(servicesKey, await Service.findBundle(serviceIds));
+    }
+    const service = services.get(servicesKey);
+    if (!service) {
+      continue;
+    }
+
+    // Contextul se reîncarcă după fiecare ofertă, ca intervalul păstrat să nu mai apară liber
+    if (!context) {
+      context = await loadAvailabilityContext(day, day);
+    }
+
+    const availability = computeDayAvailability(context, day, service, { barberId: entry.barber });
+    const slot = availability.slots.find(candidate => candidate.available && entry.acceptsTime(candidate.time));
+    if (!slot) {
+      continue;
+    }
+
+    if (await offerSlot(entry, service, slot)) {
+      notified++;
+      context = null;
+    }
+  }
+
+  return { notified };
+};
+
+/**
+ * Anunță lista de așteptare că s-a eliberat un interval într-o zi
+ * @param {Date} date - Ziua în care s-a eliberat un interval
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyWaitlistForDate = async (date) => {
+  const dayKey = toDateKey(toCalendarDate(date));
+  const previous = runningByDay.get(dayKey) || Promise.resolve();
+
+  const run = previous
+    .catch(() => {})
+    .then(() => processDay(date))
+    .catch(error => {
+      logger.error(`Eroare la notificarea listei de așteptare pentru ${dayKey}:`, error);
+      return { notified: 0 };
+    });
+
+  runningByDay.set(dayKey, run);
+  run.finally(() => {
+    if (runningByDay.get(dayKey) === run) {
+      runningByDay.delete(dayKey);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Expiră ofertele nerevendicate la timp și oferă intervalele următorilor clienți din coadă
+ * @returns {Promise<Object>} - { expired, notified }
+ */
+const processExpiredWaitlistOffers = async () => {
+  const { expiredOffers, expiredEntries } = await WaitlistEntry.expireStaleEntries();
+
+  let notified = 0;
+  const dayKeys = [...new Set(expiredOffers.map(date => toDateKey(date)))];
+  for (const dayKey of dayKeys) {
+    const result = await notifyWaitlistForDate(dayKey);
+    notified += result.notified;
+  }
+
+  return { expired: expiredEntries, notified };
+};
+
+module.exports = {
+  WAITLIST_CLAIM_PURPOSE,
+  getHoldOwner,
+  releaseHold,
+  notifyWaitlistForDate,
+  processExpiredWaitlistOffers
+};
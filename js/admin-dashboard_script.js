@@ -1,1353 +1,2680 @@
-// admin-dashboard_script.js - VERSIUNE OPTIMIZATĂ
-
-// Sistem de logging îmbunătățit pentru frontend
-const isProd = window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1';
-const logger = {
-    info: () => {},
-    warn: () => {},
-    error: () => {}
-};
-
-// Detectare mediu și configurare URL API
-const API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-    ? 'http://localhost:5000/api'
-    : window.location.protocol + '//' + window.location.hostname + '/api';
-
-// Cache DOM pentru performanță optimă
-const domCache = {
-    // Containere principale
-    pendingCards: null,
-    confirmedCards: null,
-    loadingOverlay: null,
-    toast: null,
-    
-    // Controale
-    datePicker: null,
-    logoutBtn: null,
-    refreshPendingBtn: null,
-    refreshConfirmedBtn: null,
-    todayBtn: null,
-    manualCleanupBtn: null,
-    blockDateBtn: null,
-    viewBlockedDatesBtn: null,
-    
-    // Popup-uri
-    blockPopup: null,
-    blockDatePopup: null,
-    viewBlockedDatesPopup: null,
-    
-    // Butoane popup
-    blockPopupClose: null,
-    blockCancelBtn: null,
-    blockConfirmBtn: null,
-    blockDateClose: null,
-    blockDateCancel: null,
-    blockDateConfirm: null,
-    viewBlockedClose: null,
-    viewBlockedCancel: null,
-    
-    // Input-uri
-    blockReasonInput: null,
-    blockDateInput: null,
-    fullDayCheckbox: null,
-    hoursSelectionDiv: null,
-    hoursContainer: null,
-    blockedDatesContent: null,
-    
-    init() {
-        // Containere principale
-        this.pendingCards = document.getElementById('pendingReservationsCards');
-        this.confirmedCards = document.getElementById('confirmedReservationsCards');
-        this.loadingOverlay = document.getElementById('loadingOverlay');
-        this.toast = document.getElementById('toast');
-        
-        // Controale
-        this.datePicker = document.getElementById('datePicker');
-        this.logoutBtn = document.getElementById('logoutBtn');
-        this.refreshPendingBtn = document.getElementById('refreshPendingBtn');
-        this.refreshConfirmedBtn = document.getElementById('refreshConfirmedBtn');
-        this.todayBtn = document.getElementById('todayBtn');
-        this.manualCleanupBtn = document.getElementById('manualCleanupBtn');
-        this.blockDateBtn = document.getElementById('blockDateBtn');
-        this.viewBlockedDatesBtn = document.getElementById('viewBlockedDatesBtn');
-        
-        // Popup-uri
-        this.blockPopup = document.getElementById('blockPopup');
-        this.blockDatePopup = document.getElementById('blockDatePopup');
-        this.viewBlockedDatesPopup = document.getElementById('viewBlockedDatesPopup');
-        
-        // Butoane popup
-        this.blockPopupClose = document.getElementById('blockPopupClose');
-        this.blockCancelBtn = document.getElementById('blockCancelBtn');
-        this.blockConfirmBtn = document.getElementById('blockConfirmBtn');
-        this.blockDateClose = document.getElementById('blockDateClose');
-        this.blockDateCancel = document.getElementById('blockDateCancel');
-        this.blockDateConfirm = document.getElementById('blockDateConfirm');
-        this.viewBlockedClose = document.getElementById('viewBlockedClose');
-        this.viewBlockedCancel = document.getElementById('viewBlockedCancel');
-        
-        // Input-uri
-        this.blockReasonInput = document.getElementById('blockReasonInput');
-        this.blockDateInput = document.getElementById('blockDateInput');
-        this.fullDayCheckbox = document.getElementById('fullDayBlock');
-        this.hoursSelectionDiv = document.getElementById('hoursSelection');
-        this.hoursContainer = document.getElementById('hoursContainer');
-        this.blockedDatesContent = document.getElementById('blockedDatesContent');
-    }
-};
-
-// Variabile globale pentru block functionality
-let currentBlockingBookingId = null;
-let currentBlockDatePopupMode = 'block';
-let blockedDatesCache = [];
-
-// Pool de debouncing pentru operații costisitoare
-const debouncePool = new Map();
-
-function debounce(key, func, wait) {
-    if (debouncePool.has(key)) {
-        clearTimeout(debouncePool.get(key));
-    }
-    
-    const timeout = setTimeout(() => {
-        func();
-        debouncePool.delete(key);
-    }, wait);
-    
-    debouncePool.set(key, timeout);
-}
-
-// Pool de notificări optimizat
-const notificationPool = {
-    current: null,
-    timeout: null,
-    
-    show(message, isSuccess = true) {
-        // Elimină notificarea existentă
-        if (this.current) {
-            this.current.remove();
-            this.current = null;
-        }
-        
-        if (this.timeout) {
-            clearTimeout(this.timeout);
-            this.timeout = null;
-        }
-
-        if (!domCache.toast) return;
-
-        domCache.toast.textContent = message;
-        domCache.toast.className = 'toast ' + (isSuccess ? 'success' : 'error');
-        domCache.toast.style.display = 'block';
-        this.current = domCache.toast;
-        
-        this.timeout = setTimeout(() => {
-            if (domCache.toast) {
-                domCache.toast.style.display = 'none';
-            }
-            this.current = null;
-        }, 3000);
-    }
-};
-
-// Utilitare optimizate
-function sanitizeHtml(input) {
-    if (input === null || input === undefined) {
-        return '';
-    }
-    
-    let str;
-    try {
-        str = String(input);
-    } catch (error) {
-        logger.error('Error converting input to string:', error);
-        return '';
-    }
-    
-    if (str.length > 10000) {
-        logger.warn('Input too long, truncating for security');
-        str = str.substring(0, 10000);
-    }
-    
-    const xssPatterns = [
-        /<script[^>]*>.*?<\/script>/gi,
-        /<iframe[^>]*>.*?<\/iframe>/gi,
-        /<object[^>]*>.*?<\/object>/gi,
-        /<embed[^>]*>.*?<\/embed>/gi,
-        /<link[^>]*>/gi,
-        /<meta[^>]*>/gi,
-        /javascript:/gi,
-        /vbscript:/gi,
-        /on\w+\s*=/gi,
-        /expression\s*\(/gi,
-        /data:text\/html/gi,
-        /data:application\/x-javascript/gi,
-        /<svg[^>]*>.*?<\/svg>/gi
-    ];
-    
-    for (const pattern of xssPatterns) {
-        if (pattern.test(str)) {
-            logger.warn('XSS attempt detected and blocked:', str.substring(0, 100));
-            return '';
-        }
-    }
-    
-    str = str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    str = str.replace(/&#x?[0-9a-fA-F]+;/g, '');
-    str = str.replace(/%[0-9a-fA-F]{2}/g, '');
-    
-    const div = document.createElement('div');
-    div.textContent = str;
-    let sanitized = div.innerHTML;
-    
-    if (/<[^>]+>/.test(sanitized)) {
-        logger.warn('HTML detected after sanitization, blocking');
-        return '';
-    }
-    
-    return sanitized;
-}
-
-function showLoading() {
-    if (domCache.loadingOverlay) {
-        domCache.loadingOverlay.style.display = 'flex';
-    }
-}
-
-function hideLoading() {
-    if (domCache.loadingOverlay) {
-        domCache.loadingOverlay.style.display = 'none';
-    }
-}
-
-function showToast(message, isSuccess = true) {
-    notificationPool.show(message, isSuccess);
-}
-
-// Block popup functionality optimizată
-function showBlockPopup(bookingId) {
-    currentBlockingBookingId = bookingId;
-    if (domCache.blockReasonInput) {
-        domCache.blockReasonInput.value = '';
-    }
-    if (domCache.blockPopup) {
-        domCache.blockPopup.style.display = 'flex';
-    }
-}
-
-function hideBlockPopup() {
-    currentBlockingBookingId = null;
-    if (domCache.blockPopup) {
-        domCache.blockPopup.style.display = 'none';
-    }
-}
-
-// FUNCȚIE OPTIMIZATĂ - Create card for booking cu DocumentFragment
-function createCard(booking, type = 'pending') {
-    // Utilizează DocumentFragment pentru performanță optimă
-    const fragment = document.createDocumentFragment();
-    const card = document.createElement('div');
-    card.className = 'card';
-
-    const statusClass = type === 'pending' ? 'status-pending' : 'status-confirmed';
-    const statusText = type === 'pending' ? 'În așteptare' : 'Confirmată';
-
-    let actionsHtml = '';
-    if (type === 'pending') {
-        actionsHtml = `
-            <div class="card-actions">
-                <button class="btn btn-confirm" data-id="${sanitizeHtml(booking.id)}">Acceptă</button>
-                <button class="btn btn-decline" data-id="${sanitizeHtml(booking.id)}">Refuză</button>
-                <button class="btn btn-block" data-id="${sanitizeHtml(booking.id)}">Blochează</button>
-            </div>
-        `;
-    } else {
-        actionsHtml = `
-            <div class="card-actions">
-                <button class="btn btn-decline" data-id="${sanitizeHtml(booking.id)}">Anulează</button>
-            </div>
-        `;
-    }
-
-    // Construiește HTML-ul complet o singură dată
-    card.innerHTML = `
-        <div class="card-header">
-            <div class="card-title">${sanitizeHtml(booking.clientName)}</div>
-            <div class="card-status ${statusClass}">${statusText}</div>
-        </div>
-        
-        <div class="card-body">
-            <div class="card-field email">
-                <div class="card-field-label">Email</div>
-                <div class="card-field-value">${sanitizeHtml(booking.email)}</div>
-            </div>
-            
-            <div class="card-field phone">
-                <div class="card-field-label">Telefon</div>
-                <div class="card-field-value">${sanitizeHtml(booking.phoneNumber)}</div>
-            </div>
-            
-            <div class="card-field service">
-                <div class="card-field-label">Serviciu</div>
-                <div class="card-field-value">${sanitizeHtml(booking.service)}</div>
-            </div>
-            
-            ${type === 'pending' ? `
-                <div class="card-field date">
-                    <div class="card-field-label">Data</div>
-                    <div class="card-field-value">${sanitizeHtml(booking.date)}</div>
-                </div>
-                
-                <div class="card-field time">
-                    <div class="card-field-label">Ora</div>
-                    <div class="card-field-value">${sanitizeHtml(booking.time)}</div>
-                </div>
-            ` : `
-                <div class="card-field time">
-                    <div class="card-field-label">Ora</div>
-                    <div class="card-field-value">${sanitizeHtml(booking.time)}</div>
-                </div>
-                
-                <div class="card-field price">
-                    <div class="card-field-label">Preț</div>
-                    <div class="card-field-value">${sanitizeHtml(booking.servicePrice)} RON</div>
-                </div>
-            `}
-        </div>
-        
-        ${actionsHtml}
-    `;
-
-    fragment.appendChild(card);
-    return fragment;
-}
-
-// Enhanced authentication and token management functions
-function setupTokenExpiry() {
-    const tokenTimestamp = localStorage.getItem('tokenTimestamp');
-    const currentTime = new Date().getTime();
-    
-    if (tokenTimestamp && (currentTime - tokenTimestamp > 24 * 60 * 60 * 1000)) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('tokenTimestamp');
-        window.location.href = 'login.html';
-        return false;
-    }
-    
-    if (!tokenTimestamp || (currentTime - tokenTimestamp > 30 * 60 * 1000)) {
-        localStorage.setItem('tokenTimestamp', currentTime);
-    }
-    
-    return true;
-}
-
-async function fetchWithAuth(url, options = {}) {
-    const token = localStorage.getItem('token');
-    
-    if (!token) {
-        window.location.href = 'login.html';
-        return null;
-    }
-    
-    if (!setupTokenExpiry()) {
-        return null;
-    }
-    
-    const authOptions = {
-        ...options,
-        headers: {
-            ...options.headers,
-            Authorization: `Bearer ${token}`
-        }
-    };
-    
-    try {
-        const response = await fetch(url, authOptions);
-        
-        if (response.status === 401 || response.status === 403) {
-            localStorage.removeItem('token');
-            localStorage.removeItem('tokenTimestamp');
-            window.location.href = 'login.html';
-            return null;
-        }
-        
-        return response;
-    } catch (error) {
-        logger.error('Network error:', error);
-        showToast('Eroare de rețea. Verificați conexiunea.', false);
-        return null;
-    }
-}
-
-// FUNCȚII OPTIMIZATE - Load bookings cu batch processing
-
-// OPTIMIZATĂ - Load pending reservations
-async function loadPendingBookings() {
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/bookings/pending`);
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch pending reservations');
-        }
-
-        const data = await response.json();
-        
-        if (!domCache.pendingCards) {
-            return;
-        }
-
-        // OPTIMIZARE: Construiește toate card-urile ca DocumentFragment
-        const fragment = document.createDocumentFragment();
-
-        if (data.bookings && data.bookings.length > 0) {
-            data.bookings.forEach(booking => {
-                const cardFragment = createCard(booking, 'pending');
-                fragment.appendChild(cardFragment);
-            });
-
-            // O singură operație DOM
-            domCache.pendingCards.innerHTML = '';
-            domCache.pendingCards.appendChild(fragment);
-
-            // Add event listeners for action buttons
-            addActionButtonListeners();
-        } else {
-            // No pending reservations
-            const emptyCard = document.createElement('div');
-            emptyCard.className = 'card';
-            emptyCard.innerHTML = `
-                <div class="empty-message">Nu există rezervări în așteptare</div>
-            `;
-            domCache.pendingCards.innerHTML = '';
-            domCache.pendingCards.appendChild(emptyCard);
-        }
-    } catch (error) {
-        logger.error('Error loading pending reservations:', error);
-        showToast('Nu s-au putut încărca rezervările în așteptare', false);
-    } finally {
-        hideLoading();
-    }
-};
-
-
-// OPTIMIZATĂ - Load confirmed reservations for a specific date
-async function loadConfirmedBookings(date) {
-    if (!date) {
-        logger.warn('No date provided for loadConfirmedBookings');
-        return;
-    }
-
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/bookings/confirmed?date=${date}`);
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch confirmed reservations');
-        }
-
-        const data = await response.json();
-        
-        if (!domCache.confirmedCards) {
-            return;
-        }
-
-        // OPTIMIZARE: Construiește toate card-urile ca DocumentFragment
-        const fragment = document.createDocumentFragment();
-
-        if (data.bookings && data.bookings.length > 0) {
-            data.bookings.forEach((booking, index) => {
-                try {
-                    const cardFragment = createCard(booking, 'confirmed');
-                    fragment.appendChild(cardFragment);
-                } catch (e) {
-                    logger.error(`Error processing booking ${index}:`, e);
-                }
-            });
-
-            // Add total card
-            try {
-                const totalCard = document.createElement('div');
-                totalCard.className = 'card total-card';
-                totalCard.innerHTML = `
-                    <div class="card-field">
-                        <div class="card-field-label">Total Încasări</div>
-                        <div class="card-field-value">${data.totalPrice} RON</div>
-                    </div>
-                `;
-                fragment.appendChild(totalCard);
-            } catch (e) {
-                logger.error('Error adding total card:', e);
-            }
-
-            // O singură operație DOM
-            domCache.confirmedCards.innerHTML = '';
-            domCache.confirmedCards.appendChild(fragment);
-
-            // Add event listeners for cancel buttons
-            try {
-                addCancelButtonListeners();
-            } catch (e) {
-                logger.error('Error adding cancel button listeners:', e);
-            }
-        } else {
-            // No confirmed reservations for this date
-            try {
-                const emptyCard = document.createElement('div');
-                emptyCard.className = 'card';
-                emptyCard.innerHTML = `
-                    <div class="empty-message">Nu există rezervări confirmate pentru această dată</div>
-                `;
-                fragment.appendChild(emptyCard);
-
-                // Add total card showing 0
-                const totalCard = document.createElement('div');
-                totalCard.className = 'card total-card';
-                totalCard.innerHTML = `
-                    <div class="card-field">
-                        <div class="card-field-label">Total Încasări</div>
-                        <div class="card-field-value">0 RON</div>
-                    </div>
-                `;
-                fragment.appendChild(totalCard);
-
-                // O singură operație DOM
-                domCache.confirmedCards.innerHTML = '';
-                domCache.confirmedCards.appendChild(fragment);
-            } catch (e) {
-                logger.error('Error adding empty card:', e);
-            }
-        }
-    } catch (error) {
-        logger.error('Error loading confirmed reservations:', error);
-        showToast('Nu s-au putut încărca rezervările confirmate', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Add event listeners for action buttons
-function addActionButtonListeners() {
-    // Accept buttons - NO CONFIRMATION
-    const acceptButtons = document.querySelectorAll('.btn-confirm');
-    acceptButtons.forEach(button => {
-        button.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const bookingId = button.getAttribute('data-id');
-            if (bookingId) {
-                await confirmBooking(bookingId);
-            }
-        });
-    });
-
-    // Decline buttons from pending - NO CONFIRMATION  
-    const declineButtons = document.querySelectorAll('#pendingReservationsCards .btn-decline');
-    declineButtons.forEach(button => {
-        button.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const bookingId = button.getAttribute('data-id');
-            if (bookingId) {
-                await declineBooking(bookingId);
-            }
-        });
-    });
-
-    // Block buttons - CUSTOM POPUP ONLY
-    const blockButtons = document.querySelectorAll('.btn-block');
-    blockButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const bookingId = button.getAttribute('data-id');
-            if (bookingId) {
-                showBlockPopup(bookingId);
-            }
-        });
-    });
-}
-
-// Add event listeners for cancel buttons
-function addCancelButtonListeners() {
-    const cancelButtons = document.querySelectorAll('#confirmedReservationsCards .btn-decline');
-    cancelButtons.forEach(button => {
-        button.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const bookingId = button.getAttribute('data-id');
-            if (bookingId) {
-                await declineBooking(bookingId);
-            }
-        });
-    });
-}
-
-// Confirm booking (ABSOLUTELY NO CONFIRMATION POPUP)
-async function confirmBooking(bookingId) {
-    if (!bookingId) {
-        showToast('Eroare: ID rezervare lipsește', false);
-        return;
-    }
-
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}/confirm`, {
-            method: 'PUT'
-        });
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Failed to confirm booking');
-        }
-
-        const result = await response.json();
-
-        // OPTIMIZARE: Încarcă datele în paralel
-        await Promise.all([
-            loadPendingBookings(),
-            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
-        ]);
-        
-        let message = 'Rezervare confirmată cu succes!';
-        if (result.emailStatus === 'sent') {
-            message += ' Un email de confirmare a fost trimis clientului.';
-        } else if (result.emailStatus === 'limited') {
-            message += ' (Notă: Email-ul nu a fost trimis - limită atinsă)';
-        } else if (result.emailStatus === 'failed') {
-            message += ' (Notă: Email-ul nu a putut fi trimis)';
-        }
-        
-        showToast(message, true);
-    } catch (error) {
-        logger.error('Error confirming booking:', error);
-        showToast('Nu s-a putut confirma rezervarea', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Decline booking (ABSOLUTELY NO CONFIRMATION POPUP)
-async function declineBooking(bookingId) {
-    if (!bookingId) {
-        showToast('Eroare: ID rezervare lipsește', false);
-        return;
-    }
-
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}/decline`, {
-            method: 'PUT'
-        });
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Failed to decline booking');
-        }
-
-        const result = await response.json();
-
-        // OPTIMIZARE: Încarcă datele în paralel
-        await Promise.all([
-            loadPendingBookings(),
-            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
-        ]);
-        
-        let message = 'Rezervare refuzată cu succes!';
-        if (result.emailStatus === 'sent') {
-            message += ' Un email de notificare a fost trimis clientului.';
-        } else if (result.emailStatus === 'limited') {
-            message += ' (Notă: Email-ul nu a fost trimis - limită atinsă)';
-        } else if (result.emailStatus === 'failed') {
-            message += ' (Notă: Email-ul nu a putut fi trimis)';
-        }
-        
-        showToast(message, true);
-    } catch (error) {
-        logger.error('Error declining booking:', error);
-        showToast('Nu s-a putut refuza rezervarea', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Block user with reason
-async function blockUser(bookingId, reason) {
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/users/block/${bookingId}`, {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ reason })
-        });
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Failed to block user');
-        }
-
-        // Reload pending reservations
-        await loadPendingBookings();
-        
-        showToast('Utilizator blocat cu succes! Adresa de email și numărul de telefon au fost adăugate în lista de blocate.', true);
-    } catch (error) {
-        logger.error('Error blocking user:', error);
-        showToast('Nu s-a putut bloca utilizatorul', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// OPTIMIZATE - Block date functions
-
-// OPTIMIZATĂ - Generate hour checkboxes
-function generateHourCheckboxes() {
-    if (!domCache.hoursContainer) return;
-    
-    // Verifică ce zi este selectată
-    const selectedDate = domCache.blockDateInput ? new Date(domCache.blockDateInput.value) : new Date();
-    const dayOfWeek = selectedDate.getDay();
-    
-    // Determină intervalul de ore bazat pe ziua săptămânii
-    let startHour, endHour;
-    
-    if (dayOfWeek === 6) { // Sâmbătă - program special 10:00-13:00
-        startHour = 10;
-        endHour = 13;
-    } else if (dayOfWeek === 0) { // Duminică - închis
-        domCache.hoursContainer.innerHTML = '<p style="text-align: center; color: #888;">Suntem închiși duminica</p>';
-        return;
-    } else { // Luni-Vineri - program normal 10:00-19:00
-        startHour = 10;
-        endHour = 19;
-    }
-    
-    // OPTIMIZARE: Generează toate orele ca string
-    const hoursHTML = [];
-    for (let hour = startHour; hour < endHour; hour++) {
-        for (let minute = 0; minute < 60; minute += 30) {
-            const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-            hoursHTML.push(`
-                <div class="hour-checkbox-wrapper">
-                    <label class="hour-checkbox-label">
-                        <input type="checkbox" value="${timeString}" class="hour-checkbox">
-                        <span>${timeString}</span>
-                    </label>
-                </div>
-            `);
-        }
-    }
-    
-    // O singură operație DOM
-    domCache.hoursContainer.innerHTML = hoursHTML.join('');
-}
-
-function showBlockDatePopup() {
-    if (!domCache.blockDatePopup) {
-        showToast('Eroare: Popup-ul nu a fost găsit', false);
-        return;
-    }
-    
-    // Restaurează conținutul original pentru blocarea datelor
-    const popupTitle = document.getElementById('blockDatePopupTitle');
-    const popupContent = document.getElementById('blockDatePopupContent');
-    
-    if (popupTitle) {
-        popupTitle.textContent = 'Blochează Dată';
-    }
-    
-    if (popupContent) {
-        popupContent.innerHTML = `
-            <div class="form-group">
-                <label for="blockDateInput">Selectează Data:</label>
-                <input type="date" id="blockDateInput" required>
-            </div>
-            
-            <div class="checkbox-group">
-                <input type="checkbox" id="fullDayBlock" checked>
-                <label for="fullDayBlock">Blochează toată ziua</label>
-            </div>
-            
-            <div class="hours-selection" id="hoursSelection" style="display: none;">
-                <label>Selectează orele de blocat:</label>
-                <div class="hours-container" id="hoursContainer">
-                    <!-- Orele vor fi generate dinamic -->
-                </div>
-            </div>
-        `;
-        
-        // Re-cache DOM elements
-        domCache.blockDateInput = document.getElementById('blockDateInput');
-        domCache.fullDayCheckbox = document.getElementById('fullDayBlock');
-        domCache.hoursSelectionDiv = document.getElementById('hoursSelection');
-        domCache.hoursContainer = document.getElementById('hoursContainer');
-    }
-    
-    // Configurare și inițializare input pentru dată
-    if (domCache.blockDateInput) {
-        const today = new Date().toISOString().split('T')[0];
-        domCache.blockDateInput.setAttribute('min', today);
-        domCache.blockDateInput.value = today;
-        
-        // Event listener pentru regenerarea orelor
-        domCache.blockDateInput.addEventListener('change', function() {
-            if (domCache.fullDayCheckbox && !domCache.fullDayCheckbox.checked) {
-                generateHourCheckboxes();
-            }
-        });
-    }
-    
-    // Configurare checkbox pentru "Blochează toată ziua"
-    if (domCache.fullDayCheckbox && domCache.hoursSelectionDiv) {
-        domCache.fullDayCheckbox.checked = true;
-        domCache.hoursSelectionDiv.style.display = 'none';
-        
-        domCache.fullDayCheckbox.addEventListener('change', function() {
-            if (this.checked) {
-                domCache.hoursSelectionDiv.style.display = 'none';
-            } else {
-                domCache.hoursSelectionDiv.style.display = 'block';
-                generateHourCheckboxes();
-            }
-        });
-    }
-    
-    // Generează orele pentru data curentă
-    generateHourCheckboxes();
-    
-    // Afișează popup-ul
-    domCache.blockDatePopup.style.display = 'flex';
-    
-    // Focus pe input-ul de dată
-    setTimeout(() => {
-        if (domCache.blockDateInput) {
-            domCache.blockDateInput.focus();
-        }
-    }, 150);
-    
-    logger.info('Block date popup opened successfully');
-}
-
-function hideBlockDatePopup() {
-    if (domCache.blockDatePopup) {
-        domCache.blockDatePopup.style.display = 'none';
-    }
-}
-
-// Funcție pentru confirmarea blocării - OPTIMIZATĂ
-async function handleBlockDateConfirm() {
-    if (!domCache.blockDateInput || !domCache.fullDayCheckbox) {
-        showToast('Eroare în interfață', false);
-        return;
-    }
-    
-    const selectedDate = domCache.blockDateInput.value;
-    const isFullDay = domCache.fullDayCheckbox.checked;
-    const hourCheckboxes = document.querySelectorAll('.hour-checkbox:checked');
-    
-    // Validare dată selectată
-    if (!selectedDate) {
-        showToast('Te rugăm să selectezi o dată', false);
-        return;
-    }
-    
-    // Verificare că data nu este în trecut
-    const selectedDateObj = new Date(selectedDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    selectedDateObj.setHours(0, 0, 0, 0);
-    
-    if (selectedDateObj < today) {
-        showToast('Nu se pot bloca date din trecut', false);
-        return;
-    }
-    
-    // Verificare că nu este duminică
-    const dayOfWeek = selectedDateObj.getDay();
-    if (dayOfWeek === 0) {
-        showToast('Nu se poate bloca duminica - suntem deja închiși în această zi!', false);
-        return;
-    }
-    
-    // Validare ore selectate (dacă nu e toată ziua)
-    if (!isFullDay && hourCheckboxes.length === 0) {
-        showToast('Te rugăm să selectezi cel puțin o oră', false);
-        return;
-    }
-    
-    if (!isFullDay && hourCheckboxes.length > 20) {
-        showToast('Prea multe ore selectate (maxim 20)', false);
-        return;
-    }
-    
-    const selectedHours = Array.from(hourCheckboxes).map(cb => cb.value);
-    
-    // Verificare pentru date duplicate
-    const existingBlock = checkIfDateAlreadyBlocked(selectedDate, isFullDay, selectedHours);
-    if (existingBlock.isBlocked) {
-        showToast(existingBlock.message, false);
-        return;
-    }
-    
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                date: selectedDate,
-                isFullDay: isFullDay,
-                hours: isFullDay ? [] : selectedHours
-            })
-        });
-        
-        if (!response) return;
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || 'Eroare la blocarea datei');
-        }
-        
-        const result = await response.json();
-        
-        hideBlockDatePopup();
-        showToast(result.message || 'Data a fost blocată cu succes', true);
-        
-        // Reîncarcă cache-ul pentru date blocate
-        await loadBlockedDates();
-        
-    } catch (error) {
-        logger.error('Error blocking date:', error);
-        showToast(error.message || 'Nu s-a putut bloca data', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Funcție pentru încărcarea datelor blocate - OPTIMIZATĂ
-async function loadBlockedDates() {
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates`);
-        
-        if (!response) return;
-        
-        if (!response.ok) {
-            throw new Error('Failed to fetch blocked dates');
-        }
-        
-        const data = await response.json();
-        blockedDatesCache = data.blockedDates || [];
-        
-        return blockedDatesCache;
-    } catch (error) {
-        logger.error('Error loading blocked dates:', error);
-        return [];
-    }
-}
-
-async function showBlockedDatesView() {
-    if (!domCache.viewBlockedDatesPopup || !domCache.blockedDatesContent) {
-        showToast('Eroare în interfață', false);
-        return;
-    }
-
-    showLoading();
-    try {
-        const blockedDates = await loadBlockedDates();
-        
-        if (blockedDates.length === 0) {
-            domCache.blockedDatesContent.innerHTML = `
-                <div class="no-blocked-dates">
-                    <p>Nu există date blocate în prezent.</p>
-                </div>
-            `;
-        } else {
-            // OPTIMIZARE: Construiește HTML-ul ca string
-            const blockedDatesHTML = blockedDates.map(blocked => {
-                const hoursText = blocked.isFullDayBlocked 
-                    ? 'Toată ziua' 
-                    : blocked.blockedHours.join(', ');
-                
-                return `
-                    <div class="blocked-date-item">
-                        <div class="blocked-date-info">
-                            <h4>${blocked.dateFormatted}</h4>
-                            <p><strong>Tip:</strong> ${hoursText}</p>
-                            <p><strong>Motiv:</strong> ${blocked.reason}</p>
-                            <p><strong>Creat de:</strong> ${blocked.createdBy}</p>
-                        </div>
-                        <button class="btn btn-decline unblock-date-btn" data-id="${blocked.id}">
-                            Deblochează
-                        </button>
-                    </div>
-                `;
-            }).join('');
-            
-            domCache.blockedDatesContent.innerHTML = `<div class="blocked-dates-list">${blockedDatesHTML}</div>`;
-            
-            // Adaugă event listeners pentru butoanele de deblocare
-            const unblockButtons = domCache.blockedDatesContent.querySelectorAll('.unblock-date-btn');
-            unblockButtons.forEach(button => {
-                button.addEventListener('click', async (e) => {
-                    const blockedDateId = e.target.getAttribute('data-id');
-                    if (blockedDateId) {
-                        await unblockDate(blockedDateId);
-                    }
-                });
-            });
-        }
-        
-        domCache.viewBlockedDatesPopup.style.display = 'flex';
-        
-    } catch (error) {
-        logger.error('Error showing blocked dates view:', error);
-        showToast('Nu s-au putut încărca datele blocate', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Funcție pentru deblocarea unei date
-async function unblockDate(blockedDateId) {
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates/${blockedDateId}`, {
-            method: 'DELETE'
-        });
-        
-        if (!response) return;
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || 'Eroare la deblocarea datei');
-        }
-        
-        const result = await response.json();
-        showToast(result.message || 'Data a fost deblocată cu succes', true);
-        
-        // Reîncarcă lista
-        await showBlockedDatesView();
-        
-    } catch (error) {
-        logger.error('Error unblocking date:', error);
-        showToast(error.message || 'Nu s-a putut debloca data', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-// Funcție pentru rularea manuală a curățării
-async function runManualCleanup() {
-    showLoading();
-    try {
-        const response = await fetchWithAuth(`${API_URL}/admin/cleanup`, {
-            method: 'POST'
-        });
-        
-        if (!response) return;
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || 'Eroare la rularea curățării');
-        }
-        
-        const result = await response.json();
-        
-        const message = `Curățare completă: ${result.results.totalCleaned} rezervări curățate, ${result.results.totalErrors} erori`;
-        showToast(message, true);
-        
-        // OPTIMIZARE: Reîncarcă datele în paralel
-        const promises = [loadPendingBookings()];
-        if (domCache.datePicker && domCache.datePicker.value) {
-            promises.push(loadConfirmedBookings(domCache.datePicker.value));
-        }
-        await Promise.all(promises);
-        
-    } catch (error) {
-        logger.error('Error running manual cleanup:', error);
-        showToast(error.message || 'Nu s-a putut rula curățarea', false);
-    } finally {
-        hideLoading();
-    }
-}
-
-/**
- * Verifică dacă o dată este deja blocată
- */
-function checkIfDateAlreadyBlocked(selectedDate, isFullDay, selectedHours = []) {
-    try {
-        // Verifică în cache-ul local
-        const existingBlock = blockedDatesCache.find(blocked => {
-            const blockedDate = new Date(blocked.date).toISOString().split('T')[0];
-            return blockedDate === selectedDate;
-        });
-        
-        if (!existingBlock) {
-            return { isBlocked: false };
-        }
-        
-        // Verifică tipul de blocare
-        if (existingBlock.isFullDayBlocked) {
-            return {
-                isBlocked: true,
-                message: `Data ${existingBlock.dateFormatted} este deja blocată complet!`
-            };
-        }
-        
-        // Dacă există blocare parțială și vrei să blochezi toată ziua
-        if (!existingBlock.isFullDayBlocked && isFullDay) {
-            return {
-                isBlocked: true,
-                message: `Data ${existingBlock.dateFormatted} are deja ore blocate (${existingBlock.blockedHours.join(', ')}). Pentru a bloca toată ziua, mai întâi deblochează orele existente.`
-            };
-        }
-        
-        // Verifică dacă orele selectate se suprapun cu cele existente
-        if (!isFullDay && existingBlock.blockedHours) {
-            const overlappingHours = selectedHours.filter(hour => 
-                existingBlock.blockedHours.includes(hour)
-            );
-            
-            if (overlappingHours.length > 0) {
-                return {
-                    isBlocked: true,
-                    message: `Următoarele ore sunt deja blocate în ${existingBlock.dateFormatted}: ${overlappingHours.join(', ')}`
-                };
-            }
-        }
-        
-        return { isBlocked: false };
-        
-    } catch (error) {
-        logger.error('Error checking if date is already blocked:', error);
-        return { isBlocked: false };
-    }
-}
-
-// Setup all event listeners - OPTIMIZAT
-function setupEventListeners() {
-    // Optimizare: event listener unic pentru data picker cu debouncing
-    if (domCache.datePicker) {
-        const debouncedDateChange = debounce('datePicker', () => {
-            loadConfirmedBookings(domCache.datePicker.value);
-        }, 300);
-        
-        domCache.datePicker.addEventListener('change', debouncedDateChange);
-    }
-
-    if (domCache.logoutBtn) {
-        domCache.logoutBtn.addEventListener('click', logout);
-    }
-
-    // Optimizare: debouncing pentru refresh buttons
-    if (domCache.refreshPendingBtn) {
-        domCache.refreshPendingBtn.addEventListener('click', () => {
-            debounce('refreshPending', loadPendingBookings, 500);
-        });
-    }
-
-    if (domCache.refreshConfirmedBtn) {
-        domCache.refreshConfirmedBtn.addEventListener('click', () => {
-            debounce('refreshConfirmed', () => {
-                if (domCache.datePicker) {
-                    loadConfirmedBookings(domCache.datePicker.value);
-                }
-            }, 500);
-        });
-    }
-
-    if (domCache.todayBtn) {
-        domCache.todayBtn.addEventListener('click', () => {
-            const today = new Date().toISOString().split('T')[0];
-            if (domCache.datePicker) {
-                domCache.datePicker.value = today;
-                loadConfirmedBookings(today);
-            }
-        });
-    }
-
-    if (domCache.manualCleanupBtn) {
-        domCache.manualCleanupBtn.addEventListener('click', () => {
-            debounce('manualCleanup', runManualCleanup, 1000);
-        });
-    }
-
-    // Setup block popup event listeners
-    setupBlockPopupListeners();
-    setupBlockDateListeners();
-}
-
-// Setup block popup event listeners - OPTIMIZAT
-function setupBlockPopupListeners() {
-    if (domCache.blockPopupClose) {
-        domCache.blockPopupClose.addEventListener('click', hideBlockPopup);
-    }
-    
-    if (domCache.blockCancelBtn) {
-        domCache.blockCancelBtn.addEventListener('click', hideBlockPopup);
-    }
-    
-    if (domCache.blockPopup) {
-        domCache.blockPopup.addEventListener('click', function(e) {
-            if (e.target === this) {
-                hideBlockPopup();
-            }
-        });
-    }
-
-    if (domCache.blockConfirmBtn) {
-        domCache.blockConfirmBtn.addEventListener('click', async function() {
-            const reason = domCache.blockReasonInput ? domCache.blockReasonInput.value.trim() : '';
-            
-            if (!reason) {
-                showToast('Te rugăm să introduci un motiv pentru blocare', false);
-                return;
-            }
-
-            if (!currentBlockingBookingId) {
-                showToast('Eroare: ID rezervare lipsește', false);
-                return;
-            }
-
-            await blockUser(currentBlockingBookingId, reason);
-            hideBlockPopup();
-        });
-    }
-}
-
-function setupBlockDateListeners() {
-    if (domCache.blockDateBtn) {
-        domCache.blockDateBtn.addEventListener('click', showBlockDatePopup);
-    }
-
-    if (domCache.viewBlockedDatesBtn) {
-        domCache.viewBlockedDatesBtn.addEventListener('click', showBlockedDatesView);
-    }
-
-    // Event listeners pentru popup-ul de blocare
-    if (domCache.blockDateClose) {
-        domCache.blockDateClose.addEventListener('click', () => {
-            hideBlockDatePopup();
-        });
-    }
-
-    if (domCache.blockDateCancel) {
-        domCache.blockDateCancel.addEventListener('click', () => {
-            hideBlockDatePopup();
-        });
-    }
-
-    // Event listeners pentru popup-ul de vizualizare
-    if (domCache.viewBlockedClose) {
-        domCache.viewBlockedClose.addEventListener('click', () => {
-            if (domCache.viewBlockedDatesPopup) {
-                domCache.viewBlockedDatesPopup.style.display = 'none';
-            }
-        });
-    }
-
-    if (domCache.viewBlockedCancel) {
-        domCache.viewBlockedCancel.addEventListener('click', () => {
-            if (domCache.viewBlockedDatesPopup) {
-                domCache.viewBlockedDatesPopup.style.display = 'none';
-            }
-        });
-    }
-
-    if (domCache.blockDateConfirm) {
-        domCache.blockDateConfirm.addEventListener('click', handleBlockDateConfirm);
-    }
-}
-
-// Logout
-function logout() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('tokenTimestamp');
-    window.location.href = 'login.html';
-}
-
-// Initialize dashboard - OPTIMIZAT
-document.addEventListener('DOMContentLoaded', async () => {
-    const token = localStorage.getItem('token');
-    if (!token) {
-        window.location.href = 'login.html';
-        return;
-    }
-
-    if (!setupTokenExpiry()) {
-        return;
-    }
-
-    // Inițializează cache-ul DOM
-    domCache.init();
-
-    showLoading();
-    try {
-        // Verify token validity
-        const response = await fetchWithAuth(`${API_URL}/dashboard`);
-        
-        if (!response) {
-            return;
-        }
-
-        if (!response.ok) {
-            throw new Error('Authentication failed');
-        }
-
-        // Set current date in date picker
-        const today = new Date().toISOString().split('T')[0];
-        if (domCache.datePicker) {
-            domCache.datePicker.value = today;
-        }
-
-        // OPTIMIZARE: Load data în paralel în loc de secvențial
-        const [pendingResult, confirmedResult, blockedDatesResult] = await Promise.allSettled([
-            loadPendingBookings(),
-            loadConfirmedBookings(today),
-            loadBlockedDates()
-        ]);
-
-        // Verifică dacă au existat erori și le gestionează
-        if (pendingResult.status === 'rejected') {
-            logger.error('Eroare la încărcarea rezervărilor pending:', pendingResult.reason);
-        }
-        if (confirmedResult.status === 'rejected') {
-            logger.error('Eroare la încărcarea rezervărilor confirmate:', confirmedResult.reason);
-        }
-        if (blockedDatesResult.status === 'rejected') {
-            logger.error('Eroare la încărcarea datelor blocate:', blockedDatesResult.reason);
-        }
-
-        // Add event listeners
-        setupEventListeners();
-
-    } catch (error) {
-        logger.error('Error initializing dashboard:', error);
-        localStorage.removeItem('token');
-        localStorage.removeItem('tokenTimestamp');
-        window.location.href = 'login.html';
-    } finally {
-        hideLoading();
-    }
+// admin-dashboard_script.js - VERSIUNE OPTIMIZATĂ
+
+// Sistem de logging îmbunătățit pentru frontend
+const isProd = window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1';
+const logger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+// Detectare mediu și configurare URL API
+const API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000/api'
+    : window.location.protocol + '//' + window.location.hostname + '/api';
+
+// Cache DOM pentru performanță optimă
+const domCache = {
+    // Containere principale
+    pendingCards: null,
+    confirmedCards: null,
+    loadingOverlay: null,
+    toast: null,
+    
+    // Controale
+    datePicker: null,
+    logoutBtn: null,
+    refreshPendingBtn: null,
+    refreshConfirmedBtn: null,
+    todayBtn: null,
+    manualCleanupBtn: null,
+    barberScopeToggle: null,
+    showAllBarbersCheckbox: null,
+    blockDateBtn: null,
+    viewBlockedDatesBtn: null,
+    blockRulesBtn: null,
+    holidaysBtn: null,
+    adminBookingBtn: null,
+    
+    // Popup-uri
+    blockPopup: null,
+    blockDatePopup: null,
+    viewBlockedDatesPopup: null,
+    blockRulesPopup: null,
+    holidaysPopup: null,
+    reschedulePopup: null,
+    seriesPopup: null,
+    historyPopup: null,
+    adminBookingPopup: null,
+    
+    // Butoane popup
+    blockPopupClose: null,
+    blockCancelBtn: null,
+    blockConfirmBtn: null,
+    blockDateClose: null,
+    blockDateCancel: null,
+    blockDateConfirm: null,
+    viewBlockedClose: null,
+    viewBlockedCancel: null,
+    blockRulesClose: null,
+    blockRulesCancel: null,
+    blockRuleCreate: null,
+    holidaysClose: null,
+    holidaysCancel: null,
+    rescheduleClose: null,
+    rescheduleCancel: null,
+    rescheduleConfirm: null,
+    seriesClose: null,
+    seriesCancel: null,
+    seriesCreate: null,
+    seriesCancelSeries: null,
+    historyClose: null,
+    historyCancel: null,
+    adminBookingClose: null,
+    adminBookingCancel: null,
+    adminBookingConfirm: null,
+    
+    // Input-uri
+    blockReasonInput: null,
+    blockDateInput: null,
+    fullDayCheckbox: null,
+    hoursSelectionDiv: null,
+    hoursContainer: null,
+    blockedDatesContent: null,
+    blockRulesContent: null,
+    ruleFrequency: null,
+    ruleNthWeekGroup: null,
+    ruleNthWeek: null,
+    ruleFullDay: null,
+    ruleHoursGroup: null,
+    ruleStartTime: null,
+    ruleEndTime: null,
+    ruleStartDate: null,
+    ruleEndDate: null,
+    ruleReason: null,
+    holidaysYear: null,
+    holidaysContent: null,
+    rescheduleCurrent: null,
+    rescheduleDate: null,
+    rescheduleTime: null,
+    rescheduleService: null,
+    rescheduleReason: null,
+    seriesContent: null,
+    seriesCreateForm: null,
+    seriesInterval: null,
+    seriesEndDate: null,
+    historyContent: null,
+    adminBookingName: null,
+    adminBookingPhone: null,
+    adminBookingEmail: null,
+    adminBookingService: null,
+    adminBookingDate: null,
+    adminBookingTime: null,
+    adminBookingNotes: null,
+    
+    init() {
+        // Containere principale
+        this.pendingCards = document.getElementById('pendingReservationsCards');
+        this.confirmedCards = document.getElementById('confirmedReservationsCards');
+        this.loadingOverlay = document.getElementById('loadingOverlay');
+        this.toast = document.getElementById('toast');
+        
+        // Controale
+        this.datePicker = document.getElementById('datePicker');
+        this.logoutBtn = document.getElementById('logoutBtn');
+        this.refreshPendingBtn = document.getElementById('refreshPendingBtn');
+        this.refreshConfirmedBtn = document.getElementById('refreshConfirmedBtn');
+        this.todayBtn = document.getElementById('todayBtn');
+        this.manualCleanupBtn = document.getElementById('manualCleanupBtn');
+        this.barberScopeToggle = document.getElementById('barberScopeToggle');
+        this.showAllBarbersCheckbox = document.getElementById('showAllBarbersCheckbox');
+        this.blockDateBtn = document.getElementById('blockDateBtn');
+        this.viewBlockedDatesBtn = document.getElementById('viewBlockedDatesBtn');
+        this.blockRulesBtn = document.getElementById('blockRulesBtn');
+        this.holidaysBtn = document.getElementById('holidaysBtn');
+        this.adminBookingBtn = document.getElementById('adminBookingBtn');
+        
+        // Popup-uri
+        this.blockPopup = document.getElementById('blockPopup');
+        this.blockDatePopup = document.getElementById('blockDatePopup');
+        this.viewBlockedDatesPopup = document.getElementById('viewBlockedDatesPopup');
+        this.blockRulesPopup = document.getElementById('blockRulesPopup');
+        this.holidaysPopup = document.getElementById('holidaysPopup');
+        this.reschedulePopup = document.getElementById('reschedulePopup');
+        this.seriesPopup = document.getElementById('seriesPopup');
+        this.historyPopup = document.getElementById('historyPopup');
+        this.adminBookingPopup = document.getElementById('adminBookingPopup');
+        
+        // Butoane popup
+        this.blockPopupClose = document.getElementById('blockPopupClose');
+        this.blockCancelBtn = document.getElementById('blockCancelBtn');
+        this.blockConfirmBtn = document.getElementById('blockConfirmBtn');
+        this.blockDateClose = document.getElementById('blockDateClose');
+        this.blockDateCancel = document.getElementById('blockDateCancel');
+        this.blockDateConfirm = document.getElementById('blockDateConfirm');
+        this.viewBlockedClose = document.getElementById('viewBlockedClose');
+        this.viewBlockedCancel = document.getElementById('viewBlockedCancel');
+        this.blockRulesClose = document.getElementById('blockRulesClose');
+        this.blockRulesCancel = document.getElementById('blockRulesCancel');
+        this.blockRuleCreate = document.getElementById('blockRuleCreate');
+        this.holidaysClose = document.getElementById('holidaysClose');
+        this.holidaysCancel = document.getElementById('holidaysCancel');
+        this.rescheduleClose = document.getElementById('rescheduleClose');
+        this.rescheduleCancel = document.getElementById('rescheduleCancel');
+        this.rescheduleConfirm = document.getElementById('rescheduleConfirm');
+        this.seriesClose = document.getElementById('seriesClose');
+        this.seriesCancel = document.getElementById('seriesCancel');
+        this.seriesCreate = document.getElementById('seriesCreate');
+        this.seriesCancelSeries = document.getElementById('seriesCancelSeries');
+        this.historyClose = document.getElementById('historyClose');
+        this.historyCancel = document.getElementById('historyCancel');
+        this.adminBookingClose = document.getElementById('adminBookingClose');
+        this.adminBookingCancel = document.getElementById('adminBookingCancel');
+        this.adminBookingConfirm = document.getElementById('adminBookingConfirm');
+        
+        // Input-uri
+        this.blockReasonInput = document.getElementById('blockReasonInput');
+        this.blockDateInput = document.getElementById('blockDateInput');
+        this.fullDayCheckbox = document.getElementById('fullDayBlock');
+        this.hoursSelectionDiv = document.getElementById('hoursSelection');
+        this.hoursContainer = document.getElementById('hoursContainer');
+        this.blockedDatesContent = document.getElementById('blockedDatesContent');
+        this.blockRulesContent = document.getElementById('blockRulesContent');
+        this.ruleFrequency = document.getElementById('ruleFrequency');
+        this.ruleNthWeekGroup = document.getElementById('ruleNthWeekGroup');
+        this.ruleNthWeek = document.getElementById('ruleNthWeek');
+        this.ruleFullDay = document.getElementById('ruleFullDay');
+        this.ruleHoursGroup = document.getElementById('ruleHoursGroup');
+        this.ruleStartTime = document.getElementById('ruleStartTime');
+        this.ruleEndTime = document.getElementById('ruleEndTime');
+        this.ruleStartDate = document.getElementById('ruleStartDate');
+        this.ruleEndDate = document.getElementById('ruleEndDate');
+        this.ruleReason = document.getElementById('ruleReason');
+        this.holidaysYear = document.getElementById('holidaysYear');
+        this.holidaysContent = document.getElementById('holidaysContent');
+        this.rescheduleCurrent = document.getElementById('rescheduleCurrent');
+        this.rescheduleDate = document.getElementById('rescheduleDate');
+        this.rescheduleTime = document.getElementById('rescheduleTime');
+        this.rescheduleService = document.getElementById('rescheduleService');
+        this.rescheduleReason = document.getElementById('rescheduleReason');
+        this.seriesContent = document.getElementById('seriesContent');
+        this.seriesCreateForm = document.getElementById('seriesCreateForm');
+        this.seriesInterval = document.getElementById('seriesInterval');
+        this.seriesEndDate = document.getElementById('seriesEndDate');
+        this.historyContent = document.getElementById('historyContent');
+        this.adminBookingName = document.getElementById('adminBookingName');
+        this.adminBookingPhone = document.getElementById('adminBookingPhone');
+        this.adminBookingEmail = document.getElementById('adminBookingEmail');
+        this.adminBookingService = document.getElementById('adminBookingService');
+        this.adminBookingDate = document.getElementById('adminBookingDate');
+        this.adminBookingTime = document.getElementById('adminBookingTime');
+        this.adminBookingNotes = document.getElementById('adminBookingNotes');
+    }
+};
+
+// Variabile globale pentru block functionality
+let currentBlockingBookingId = null;
+let currentReschedulingBooking = null;
+let currentSeriesContext = null;
+let servicesCache = null;
+let currentBlockDatePopupMode = 'block';
+let blockedDatesCache = [];
+let businessScheduleCache = null;
+let currentUserRole = null;
+
+// Pool de debouncing pentru operații costisitoare
+const debouncePool = new Map();
+
+function debounce(key, func, wait) {
+    if (debouncePool.has(key)) {
+        clearTimeout(debouncePool.get(key));
+    }
+    
+    const timeout = setTimeout(() => {
+        func();
+        debouncePool.delete(key);
+    }, wait);
+    
+    debouncePool.set(key, timeout);
+}
+
+// Pool de notificări optimizat
+const notificationPool = {
+    current: null,
+    timeout: null,
+    
+    show(message, isSuccess = true) {
+        // Elimină notificarea existentă
+        if (this.current) {
+            this.current.remove();
+            this.current = null;
+        }
+        
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+
+        if (!domCache.toast) return;
+
+        domCache.toast.textContent = message;
+        domCache.toast.className = 'toast ' + (isSuccess ? 'success' : 'error');
+        domCache.toast.style.display = 'block';
+        this.current = domCache.toast;
+        
+        this.timeout = setTimeout(() => {
+            if (domCache.toast) {
+                domCache.toast.style.display = 'none';
+            }
+            this.current = null;
+        }, 3000);
+    }
+};
+
+// Utilitare optimizate
+function sanitizeHtml(input) {
+    if (input === null || input === undefined) {
+        return '';
+    }
+    
+    let str;
+    try {
+        str = String(input);
+    } catch (error) {
+        logger.error('Error converting input to string:', error);
+        return '';
+    }
+    
+    if (str.length > 10000) {
+        logger.warn('Input too long, truncating for security');
+        str = str.substring(0, 10000);
+    }
+    
+    const xssPatterns = [
+        /<script[^>]*>.*?<\/script>/gi,
+        /<iframe[^>]*>.*?<\/iframe>/gi,
+        /<object[^>]*>.*?<\/object>/gi,
+        /<embed[^>]*>.*?<\/embed>/gi,
+        /<link[^>]*>/gi,
+        /<meta[^>]*>/gi,
+        /javascript:/gi,
+        /vbscript:/gi,
+        /on\w+\s*=/gi,
+        /expression\s*\(/gi,
+        /data:text\/html/gi,
+        /data:application\/x-javascript/gi,
+        /<svg[^>]*>.*?<\/svg>/gi
+    ];
+    
+    for (const pattern of xssPatterns) {
+        if (pattern.test(str)) {
+            logger.warn('XSS attempt detected and blocked:', str.substring(0, 100));
+            return '';
+        }
+    }
+    
+    str = str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+    str = str.replace(/&#x?[0-9a-fA-F]+;/g, '');
+    str = str.replace(/%[0-9a-fA-F]{2}/g, '');
+    
+    const div = document.createElement('div');
+    div.textContent = str;
+    let sanitized = div.innerHTML;
+    
+    if (/<[^>]+>/.test(sanitized)) {
+        logger.warn('HTML detected after sanitization, blocking');
+        return '';
+    }
+    
+    return sanitized;
+}
+
+function showLoading() {
+    if (domCache.loadingOverlay) {
+        domCache.loadingOverlay.style.display = 'flex';
+    }
+}
+
+function hideLoading() {
+    if (domCache.loadingOverlay) {
+        domCache.loadingOverlay.style.display = 'none';
+    }
+}
+
+function showToast(message, isSuccess = true) {
+    notificationPool.show(message, isSuccess);
+}
+
+// Block popup functionality optimizată
+function showBlockPopup(bookingId) {
+    currentBlockingBookingId = bookingId;
+    if (domCache.blockReasonInput) {
+        domCache.blockReasonInput.value = '';
+    }
+    if (domCache.blockPopup) {
+        domCache.blockPopup.style.display = 'flex';
+    }
+}
+
+function hideBlockPopup() {
+    currentBlockingBookingId = null;
+    if (domCache.blockPopup) {
+        domCache.blockPopup.style.display = 'none';
+    }
+}
+
+// FUNCȚIE OPTIMIZATĂ - Create card for booking cu DocumentFragment
+function createCard(booking, type = 'pending') {
+    // Utilizează DocumentFragment pentru performanță optimă
+    const fragment = document.createDocumentFragment();
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const statusClass = type === 'pending' ? 'status-pending' : 'status-confirmed';
+    const statusText = type === 'pending' ? 'În așteptare' : 'Confirmată';
+
+    // Rezervările cu mai multe servicii (durata și prețul sunt totalurile serviciilor)
+    const serviceCount = booking.serviceIds ? booking.serviceIds.length : 1;
+
+    // Datele necesare pentru mutarea rezervării
+    const rescheduleButton = `
+        <button class="btn btn-reschedule" data-id="${sanitizeHtml(booking.id)}"
+            data-date="${sanitizeHtml(booking.dateKey)}" data-time="${sanitizeHtml(booking.time)}"
+            data-service-id="${sanitizeHtml(booking.serviceId)}" data-service-count="${sanitizeHtml(serviceCount)}"
+            data-service-name="${sanitizeHtml(booking.service)}" data-client="${sanitizeHtml(booking.clientName)}">Mută</button>
+    `;
+
+    const historyButton = `<button class="btn btn-history" data-id="${sanitizeHtml(booking.id)}">Istoric</button>`;
+
+    // Persoanele unei rezervări de grup se acceptă sau se refuză împreună, din antetul grupului
+    const isGroupMember = type === 'pending' && Boolean(booking.groupId);
+
+    let actionsHtml = '';
+    if (type === 'pending') {
+        actionsHtml = `
+            <div class="card-actions">
+                ${isGroupMember ? '' : `
+                    <button class="btn btn-confirm" data-id="${sanitizeHtml(booking.id)}">Acceptă</button>
+                    <button class="btn btn-decline" data-id="${sanitizeHtml(booking.id)}">Refuză</button>
+                `}
+                ${rescheduleButton}
+                ${historyButton}
+                <button class="btn btn-block" data-id="${sanitizeHtml(booking.id)}">Blochează</button>
+            </div>
+        `;
+    } else {
+        actionsHtml = `
+            <div class="card-actions">
+                ${rescheduleButton}
+                ${historyButton}
+                <button class="btn btn-series" data-id="${sanitizeHtml(booking.id)}"
+                    data-series-id="${sanitizeHtml(booking.seriesId)}">${booking.seriesId ? 'Seria' : 'Repetă'}</button>
+                <button class="btn btn-no-show" data-id="${sanitizeHtml(booking.id)}"
+                    data-client="${sanitizeHtml(booking.clientName)}">Neprezentat</button>
+                <button class="btn btn-decline" data-id="${sanitizeHtml(booking.id)}">Anulează</button>
+            </div>
+        `;
+    }
+
+    // Programările recurente (create sau cerute de client la rezervare)
+    let recurrenceText = '';
+    if (booking.seriesId) {
+        recurrenceText = '🔁 Face parte dintr-o serie recurentă';
+    } else if (booking.requestedRecurrenceWeeks) {
+        recurrenceText = `🔁 Clientul cere repetare la fiecare ${sanitizeHtml(booking.requestedRecurrenceWeeks)} săptămâni`;
+    }
+
+    // Avertisment pentru clienții care nu s-au mai prezentat la programări
+    const noShowBadge = type === 'pending' && booking.clientNoShows > 0
+        ? `<div class="badge-no-show" title="Neprezentări anterioare">⚠️ ${sanitizeHtml(booking.clientNoShows)} ${booking.clientNoShows === 1 ? 'neprezentare' : 'neprezentări'}</div>`
+        : '';
+
+    // Construiește HTML-ul complet o singură dată
+    card.innerHTML = `
+        <div class="card-header">
+            <div class="card-title">${sanitizeHtml(booking.clientName)}</div>
+            ${noShowBadge}
+            <div class="card-status ${statusClass}">${statusText}</div>
+        </div>
+        
+        <div class="card-body">
+            <div class="card-field email">
+                <div class="card-field-label">Email</div>
+                <div class="card-field-value">${sanitizeHtml(booking.email)}</div>
+            </div>
+            
+            <div class="card-field phone">
+                <div class="card-field-label">Telefon</div>
+                <div class="card-field-value">${sanitizeHtml(booking.phoneNumber)}</div>
+            </div>
+            
+            <div class="card-field service">
+                <div class="card-field-label">${serviceCount > 1 ? 'Servicii' : 'Serviciu'}</div>
+                <div class="card-field-value">${sanitizeHtml(booking.service)}${serviceCount > 1
+                    ? ` (${sanitizeHtml(booking.serviceDuration)} min)` : ''}</div>
+            </div>
+            
+            ${isGroupMember ? `
+                <div class="card-field group">
+                    <div class="card-field-label">Grup</div>
+                    <div class="card-field-value">Persoana ${sanitizeHtml(booking.groupPosition + 1)}, rezervat de ${sanitizeHtml(booking.groupOrganizer)}</div>
+                </div>
+            ` : ''}
+            
+            ${recurrenceText ? `
+                <div class="card-field recurrence">
+                    <div class="card-field-label">Recurență</div>
+                    <div class="card-field-value">${recurrenceText}</div>
+                </div>
+            ` : ''}
+            
+            ${booking.barberName ? `
+                <div class="card-field barber">
+                    <div class="card-field-label">Frizer</div>
+                    <div class="card-field-value">${sanitizeHtml(booking.barberName)}</div>
+                </div>
+            ` : ''}
+            
+            ${type === 'pending' ? `
+                <div class="card-field date">
+                    <div class="card-field-label">Data</div>
+                    <div class="card-field-value">${sanitizeHtml(booking.date)}</div>
+                </div>
+                
+                <div class="card-field time">
+                    <div class="card-field-label">Ora</div>
+                    <div class="card-field-value">${sanitizeHtml(booking.time)}</div>
+                </div>
+                
+                ${serviceCount > 1 ? `
+                    <div class="card-field price">
+                        <div class="card-field-label">Preț total</div>
+                        <div class="card-field-value">${sanitizeHtml(booking.servicePrice)} RON</div>
+                    </div>
+                ` : ''}
+            ` : `
+                <div class="card-field time">
+                    <div class="card-field-label">Ora</div>
+                    <div class="card-field-value">${sanitizeHtml(booking.time)}</div>
+                </div>
+                
+                <div class="card-field price">
+                    <div class="card-field-label">${serviceCount > 1 ? 'Preț total' : 'Preț'}</div>
+                    <div class="card-field-value">${sanitizeHtml(booking.servicePrice)} RON</div>
+                </div>
+            `}
+        </div>
+        
+        ${actionsHtml}
+    `;
+
+    fragment.appendChild(card);
+    return fragment;
+}
+
+// Rezervările de grup (intervale consecutive) sunt afișate împreună, cu acțiunile comune în antet
+function createGroupContainer(members) {
+    const sortedMembers = [...members].sort((a, b) => a.groupPosition - b.groupPosition);
+    const lead = sortedMembers[0];
+    const totalPrice = sortedMembers.reduce((total, member) => total + (member.servicePrice || 0), 0);
+
+    const container = document.createElement('div');
+    container.className = 'booking-group';
+    container.innerHTML = `
+        <div class="booking-group-header">
+            <div class="booking-group-title">👥 Grup ${sanitizeHtml(lead.groupOrganizer)} (${sortedMembers.length} persoane)</div>
+            <div class="booking-group-info">
+                ${sanitizeHtml(lead.date)}, ${sortedMembers.map(member => sanitizeHtml(member.time)).join(', ')} · Total ${sanitizeHtml(totalPrice)} RON
+            </div>
+            <div class="card-actions">
+                <button class="btn btn-confirm" data-id="${sanitizeHtml(lead.id)}">Acceptă grupul</button>
+                <button class="btn btn-decline" data-id="${sanitizeHtml(lead.id)}">Refuză grupul</button>
+            </div>
+        </div>
+    `;
+
+    sortedMembers.forEach(member => container.appendChild(createCard(member, 'pending')));
+    return container;
+}
+
+// Enhanced authentication and token management functions
+function setupTokenExpiry() {
+    const tokenTimestamp = localStorage.getItem('tokenTimestamp');
+    const currentTime = new Date().getTime();
+    
+    if (tokenTimestamp && (currentTime - tokenTimestamp > 24 * 60 * 60 * 1000)) {
+        localStorage.removeItem('token');
+        localStorage.removeItem('tokenTimestamp');
+        window.location.href = 'login.html';
+        return false;
+    }
+    
+    if (!tokenTimestamp || (currentTime - tokenTimestamp > 30 * 60 * 1000)) {
+        localStorage.setItem('tokenTimestamp', currentTime);
+    }
+    
+    return true;
+}
+
+async function fetchWithAuth(url, options = {}) {
+    const token = localStorage.getItem('token');
+    
+    if (!token) {
+        window.location.href = 'login.html';
+        return null;
+    }
+    
+    if (!setupTokenExpiry()) {
+        return null;
+    }
+    
+    const authOptions = {
+        ...options,
+        headers: {
+            ...options.headers,
+            Authorization: `Bearer ${token}`
+        }
+    };
+    
+    try {
+        const response = await fetch(url, authOptions);
+        
+        if (response.status === 401 || response.status === 403) {
+            localStorage.removeItem('token');
+            localStorage.removeItem('tokenTimestamp');
+            window.location.href = 'login.html';
+            return null;
+        }
+        
+        return response;
+    } catch (error) {
+        logger.error('Network error:', error);
+        showToast('Eroare de rețea. Verificați conexiunea.', false);
+        return null;
+    }
+}
+
+// FUNCȚII OPTIMIZATE - Load bookings cu batch processing
+
+// Parametrul de filtrare pe frizer (frizerii văd implicit doar programările proprii)
+function getBarberScopeParam() {
+    if (currentUserRole === 'barber' && domCache.showAllBarbersCheckbox && domCache.showAllBarbersCheckbox.checked) {
+        return 'scope=all';
+    }
+    return '';
+}
+
+// OPTIMIZATĂ - Load pending reservations
+async function loadPendingBookings() {
+    showLoading();
+    try {
+        const scopeParam = getBarberScopeParam();
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/pending${scopeParam ? `?${scopeParam}` : ''}`);
+        
+        if (!response) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch pending reservations');
+        }
+
+        const data = await response.json();
+        
+        if (!domCache.pendingCards) {
+            return;
+        }
+
+        // OPTIMIZARE: Construiește toate card-urile ca DocumentFragment
+        const fragment = document.createDocumentFragment();
+
+        if (data.bookings && data.bookings.length > 0) {
+            const renderedGroups = new Set();
+            data.bookings.forEach(booking => {
+                // Grupul este afișat o singură dată, la prima lui rezervare din listă
+                if (booking.groupId) {
+                    if (!renderedGroups.has(booking.groupId)) {
+                        renderedGroups.add(booking.groupId);
+                        fragment.appendChild(createGroupContainer(
+                            data.bookings.filter(member => member.groupId === booking.groupId)
+                        ));
+                    }
+                    return;
+                }
+
+                const cardFragment = createCard(booking, 'pending');
+                fragment.appendChild(cardFragment);
+            });
+
+            // O singură operație DOM
+            domCache.pendingCards.innerHTML = '';
+            domCache.pendingCards.appendChild(fragment);
+
+            // Add event listeners for action buttons
+            addActionButtonListeners();
+        } else {
+            // No pending reservations
+            const emptyCard = document.createElement('div');
+            emptyCard.className = 'card';
+            emptyCard.innerHTML = `
+                <div class="empty-message">Nu există rezervări în așteptare</div>
+            `;
+            domCache.pendingCards.innerHTML = '';
+            domCache.pendingCards.appendChild(emptyCard);
+        }
+    } catch (error) {
+        logger.error('Error loading pending reservations:', error);
+        showToast('Nu s-au putut încărca rezervările în așteptare', false);
+    } finally {
+        hideLoading();
+    }
+};
+
+
+// OPTIMIZATĂ - Load confirmed reservations for a specific date
+async function loadConfirmedBookings(date) {
+    if (!date) {
+        logger.warn('No date provided for loadConfirmedBookings');
+        return;
+    }
+
+    showLoading();
+    try {
+        const scopeParam = getBarberScopeParam();
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/confirmed?date=${date}${scopeParam ? `&${scopeParam}` : ''}`);
+        
+        if (!response) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch confirmed reservations');
+        }
+
+        const data = await response.json();
+        
+        if (!domCache.confirmedCards) {
+            return;
+        }
+
+        // OPTIMIZARE: Construiește toate card-urile ca DocumentFragment
+        const fragment = document.createDocumentFragment();
+
+        if (data.bookings && data.bookings.length > 0) {
+            data.bookings.forEach((booking, index) => {
+                try {
+                    const cardFragment = createCard(booking, 'confirmed');
+                    fragment.appendChild(cardFragment);
+                } catch (e) {
+                    logger.error(`Error processing booking ${index}:`, e);
+                }
+            });
+
+            // Add total card
+            try {
+                const totalCard = document.createElement('div');
+                totalCard.className = 'card total-card';
+                totalCard.innerHTML = `
+                    <div class="card-field">
+                        <div class="card-field-label">Total Încasări</div>
+                        <div class="card-field-value">${data.totalPrice} RON</div>
+                    </div>
+                `;
+                fragment.appendChild(totalCard);
+            } catch (e) {
+                logger.error('Error adding total card:', e);
+            }
+
+            // O singură operație DOM
+            domCache.confirmedCards.innerHTML = '';
+            domCache.confirmedCards.appendChild(fragment);
+
+            // Add event listeners for cancel buttons
+            try {
+                addCancelButtonListeners();
+            } catch (e) {
+                logger.error('Error adding cancel button listeners:', e);
+            }
+        } else {
+            // No confirmed reservations for this date
+            try {
+                const emptyCard = document.createElement('div');
+                emptyCard.className = 'card';
+                emptyCard.innerHTML = `
+                    <div class="empty-message">Nu există rezervări confirmate pentru această dată</div>
+                `;
+                fragment.appendChild(emptyCard);
+
+                // Add total card showing 0
+                const totalCard = document.createElement('div');
+                totalCard.className = 'card total-card';
+                totalCard.innerHTML = `
+                    <div class="card-field">
+                        <div class="card-field-label">Total Încasări</div>
+                        <div class="card-field-value">0 RON</div>
+                    </div>
+                `;
+                fragment.appendChild(totalCard);
+
+                // O singură operație DOM
+                domCache.confirmedCards.innerHTML = '';
+                domCache.confirmedCards.appendChild(fragment);
+            } catch (e) {
+                logger.error('Error adding empty card:', e);
+            }
+        }
+    } catch (error) {
+        logger.error('Error loading confirmed reservations:', error);
+        showToast('Nu s-au putut încărca rezervările confirmate', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Add event listeners for action buttons
+function addActionButtonListeners() {
+    // Accept buttons - NO CONFIRMATION
+    const acceptButtons = document.querySelectorAll('.btn-confirm');
+    acceptButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            if (bookingId) {
+                await confirmBooking(bookingId);
+            }
+        });
+    });
+
+    // Decline buttons from pending - NO CONFIRMATION  
+    const declineButtons = document.querySelectorAll('#pendingReservationsCards .btn-decline');
+    declineButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            if (bookingId) {
+                await declineBooking(bookingId);
+            }
+        });
+    });
+
+    // Block buttons - CUSTOM POPUP ONLY
+    const blockButtons = document.querySelectorAll('.btn-block');
+    blockButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            if (bookingId) {
+                showBlockPopup(bookingId);
+            }
+        });
+    });
+
+    addRescheduleButtonListeners('#pendingReservationsCards');
+    addHistoryButtonListeners('#pendingReservationsCards');
+}
+
+// Add event listeners for reschedule buttons
+function addRescheduleButtonListeners(containerSelector) {
+    const rescheduleButtons = document.querySelectorAll(`${containerSelector} .btn-reschedule`);
+    rescheduleButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            showReschedulePopup({
+                id: button.getAttribute('data-id'),
+                date: button.getAttribute('data-date'),
+                time: button.getAttribute('data-time'),
+                serviceId: button.getAttribute('data-service-id'),
+                serviceCount: parseInt(button.getAttribute('data-service-count')) || 1,
+                serviceName: button.getAttribute('data-service-name'),
+                clientName: button.getAttribute('data-client')
+            });
+        });
+    });
+}
+
+// Add event listeners for history buttons
+function addHistoryButtonListeners(containerSelector) {
+    const historyButtons = document.querySelectorAll(`${containerSelector} .btn-history`);
+    historyButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            if (bookingId) {
+                showHistoryPopup(bookingId);
+            }
+        });
+    });
+}
+
+// Add event listeners for cancel buttons
+function addCancelButtonListeners() {
+    const cancelButtons = document.querySelectorAll('#confirmedReservationsCards .btn-decline');
+    cancelButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            if (bookingId) {
+                await declineBooking(bookingId);
+            }
+        });
+    });
+
+    addRescheduleButtonListeners('#confirmedReservationsCards');
+    addHistoryButtonListeners('#confirmedReservationsCards');
+
+    const noShowButtons = document.querySelectorAll('#confirmedReservationsCards .btn-no-show');
+    noShowButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const bookingId = button.getAttribute('data-id');
+            const clientName = button.getAttribute('data-client');
+            if (bookingId && window.confirm(`Marchezi programarea lui ${clientName} ca neprezentare?`)) {
+                await markNoShow(bookingId);
+            }
+        });
+    });
+
+    const seriesButtons = document.querySelectorAll('#confirmedReservationsCards .btn-series');
+    seriesButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            showSeriesPopup({
+                bookingId: button.getAttribute('data-id'),
+                seriesId: button.getAttribute('data-series-id') || null
+            });
+        });
+    });
+}
+
+// Etichetele afișate pentru starea programărilor din serie
+const SERIES_OCCURRENCE_STATUS_LABELS = {
+    pending: 'În așteptare',
+    confirmed: 'Confirmată',
+    declined: 'Respinsă',
+    cancelled: 'Anulată',
+    completed: 'Finalizată',
+    no_show: 'Neprezentat'
+};
+
+// Popup pentru programările recurente: detaliile seriei sau crearea uneia din rezervarea confirmată
+async function showSeriesPopup(context) {
+    if (!domCache.seriesPopup || !domCache.seriesContent) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    currentSeriesContext = context;
+
+    if (!context.seriesId) {
+        domCache.seriesContent.innerHTML = '<p>Rezervarea se va repeta în aceeași zi a săptămânii și la aceeași oră. Zilele în care intervalul nu este liber vor fi raportate.</p>';
+        if (domCache.seriesCreateForm) domCache.seriesCreateForm.style.display = 'block';
+        if (domCache.seriesCreate) domCache.seriesCreate.style.display = 'inline-block';
+        if (domCache.seriesCancelSeries) domCache.seriesCancelSeries.style.display = 'none';
+        if (domCache.seriesEndDate) domCache.seriesEndDate.value = '';
+        domCache.seriesPopup.style.display = 'flex';
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/series/${context.seriesId}`);
+
+        if (!response) return;
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch series');
+        }
+
+        const { series } = await response.json();
+
+        const occurrencesHTML = series.occurrences.map(occurrence => `
+            <p>${sanitizeHtml(occurrence.date)}, ${sanitizeHtml(occurrence.time)} - ${sanitizeHtml(SERIES_OCCURRENCE_STATUS_LABELS[occurrence.status] || occurrence.status)}</p>
+        `).join('');
+
+        const conflictsHTML = series.conflicts.map(conflict => `
+            <p>⚠️ ${sanitizeHtml(conflict.date)}, ${sanitizeHtml(conflict.time)}: ${sanitizeHtml(conflict.reason)}</p>
+        `).join('');
+
+        domCache.seriesContent.innerHTML = `
+            <div class="blocked-dates-list">
+                <div class="blocked-date-item">
+                    <div class="blocked-date-info">
+                        <h4>${sanitizeHtml(series.clientName)} - ${sanitizeHtml(series.service)}</h4>
+                        <p>${sanitizeHtml(series.recurrence)}, ora ${sanitizeHtml(series.time)}</p>
+                        ${series.endDate ? `<p><strong>Până la:</strong> ${sanitizeHtml(series.endDate)}</p>` : ''}
+                        <p><strong>Status:</strong> ${series.status === 'active' ? 'Activă' : 'Anulată'}</p>
+                    </div>
+                </div>
+                <div class="blocked-date-item">
+                    <div class="blocked-date-info">
+                        <h4>Programări</h4>
+                        ${occurrencesHTML || '<p>Nu există programări.</p>'}
+                    </div>
+                </div>
+                ${conflictsHTML ? `
+                <div class="blocked-date-item">
+                    <div class="blocked-date-info">
+                        <h4>Conflicte (nu au putut fi rezervate)</h4>
+                        ${conflictsHTML}
+                    </div>
+                </div>` : ''}
+            </div>
+        `;
+
+        if (domCache.seriesCreateForm) domCache.seriesCreateForm.style.display = 'none';
+        if (domCache.seriesCreate) domCache.seriesCreate.style.display = 'none';
+        if (domCache.seriesCancelSeries) {
+            domCache.seriesCancelSeries.style.display = series.status === 'active' ? 'inline-block' : 'none';
+        }
+        domCache.seriesPopup.style.display = 'flex';
+    } catch (error) {
+        logger.error('Error showing series:', error);
+        showToast('Nu s-a putut încărca seria recurentă', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideSeriesPopup() {
+    currentSeriesContext = null;
+    if (domCache.seriesPopup) {
+        domCache.seriesPopup.style.display = 'none';
+    }
+}
+
+// Etichetele acțiunilor din istoricul rezervărilor (acțiunile necunoscute sunt afișate ca atare)
+const HISTORY_ACTION_LABELS = {
+    confirmed: 'Confirmată',
+    declined: 'Respinsă',
+    cancelled: 'Anulată',
+    completed: 'Finalizată',
+    no_show: 'Neprezentare',
+    cancelled_by_client: 'Anulată de client',
+    rescheduled_by_client: 'Mutată de client',
+    rescheduled_by_staff: 'Mutată de personal',
+    created_from_series: 'Creată din seria recurentă',
+    created_by_staff: 'Adăugată de personal',
+    series_cancelled: 'Anulată odată cu seria',
+    suspended: 'Abandonată de client în timpul rezervării',
+    declined_client_blocked: 'Respinsă, client blocat',
+    auto_declined_expired: 'Respinsă automat (expirată)',
+    cancelled_verification_failed: 'Anulată (prea multe coduri greșite)'
+};
+
+// Cine a făcut schimbarea: personalul (numele), clientul (prin link) sau un job automat
+function describeHistoryActor(entry) {
+    if (entry.actorType === 'client') return 'clientul';
+    if (entry.actorType === 'system') return 'sistem';
+    return entry.actor;
+}
+
+// Afișează istoricul schimbărilor unei rezervări
+async function showHistoryPopup(bookingId) {
+    if (!domCache.historyPopup || !domCache.historyContent) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}`);
+
+        if (!response) return;
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch booking details');
+        }
+
+        const { booking } = await response.json();
+
+        const historyHTML = [...booking.statusHistory].reverse().map(entry => `
+            <p>
+                <strong>${sanitizeHtml(new Date(entry.changedAt).toLocaleString('ro-RO'))}</strong> -
+                ${sanitizeHtml(HISTORY_ACTION_LABELS[entry.action] || entry.action)}
+                (${sanitizeHtml(describeHistoryActor(entry))})
+                ${entry.previousDate ? `<br>Mutată de pe ${sanitizeHtml(entry.previousDate)}, ${sanitizeHtml(entry.previousTime)}` : ''}
+                ${entry.note ? `<br>Motiv: ${sanitizeHtml(entry.note)}` : ''}
+            </p>
+        `).join('');
+
+        domCache.historyContent.innerHTML = `
+            <div class="blocked-dates-list">
+                <div class="blocked-date-item">
+                    <div class="blocked-date-info">
+                        <h4>${sanitizeHtml(booking.clientName)} - ${sanitizeHtml(booking.service)}</h4>
+                        <p>${sanitizeHtml(booking.date)}, ora ${sanitizeHtml(booking.time)}</p>
+                        <p><strong>Status:</strong> ${sanitizeHtml(SERIES_OCCURRENCE_STATUS_LABELS[booking.status] || booking.status)}</p>
+                        <p><strong>Creată:</strong> ${sanitizeHtml(new Date(booking.createdAt).toLocaleString('ro-RO'))}</p>
+                    </div>
+                </div>
+                <div class="blocked-date-item">
+                    <div class="blocked-date-info">
+                        <h4>Schimbări</h4>
+                        ${historyHTML || '<p>Nu există schimbări înregistrate.</p>'}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        domCache.historyPopup.style.display = 'flex';
+    } catch (error) {
+        logger.error('Error showing booking history:', error);
+        showToast('Nu s-a putut încărca istoricul rezervării', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideHistoryPopup() {
+    if (domCache.historyPopup) {
+        domCache.historyPopup.style.display = 'none';
+    }
+}
+
+// Creează seria recurentă din rezervarea confirmată
+async function handleCreateSeries() {
+    if (!currentSeriesContext || !currentSeriesContext.bookingId) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    const seriesData = {
+        intervalWeeks: parseInt(domCache.seriesInterval ? domCache.seriesInterval.value : '3')
+    };
+    if (domCache.seriesEndDate && domCache.seriesEndDate.value) {
+        seriesData.endDate = domCache.seriesEndDate.value;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${currentSeriesContext.bookingId}/series`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(seriesData)
+        });
+
+        if (!response) return;
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Nu s-a putut crea seria');
+        }
+
+        hideSeriesPopup();
+        if (domCache.datePicker?.value) {
+            await loadConfirmedBookings(domCache.datePicker.value);
+        }
+
+        showToast(describeSeriesResult(result.series, result.message), true);
+    } catch (error) {
+        logger.error('Error creating series:', error);
+        showToast(error.message || 'Nu s-a putut crea seria', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Anulează seria și toate programările ei viitoare
+async function handleCancelSeries() {
+    if (!currentSeriesContext || !currentSeriesContext.seriesId) {
+        showToast('Eroare: ID serie lipsește', false);
+        return;
+    }
+
+    if (!window.confirm('Sigur vrei să anulezi toate programările viitoare din această serie?')) {
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/series/${currentSeriesContext.seriesId}/cancel`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({})
+        });
+
+        if (!response) return;
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Nu s-a putut anula seria');
+        }
+
+        hideSeriesPopup();
+        await Promise.all([
+            loadPendingBookings(),
+            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
+        ]);
+
+        showToast(result.message, true);
+    } catch (error) {
+        logger.error('Error cancelling series:', error);
+        showToast(error.message || 'Nu s-a putut anula seria', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Numele canalului prin care a fost anunțat clientul
+function getChannelLabel(channel) {
+    return channel === 'sms' ? 'SMS' : 'email';
+}
+
+// Mesajul afișat după crearea unei serii, cu zilele în conflict
+function describeSeriesResult(series, prefix) {
+    if (!series) {
+        return prefix;
+    }
+
+    let message = prefix || `Serie recurentă: ${series.createdCount} programări rezervate`;
+    if (series.conflicts.length > 0) {
+        const conflictDays = series.conflicts.map(conflict => conflict.date).join(', ');
+        message += `. Conflicte: ${conflictDays}`;
+    }
+    return message;
+}
+
+// Încarcă lista serviciilor pentru popup-ul de mutare (o singură dată)
+async function loadServiceOptions() {
+    if (servicesCache) {
+        return servicesCache;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/services`, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch services');
+        }
+
+        const data = await response.json();
+        servicesCache = data.services || [];
+    } catch (error) {
+        logger.error('Error loading services:', error);
+        return [];
+    }
+
+    return servicesCache;
+}
+
+// Popup pentru mutarea unei rezervări
+async function showReschedulePopup(booking) {
+    if (!booking.id || !domCache.reschedulePopup) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    currentReschedulingBooking = booking;
+
+    const services = await loadServiceOptions();
+    if (domCache.rescheduleService) {
+        // O rezervare cu mai multe servicii își păstrează serviciile dacă nu se alege altul
+        const currentServicesOption = booking.serviceCount > 1
+            ? `<option value="">Serviciile actuale: ${sanitizeHtml(booking.serviceName)}</option>`
+            : '';
+        domCache.rescheduleService.innerHTML = currentServicesOption + services.map(service => `
+            <option value="${sanitizeHtml(service._id)}">${sanitizeHtml(service.name)} (${sanitizeHtml(service.duration)} min)</option>
+        `).join('');
+        domCache.rescheduleService.value = booking.serviceCount > 1 ? '' : booking.serviceId;
+    }
+
+    if (domCache.rescheduleCurrent) {
+        domCache.rescheduleCurrent.textContent = `${booking.clientName} - acum: ${booking.date}, ora ${booking.time}`;
+    }
+    if (domCache.rescheduleDate) domCache.rescheduleDate.value = booking.date || '';
+    if (domCache.rescheduleTime) domCache.rescheduleTime.value = booking.time || '';
+    if (domCache.rescheduleReason) domCache.rescheduleReason.value = '';
+
+    domCache.reschedulePopup.style.display = 'flex';
+}
+
+function hideReschedulePopup() {
+    currentReschedulingBooking = null;
+    if (domCache.reschedulePopup) {
+        domCache.reschedulePopup.style.display = 'none';
+    }
+}
+
+// Mută rezervarea la data și ora alese
+async function handleRescheduleConfirm() {
+    if (!currentReschedulingBooking) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    const date = domCache.rescheduleDate ? domCache.rescheduleDate.value : '';
+    const time = domCache.rescheduleTime ? domCache.rescheduleTime.value : '';
+
+    if (!date || !time) {
+        showToast('Te rugăm să selectezi data și ora nouă', false);
+        return;
+    }
+
+    const rescheduleData = { date, time };
+    if (domCache.rescheduleService && domCache.rescheduleService.value) {
+        rescheduleData.serviceId = parseInt(domCache.rescheduleService.value);
+    }
+    if (domCache.rescheduleReason && domCache.rescheduleReason.value.trim()) {
+        rescheduleData.reason = domCache.rescheduleReason.value.trim();
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${currentReschedulingBooking.id}/reschedule`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(rescheduleData)
+        });
+
+        if (!response) return;
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Nu s-a putut muta rezervarea');
+        }
+
+        hideReschedulePopup();
+
+        await Promise.all([
+            loadPendingBookings(),
+            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
+        ]);
+
+        let message = 'Rezervare mutată cu succes!';
+        if (result.emailStatus === 'sent') {
+            message += ` Clientul a fost anunțat prin ${getChannelLabel(result.channel)}.`;
+        } else if (result.emailStatus === 'failed') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a putut fi trimisă)`;
+        }
+
+        showToast(message, true);
+    } catch (error) {
+        logger.error('Error rescheduling booking:', error);
+        showToast(error.message || 'Nu s-a putut muta rezervarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Popup pentru adăugarea unei programări (client sosit direct sau programat telefonic)
+async function showAdminBookingPopup() {
+    if (!domCache.adminBookingPopup) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    const services = await loadServiceOptions();
+    if (domCache.adminBookingService) {
+        domCache.adminBookingService.innerHTML = services.map(service => `
+            <option value="${sanitizeHtml(service._id)}">${sanitizeHtml(service.name)} (${sanitizeHtml(service.duration)} min)</option>
+        `).join('');
+    }
+
+    if (domCache.adminBookingName) domCache.adminBookingName.value = '';
+    if (domCache.adminBookingPhone) domCache.adminBookingPhone.value = '';
+    if (domCache.adminBookingEmail) domCache.adminBookingEmail.value = '';
+    if (domCache.adminBookingDate) domCache.adminBookingDate.value = domCache.datePicker?.value || '';
+    if (domCache.adminBookingTime) domCache.adminBookingTime.value = '';
+    if (domCache.adminBookingNotes) domCache.adminBookingNotes.value = '';
+
+    domCache.adminBookingPopup.style.display = 'flex';
+}
+
+function hideAdminBookingPopup() {
+    if (domCache.adminBookingPopup) {
+        domCache.adminBookingPopup.style.display = 'none';
+    }
+}
+
+// Trimite programarea; dacă intervalul nu este liber, personalul poate confirma explicit suprapunerea (override)
+async function handleAdminBookingConfirm(override = false) {
+    const bookingData = {
+        clientName: domCache.adminBookingName ? domCache.adminBookingName.value.trim() : '',
+        phoneNumber: domCache.adminBookingPhone ? domCache.adminBookingPhone.value.trim() : '',
+        serviceId: domCache.adminBookingService ? parseInt(domCache.adminBookingService.value) : null,
+        date: domCache.adminBookingDate ? domCache.adminBookingDate.value : '',
+        time: domCache.adminBookingTime ? domCache.adminBookingTime.value : '',
+        override
+    };
+
+    if (!bookingData.clientName || !bookingData.phoneNumber || !bookingData.date || !bookingData.time) {
+        showToast('Te rugăm să completezi numele, telefonul, data și ora', false);
+        return;
+    }
+
+    const emailValue = domCache.adminBookingEmail ? domCache.adminBookingEmail.value.trim() : '';
+    if (emailValue) bookingData.email = emailValue;
+    const notesValue = domCache.adminBookingNotes ? domCache.adminBookingNotes.value.trim() : '';
+    if (notesValue) bookingData.notes = notesValue;
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(bookingData)
+        });
+
+        if (!response) return;
+
+        const result = await response.json();
+
+        if (response.status === 409 && result.canOverride && !override) {
+            hideLoading();
+            if (window.confirm(`${result.message}\n\nAdaugi programarea oricum?`)) {
+                await handleAdminBookingConfirm(true);
+            }
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Nu s-a putut adăuga programarea');
+        }
+
+        hideAdminBookingPopup();
+
+        if (domCache.datePicker?.value) {
+            await loadConfirmedBookings(domCache.datePicker.value);
+        }
+
+        let message = 'Programare adăugată cu succes!';
+        if (result.emailStatus === 'sent') {
+            message += ` Clientul a primit confirmarea prin ${getChannelLabel(result.channel)}.`;
+        } else if (result.emailStatus === 'limited') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a fost trimisă - limită atinsă)`;
+        } else if (result.emailStatus === 'failed') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a putut fi trimisă)`;
+        }
+
+        showToast(message, true);
+    } catch (error) {
+        logger.error('Error creating admin booking:', error);
+        showToast(error.message || 'Nu s-a putut adăuga programarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Confirm booking (ABSOLUTELY NO CONFIRMATION POPUP)
+async function confirmBooking(bookingId) {
+    if (!bookingId) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}/confirm`, {
+            method: 'PUT'
+        });
+        
+        if (!response) {
+            return;
+        }
+
+        const result = await response.json();
+
+        // 409 = rezervarea și-a schimbat deja statusul (de ex. a fost finalizată sau anulată între timp)
+        if (response.status === 409) {
+            showToast(result.message || 'Nu s-a putut confirma rezervarea', false);
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to confirm booking');
+        }
+
+        // OPTIMIZARE: Încarcă datele în paralel
+        await Promise.all([
+            loadPendingBookings(),
+            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
+        ]);
+        
+        let message = result.groupSize > 1
+            ? `Rezervarea de grup (${result.groupSize} persoane) a fost confirmată cu succes!`
+            : 'Rezervare confirmată cu succes!';
+        if (result.emailStatus === 'sent') {
+            message += ` Confirmarea a fost trimisă clientului prin ${getChannelLabel(result.channel)}.`;
+        } else if (result.emailStatus === 'limited') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a fost trimisă - limită atinsă)`;
+        } else if (result.emailStatus === 'failed') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a putut fi trimisă)`;
+        }
+        
+        if (result.series) {
+            message += ` ${describeSeriesResult(result.series)}.`;
+        }
+        
+        showToast(message, true);
+    } catch (error) {
+        logger.error('Error confirming booking:', error);
+        showToast('Nu s-a putut confirma rezervarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Decline booking (ABSOLUTELY NO CONFIRMATION POPUP)
+async function declineBooking(bookingId) {
+    if (!bookingId) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}/decline`, {
+            method: 'PUT'
+        });
+        
+        if (!response) {
+            return;
+        }
+
+        const result = await response.json();
+
+        // 409 = rezervarea și-a schimbat deja statusul (de ex. a fost finalizată sau anulată între timp)
+        if (response.status === 409) {
+            showToast(result.message || 'Nu s-a putut refuza rezervarea', false);
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to decline booking');
+        }
+
+        // OPTIMIZARE: Încarcă datele în paralel
+        await Promise.all([
+            loadPendingBookings(),
+            domCache.datePicker?.value ? loadConfirmedBookings(domCache.datePicker.value) : Promise.resolve()
+        ]);
+        
+        let message = 'Rezervare refuzată cu succes!';
+        if (result.emailStatus === 'sent') {
+            message += ` Clientul a fost anunțat prin ${getChannelLabel(result.channel)}.`;
+        } else if (result.emailStatus === 'limited') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a fost trimisă - limită atinsă)`;
+        } else if (result.emailStatus === 'failed') {
+            message += ` (Notă: Notificarea prin ${getChannelLabel(result.channel)} nu a putut fi trimisă)`;
+        }
+        
+        showToast(message, true);
+    } catch (error) {
+        logger.error('Error declining booking:', error);
+        showToast('Nu s-a putut refuza rezervarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Mark a confirmed booking as no-show (clientul nu a venit)
+async function markNoShow(bookingId) {
+    if (!bookingId) {
+        showToast('Eroare: ID rezervare lipsește', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/bookings/${bookingId}/no-show`, {
+            method: 'PUT'
+        });
+        
+        if (!response) {
+            return;
+        }
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(result.message || 'Nu s-a putut marca neprezentarea', false);
+            return;
+        }
+
+        if (domCache.datePicker?.value) {
+            await loadConfirmedBookings(domCache.datePicker.value);
+        }
+        
+        showToast(result.message || 'Neprezentare înregistrată', true);
+    } catch (error) {
+        logger.error('Error marking no-show:', error);
+        showToast('Nu s-a putut marca neprezentarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Block user with reason
+async function blockUser(bookingId, reason) {
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/users/block/${bookingId}`, {
+            method: 'POST',
+            headers: { 
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ reason })
+        });
+        
+        if (!response) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Failed to block user');
+        }
+
+        // Reload pending reservations
+        await loadPendingBookings();
+        
+        showToast('Utilizator blocat cu succes! Adresa de email și numărul de telefon au fost adăugate în lista de blocate.', true);
+    } catch (error) {
+        logger.error('Error blocking user:', error);
+        showToast('Nu s-a putut bloca utilizatorul', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// OPTIMIZATE - Block date functions
+
+// Încarcă programul de lucru configurat (o singură dată per sesiune de dashboard)
+async function loadBusinessSchedule() {
+    if (businessScheduleCache) {
+        return businessScheduleCache;
+    }
+    
+    const response = await fetchWithAuth(`${API_URL}/admin/business-schedule`);
+    if (!response || !response.ok) {
+        return null;
+    }
+    
+    const data = await response.json();
+    businessScheduleCache = data.success ? data.schedule : null;
+    return businessScheduleCache;
+}
+
+// OPTIMIZATĂ - Generate hour checkboxes
+async function generateHourCheckboxes() {
+    if (!domCache.hoursContainer) return;
+    
+    // Verifică ce zi este selectată
+    const selectedDate = domCache.blockDateInput ? new Date(domCache.blockDateInput.value) : new Date();
+    const dayOfWeek = selectedDate.getDay();
+    
+    // Determină intervalele de lucru din programul configurat
+    let schedule = null;
+    try {
+        schedule = await loadBusinessSchedule();
+    } catch (error) {
+        logger.error('Error loading business schedule:', error);
+    }
+    
+    if (!schedule) {
+        domCache.hoursContainer.innerHTML = '<p style="text-align: center; color: #888;">Nu s-a putut încărca programul de lucru</p>';
+        return;
+    }
+    
+    const day = schedule.days.find(d => d.dayOfWeek === dayOfWeek);
+    if (!day || day.intervals.length === 0) {
+        const dayName = day ? day.dayName.toLowerCase() : 'această zi';
+        domCache.hoursContainer.innerHTML = `<p style="text-align: center; color: #888;">Suntem închiși ${sanitizeHtml(dayName)}</p>`;
+        return;
+    }
+    
+    // OPTIMIZARE: Generează toate orele ca string, la granularitatea configurată
+    const slotInterval = schedule.slotInterval || 30;
+    const hoursHTML = [];
+    day.intervals.forEach(interval => {
+        const [startHour, startMinute] = interval.start.split(':').map(Number);
+        const [endHour, endMinute] = interval.end.split(':').map(Number);
+        
+        for (let minutes = startHour * 60 + startMinute; minutes < endHour * 60 + endMinute; minutes += slotInterval) {
+            const timeString = `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+            hoursHTML.push(`
+                <div class="hour-checkbox-wrapper">
+                    <label class="hour-checkbox-label">
+                        <input type="checkbox" value="${timeString}" class="hour-checkbox">
+                        <span>${timeString}</span>
+                    </label>
+                </div>
+            `);
+        }
+    });
+    
+    // O singură operație DOM
+    domCache.hoursContainer.innerHTML = hoursHTML.join('');
+}
+
+function showBlockDatePopup() {
+    if (!domCache.blockDatePopup) {
+        showToast('Eroare: Popup-ul nu a fost găsit', false);
+        return;
+    }
+    
+    // Restaurează conținutul original pentru blocarea datelor
+    const popupTitle = document.getElementById('blockDatePopupTitle');
+    const popupContent = document.getElementById('blockDatePopupContent');
+    
+    if (popupTitle) {
+        popupTitle.textContent = 'Blochează Dată';
+    }
+    
+    if (popupContent) {
+        popupContent.innerHTML = `
+            <div class="form-group">
+                <label for="blockDateInput">Selectează Data:</label>
+                <input type="date" id="blockDateInput" required>
+            </div>
+            
+            <div class="checkbox-group">
+                <input type="checkbox" id="fullDayBlock" checked>
+                <label for="fullDayBlock">Blochează toată ziua</label>
+            </div>
+            
+            <div class="hours-selection" id="hoursSelection" style="display: none;">
+                <label>Selectează orele de blocat:</label>
+                <div class="hours-container" id="hoursContainer">
+                    <!-- Orele vor fi generate dinamic -->
+                </div>
+            </div>
+        `;
+        
+        // Re-cache DOM elements
+        domCache.blockDateInput = document.getElementById('blockDateInput');
+        domCache.fullDayCheckbox = document.getElementById('fullDayBlock');
+        domCache.hoursSelectionDiv = document.getElementById('hoursSelection');
+        domCache.hoursContainer = document.getElementById('hoursContainer');
+    }
+    
+    // Configurare și inițializare input pentru dată
+    if (domCache.blockDateInput) {
+        const today = new Date().toISOString().split('T')[0];
+        domCache.blockDateInput.setAttribute('min', today);
+        domCache.blockDateInput.value = today;
+        
+        // Event listener pentru regenerarea orelor
+        domCache.blockDateInput.addEventListener('change', function() {
+            if (domCache.fullDayCheckbox && !domCache.fullDayCheckbox.checked) {
+                generateHourCheckboxes();
+            }
+        });
+    }
+    
+    // Configurare checkbox pentru "Blochează toată ziua"
+    if (domCache.fullDayCheckbox && domCache.hoursSelectionDiv) {
+        domCache.fullDayCheckbox.checked = true;
+        domCache.hoursSelectionDiv.style.display = 'none';
+        
+        domCache.fullDayCheckbox.addEventListener('change', function() {
+            if (this.checked) {
+                domCache.hoursSelectionDiv.style.display = 'none';
+            } else {
+                domCache.hoursSelectionDiv.style.display = 'block';
+                generateHourCheckboxes();
+            }
+        });
+    }
+    
+    // Generează orele pentru data curentă
+    generateHourCheckboxes();
+    
+    // Afișează popup-ul
+    domCache.blockDatePopup.style.display = 'flex';
+    
+    // Focus pe input-ul de dată
+    setTimeout(() => {
+        if (domCache.blockDateInput) {
+            domCache.blockDateInput.focus();
+        }
+    }, 150);
+    
+    logger.info('Block date popup opened successfully');
+}
+
+function hideBlockDatePopup() {
+    if (domCache.blockDatePopup) {
+        domCache.blockDatePopup.style.display = 'none';
+    }
+}
+
+// Funcție pentru confirmarea blocării - OPTIMIZATĂ
+async function handleBlockDateConfirm() {
+    if (!domCache.blockDateInput || !domCache.fullDayCheckbox) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+    
+    const selectedDate = domCache.blockDateInput.value;
+    const isFullDay = domCache.fullDayCheckbox.checked;
+    const hourCheckboxes = document.querySelectorAll('.hour-checkbox:checked');
+    
+    // Validare dată selectată
+    if (!selectedDate) {
+        showToast('Te rugăm să selectezi o dată', false);
+        return;
+    }
+    
+    // Verificare că data nu este în trecut
+    const selectedDateObj = new Date(selectedDate);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    selectedDateObj.setHours(0, 0, 0, 0);
+    
+    if (selectedDateObj < today) {
+        showToast('Nu se pot bloca date din trecut', false);
+        return;
+    }
+    
+    // Verificare că nu este duminică
+    const dayOfWeek = selectedDateObj.getDay();
+    if (dayOfWeek === 0) {
+        showToast('Nu se poate bloca duminica - suntem deja închiși în această zi!', false);
+        return;
+    }
+    
+    // Validare ore selectate (dacă nu e toată ziua)
+    if (!isFullDay && hourCheckboxes.length === 0) {
+        showToast('Te rugăm să selectezi cel puțin o oră', false);
+        return;
+    }
+    
+    if (!isFullDay && hourCheckboxes.length > 20) {
+        showToast('Prea multe ore selectate (maxim 20)', false);
+        return;
+    }
+    
+    const selectedHours = Array.from(hourCheckboxes).map(cb => cb.value);
+    
+    // Verificare pentru date duplicate
+    const existingBlock = checkIfDateAlreadyBlocked(selectedDate, isFullDay, selectedHours);
+    if (existingBlock.isBlocked) {
+        showToast(existingBlock.message, false);
+        return;
+    }
+    
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                date: selectedDate,
+                isFullDay: isFullDay,
+                hours: isFullDay ? [] : selectedHours
+            })
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la blocarea datei');
+        }
+        
+        const result = await response.json();
+        
+        hideBlockDatePopup();
+        showToast(result.message || 'Data a fost blocată cu succes', true);
+        
+        // Reîncarcă cache-ul pentru date blocate
+        await loadBlockedDates();
+        
+    } catch (error) {
+        logger.error('Error blocking date:', error);
+        showToast(error.message || 'Nu s-a putut bloca data', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Funcție pentru încărcarea datelor blocate - OPTIMIZATĂ
+async function loadBlockedDates() {
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates`);
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch blocked dates');
+        }
+        
+        const data = await response.json();
+        blockedDatesCache = data.blockedDates || [];
+        
+        return blockedDatesCache;
+    } catch (error) {
+        logger.error('Error loading blocked dates:', error);
+        return [];
+    }
+}
+
+async function showBlockedDatesView() {
+    if (!domCache.viewBlockedDatesPopup || !domCache.blockedDatesContent) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const blockedDates = await loadBlockedDates();
+        
+        if (blockedDates.length === 0) {
+            domCache.blockedDatesContent.innerHTML = `
+                <div class="no-blocked-dates">
+                    <p>Nu există date blocate în prezent.</p>
+                </div>
+            `;
+        } else {
+            // OPTIMIZARE: Construiește HTML-ul ca string
+            const blockedDatesHTML = blockedDates.map(blocked => {
+                const hoursText = blocked.isFullDayBlocked 
+                    ? 'Toată ziua' 
+                    : blocked.blockedHours.join(', ');
+                
+                return `
+                    <div class="blocked-date-item">
+                        <div class="blocked-date-info">
+                            <h4>${blocked.dateFormatted}</h4>
+                            <p><strong>Tip:</strong> ${hoursText}</p>
+                            <p><strong>Motiv:</strong> ${blocked.reason}</p>
+                            <p><strong>Creat de:</strong> ${blocked.createdBy}</p>
+                        </div>
+                        <button class="btn btn-decline unblock-date-btn" data-id="${blocked.id}">
+                            Deblochează
+                        </button>
+                    </div>
+                `;
+            }).join('');
+            
+            domCache.blockedDatesContent.innerHTML = `<div class="blocked-dates-list">${blockedDatesHTML}</div>`;
+            
+            // Adaugă event listeners pentru butoanele de deblocare
+            const unblockButtons = domCache.blockedDatesContent.querySelectorAll('.unblock-date-btn');
+            unblockButtons.forEach(button => {
+                button.addEventListener('click', async (e) => {
+                    const blockedDateId = e.target.getAttribute('data-id');
+                    if (blockedDateId) {
+                        await unblockDate(blockedDateId);
+                    }
+                });
+            });
+        }
+        
+        domCache.viewBlockedDatesPopup.style.display = 'flex';
+        
+    } catch (error) {
+        logger.error('Error showing blocked dates view:', error);
+        showToast('Nu s-au putut încărca datele blocate', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Funcție pentru deblocarea unei date
+async function unblockDate(blockedDateId) {
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/blocked-dates/${blockedDateId}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la deblocarea datei');
+        }
+        
+        const result = await response.json();
+        showToast(result.message || 'Data a fost deblocată cu succes', true);
+        
+        // Reîncarcă lista
+        await showBlockedDatesView();
+        
+    } catch (error) {
+        logger.error('Error unblocking date:', error);
+        showToast(error.message || 'Nu s-a putut debloca data', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Funcție pentru încărcarea blocărilor recurente
+async function loadBlockRules() {
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/block-rules`);
+        
+        if (!response) return [];
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch block rules');
+        }
+        
+        const data = await response.json();
+        return data.blockRules || [];
+    } catch (error) {
+        logger.error('Error loading block rules:', error);
+        return [];
+    }
+}
+
+async function showBlockRulesView() {
+    if (!domCache.blockRulesPopup || !domCache.blockRulesContent) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    showLoading();
+    try {
+        const blockRules = await loadBlockRules();
+        const canManage = currentUserRole === 'admin';
+        
+        if (blockRules.length === 0) {
+            domCache.blockRulesContent.innerHTML = `
+                <div class="no-blocked-dates">
+                    <p>Nu există blocări recurente.</p>
+                </div>
+            `;
+        } else {
+            const blockRulesHTML = blockRules.map(rule => {
+                const period = rule.endDate 
+                    ? `${rule.startDate} – ${rule.endDate}` 
+                    : `din ${rule.startDate}`;
+                
+                return `
+                    <div class="blocked-date-item">
+                        <div class="blocked-date-info">
+                            <h4>${sanitizeHtml(rule.description)}</h4>
+                            <p><strong>Perioadă:</strong> ${sanitizeHtml(period)}</p>
+                            <p><strong>Motiv:</strong> ${rule.reason}</p>
+                            <p><strong>Creat de:</strong> ${sanitizeHtml(rule.createdBy)}</p>
+                        </div>
+                        ${canManage ? `
+                        <button class="btn btn-decline delete-block-rule-btn" data-id="${sanitizeHtml(rule.id)}">
+                            Șterge
+                        </button>` : ''}
+                    </div>
+                `;
+            }).join('');
+            
+            domCache.blockRulesContent.innerHTML = `<div class="blocked-dates-list">${blockRulesHTML}</div>`;
+            
+            domCache.blockRulesContent.querySelectorAll('.delete-block-rule-btn').forEach(button => {
+                button.addEventListener('click', async (e) => {
+                    const ruleId = e.target.getAttribute('data-id');
+                    if (ruleId) {
+                        await deleteBlockRule(ruleId);
+                    }
+                });
+            });
+        }
+        
+        // Doar adminul poate adăuga reguli
+        if (domCache.blockRuleCreate) {
+            domCache.blockRuleCreate.style.display = canManage ? '' : 'none';
+        }
+        if (domCache.ruleStartDate && !domCache.ruleStartDate.value) {
+            domCache.ruleStartDate.value = new Date().toISOString().split('T')[0];
+        }
+        
+        domCache.blockRulesPopup.style.display = 'flex';
+        
+    } catch (error) {
+        logger.error('Error showing block rules view:', error);
+        showToast('Nu s-au putut încărca blocările recurente', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Afișează câmpurile relevante pentru frecvența și tipul regulii
+function updateBlockRuleForm() {
+    if (domCache.ruleNthWeekGroup && domCache.ruleFrequency) {
+        domCache.ruleNthWeekGroup.style.display = 
+            domCache.ruleFrequency.value === 'monthlyNthWeekday' ? 'block' : 'none';
+    }
+    
+    if (domCache.ruleHoursGroup && domCache.ruleFullDay) {
+        domCache.ruleHoursGroup.style.display = domCache.ruleFullDay.checked ? 'none' : 'block';
+    }
+}
+
+async function handleCreateBlockRule() {
+    const frequency = domCache.ruleFrequency.value;
+    const isFullDay = domCache.ruleFullDay.checked;
+    const daysOfWeek = Array.from(document.querySelectorAll('.rule-day-checkbox:checked'))
+        .map(cb => parseInt(cb.value));
+    
+    if (daysOfWeek.length === 0) {
+        showToast('Te rugăm să selectezi cel puțin o zi', false);
+        return;
+    }
+    
+    if (frequency === 'monthlyNthWeekday' && daysOfWeek.length !== 1) {
+        showToast('Regulile lunare se aplică unei singure zile a săptămânii', false);
+        return;
+    }
+    
+    if (!domCache.ruleStartDate.value) {
+        showToast('Te rugăm să selectezi data de început', false);
+        return;
+    }
+    
+    const ruleData = {
+        frequency,
+        daysOfWeek,
+        isFullDay,
+        startDate: domCache.ruleStartDate.value
+    };
+    
+    if (frequency === 'monthlyNthWeekday') {
+        ruleData.nthWeek = parseInt(domCache.ruleNthWeek.value);
+    }
+    if (!isFullDay) {
+        ruleData.startTime = domCache.ruleStartTime.value;
+        ruleData.endTime = domCache.ruleEndTime.value;
+    }
+    if (domCache.ruleEndDate.value) {
+        ruleData.endDate = domCache.ruleEndDate.value;
+    }
+    if (domCache.ruleReason.value.trim()) {
+        ruleData.reason = domCache.ruleReason.value.trim();
+    }
+    
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/block-rules`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(ruleData)
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la adăugarea regulii');
+        }
+        
+        const result = await response.json();
+        showToast(result.message || 'Regula a fost adăugată', true);
+        
+        domCache.ruleReason.value = '';
+        await showBlockRulesView();
+        
+    } catch (error) {
+        logger.error('Error creating block rule:', error);
+        showToast(error.message || 'Nu s-a putut adăuga regula', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteBlockRule(ruleId) {
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/block-rules/${ruleId}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la ștergerea regulii');
+        }
+        
+        const result = await response.json();
+        showToast(result.message || 'Regula a fost ștearsă', true);
+        
+        await showBlockRulesView();
+        
+    } catch (error) {
+        logger.error('Error deleting block rule:', error);
+        showToast(error.message || 'Nu s-a putut șterge regula', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideBlockRulesPopup() {
+    if (domCache.blockRulesPopup) {
+        domCache.blockRulesPopup.style.display = 'none';
+    }
+}
+
+// Funcție pentru afișarea sărbătorilor legale dintr-un an
+async function showHolidaysView() {
+    if (!domCache.holidaysPopup || !domCache.holidaysContent || !domCache.holidaysYear) {
+        showToast('Eroare în interfață', false);
+        return;
+    }
+
+    // Anul curent și următorul
+    if (domCache.holidaysYear.options.length === 0) {
+        const currentYear = new Date().getFullYear();
+        domCache.holidaysYear.innerHTML = [currentYear, currentYear + 1]
+            .map(year => `<option value="${year}">${year}</option>`)
+            .join('');
+    }
+
+    const year = domCache.holidaysYear.value;
+
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/holidays?year=${encodeURIComponent(year)}`);
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch holidays');
+        }
+        
+        const data = await response.json();
+        const canManage = currentUserRole === 'admin';
+        
+        const holidaysHTML = (data.holidays || []).map(holiday => `
+            <div class="blocked-date-item">
+                <div class="blocked-date-info">
+                    <h4>${sanitizeHtml(holiday.name)}</h4>
+                    <p>${sanitizeHtml(holiday.dateFormatted)}</p>
+                    <p><strong>Status:</strong> ${holiday.isOpen ? 'Deschis' : 'Închis automat'}</p>
+                </div>
+                ${canManage ? `
+                <label class="checkbox-group">
+                    <input type="checkbox" class="holiday-open-checkbox" data-key="${sanitizeHtml(holiday.key)}" ${holiday.isOpen ? 'checked' : ''}>
+                    Deschis
+                </label>` : ''}
+            </div>
+        `).join('');
+        
+        domCache.holidaysContent.innerHTML = `<div class="blocked-dates-list">${holidaysHTML}</div>`;
+        
+        domCache.holidaysContent.querySelectorAll('.holiday-open-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', async (e) => {
+                await updateHolidayOverride(e.target.getAttribute('data-key'), parseInt(year), e.target.checked);
+            });
+        });
+        
+        domCache.holidaysPopup.style.display = 'flex';
+        
+    } catch (error) {
+        logger.error('Error showing holidays view:', error);
+        showToast('Nu s-au putut încărca sărbătorile legale', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Marchează o sărbătoare ca zi deschisă/închisă pentru anul selectat
+async function updateHolidayOverride(holidayKey, year, isOpen) {
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/holidays/${encodeURIComponent(holidayKey)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ year, isOpen })
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la actualizarea sărbătorii');
+        }
+        
+        const result = await response.json();
+        showToast(result.message || 'Sărbătoarea a fost actualizată', true);
+        
+    } catch (error) {
+        logger.error('Error updating holiday override:', error);
+        showToast(error.message || 'Nu s-a putut actualiza sărbătoarea', false);
+    } finally {
+        hideLoading();
+        await showHolidaysView();
+    }
+}
+
+function hideHolidaysPopup() {
+    if (domCache.holidaysPopup) {
+        domCache.holidaysPopup.style.display = 'none';
+    }
+}
+
+// Funcție pentru rularea manuală a curățării
+async function runManualCleanup() {
+    showLoading();
+    try {
+        const response = await fetchWithAuth(`${API_URL}/admin/cleanup`, {
+            method: 'POST'
+        });
+        
+        if (!response) return;
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || 'Eroare la rularea curățării');
+        }
+        
+        const result = await response.json();
+        
+        const message = `Curățare completă: ${result.results.totalCleaned} rezervări curățate, ${result.results.totalErrors} erori`;
+        showToast(message, true);
+        
+        // OPTIMIZARE: Reîncarcă datele în paralel
+        const promises = [loadPendingBookings()];
+        if (domCache.datePicker && domCache.datePicker.value) {
+            promises.push(loadConfirmedBookings(domCache.datePicker.value));
+        }
+        await Promise.all(promises);
+        
+    } catch (error) {
+        logger.error('Error running manual cleanup:', error);
+        showToast(error.message || 'Nu s-a putut rula curățarea', false);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Verifică dacă o dată este deja blocată
+ */
+function checkIfDateAlreadyBlocked(selectedDate, isFullDay, selectedHours = []) {
+    try {
+        // Verifică în cache-ul local
+        const existingBlock = blockedDatesCache.find(blocked => {
+            const blockedDate = new Date(blocked.date).toISOString().split('T')[0];
+            return blockedDate === selectedDate;
+        });
+        
+        if (!existingBlock) {
+            return { isBlocked: false };
+        }
+        
+        // Verifică tipul de blocare
+        if (existingBlock.isFullDayBlocked) {
+            return {
+                isBlocked: true,
+                message: `Data ${existingBlock.dateFormatted} este deja blocată complet!`
+            };
+        }
+        
+        // Dacă există blocare parțială și vrei să blochezi toată ziua
+        if (!existingBlock.isFullDayBlocked && isFullDay) {
+            return {
+                isBlocked: true,
+                message: `Data ${existingBlock.dateFormatted} are deja ore blocate (${existingBlock.blockedHours.join(', ')}). Pentru a bloca toată ziua, mai întâi deblochează orele existente.`
+            };
+        }
+        
+        // Verifică dacă orele selectate se suprapun cu cele existente
+        if (!isFullDay && existingBlock.blockedHours) {
+            const overlappingHours = selectedHours.filter(hour => 
+                existingBlock.blockedHours.includes(hour)
+            );
+            
+            if (overlappingHours.length > 0) {
+                return {
+                    isBlocked: true,
+                    message: `Următoarele ore sunt deja blocate în ${existingBlock.dateFormatted}: ${overlappingHours.join(', ')}`
+                };
+            }
+        }
+        
+        return { isBlocked: false };
+        
+    } catch (error) {
+        logger.error('Error checking if date is already blocked:', error);
+        return { isBlocked: false };
+    }
+}
+
+// Setup all event listeners - OPTIMIZAT
+function setupEventListeners() {
+    // Optimizare: event listener unic pentru data picker cu debouncing
+    if (domCache.datePicker) {
+        const debouncedDateChange = debounce('datePicker', () => {
+            loadConfirmedBookings(domCache.datePicker.value);
+        }, 300);
+        
+        domCache.datePicker.addEventListener('change', debouncedDateChange);
+    }
+
+    if (domCache.logoutBtn) {
+        domCache.logoutBtn.addEventListener('click', logout);
+    }
+
+    // Optimizare: debouncing pentru refresh buttons
+    if (domCache.refreshPendingBtn) {
+        domCache.refreshPendingBtn.addEventListener('click', () => {
+            debounce('refreshPending', loadPendingBookings, 500);
+        });
+    }
+
+    if (domCache.refreshConfirmedBtn) {
+        domCache.refreshConfirmedBtn.addEventListener('click', () => {
+            debounce('refreshConfirmed', () => {
+                if (domCache.datePicker) {
+                    loadConfirmedBookings(domCache.datePicker.value);
+                }
+            }, 500);
+        });
+    }
+
+    if (domCache.todayBtn) {
+        domCache.todayBtn.addEventListener('click', () => {
+            const today = new Date().toISOString().split('T')[0];
+            if (domCache.datePicker) {
+                domCache.datePicker.value = today;
+                loadConfirmedBookings(today);
+            }
+        });
+    }
+
+    if (domCache.manualCleanupBtn) {
+        domCache.manualCleanupBtn.addEventListener('click', () => {
+            debounce('manualCleanup', runManualCleanup, 1000);
+        });
+    }
+
+    if (domCache.showAllBarbersCheckbox) {
+        domCache.showAllBarbersCheckbox.addEventListener('change', () => {
+            loadPendingBookings();
+            if (domCache.datePicker) {
+                loadConfirmedBookings(domCache.datePicker.value);
+            }
+        });
+    }
+
+    // Setup block popup event listeners
+    setupBlockPopupListeners();
+    setupBlockDateListeners();
+}
+
+// Setup block popup event listeners - OPTIMIZAT
+function setupBlockPopupListeners() {
+    if (domCache.blockPopupClose) {
+        domCache.blockPopupClose.addEventListener('click', hideBlockPopup);
+    }
+    
+    if (domCache.blockCancelBtn) {
+        domCache.blockCancelBtn.addEventListener('click', hideBlockPopup);
+    }
+    
+    if (domCache.blockPopup) {
+        domCache.blockPopup.addEventListener('click', function(e) {
+            if (e.target === this) {
+                hideBlockPopup();
+            }
+        });
+    }
+
+    if (domCache.blockConfirmBtn) {
+        domCache.blockConfirmBtn.addEventListener('click', async function() {
+            const reason = domCache.blockReasonInput ? domCache.blockReasonInput.value.trim() : '';
+            
+            if (!reason) {
+                showToast('Te rugăm să introduci un motiv pentru blocare', false);
+                return;
+            }
+
+            if (!currentBlockingBookingId) {
+                showToast('Eroare: ID rezervare lipsește', false);
+                return;
+            }
+
+            await blockUser(currentBlockingBookingId, reason);
+            hideBlockPopup();
+        });
+    }
+}
+
+function setupBlockDateListeners() {
+    if (domCache.blockDateBtn) {
+        domCache.blockDateBtn.addEventListener('click', showBlockDatePopup);
+    }
+
+    if (domCache.viewBlockedDatesBtn) {
+        domCache.viewBlockedDatesBtn.addEventListener('click', showBlockedDatesView);
+    }
+
+    // Event listeners pentru popup-ul de blocare
+    if (domCache.blockDateClose) {
+        domCache.blockDateClose.addEventListener('click', () => {
+            hideBlockDatePopup();
+        });
+    }
+
+    if (domCache.blockDateCancel) {
+        domCache.blockDateCancel.addEventListener('click', () => {
+            hideBlockDatePopup();
+        });
+    }
+
+    // Event listeners pentru popup-ul de vizualizare
+    if (domCache.viewBlockedClose) {
+        domCache.viewBlockedClose.addEventListener('click', () => {
+            if (domCache.viewBlockedDatesPopup) {
+                domCache.viewBlockedDatesPopup.style.display = 'none';
+            }
+        });
+    }
+
+    if (domCache.viewBlockedCancel) {
+        domCache.viewBlockedCancel.addEventListener('click', () => {
+            if (domCache.viewBlockedDatesPopup) {
+                domCache.viewBlockedDatesPopup.style.display = 'none';
+            }
+        });
+    }
+
+    if (domCache.blockDateConfirm) {
+        domCache.blockDateConfirm.addEventListener('click', handleBlockDateConfirm);
+    }
+
+    // Event listeners pentru blocările recurente
+    if (domCache.blockRulesBtn) {
+        domCache.blockRulesBtn.addEventListener('click', showBlockRulesView);
+    }
+
+    if (domCache.blockRulesClose) {
+        domCache.blockRulesClose.addEventListener('click', hideBlockRulesPopup);
+    }
+
+    if (domCache.blockRulesCancel) {
+        domCache.blockRulesCancel.addEventListener('click', hideBlockRulesPopup);
+    }
+
+    if (domCache.ruleFrequency) {
+        domCache.ruleFrequency.addEventListener('change', updateBlockRuleForm);
+    }
+
+    if (domCache.ruleFullDay) {
+        domCache.ruleFullDay.addEventListener('change', updateBlockRuleForm);
+    }
+
+    if (domCache.blockRuleCreate) {
+        domCache.blockRuleCreate.addEventListener('click', handleCreateBlockRule);
+    }
+
+    // Event listeners pentru sărbătorile legale
+    if (domCache.adminBookingBtn) {
+        domCache.adminBookingBtn.addEventListener('click', showAdminBookingPopup);
+    }
+
+    if (domCache.holidaysBtn) {
+        domCache.holidaysBtn.addEventListener('click', showHolidaysView);
+    }
+
+    if (domCache.holidaysYear) {
+        domCache.holidaysYear.addEventListener('change', showHolidaysView);
+    }
+
+    if (domCache.holidaysClose) {
+        domCache.holidaysClose.addEventListener('click', hideHolidaysPopup);
+    }
+
+    if (domCache.holidaysCancel) {
+        domCache.holidaysCancel.addEventListener('click', hideHolidaysPopup);
+    }
+
+    // Event listeners pentru mutarea rezervărilor
+    if (domCache.rescheduleClose) {
+        domCache.rescheduleClose.addEventListener('click', hideReschedulePopup);
+    }
+
+    if (domCache.rescheduleCancel) {
+        domCache.rescheduleCancel.addEventListener('click', hideReschedulePopup);
+    }
+
+    if (domCache.rescheduleConfirm) {
+        domCache.rescheduleConfirm.addEventListener('click', handleRescheduleConfirm);
+    }
+
+    // Event listeners pentru programările recurente
+    if (domCache.seriesClose) {
+        domCache.seriesClose.addEventListener('click', hideSeriesPopup);
+    }
+
+    if (domCache.seriesCancel) {
+        domCache.seriesCancel.addEventListener('click', hideSeriesPopup);
+    }
+
+    if (domCache.seriesCreate) {
+        domCache.seriesCreate.addEventListener('click', handleCreateSeries);
+    }
+
+    if (domCache.seriesCancelSeries) {
+        domCache.seriesCancelSeries.addEventListener('click', handleCancelSeries);
+    }
+
+    // Event listeners pentru adăugarea programărilor de către personal
+    if (domCache.adminBookingClose) {
+        domCache.adminBookingClose.addEventListener('click', hideAdminBookingPopup);
+    }
+
+    if (domCache.adminBookingCancel) {
+        domCache.adminBookingCancel.addEventListener('click', hideAdminBookingPopup);
+    }
+
+    if (domCache.adminBookingConfirm) {
+        domCache.adminBookingConfirm.addEventListener('click', () => handleAdminBookingConfirm());
+    }
+
+    // Event listeners pentru istoricul rezervărilor
+    if (domCache.historyClose) {
+        domCache.historyClose.addEventListener('click', hideHistoryPopup);
+    }
+
+    if (domCache.historyCancel) {
+        domCache.historyCancel.addEventListener('click', hideHistoryPopup);
+    }
+}
+
+// Logout
+function logout() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('tokenTimestamp');
+    window.location.href = 'login.html';
+}
+
+// Initialize dashboard - OPTIMIZAT
+document.addEventListener('DOMContentLoaded', async () => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+        window.location.href = 'login.html';
+        return;
+    }
+
+    if (!setupTokenExpiry()) {
+        return;
+    }
+
+    // Inițializează cache-ul DOM
+    domCache.init();
+
+    showLoading();
+    try {
+        // Verify token validity
+        const response = await fetchWithAuth(`${API_URL}/dashboard`);
+        
+        if (!response) {
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error('Authentication failed');
+        }
+
+        const dashboardData = await response.json();
+        currentUserRole = dashboardData.user ? dashboardData.user.role : null;
+
+        // Comutatorul "Toate programările" este relevant doar pentru frizeri
+        if (currentUserRole === 'barber' && domCache.barberScopeToggle) {
+            domCache.barberScopeToggle.style.display = 'inline-flex';
+        }
+
+        // Set current date in date picker
+        const today = new Date().toISOString().split('T')[0];
+        if (domCache.datePicker) {
+            domCache.datePicker.value = today;
+        }
+
+        // OPTIMIZARE: Load data în paralel în loc de secvențial
+        const [pendingResult, confirmedResult, blockedDatesResult] = await Promise.allSettled([
+            loadPendingBookings(),
+            loadConfirmedBookings(today),
+            loadBlockedDates()
+        ]);
+
+        // Verifică dacă au existat erori și le gestionează
+        if (pendingResult.status === 'rejected') {
+            logger.error('Eroare la încărcarea rezervărilor pending:', pendingResult.reason);
+        }
+        if (confirmedResult.status === 'rejected') {
+            logger.error('Eroare la încărcarea rezervărilor confirmate:', confirmedResult.reason);
+        }
+        if (blockedDatesResult.status === 'rejected') {
+            logger.error('Eroare la încărcarea datelor blocate:', blockedDatesResult.reason);
+        }
+
+        // Add event listeners
+        setupEventListeners();
+
+    } catch (error) {
+        logger.error('Error initializing dashboard:', error);
+        localStorage.removeItem('token');
+        localStorage.removeItem('tokenTimestamp');
+        window.location.href = 'login.html';
+    } finally {
+        hideLoading();
+    }
 });
\ No newline at end of file
@@ -1,1015 +1,1828 @@
-// js/programare_script.js - VERSIUNE OPTIMIZATĂ
-
-// Sistem de logging îmbunătățit pentru frontend
-const isProd = window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1';
-const logger = {
-    info: () => {},
-    warn: () => {},
-    error: () => {}
-};
-
-// Cache DOM pentru performanță
-const domCache = {
-    step1: null,
-    step2: null,
-    step3: null,
-    step4: null,
-    oreDisponibile: null,
-    verificationPopup: null,
-    sundayMessage: null,
-    btnStep1: null,
-    btnStep2: null,
-    btnStep3: null,
-    btnVerify: null,
-    btnBackToStep1: null,
-    btnBackToStep2: null,
-    retrimiteCod: null,
-    closeVerificationPopup: null,
-    selectServiciu: null,
-    dataProgramare: null,
-    numeCompletInput: null,
-    telefonInput: null,
-    emailInput: null,
-    countryCodeSelect: null,
-    codVerificareInput: null,
-    
-    init() {
-        this.step1 = document.getElementById('step1');
-        this.step2 = document.getElementById('step2');
-        this.step3 = document.getElementById('step3');
-        this.step4 = document.getElementById('step4');
-        this.oreDisponibile = document.getElementById('oreDisponibile');
-        this.verificationPopup = document.getElementById('verificationPopup');
-        this.sundayMessage = document.getElementById('sundayMessage');
-        this.btnStep1 = document.getElementById('btnStep1');
-        this.btnStep2 = document.getElementById('btnStep2');
-        this.btnStep3 = document.getElementById('btnStep3');
-        this.btnVerify = document.getElementById('btnVerify');
-        this.btnBackToStep1 = document.getElementById('btnBackToStep1');
-        this.btnBackToStep2 = document.getElementById('btnBackToStep2');
-        this.retrimiteCod = document.getElementById('retrimiteCod');
-        this.closeVerificationPopup = document.getElementById('closeVerificationPopup');
-        this.selectServiciu = document.getElementById('serviciu');
-        this.dataProgramare = document.getElementById('dataProgramare');
-        this.numeCompletInput = document.getElementById('numeComplet');
-        this.telefonInput = document.getElementById('telefon');
-        this.emailInput = document.getElementById('email');
-        this.countryCodeSelect = document.getElementById('countryCode');
-        this.codVerificareInput = document.getElementById('codVerificare');
-    }
-};
-
-// Variabile globale pentru stocare date
-let selectedServiceId = null;
-let selectedServiceName = null;
-let selectedDate = null;
-let selectedTime = null;
-let numeComplet = null;
-let telefon = null;
-let email = null;
-let countryCode = null;
-let bookingId = null;
-
-// Variabile pentru timer
-let countdownInterval;
-let secondsLeft = 0;
-let canResend = true;
-
-// API URL - detectează automat URL-ul în funcție de mediu
-const API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
-    ? 'http://localhost:5000/api'
-    : window.location.protocol + '//' + window.location.hostname + '/api';
-
-// Funcție pentru debouncing - optimizare pentru input-uri
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
-
-// Pool de notificări pentru a evita spam-ul
-const notificationPool = {
-    current: null,
-    timeout: null,
-    
-    show(message, type = 'error') {
-        // Elimină notificarea existentă
-        if (this.current) {
-            this.current.remove();
-            this.current = null;
-        }
-        
-        if (this.timeout) {
-            clearTimeout(this.timeout);
-            this.timeout = null;
-        }
-
-        // Creează notificarea
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        
-        let icon;
-        switch(type) {
-            case 'success': icon = '✓'; break;
-            case 'info': icon = 'ℹ'; break;
-            case 'warning': icon = '⚠'; break;
-            case 'error':
-            default: icon = '⚠'; break;
-        }
-
-        notification.innerHTML = `
-            <div class="icon">${sanitizeInput(icon)}</div>
-            <div class="content">${sanitizeInput(message)}</div>
-            <button class="close-btn">×</button>
-        `;
-
-        document.body.appendChild(notification);
-        this.current = notification;
-
-        // Afișează cu animație
-        requestAnimationFrame(() => {
-            notification.classList.add('show');
-        });
-
-        // Auto-remove
-        const timeout = message.length > 100 ? 7000 : 5000;
-        this.timeout = setTimeout(() => {
-            if (this.current === notification) {
-                notification.classList.remove('show');
-                setTimeout(() => {
-                    if (notification.parentElement) {
-                        notification.remove();
-                    }
-                    if (this.current === notification) {
-                        this.current = null;
-                    }
-                }, 300);
-            }
-        }, timeout);
-    }
-};
-
-// Funcție optimizată pentru crearea și afișarea notificărilor
-function showNotification(message, type = 'error') {
-    notificationPool.show(message, type);
-}
-
-// Funcție pentru sanitizarea input-urilor pentru a preveni XSS
-function sanitizeInput(input) {
-    if (input === null || input === undefined) {
-        return '';
-    }
-    
-    let str;
-    try {
-        str = String(input);
-    } catch (error) {
-        logger.error('Error converting input to string:', error);
-        return '';
-    }
-    
-    if (str.length > 10000) {
-        logger.warn('Input too long, truncating for security');
-        str = str.substring(0, 10000);
-    }
-    
-    const xssPatterns = [
-        /<script[^>]*>.*?<\/script>/gi,
-        /<iframe[^>]*>.*?<\/iframe>/gi,
-        /<object[^>]*>.*?<\/object>/gi,
-        /<embed[^>]*>.*?<\/embed>/gi,
-        /<link[^>]*>/gi,
-        /<meta[^>]*>/gi,
-        /javascript:/gi,
-        /vbscript:/gi,
-        /on\w+\s*=/gi,
-        /expression\s*\(/gi,
-        /data:text\/html/gi,
-        /data:application\/x-javascript/gi,
-        /<svg[^>]*>.*?<\/svg>/gi
-    ];
-    
-    for (const pattern of xssPatterns) {
-        if (pattern.test(str)) {
-            logger.warn('XSS attempt detected and blocked:', str.substring(0, 100));
-            return '';
-        }
-    }
-    
-    str = str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    str = str.replace(/&#x?[0-9a-fA-F]+;/g, '');
-    str = str.replace(/%[0-9a-fA-F]{2}/g, '');
-    
-    const div = document.createElement('div');
-    div.textContent = str;
-    let sanitized = div.innerHTML;
-    
-    if (/<[^>]+>/.test(sanitized)) {
-        logger.warn('HTML detected after sanitization, blocking');
-        return '';
-    }
-    
-    return sanitized;
-}
-
-// Funcție pentru validarea input-urilor
-function validateInput(type, value) {
-    if (!value) return false;
-    
-    switch(type) {
-        case 'nume':
-            return /^[A-Za-zĂăÂâÎîȘșȚț\s-]{3,50}$/.test(value) && !/\s\s/.test(value);
-        case 'telefon':
-            return /^[0-9]{4,15}$/.test(value.replace(/\s+|-/g, ''));
-        case 'email':
-            return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(value);
-        case 'cod':
-            return /^\d{6}$/.test(value);
-        default:
-            return true;
-    }
-}
-
-// Funcție optimizată pentru suspendarea rezervării
-async function suspendReservation() {
-    if (!bookingId) {
-        logger.warn('Nu există bookingId pentru suspendare');
-        return;
-    }
-
-    try {
-        logger.info('Suspendăm rezervarea:', bookingId);
-        
-        const response = await fetch(`${API_URL}/bookings/${bookingId}/suspend`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok && data.success) {
-            bookingId = null;
-            resetForm();
-            showNotification('Rezervarea a fost suspendată. Intervalul orar este din nou disponibil.', 'info');
-        } else {
-            logger.error('Eroare la suspendarea rezervării:', data.message);
-            bookingId = null;
-            resetForm();
-            showNotification('Rezervarea a fost anulată local.', 'info');
-        }
-        
-    } catch (error) {
-        logger.error('Eroare la suspendarea rezervării:', error);
-        bookingId = null;
-        resetForm();
-        showNotification('Rezervarea a fost anulată local.', 'info');
-    }
-}
-
-// Funcție optimizată pentru resetarea formularului
-function resetForm() {
-    // Resetează toate variabilele globale
-    selectedServiceId = null;
-    selectedServiceName = null;
-    selectedDate = null;
-    selectedTime = null;
-    numeComplet = null;
-    telefon = null;
-    email = null;
-    countryCode = null;
-    bookingId = null;
-    
-    // Resetează inputurile folosind cache-ul DOM
-    if (domCache.selectServiciu) domCache.selectServiciu.value = '';
-    if (domCache.dataProgramare) domCache.dataProgramare.value = '';
-    if (domCache.numeCompletInput) domCache.numeCompletInput.value = '';
-    if (domCache.telefonInput) domCache.telefonInput.value = '';
-    if (domCache.emailInput) domCache.emailInput.value = '';
-    if (domCache.codVerificareInput) domCache.codVerificareInput.value = '';
-    if (domCache.countryCodeSelect) domCache.countryCodeSelect.selectedIndex = 0;
-    
-    // Curăță orele disponibile
-    if (domCache.oreDisponibile) domCache.oreDisponibile.innerHTML = '';
-    
-    // Oprește timer-ul dacă rulează
-    clearInterval(countdownInterval);
-    
-    // Ascunde mesajul de duminică dacă este afișat
-    if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
-    
-    // Reactiveză butonul step1 dacă era dezactivat
-    if (domCache.btnStep1) {
-        domCache.btnStep1.disabled = false;
-        domCache.btnStep1.style.opacity = '1';
-    }
-}
-
-// Funcție pentru a calcula data minimă permisă
-function calculateMinDate() {
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinutes = now.getMinutes();
-    const currentTime = currentHour * 60 + currentMinutes;
-    
-    const PROGRAM_LUCRU = {
-        weekdays: {
-            start: 10 * 60,
-            end: 19 * 60
-        },
-        saturday: {
-            start: 10 * 60,
-            end: 13 * 60
-        }
-    };
-    
-    const dayOfWeek = now.getDay();
-    let canSelectToday = false;
-    
-    if (dayOfWeek === 0) {
-        canSelectToday = false;
-    } else if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-        canSelectToday = currentTime < PROGRAM_LUCRU.weekdays.end;
-    } else if (dayOfWeek === 6) {
-        canSelectToday = currentTime < PROGRAM_LUCRU.saturday.end;
-    }
-    
-    let minDate = new Date(now);
-    if (!canSelectToday) {
-        minDate.setDate(now.getDate() + 1);
-    }
-    
-    return minDate.toISOString().split('T')[0];
-}
-
-// Funcție pentru a actualiza countdown-ul
-function updateCountdown() {
-    const countdownElement = document.getElementById('countdown');
-    
-    if (secondsLeft <= 0) {
-        clearInterval(countdownInterval);
-        if (countdownElement) countdownElement.style.display = 'none';
-        if (domCache.retrimiteCod) domCache.retrimiteCod.style.display = 'inline-block';
-        canResend = true;
-        return;
-    }
-    
-    if (countdownElement) {
-        countdownElement.textContent = `Poți retrimite codul în ${secondsLeft} secunde.`;
-    }
-    secondsLeft--;
-}
-
-// Funcție pentru a începe countdown-ul
-function startCountdown(seconds) {
-    secondsLeft = seconds;
-    clearInterval(countdownInterval);
-    const countdownElement = document.getElementById('countdown');
-    if (countdownElement) countdownElement.style.display = 'block';
-    if (domCache.retrimiteCod) domCache.retrimiteCod.style.display = 'none';
-    canResend = false;
-    updateCountdown();
-    countdownInterval = setInterval(updateCountdown, 1000);
-}
-
-// FUNCȚIE OPTIMIZATĂ - Încarcă orele disponibile de la server
-async function incarcaOreDisponibile() {
-    try {
-        logger.info(`Încărcăm orele disponibile pentru: serviceId=${selectedServiceId}, date=${selectedDate}`);
-        
-        // Loading state - setează o singură dată
-        if (domCache.oreDisponibile) {
-            domCache.oreDisponibile.innerHTML = '<p style="color: white; text-align: center;">Se încarcă orele disponibile...</p>';
-        }
-        
-        const response = await fetch(`${API_URL}/available-time-slots`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            },
-            body: JSON.stringify({
-                serviceId: parseInt(selectedServiceId),
-                date: selectedDate
-            })
-        });
-        
-        logger.info('Status răspuns de la server:', response.status);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            logger.error(`Eroare server (${response.status}):`, errorText);
-            throw new Error(`Server responded with ${response.status}: ${errorText}`);
-        }
-        
-        const data = await response.json();
-        logger.info('Răspuns de la server:', data);
-        
-        if (!domCache.oreDisponibile) return;
-        
-        if (data.success && data.timeSlots && data.timeSlots.length > 0) {
-            // OPTIMIZARE: Construiește HTML-ul ca string, apoi setează o singură dată
-            const slotsHTML = data.timeSlots.map(slot => {
-                const safeSlot = sanitizeInput(slot);
-                return `
-                    <label>
-                        <input type="radio" name="ora" value="${safeSlot}">
-                        <span>${safeSlot}</span>
-                    </label>
-                `;
-            }).join('');
-            
-            // O singură operație DOM în loc de N operații
-            domCache.oreDisponibile.innerHTML = slotsHTML;
-            logger.info(`S-au încărcat ${data.timeSlots.length} ore disponibile`);
-        } else {
-            // Afișează mesajul personalizat de la server
-            const message = data.message || 'Nu există ore disponibile pentru data selectată.';
-            
-            // Verifică dacă este un mesaj de zi blocată
-            if (message.includes('Suntem închiși în') || message.includes('indisponibile în')) {
-                domCache.oreDisponibile.innerHTML = `
-                    <div style="background-color: #1a1a1a; border-left: 4px solid #ff9800; padding: 15px; border-radius: 4px; text-align: center; color: white;">
-                        <h3 style="color: #ff9800; margin-bottom: 10px; font-size: 16px;">🚫 Zi Indisponibilă</h3>
-                        <p style="margin-bottom: 10px; line-height: 1.5;">${sanitizeInput(message)}</p>
-                        <p style="margin: 0; color: #ccc; font-size: 14px;">Program de lucru: Luni-Vineri (10:00-19:00), Sâmbătă (10:00-13:00)</p>
-                    </div>
-                `;
-            } else {
-                domCache.oreDisponibile.innerHTML = `<p style="color: white; text-align: center;">${sanitizeInput(message)}</p>`;
-            }
-            
-            logger.info('Nu există ore disponibile pentru data selectată');
-        }
-    } catch (error) {
-        logger.error('Eroare la încărcarea orelor disponibile:', error);
-        if (domCache.oreDisponibile) {
-            domCache.oreDisponibile.innerHTML = `
-                <div style="background-color: #1a1a1a; border-left: 4px solid #f44336; padding: 15px; border-radius: 4px; text-align: center; color: white;">
-                    <h3 style="color: #f44336; margin-bottom: 10px; font-size: 16px;">⚠️ Eroare de Conectare</h3>
-                    <p style="margin-bottom: 10px; line-height: 1.5;">A apărut o eroare la încărcarea orelor disponibile.</p>
-                    <p style="margin: 0; color: #ccc; font-size: 14px;">Te rugăm să încerci din nou sau să reîmprospătezi pagina.</p>
-                </div>
-            `;
-        }
-    }
-}
-
-// Funcție optimizată pentru verificarea disponibilității
-async function verifyTimeSlotStillAvailable(selectedTime) {
-    if (!selectedDate || !selectedServiceId || !selectedTime) {
-        return false;
-    }
-    
-    try {
-        logger.info(`🔍 Verificăm dacă ora ${selectedTime} mai este disponibilă...`);
-        
-        const response = await fetch(`${API_URL}/available-time-slots`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            },
-            body: JSON.stringify({
-                serviceId: parseInt(selectedServiceId),
-                date: selectedDate
-            })
-        });
-        
-        if (!response.ok) {
-            logger.error('Eroare la verificarea orei:', response.status);
-            return false;
-        }
-        
-        const data = await response.json();
-        const isStillAvailable = data.success && data.timeSlots && data.timeSlots.includes(selectedTime);
-        
-        if (isStillAvailable) {
-            logger.info(`✅ Ora ${selectedTime} este încă disponibilă`);
-        } else {
-            logger.warn(`❌ Ora ${selectedTime} nu mai este disponibilă`);
-        }
-        
-        return isStillAvailable;
-        
-    } catch (error) {
-        logger.error('Eroare la verificarea orei:', error);
-        return false;
-    }
-}
-
-// Event Listeners optimizați cu debouncing pentru dată
-const debouncedDateChange = debounce(async function() {
-    if (!domCache.dataProgramare) return;
-    
-    const selectedDate = new Date(domCache.dataProgramare.value);
-    const dayOfWeek = selectedDate.getDay();
-    
-    if (dayOfWeek === 0) { // Duminică
-        if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'block';
-        if (domCache.btnStep1) {
-            domCache.btnStep1.disabled = true;
-            domCache.btnStep1.style.opacity = '0.5';
-        }
-        return;
-    }
-    
-    // Verifică dacă data este blocată
-    try {
-        const response = await fetch(`${API_URL}/check-blocked-date?date=${domCache.dataProgramare.value}`, {
-            method: 'GET',
-            headers: {
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        });
-        
-        if (response.ok) {
-            const data = await response.json();
-            if (data.success && data.isBlocked) {
-                if (domCache.sundayMessage) {
-                    domCache.sundayMessage.innerHTML = `
-                        <h3>Zi Indisponibilă</h3>
-                        <p>${sanitizeInput(data.reason)}</p>
-                        <p>Te rugăm să selectezi o altă dată pentru programarea ta.</p>
-                        <p>Program de lucru: Luni-Vineri (10:00-19:00), Sâmbătă (10:00-13:00)</p>
-                    `;
-                    domCache.sundayMessage.style.display = 'block';
-                }
-                if (domCache.btnStep1) {
-                    domCache.btnStep1.disabled = true;
-                    domCache.btnStep1.style.opacity = '0.5';
-                }
-                return;
-            }
-        }
-    } catch (error) {
-        logger.error('Eroare la verificarea datei blocate:', error);
-    }
-    
-    // Data este OK
-    if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
-    if (domCache.btnStep1) {
-        domCache.btnStep1.disabled = false;
-        domCache.btnStep1.style.opacity = '1';
-    }
-}, 300);
-
-// Funcție de inițializare optimizată
-function initializeApp() {
-    // Inițializează cache-ul DOM
-    domCache.init();
-    
-    // Setează data minimă
-    const minDate = calculateMinDate();
-    if (domCache.dataProgramare) {
-        domCache.dataProgramare.setAttribute('min', minDate);
-    }
-    
-    // Event listeners optimizați
-    if (domCache.dataProgramare) {
-        domCache.dataProgramare.addEventListener('change', debouncedDateChange);
-        
-        domCache.dataProgramare.addEventListener('input', function() {
-            const selectedDate = new Date(this.value);
-            const currentDate = new Date();
-            
-            currentDate.setHours(0, 0, 0, 0);
-            selectedDate.setHours(0, 0, 0, 0);
-            
-            if (selectedDate < currentDate) {
-                showNotification('Nu poți selecta o dată din trecut!', 'error');
-                this.value = '';
-                if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
-                if (domCache.btnStep1) {
-                    domCache.btnStep1.disabled = false;
-                    domCache.btnStep1.style.opacity = '1';
-                }
-                return;
-            }
-        });
-    }
-    
-    // Event listeners pentru butoane înapoi
-    if (domCache.btnBackToStep1) {
-        domCache.btnBackToStep1.addEventListener('click', async function() {
-            if (selectedServiceId && selectedDate) {
-                logger.info('Reîncărcăm orele disponibile după revenirea la pasul 1...');
-                await incarcaOreDisponibile();
-            }
-            
-            if (domCache.step2) domCache.step2.classList.remove('active');
-            if (domCache.step1) domCache.step1.classList.add('active');
-        });
-    }
-    
-    if (domCache.btnBackToStep2) {
-        domCache.btnBackToStep2.addEventListener('click', function() {
-            if (domCache.step3) domCache.step3.classList.remove('active');
-            if (domCache.step2) domCache.step2.classList.add('active');
-        });
-    }
-    
-    // Event listener pentru butonul X de închidere a popup-ului
-    if (domCache.closeVerificationPopup) {
-        domCache.closeVerificationPopup.addEventListener('click', function() {
-            if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'none';
-            suspendReservation();
-            if (domCache.step3) domCache.step3.classList.remove('active');
-            if (domCache.step1) domCache.step1.classList.add('active');
-        });
-    }
-    
-    // Event listener pentru închiderea popup-ului cu ESC
-    document.addEventListener('keydown', function(event) {
-        if (event.key === 'Escape' && domCache.verificationPopup && domCache.verificationPopup.style.display === 'flex') {
-            domCache.verificationPopup.style.display = 'none';
-            suspendReservation();
-            if (domCache.step3) domCache.step3.classList.remove('active');
-            if (domCache.step1) domCache.step1.classList.add('active');
-        }
-    });
-    
-    // Pasul 1 -> Pasul 2
-    if (domCache.btnStep1) {
-        domCache.btnStep1.addEventListener('click', async function () {
-            if (!domCache.selectServiciu || !domCache.dataProgramare) return;
-            
-            if (!domCache.selectServiciu.value || !domCache.dataProgramare.value) {
-                showNotification('Te rugăm să selectezi un serviciu și o dată!', 'error');
-                return;
-            }
-            
-            const selectedDateObj = new Date(domCache.dataProgramare.value);
-            const dayOfWeek = selectedDateObj.getDay();
-            
-            if (dayOfWeek === 0) {
-                if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'block';
-                return;
-            }
-
-            selectedServiceId = domCache.selectServiciu.value;
-            selectedServiceName = domCache.selectServiciu.options[domCache.selectServiciu.selectedIndex].text;
-            selectedDate = domCache.dataProgramare.value;
-
-            logger.info('Serviciu selectat:', selectedServiceId, selectedServiceName);
-            logger.info('Dată selectată:', selectedDate);
-
-            try {
-                await incarcaOreDisponibile();
-                
-                if (domCache.step1) domCache.step1.classList.remove('active');
-                if (domCache.step2) domCache.step2.classList.add('active');
-            } catch (error) {
-                logger.error('Eroare la pasul 1:', error);
-                showNotification('A apărut o eroare. Te rugăm să încerci din nou.', 'error');
-            }
-        });
-    }
-    
-    // Pasul 2 -> Pasul 3
-    if (domCache.btnStep2) {
-        domCache.btnStep2.addEventListener('click', async function () {
-            if (!domCache.oreDisponibile) return;
-            
-            const oreInputs = domCache.oreDisponibile.querySelectorAll('input[name="ora"]');
-            let oraSelectata = null;
-            
-            oreInputs.forEach((radio) => {
-                if (radio.checked) {
-                    oraSelectata = radio.value;
-                }
-            });
-
-            if (!oraSelectata) {
-                showNotification('Te rugăm să selectezi o oră!', 'error');
-                return;
-            }
-
-            try {
-                showNotification('Verificăm disponibilitatea orei selectate...', 'info');
-                
-                const isStillAvailable = await verifyTimeSlotStillAvailable(oraSelectata);
-                
-                if (!isStillAvailable) {
-                    showNotification(`Ora ${oraSelectata} nu mai este disponibilă. Orele au fost actualizate.`, 'warning');
-                    logger.info('🔄 Reîncărcăm orele disponibile...');
-                    await incarcaOreDisponibile();
-                    return;
-                }
-                
-                selectedTime = oraSelectata;
-                logger.info('Oră selectată și verificată:', selectedTime);
-
-                try {
-                    logger.info('Trimitem cerere pentru rezervare inițială...');
-                    const response = await fetch(`${API_URL}/bookings`, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-Requested-With': 'XMLHttpRequest'
-                        },
-                        body: JSON.stringify({
-                            serviceId: parseInt(selectedServiceId),
-                            date: selectedDate,
-                            time: selectedTime
-                        })
-                    });
-
-                    const data = await response.json();
-                    logger.info('Răspuns rezervare inițială:', data);
-                    
-                    if (data.success) {
-                        if (domCache.step2) domCache.step2.classList.remove('active');
-                        if (domCache.step3) domCache.step3.classList.add('active');
-                        showNotification('Ora rezervată cu succes! Completează datele pentru confirmare.', 'success');
-                    } else {
-                        let errorMessage = data.message || 'Ora selectată nu mai este disponibilă';
-                        let errorType = 'error';
-                        
-                        if (data.message) {
-                            if (data.message.includes('blocat') || data.message.includes('închis') || data.message.includes('indisponibil')) {
-                                errorMessage = `${data.message} Te rugăm să selectezi altă oră.`;
-                                errorType = 'warning';
-                                logger.info('🔒 Admin a blocat ora - refreshez...');
-                            } else if (data.message.includes('nu mai este disponibil') || data.message.includes('rezervat de alt client')) {
-                                errorMessage = `${data.message}`;
-                                errorType = 'info';
-                                logger.info('👥 Alt client a rezervat ora - refreshez...');
-                            } else {
-                                logger.info('❓ Eroare necunoscută - refreshez...');
-                            }
-                        }
-                        
-                        showNotification(errorMessage, errorType);
-                        
-                        logger.info('🔄 Refreshez orele din cauza conflictului...');
-                        await incarcaOreDisponibile();
-                    }
-                } catch (error) {
-                    logger.error('Eroare la pasul 2:', error);
-                    
-                    let networkErrorMessage = 'A apărut o eroare la rezervarea orei.';
-                    if (error.message.includes('fetch')) {
-                        networkErrorMessage = 'Probleme de conexiune. Verifică internetul și încearcă din nou.';
-                    } else if (error.message.includes('timeout')) {
-                        networkErrorMessage = 'Cererea a expirat. Te rugăm să încerci din nou.';
-                    }
-                    
-                    showNotification(networkErrorMessage, 'error');
-                    
-                    logger.info('🔄 Refreshez orele din cauza erorii de rețea...');
-                    await incarcaOreDisponibile();
-                }
-                
-            } catch (verificationError) {
-                logger.error('Eroare la verificarea orei:', verificationError);
-                showNotification('Nu s-a putut verifica disponibilitatea orei. Te rugăm să încerci din nou.', 'error');
-            }
-        });
-    }
-    
-    // Pasul 3 -> Verificare prin Email
-    if (domCache.btnStep3) {
-        domCache.btnStep3.addEventListener('click', async function () {
-            if (!domCache.numeCompletInput || !domCache.telefonInput || !domCache.emailInput || !domCache.countryCodeSelect) return;
-            
-            numeComplet = domCache.numeCompletInput.value.trim();
-            telefon = domCache.telefonInput.value.trim();
-            email = domCache.emailInput.value.trim();
-            countryCode = domCache.countryCodeSelect.value;
-
-            if (!numeComplet || !telefon || !email) {
-                showNotification('Te rugăm să introduci numele, telefonul și emailul!', 'error');
-                return;
-            }
-
-            if (!validateInput('nume', numeComplet)) {
-                showNotification('Numele trebuie să conțină doar litere, spații și cratime, între 3 și 50 caractere!', 'error');
-                return;
-            }
-            
-            if (!validateInput('email', email)) {
-                showNotification('Te rugăm să introduci o adresă de email validă', 'error');
-                return;
-            }
-            
-            if (!validateInput('telefon', telefon)) {
-                showNotification('Vă rugăm să introduceți un număr de telefon valid', 'error');
-                return;
-            }
-
-            try {
-                logger.info('Trimitem cerere pentru completarea rezervării...');
-                const response = await fetch(`${API_URL}/bookings/complete`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        clientName: numeComplet,
-                        phoneNumber: telefon,
-                        email: email,
-                        countryCode: countryCode,
-                        serviceId: parseInt(selectedServiceId),
-                        date: selectedDate,
-                        time: selectedTime
-                    })
-                });
-
-                const data = await response.json();
-                logger.info('Răspuns completare rezervare:', data);
-                
-                if (data.success) {
-                    bookingId = data.bookingId;
-                    logger.info('ID Rezervare:', bookingId);
-                    
-                    // Resetează countdown-ul și starea butonului de retrimitere
-                    const retrimiteCodElement = document.getElementById('retrimiteCod');
-                    const countdownElement = document.getElementById('countdown');
-                    if (retrimiteCodElement) retrimiteCodElement.style.display = 'inline-block';
-                    if (countdownElement) countdownElement.style.display = 'none';
-                    clearInterval(countdownInterval);
-                    canResend = true;
-                    
-                    // Resetează inputul pentru cod de verificare
-                    if (domCache.codVerificareInput) domCache.codVerificareInput.value = '';
-                    
-                    // Afișare pop-up verificare email
-                    if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'flex';
-                    
-                    showNotification('Un cod de verificare a fost trimis la adresa ta de email.', 'success');
-                } else {
-                    showNotification(data.message || 'A apărut o eroare la trimiterea codului de verificare.', 'error');
-                }
-            } catch (error) {
-                logger.error('Eroare la pasul 3:', error);
-                showNotification('A apărut o eroare la trimiterea codului de verificare. Te rugăm să încerci din nou.', 'error');
-            }
-        });
-    }
-    
-    // Verifică codul de email
-    if (domCache.btnVerify) {
-        domCache.btnVerify.addEventListener('click', async function () {
-            if (!domCache.codVerificareInput) return;
-            
-            const codVerificare = domCache.codVerificareInput.value.trim();
-
-            if (!codVerificare) {
-                showNotification('Te rugăm să introduci codul de verificare!', 'error');
-                return;
-            }
-            
-            if (!validateInput('cod', codVerificare)) {
-                showNotification('Codul de verificare trebuie să conțină exact 6 cifre!', 'error');
-                return;
-            }
-
-            try {
-                logger.info('Trimitem cerere pentru verificarea codului...');
-                const response = await fetch(`${API_URL}/bookings/verify`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        bookingId: bookingId,
-                        code: codVerificare
-                    })
-                });
-
-                const data = await response.json();
-                logger.info('Răspuns verificare cod:', data);
-                
-                if (data.success) {
-                    if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'none';
-                    if (domCache.step3) domCache.step3.classList.remove('active');
-                    if (domCache.step4) domCache.step4.classList.add('active');
-                    
-                    const bookingData = {
-                        serviciu: selectedServiceName,
-                        data: selectedDate,
-                        ora: selectedTime,
-                        numeComplet: numeComplet,
-                        telefon: countryCode + telefon,
-                        email: email
-                    };
-                    
-                    logger.info('Rezervare confirmată:', bookingData);
-                } else {
-                    showNotification(data.message || 'Codul de verificare este incorect!', 'error');
-                }
-            } catch (error) {
-                logger.error('Eroare la verificarea codului:', error);
-                showNotification('A apărut o eroare la verificarea codului. Te rugăm să încerci din nou.', 'error');
-            }
-        });
-    }
-    
-    // Retrimite cod
-    if (domCache.retrimiteCod) {
-        domCache.retrimiteCod.addEventListener('click', async function (event) {
-            event.preventDefault();
-            
-            if (!bookingId || !canResend) {
-                return;
-            }
-
-            try {
-                logger.info('Trimitem cerere pentru retrimitere cod...');
-                const response = await fetch(`${API_URL}/bookings/resend-code`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        bookingId: bookingId
-                    })
-                });
-
-                const data = await response.json();
-                logger.info('Răspuns retrimitere cod:', data);
-                
-                if (data.success) {
-                    showNotification('Un nou cod de verificare a fost trimis la adresa ta de email.', 'success');
-                    startCountdown(60);
-                } else {
-                    const countdownElement = document.getElementById('countdown');
-                    if (data.message && data.message.includes('limita de email-uri pentru această rezervare')) {
-                        domCache.retrimiteCod.style.display = 'none';
-                        if (countdownElement) {
-                            countdownElement.textContent = 'Ai atins limita de 5 email-uri pentru această rezervare.';
-                            countdownElement.style.display = 'block';
-                        }
-                        canResend = false;
-                    } else if (data.message && data.message.includes('limita zilnică de email-uri')) {
-                        domCache.retrimiteCod.style.display = 'none';
-                        if (countdownElement) {
-                            countdownElement.textContent = 'Ai atins limita zilnică de 20 email-uri.';
-                            countdownElement.style.display = 'block';
-                        }
-                        canResend = false;
-                    } else {
-                        showNotification('Nu s-a putut retrimite codul de verificare.', 'error');
-                    }
-                }
-            } catch (error) {
-                logger.error('Eroare la retrimiterea codului:', error);
-                showNotification('A apărut o eroare la retrimiterea codului. Te rugăm să încerci din nou.', 'error');
-            }
-        });
-    }
-    
-    // Pre-completare câmpuri din localStorage dacă există
-    const savedName = localStorage.getItem('numeComplet');
-    const savedEmail = localStorage.getItem('email');
-    const savedPhone = localStorage.getItem('telefon');
-    const savedCountryCode = localStorage.getItem('countryCode');
-    
-    if (savedName && domCache.numeCompletInput) domCache.numeCompletInput.value = savedName;
-    if (savedEmail && domCache.emailInput) domCache.emailInput.value = savedEmail;
-    if (savedPhone && domCache.telefonInput) domCache.telefonInput.value = savedPhone;
-    if (savedCountryCode && domCache.countryCodeSelect) {
-        const options = domCache.countryCodeSelect.options;
-        for (let i = 0; i < options.length; i++) {
-            if (options[i].value === savedCountryCode) {
-                domCache.countryCodeSelect.selectedIndex = i;
-                break;
-            }
-        }
-    }
-    
-    // Salvează datele clientului pentru utilizări viitoare
-    if (domCache.btnStep3) {
-        domCache.btnStep3.addEventListener('click', function() {
-            if (domCache.numeCompletInput?.value && domCache.emailInput?.value && domCache.telefonInput?.value) {
-                localStorage.setItem('numeComplet', domCache.numeCompletInput.value);
-                localStorage.setItem('email', domCache.emailInput.value);
-                localStorage.setItem('telefon', domCache.telefonInput.value);
-                localStorage.setItem('countryCode', domCache.countryCodeSelect.value);
-            }
-        });
-    }
-}
-
-// Protecție împotriva CSRF și inițializare
-document.addEventListener('DOMContentLoaded', function() {
-    // Verifică dacă pagina este încărcată în iframe (protecție clickjacking)
-    if (window.self !== window.top) {
-        window.top.location = window.self.location;
-    }
-    
-    // Inițializează aplicația
-    initializeApp();
+// js/programare_script.js - VERSIUNE OPTIMIZATĂ
+
+// Sistem de logging îmbunătățit pentru frontend
+const isProd = window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1';
+const logger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+// Cache DOM pentru performanță
+const domCache = {
+    step1: null,
+    step2: null,
+    step3: null,
+    step4: null,
+    bookingOutcomeTitle: null,
+    bookingOutcomeMessage: null,
+    oreDisponibile: null,
+    verificationPopup: null,
+    sundayMessage: null,
+    btnStep1: null,
+    btnStep2: null,
+    btnStep3: null,
+    btnVerify: null,
+    btnBackToStep1: null,
+    btnBackToStep2: null,
+    retrimiteCod: null,
+    closeVerificationPopup: null,
+    selectServiciu: null,
+    extraServices: null,
+    groupToggle: null,
+    groupAttendees: null,
+    groupLeadNameInput: null,
+    groupAttendeeList: null,
+    btnAddAttendee: null,
+    barberSelection: null,
+    selectFrizer: null,
+    dataProgramare: null,
+    numeCompletInput: null,
+    telefonInput: null,
+    emailInput: null,
+    countryCodeSelect: null,
+    recurentaSelect: null,
+    canalNotificareSelect: null,
+    codVerificareInput: null,
+    waitlistSection: null,
+    waitlistNameInput: null,
+    waitlistEmailInput: null,
+    waitlistStartSelect: null,
+    waitlistEndSelect: null,
+    btnJoinWaitlist: null,
+    manageStep: null,
+    manageDetails: null,
+    managePolicy: null,
+    manageSeries: null,
+    manageActions: null,
+    manageReschedule: null,
+    manageDateInput: null,
+    manageSlots: null,
+    manageCancelReasonInput: null,
+    btnManageReschedule: null,
+    btnManageCancel: null,
+    
+    init() {
+        this.step1 = document.getElementById('step1');
+        this.step2 = document.getElementById('step2');
+        this.step3 = document.getElementById('step3');
+        this.step4 = document.getElementById('step4');
+        this.bookingOutcomeTitle = document.getElementById('bookingOutcomeTitle');
+        this.bookingOutcomeMessage = document.getElementById('bookingOutcomeMessage');
+        this.oreDisponibile = document.getElementById('oreDisponibile');
+        this.verificationPopup = document.getElementById('verificationPopup');
+        this.sundayMessage = document.getElementById('sundayMessage');
+        this.btnStep1 = document.getElementById('btnStep1');
+        this.btnStep2 = document.getElementById('btnStep2');
+        this.btnStep3 = document.getElementById('btnStep3');
+        this.btnVerify = document.getElementById('btnVerify');
+        this.btnBackToStep1 = document.getElementById('btnBackToStep1');
+        this.btnBackToStep2 = document.getElementById('btnBackToStep2');
+        this.retrimiteCod = document.getElementById('retrimiteCod');
+        this.closeVerificationPopup = document.getElementById('closeVerificationPopup');
+        this.selectServiciu = document.getElementById('serviciu');
+        this.extraServices = document.getElementById('extraServices');
+        this.groupToggle = document.getElementById('groupToggle');
+        this.groupAttendees = document.getElementById('groupAttendees');
+        this.groupLeadNameInput = document.getElementById('groupLeadName');
+        this.groupAttendeeList = document.getElementById('groupAttendeeList');
+        this.btnAddAttendee = document.getElementById('btnAddAttendee');
+        this.barberSelection = document.getElementById('barberSelection');
+        this.selectFrizer = document.getElementById('frizer');
+        this.dataProgramare = document.getElementById('dataProgramare');
+        this.numeCompletInput = document.getElementById('numeComplet');
+        this.telefonInput = document.getElementById('telefon');
+        this.emailInput = document.getElementById('email');
+        this.countryCodeSelect = document.getElementById('countryCode');
+        this.recurentaSelect = document.getElementById('recurenta');
+        this.canalNotificareSelect = document.getElementById('canalNotificare');
+        this.codVerificareInput = document.getElementById('codVerificare');
+        this.waitlistSection = document.getElementById('waitlistSection');
+        this.waitlistNameInput = document.getElementById('waitlistName');
+        this.waitlistEmailInput = document.getElementById('waitlistEmail');
+        this.waitlistStartSelect = document.getElementById('waitlistStart');
+        this.waitlistEndSelect = document.getElementById('waitlistEnd');
+        this.btnJoinWaitlist = document.getElementById('btnJoinWaitlist');
+        this.manageStep = document.getElementById('manageStep');
+        this.manageDetails = document.getElementById('manageDetails');
+        this.managePolicy = document.getElementById('managePolicy');
+        this.manageSeries = document.getElementById('manageSeries');
+        this.manageActions = document.getElementById('manageActions');
+        this.manageReschedule = document.getElementById('manageReschedule');
+        this.manageDateInput = document.getElementById('manageDate');
+        this.manageSlots = document.getElementById('manageSlots');
+        this.manageCancelReasonInput = document.getElementById('manageCancelReason');
+        this.btnManageReschedule = document.getElementById('btnManageReschedule');
+        this.btnManageCancel = document.getElementById('btnManageCancel');
+    }
+};
+
+// Variabile globale pentru stocare date
+let selectedServiceId = null;
+let selectedServiceIds = [];
+let selectedServiceName = null;
+let selectedBarberId = 'any';
+let selectedBarberName = null;
+let selectedDate = null;
+let selectedTime = null;
+let numeComplet = null;
+let telefon = null;
+let email = null;
+let countryCode = null;
+let bookingId = null;
+
+// Persoanele unei rezervări de grup ([{ name, serviceIds }]; null = rezervare individuală)
+let groupAttendees = null;
+const MAX_GROUP_SIZE = 4;
+
+// Programarea deschisă prin link-ul de gestionare din email
+let manageToken = null;
+let managedBooking = null;
+
+// Cheile Idempotency-Key ale cererilor de rezervare în curs ({ cerere: { key, body } })
+// Aceeași cheie se retrimite la dublu-click sau reîncercare, cât timp datele nu se schimbă
+let idempotencyKeys = {};
+
+// Variabile pentru timer
+let countdownInterval;
+let secondsLeft = 0;
+let canResend = true;
+
+// API URL - detectează automat URL-ul în funcție de mediu
+const API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+    ? 'http://localhost:5000/api'
+    : window.location.protocol + '//' + window.location.hostname + '/api';
+
+// Funcție pentru debouncing - optimizare pentru input-uri
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+// Pool de notificări pentru a evita spam-ul
+const notificationPool = {
+    current: null,
+    timeout: null,
+    
+    show(message, type = 'error') {
+        // Elimină notificarea existentă
+        if (this.current) {
+            this.current.remove();
+            this.current = null;
+        }
+        
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+
+        // Creează notificarea
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        
+        let icon;
+        switch(type) {
+            case 'success': icon = '✓'; break;
+            case 'info': icon = 'ℹ'; break;
+            case 'warning': icon = '⚠'; break;
+            case 'error':
+            default: icon = '⚠'; break;
+        }
+
+        notification.innerHTML = `
+            <div class="icon">${sanitizeInput(icon)}</div>
+            <div class="content">${sanitizeInput(message)}</div>
+            <button class="close-btn">×</button>
+        `;
+
+        document.body.appendChild(notification);
+        this.current = notification;
+
+        // Afișează cu animație
+        requestAnimationFrame(() => {
+            notification.classList.add('show');
+        });
+
+        // Auto-remove
+        const timeout = message.length > 100 ? 7000 : 5000;
+        this.timeout = setTimeout(() => {
+            if (this.current === notification) {
+                notification.classList.remove('show');
+                setTimeout(() => {
+                    if (notification.parentElement) {
+                        notification.remove();
+                    }
+                    if (this.current === notification) {
+                        this.current = null;
+                    }
+                }, 300);
+            }
+        }, timeout);
+    }
+};
+
+// Funcție optimizată pentru crearea și afișarea notificărilor
+function showNotification(message, type = 'error') {
+    notificationPool.show(message, type);
+}
+
+// Funcție pentru sanitizarea input-urilor pentru a preveni XSS
+function sanitizeInput(input) {
+    if (input === null || input === undefined) {
+        return '';
+    }
+    
+    let str;
+    try {
+        str = String(input);
+    } catch (error) {
+        logger.error('Error converting input to string:', error);
+        return '';
+    }
+    
+    if (str.length > 10000) {
+        logger.warn('Input too long, truncating for security');
+        str = str.substring(0, 10000);
+    }
+    
+    const xssPatterns = [
+        /<script[^>]*>.*?<\/script>/gi,
+        /<iframe[^>]*>.*?<\/iframe>/gi,
+        /<object[^>]*>.*?<\/object>/gi,
+        /<embed[^>]*>.*?<\/embed>/gi,
+        /<link[^>]*>/gi,
+        /<meta[^>]*>/gi,
+        /javascript:/gi,
+        /vbscript:/gi,
+        /on\w+\s*=/gi,
+        /expression\s*\(/gi,
+        /data:text\/html/gi,
+        /data:application\/x-javascript/gi,
+        /<svg[^>]*>.*?<\/svg>/gi
+    ];
+    
+    for (const pattern of xssPatterns) {
+        if (pattern.test(str)) {
+            logger.warn('XSS attempt detected and blocked:', str.substring(0, 100));
+            return '';
+        }
+    }
+    
+    str = str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+    str = str.replace(/&#x?[0-9a-fA-F]+;/g, '');
+    str = str.replace(/%[0-9a-fA-F]{2}/g, '');
+    
+    const div = document.createElement('div');
+    div.textContent = str;
+    let sanitized = div.innerHTML;
+    
+    if (/<[^>]+>/.test(sanitized)) {
+        logger.warn('HTML detected after sanitization, blocking');
+        return '';
+    }
+    
+    return sanitized;
+}
+
+// Funcție pentru validarea input-urilor
+function validateInput(type, value) {
+    if (!value) return false;
+    
+    switch(type) {
+        case 'nume':
+            return /^[A-Za-zĂăÂâÎîȘșȚț\s-]{3,50}$/.test(value) && !/\s\s/.test(value);
+        case 'telefon':
+            return /^[0-9]{4,15}$/.test(value.replace(/\s+|-/g, ''));
+        case 'email':
+            return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(value);
+        case 'cod':
+            return /^\d{6}$/.test(value);
+        default:
+            return true;
+    }
+}
+
+// Funcție optimizată pentru suspendarea rezervării
+async function suspendReservation() {
+    if (!bookingId) {
+        logger.warn('Nu există bookingId pentru suspendare');
+        return;
+    }
+
+    try {
+        logger.info('Suspendăm rezervarea:', bookingId);
+        
+        const response = await fetch(`${API_URL}/bookings/${bookingId}/suspend`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            bookingId = null;
+            resetForm();
+            showNotification('Rezervarea a fost suspendată. Intervalul orar este din nou disponibil.', 'info');
+        } else {
+            logger.error('Eroare la suspendarea rezervării:', data.message);
+            bookingId = null;
+            resetForm();
+            showNotification('Rezervarea a fost anulată local.', 'info');
+        }
+        
+    } catch (error) {
+        logger.error('Eroare la suspendarea rezervării:', error);
+        bookingId = null;
+        resetForm();
+        showNotification('Rezervarea a fost anulată local.', 'info');
+    }
+}
+
+// Funcție optimizată pentru resetarea formularului
+// Mesajele din pagina finală, după statusul rezervării verificate
+// (regulile de aprobare automată pot confirma sau respinge rezervarea imediat)
+const BOOKING_OUTCOME_MESSAGES = {
+    pending: {
+        title: 'Rezervarea ta a fost înregistrată cu succes!',
+        message: 'Te rugăm să aștepți confirmarea de la Darius pentru a finaliza programarea.'
+    },
+    confirmed: {
+        title: 'Rezervarea ta a fost confirmată!',
+        message: 'Ți-am trimis pe email detaliile programării. Te așteptăm!'
+    },
+    declined: {
+        title: 'Rezervarea ta nu a putut fi acceptată.',
+        message: 'Ți-am trimis pe email mai multe detalii.'
+    }
+};
+
+// Afișează în pagina finală mesajul potrivit statusului rezervării
+function afiseazaRezultatRezervare(status) {
+    const outcome = BOOKING_OUTCOME_MESSAGES[status] || BOOKING_OUTCOME_MESSAGES.pending;
+    if (domCache.bookingOutcomeTitle) domCache.bookingOutcomeTitle.textContent = outcome.title;
+    if (domCache.bookingOutcomeMessage) domCache.bookingOutcomeMessage.textContent = outcome.message;
+}
+
+// Motivele pentru care link-ul de verificare din email nu a putut fi folosit
+const VERIFICATION_LINK_ERRORS = {
+    invalid: 'Link-ul de verificare nu este valid.',
+    expired: 'Link-ul de verificare a expirat. Te rugăm să faci o rezervare nouă.',
+    replaced: 'Ți-am trimis între timp un cod nou. Folosește link-ul din cel mai recent email.',
+    cancelled: 'Rezervarea a fost anulată. Te rugăm să faci o rezervare nouă.',
+    error: 'A apărut o eroare la verificarea rezervării. Te rugăm să încerci din nou.'
+};
+
+// Rezultatul verificării prin link-ul din email (serverul redirecționează aici după verificare)
+function afiseazaVerificareLink(result) {
+    // Parametrul este eliminat din adresă, ca reîncărcarea paginii să pornească o rezervare nouă
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    if (BOOKING_OUTCOME_MESSAGES[result]) {
+        if (domCache.step1) domCache.step1.classList.remove('active');
+        if (domCache.step4) domCache.step4.classList.add('active');
+        afiseazaRezultatRezervare(result);
+        return;
+    }
+    
+    showNotification(VERIFICATION_LINK_ERRORS[result] || VERIFICATION_LINK_ERRORS.invalid, 'error');
+}
+
+// Generează o cheie unică pentru header-ul Idempotency-Key
+function genereazaCheieIdempotenta() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Cheia pentru o cerere de rezervare: se refolosește doar pentru exact aceleași date
+function getIdempotencyKey(requestName, body) {
+    const existing = idempotencyKeys[requestName];
+    if (existing && existing.body === body) {
+        return existing.key;
+    }
+    
+    const key = genereazaCheieIdempotenta();
+    idempotencyKeys[requestName] = { key, body };
+    return key;
+}
+
+// După ce serverul a răspuns, o nouă încercare trebuie să fie o cerere nouă
+function clearIdempotencyKey(requestName) {
+    delete idempotencyKeys[requestName];
+}
+
+function resetForm() {
+    // Resetează toate variabilele globale
+    selectedServiceId = null;
+    selectedServiceIds = [];
+    selectedServiceName = null;
+    selectedBarberId = 'any';
+    selectedBarberName = null;
+    selectedDate = null;
+    selectedTime = null;
+    numeComplet = null;
+    telefon = null;
+    email = null;
+    countryCode = null;
+    bookingId = null;
+    groupAttendees = null;
+    idempotencyKeys = {};
+    
+    // Resetează inputurile folosind cache-ul DOM
+    if (domCache.selectServiciu) domCache.selectServiciu.value = '';
+    if (domCache.extraServices) {
+        domCache.extraServices.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = false;
+            checkbox.disabled = false;
+        });
+    }
+    if (domCache.selectFrizer) domCache.selectFrizer.value = 'any';
+    if (domCache.dataProgramare) domCache.dataProgramare.value = '';
+    if (domCache.numeCompletInput) domCache.numeCompletInput.value = '';
+    if (domCache.telefonInput) domCache.telefonInput.value = '';
+    if (domCache.emailInput) domCache.emailInput.value = '';
+    if (domCache.codVerificareInput) domCache.codVerificareInput.value = '';
+    if (domCache.countryCodeSelect) domCache.countryCodeSelect.selectedIndex = 0;
+    if (domCache.recurentaSelect) domCache.recurentaSelect.value = '';
+    if (domCache.canalNotificareSelect) domCache.canalNotificareSelect.value = 'email';
+    if (domCache.groupToggle) domCache.groupToggle.checked = false;
+    if (domCache.groupLeadNameInput) domCache.groupLeadNameInput.value = '';
+    if (domCache.groupAttendeeList) domCache.groupAttendeeList.innerHTML = '';
+    comutaRezervareGrup();
+    
+    // Curăță orele disponibile
+    if (domCache.oreDisponibile) domCache.oreDisponibile.innerHTML = '';
+    afiseazaListaAsteptare(false);
+    
+    // Oprește timer-ul dacă rulează
+    clearInterval(countdownInterval);
+    
+    // Ascunde mesajul de duminică dacă este afișat
+    if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
+    
+    // Reactiveză butonul step1 dacă era dezactivat
+    if (domCache.btnStep1) {
+        domCache.btnStep1.disabled = false;
+        domCache.btnStep1.style.opacity = '1';
+    }
+}
+
+// Funcție pentru a calcula data minimă permisă
+function calculateMinDate() {
+    const now = new Date();
+    const currentHour = now.getHours();
+    const currentMinutes = now.getMinutes();
+    const currentTime = currentHour * 60 + currentMinutes;
+    
+    const PROGRAM_LUCRU = {
+        weekdays: {
+            start: 10 * 60,
+            end: 19 * 60
+        },
+        saturday: {
+            start: 10 * 60,
+            end: 13 * 60
+        }
+    };
+    
+    const dayOfWeek = now.getDay();
+    let canSelectToday = false;
+    
+    if (dayOfWeek === 0) {
+        canSelectToday = false;
+    } else if (dayOfWeek >= 1 && dayOfWeek <= 5) {
+        canSelectToday = currentTime < PROGRAM_LUCRU.weekdays.end;
+    } else if (dayOfWeek === 6) {
+        canSelectToday = currentTime < PROGRAM_LUCRU.saturday.end;
+    }
+    
+    let minDate = new Date(now);
+    if (!canSelectToday) {
+        minDate.setDate(now.getDate() + 1);
+    }
+    
+    return minDate.toISOString().split('T')[0];
+}
+
+// Funcție pentru a actualiza countdown-ul
+function updateCountdown() {
+    const countdownElement = document.getElementById('countdown');
+    
+    if (secondsLeft <= 0) {
+        clearInterval(countdownInterval);
+        if (countdownElement) countdownElement.style.display = 'none';
+        if (domCache.retrimiteCod) domCache.retrimiteCod.style.display = 'inline-block';
+        canResend = true;
+        return;
+    }
+    
+    if (countdownElement) {
+        countdownElement.textContent = `Poți retrimite codul în ${secondsLeft} secunde.`;
+    }
+    secondsLeft--;
+}
+
+// Funcție pentru a începe countdown-ul
+function startCountdown(seconds) {
+    secondsLeft = seconds;
+    clearInterval(countdownInterval);
+    const countdownElement = document.getElementById('countdown');
+    if (countdownElement) countdownElement.style.display = 'block';
+    if (domCache.retrimiteCod) domCache.retrimiteCod.style.display = 'none';
+    canResend = false;
+    updateCountdown();
+    countdownInterval = setInterval(updateCountdown, 1000);
+}
+
+// Încarcă lista frizerilor; selecția rămâne ascunsă dacă nu există frizeri configurați
+async function incarcaFrizeri() {
+    if (!domCache.selectFrizer || !domCache.barberSelection) return;
+    
+    try {
+        const response = await fetch(`${API_URL}/barbers`, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        });
+        
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (!data.success || !data.barbers || data.barbers.length === 0) return;
+        
+        const optionsHTML = data.barbers.map(barber => 
+            `<option value="${sanitizeInput(barber.id)}">${sanitizeInput(barber.name)}</option>`
+        ).join('');
+        
+        domCache.selectFrizer.innerHTML = `<option value="any">Oricare frizer disponibil</option>${optionsHTML}`;
+        domCache.barberSelection.style.display = 'block';
+    } catch (error) {
+        logger.error('Eroare la încărcarea frizerilor:', error);
+    }
+}
+
+// Serviciile alese, în ordine: serviciul principal urmat de serviciile suplimentare bifate
+function getSelectedServiceIds() {
+    const serviceIds = [parseInt(domCache.selectServiciu.value)];
+    
+    if (domCache.extraServices) {
+        domCache.extraServices.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+            const serviceId = parseInt(checkbox.value);
+            if (!serviceIds.includes(serviceId)) {
+                serviceIds.push(serviceId);
+            }
+        });
+    }
+    
+    return serviceIds;
+}
+
+// Numele serviciilor alese, pentru rezumatul rezervării (ex: "Tuns (30 min) - 80 RON + ...")
+function getSelectedServicesName() {
+    const names = [domCache.selectServiciu.options[domCache.selectServiciu.selectedIndex].text];
+    
+    if (domCache.extraServices) {
+        domCache.extraServices.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+            if (checkbox.value !== domCache.selectServiciu.value) {
+                names.push(checkbox.parentElement.textContent.trim());
+            }
+        });
+    }
+    
+    return names.join(' + ');
+}
+
+// Serviciul principal nu poate fi ales și ca serviciu suplimentar
+function actualizeazaServiciiSuplimentare() {
+    if (!domCache.extraServices || !domCache.selectServiciu) return;
+    
+    domCache.extraServices.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        const isMainService = checkbox.value === domCache.selectServiciu.value;
+        checkbox.disabled = isMainService;
+        if (isMainService) {
+            checkbox.checked = false;
+        }
+    });
+}
+
+// Adaugă un rând (nume + serviciu) pentru o persoană din grup
+function adaugaPersoanaGrup() {
+    if (!domCache.groupAttendeeList || !domCache.selectServiciu) return;
+    
+    if (domCache.groupAttendeeList.children.length >= MAX_GROUP_SIZE - 1) {
+        showNotification(`O rezervare de grup poate avea cel mult ${MAX_GROUP_SIZE} persoane.`, 'warning');
+        return;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'group-attendee';
+    row.innerHTML = `
+        <input type="text" class="attendee-name" placeholder="Nume">
+        <select class="attendee-service">${domCache.selectServiciu.innerHTML}</select>
+        <button type="button" class="btn-remove-attendee" title="Elimină">&times;</button>
+    `;
+    row.querySelector('.btn-remove-attendee').addEventListener('click', () => row.remove());
+    domCache.groupAttendeeList.appendChild(row);
+}
+
+// Afișează câmpurile pentru grup; programarea recurentă nu este disponibilă pentru grupuri
+function comutaRezervareGrup() {
+    const isGroup = Boolean(domCache.groupToggle && domCache.groupToggle.checked);
+    
+    if (domCache.groupAttendees) {
+        domCache.groupAttendees.style.display = isGroup ? 'block' : 'none';
+    }
+    if (isGroup && domCache.groupAttendeeList && domCache.groupAttendeeList.children.length === 0) {
+        adaugaPersoanaGrup();
+    }
+    if (domCache.recurentaSelect) {
+        domCache.recurentaSelect.disabled = isGroup;
+        if (isGroup) domCache.recurentaSelect.value = '';
+    }
+}
+
+// Persoanele grupului, în ordine (prima are serviciile alese mai sus); null dacă datele sunt incomplete
+function getGroupAttendees() {
+    const attendees = [{
+        name: domCache.groupLeadNameInput ? domCache.groupLeadNameInput.value.trim() : '',
+        serviceIds: getSelectedServiceIds()
+    }];
+    
+    domCache.groupAttendeeList.querySelectorAll('.group-attendee').forEach(row => {
+        attendees.push({
+            name: row.querySelector('.attendee-name').value.trim(),
+            serviceIds: [parseInt(row.querySelector('.attendee-service').value)]
+        });
+    });
+    
+    if (attendees.length < 2) {
+        showNotification('Adaugă cel puțin încă o persoană pentru o rezervare de grup.', 'error');
+        return null;
+    }
+    
+    if (attendees.some(attendee => !validateInput('nume', attendee.name))) {
+        showNotification('Numele fiecărei persoane trebuie să conțină doar litere, spații și cratime, între 3 și 50 caractere!', 'error');
+        return null;
+    }
+    
+    if (attendees.some(attendee => attendee.serviceIds.some(serviceId => isNaN(serviceId)))) {
+        showNotification('Te rugăm să alegi un serviciu pentru fiecare persoană!', 'error');
+        return null;
+    }
+    
+    return attendees;
+}
+
+// Corpul cererii pentru orele disponibile (pentru un grup, orele de la care toate persoanele încap una după alta)
+function getTimeSlotRequestBody() {
+    return groupAttendees
+        ? { attendees: groupAttendees, date: selectedDate, barberId: selectedBarberId }
+        : { serviceIds: selectedServiceIds, date: selectedDate, barberId: selectedBarberId };
+}
+
+// FUNCȚIE OPTIMIZATĂ - Încarcă orele disponibile de la server
+async function incarcaOreDisponibile() {
+    try {
+        logger.info(`Încărcăm orele disponibile pentru: servicii=${selectedServiceIds.join('+')}, date=${selectedDate}`);
+        
+        // Loading state - setează o singură dată
+        if (domCache.oreDisponibile) {
+            domCache.oreDisponibile.innerHTML = '<p style="color: white; text-align: center;">Se încarcă orele disponibile...</p>';
+        }
+        
+        const response = await fetch(`${API_URL}/available-time-slots`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify(getTimeSlotRequestBody())
+        });
+        
+        logger.info('Status răspuns de la server:', response.status);
+        
+        // Ziua nu poate fi rezervată (ex: în afara orizontului de rezervare) - serverul explică regula
+        if (response.status === 400) {
+            const errorData = await response.json().catch(() => ({}));
+            if (errorData.message && domCache.oreDisponibile) {
+                afiseazaListaAsteptare(false);
+                domCache.oreDisponibile.innerHTML = `
+                    <div style="grid-column: 1 / -1; background-color: #1a1a1a; border-left: 4px solid #ff9800; padding: 15px; border-radius: 4px; text-align: center; color: white;">
+                        <h3 style="color: #ff9800; margin-bottom: 10px; font-size: 16px;">🚫 Zi Indisponibilă</h3>
+                        <p style="margin: 0; line-height: 1.5;">${sanitizeInput(errorData.message)}</p>
+                    </div>
+                `;
+                return;
+            }
+        }
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            logger.error(`Eroare server (${response.status}):`, errorText);
+            throw new Error(`Server responded with ${response.status}: ${errorText}`);
+        }
+        
+        const data = await response.json();
+        logger.info('Răspuns de la server:', data);
+        
+        if (!domCache.oreDisponibile) return;
+        
+        if (data.success && data.timeSlots && data.timeSlots.length > 0) {
+            // OPTIMIZARE: Construiește HTML-ul ca string, apoi setează o singură dată
+            const slotsHTML = data.timeSlots.map(slot => {
+                const safeSlot = sanitizeInput(slot);
+                return `
+                    <label>
+                        <input type="radio" name="ora" value="${safeSlot}">
+                        <span>${safeSlot}</span>
+                    </label>
+                `;
+            }).join('');
+            
+            // Orele ascunse de regula de antecedență minimă sunt explicate sub listă
+            const hiddenHTML = data.hiddenSlots && data.hiddenSlots.length > 0
+                ? `<p style="grid-column: 1 / -1; color: #ccc; font-size: 13px; text-align: center; margin: 5px 0 0;">Unele ore nu sunt afișate: ${sanitizeInput(data.hiddenSlots[0].message)}.</p>`
+                : '';
+            
+            // O singură operație DOM în loc de N operații
+            domCache.oreDisponibile.innerHTML = slotsHTML + hiddenHTML;
+            afiseazaListaAsteptare(false);
+            logger.info(`S-au încărcat ${data.timeSlots.length} ore disponibile`);
+        } else {
+            // Afișează mesajul personalizat de la server
+            const message = data.message || 'Nu există ore disponibile pentru data selectată.';
+            
+            // Verifică dacă este un mesaj de zi blocată
+            if (message.includes('Suntem închiși în') || message.includes('indisponibile în')) {
+                domCache.oreDisponibile.innerHTML = `
+                    <div style="background-color: #1a1a1a; border-left: 4px solid #ff9800; padding: 15px; border-radius: 4px; text-align: center; color: white;">
+                        <h3 style="color: #ff9800; margin-bottom: 10px; font-size: 16px;">🚫 Zi Indisponibilă</h3>
+                        <p style="margin-bottom: 10px; line-height: 1.5;">${sanitizeInput(message)}</p>
+                        <p style="margin: 0; color: #ccc; font-size: 14px;">Program de lucru: Luni-Vineri (10:00-19:00), Sâmbătă (10:00-13:00)</p>
+                    </div>
+                `;
+            } else {
+                domCache.oreDisponibile.innerHTML = `<p style="color: white; text-align: center;">${sanitizeInput(message)}</p>`;
+            }
+            
+            // Ziua este complet ocupată - clientul se poate înscrie pe lista de așteptare
+            afiseazaListaAsteptare(Boolean(data.canJoinWaitlist));
+            
+            logger.info('Nu există ore disponibile pentru data selectată');
+        }
+    } catch (error) {
+        logger.error('Eroare la încărcarea orelor disponibile:', error);
+        afiseazaListaAsteptare(false);
+        if (domCache.oreDisponibile) {
+            domCache.oreDisponibile.innerHTML = `
+                <div style="background-color: #1a1a1a; border-left: 4px solid #f44336; padding: 15px; border-radius: 4px; text-align: center; color: white;">
+                    <h3 style="color: #f44336; margin-bottom: 10px; font-size: 16px;">⚠️ Eroare de Conectare</h3>
+                    <p style="margin-bottom: 10px; line-height: 1.5;">A apărut o eroare la încărcarea orelor disponibile.</p>
+                    <p style="margin: 0; color: #ccc; font-size: 14px;">Te rugăm să încerci din nou sau să reîmprospătezi pagina.</p>
+                </div>
+            `;
+        }
+    }
+}
+
+// Funcție optimizată pentru verificarea disponibilității
+async function verifyTimeSlotStillAvailable(selectedTime) {
+    if (!selectedDate || !selectedServiceId || !selectedTime) {
+        return false;
+    }
+    
+    try {
+        logger.info(`🔍 Verificăm dacă ora ${selectedTime} mai este disponibilă...`);
+        
+        const response = await fetch(`${API_URL}/available-time-slots`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify(getTimeSlotRequestBody())
+        });
+        
+        if (!response.ok) {
+            logger.error('Eroare la verificarea orei:', response.status);
+            return false;
+        }
+        
+        const data = await response.json();
+        const isStillAvailable = data.success && data.timeSlots && data.timeSlots.includes(selectedTime);
+        
+        if (isStillAvailable) {
+            logger.info(`✅ Ora ${selectedTime} este încă disponibilă`);
+        } else {
+            logger.warn(`❌ Ora ${selectedTime} nu mai este disponibilă`);
+        }
+        
+        return isStillAvailable;
+        
+    } catch (error) {
+        logger.error('Eroare la verificarea orei:', error);
+        return false;
+    }
+}
+
+// Event Listeners optimizați cu debouncing pentru dată
+const debouncedDateChange = debounce(async function() {
+    if (!domCache.dataProgramare) return;
+    
+    const selectedDate = new Date(domCache.dataProgramare.value);
+    const dayOfWeek = selectedDate.getDay();
+    
+    if (dayOfWeek === 0) { // Duminică
+        if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'block';
+        if (domCache.btnStep1) {
+            domCache.btnStep1.disabled = true;
+            domCache.btnStep1.style.opacity = '0.5';
+        }
+        return;
+    }
+    
+    // Verifică dacă data este blocată
+    try {
+        const response = await fetch(`${API_URL}/check-blocked-date?date=${domCache.dataProgramare.value}`, {
+            method: 'GET',
+            headers: {
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            if (data.success && data.isBlocked) {
+                if (domCache.sundayMessage) {
+                    domCache.sundayMessage.innerHTML = `
+                        <h3>Zi Indisponibilă</h3>
+                        <p>${sanitizeInput(data.reason)}</p>
+                        <p>Te rugăm să selectezi o altă dată pentru programarea ta.</p>
+                        <p>Program de lucru: Luni-Vineri (10:00-19:00), Sâmbătă (10:00-13:00)</p>
+                    `;
+                    domCache.sundayMessage.style.display = 'block';
+                }
+                if (domCache.btnStep1) {
+                    domCache.btnStep1.disabled = true;
+                    domCache.btnStep1.style.opacity = '0.5';
+                }
+                return;
+            }
+        }
+    } catch (error) {
+        logger.error('Eroare la verificarea datei blocate:', error);
+    }
+    
+    // Data este OK
+    if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
+    if (domCache.btnStep1) {
+        domCache.btnStep1.disabled = false;
+        domCache.btnStep1.style.opacity = '1';
+    }
+}, 300);
+
+// Afișează sau ascunde formularul pentru lista de așteptare
+function afiseazaListaAsteptare(show) {
+    if (!domCache.waitlistSection) return;
+    
+    if (show && domCache.waitlistStartSelect && domCache.waitlistStartSelect.options.length === 0) {
+        // Orele din care clientul își alege intervalul (din 30 în 30 de minute)
+        const optionsHTML = [];
+        for (let minutes = 8 * 60; minutes <= 21 * 60; minutes += 30) {
+            const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+            optionsHTML.push(`<option value="${time}">${time}</option>`);
+        }
+        domCache.waitlistStartSelect.innerHTML = optionsHTML.join('');
+        domCache.waitlistEndSelect.innerHTML = optionsHTML.join('');
+        domCache.waitlistStartSelect.value = '10:00';
+        domCache.waitlistEndSelect.value = '19:00';
+    }
+    
+    if (show && domCache.waitlistEmailInput && !domCache.waitlistEmailInput.value) {
+        domCache.waitlistEmailInput.value = localStorage.getItem('email') || '';
+    }
+    if (show && domCache.waitlistNameInput && !domCache.waitlistNameInput.value) {
+        domCache.waitlistNameInput.value = localStorage.getItem('numeComplet') || '';
+    }
+    
+    domCache.waitlistSection.style.display = show ? 'block' : 'none';
+}
+
+// Înscrie clientul pe lista de așteptare pentru ziua selectată
+async function inscrieListaAsteptare() {
+    const waitlistEmail = domCache.waitlistEmailInput ? domCache.waitlistEmailInput.value.trim() : '';
+    const waitlistName = domCache.waitlistNameInput ? domCache.waitlistNameInput.value.trim() : '';
+    const windowStart = domCache.waitlistStartSelect ? domCache.waitlistStartSelect.value : '';
+    const windowEnd = domCache.waitlistEndSelect ? domCache.waitlistEndSelect.value : '';
+    
+    if (!validateInput('email', waitlistEmail)) {
+        showNotification('Te rugăm să introduci o adresă de email validă!', 'error');
+        return;
+    }
+    
+    if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+        showNotification('Ora de sfârșit a intervalului trebuie să fie după ora de început!', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_URL}/waitlist`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({
+                clientName: waitlistName || undefined,
+                email: waitlistEmail,
+                serviceIds: selectedServiceIds,
+                date: selectedDate,
+                windowStart,
+                windowEnd,
+                barberId: selectedBarberId
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            afiseazaListaAsteptare(false);
+            showNotification(data.message, 'success');
+        } else if (data.availableTime) {
+            // Între timp s-a eliberat un loc în intervalul ales
+            showNotification(data.message, 'info');
+            await incarcaOreDisponibile();
+        } else {
+            showNotification(data.message || 'Nu te-am putut înscrie pe lista de așteptare.', 'error');
+        }
+    } catch (error) {
+        logger.error('Eroare la înscrierea pe lista de așteptare:', error);
+        showNotification('A apărut o eroare. Te rugăm să încerci din nou.', 'error');
+    }
+}
+
+// Revendică intervalul oferit prin link-ul din email-ul listei de așteptare
+async function revendicaLocListaAsteptare(token) {
+    // Link-ul este de unică folosință - îl scoatem din bara de adrese
+    window.history.replaceState({}, document.title, window.location.pathname);
+    
+    try {
+        const response = await fetch(`${API_URL}/waitlist/claim`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({ token })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success || !data.bookingData) {
+            showNotification(data.message || 'Oferta nu mai este valabilă.', 'warning');
+            return;
+        }
+        
+        const claimed = data.bookingData;
+        selectedServiceId = String(claimed.serviceId);
+        selectedServiceIds = claimed.serviceIds || [claimed.serviceId];
+        selectedServiceName = claimed.service;
+        selectedDate = claimed.dateKey;
+        selectedTime = claimed.time;
+        selectedBarberId = claimed.barberId || 'any';
+        selectedBarberName = claimed.barberName;
+        
+        if (domCache.emailInput) domCache.emailInput.value = claimed.email || '';
+        if (domCache.numeCompletInput && claimed.clientName) domCache.numeCompletInput.value = claimed.clientName;
+        
+        if (domCache.step1) domCache.step1.classList.remove('active');
+        if (domCache.step3) domCache.step3.classList.add('active');
+        
+        showNotification(`Ora ${claimed.time} din ${claimed.date} este rezervată temporar pentru tine. Completează datele pentru confirmare.`, 'success');
+    } catch (error) {
+        logger.error('Eroare la revendicarea locului:', error);
+        showNotification('Nu am putut revendica intervalul. Te rugăm să încerci din nou.', 'error');
+    }
+}
+
+// Afișează programarea deschisă prin link-ul de gestionare
+function afiseazaProgramareGestionata(booking) {
+    managedBooking = booking;
+    
+    if (domCache.manageDetails) {
+        domCache.manageDetails.innerHTML = `
+            <p><strong>Serviciu:</strong> ${sanitizeInput(booking.service)}</p>
+            <p><strong>Data:</strong> ${sanitizeInput(booking.date)}</p>
+            <p><strong>Ora:</strong> ${sanitizeInput(booking.time)}</p>
+            ${booking.barberName ? `<p><strong>Frizer:</strong> ${sanitizeInput(booking.barberName)}</p>` : ''}
+            ${booking.groupSize > 1 ? `<p><strong>Grup:</strong> ${sanitizeInput(booking.groupSize)} persoane</p>` : ''}
+            ${booking.status === 'cancelled' ? '<p><strong>Status:</strong> Anulată</p>' : ''}
+        `;
+    }
+    
+    // Politica de modificare decide dacă mai sunt afișate acțiunile
+    if (domCache.managePolicy) {
+        domCache.managePolicy.textContent = booking.policyMessage || '';
+        domCache.managePolicy.style.display = booking.canChange ? 'none' : 'block';
+    }
+    if (domCache.manageActions) {
+        domCache.manageActions.style.display = booking.canChange ? 'block' : 'none';
+    }
+    if (domCache.manageReschedule) {
+        domCache.manageReschedule.style.display = booking.canReschedule ? 'block' : 'none';
+    }
+    if (domCache.manageDateInput) domCache.manageDateInput.value = '';
+    if (domCache.manageSlots) domCache.manageSlots.innerHTML = '';
+    if (domCache.manageCancelReasonInput) domCache.manageCancelReasonInput.value = '';
+    
+    afiseazaSeriaGestionata(booking.series);
+}
+
+// Afișează programările următoare ale seriei recurente, cu anulare individuală sau a întregii serii
+function afiseazaSeriaGestionata(series) {
+    if (!domCache.manageSeries) return;
+    
+    if (!series) {
+        domCache.manageSeries.style.display = 'none';
+        domCache.manageSeries.innerHTML = '';
+        return;
+    }
+    
+    if (series.status !== 'active') {
+        domCache.manageSeries.innerHTML = '<p><strong>Programare recurentă:</strong> seria a fost anulată.</p>';
+        domCache.manageSeries.style.display = 'block';
+        return;
+    }
+    
+    const occurrencesHtml = series.occurrences.map(occurrence => `
+        <li>
+            ${sanitizeInput(occurrence.date)}, ora ${sanitizeInput(occurrence.time)}
+            ${occurrence.isCurrent ? ' (programarea de mai sus)' : ''}
+            ${!occurrence.isCurrent && occurrence.canCancel
+                ? `<button type="button" class="btn-back btn-cancel-occurrence" data-id="${sanitizeInput(String(occurrence.id))}">Anulează</button>`
+                : ''}
+        </li>
+    `).join('');
+    
+    domCache.manageSeries.innerHTML = `
+        <h2>Programare recurentă</h2>
+        <p>${sanitizeInput(series.recurrence)}, ora ${sanitizeInput(series.time)}</p>
+        ${series.occurrences.length > 0
+            ? `<ul>${occurrencesHtml}</ul>`
+            : '<p>Următoarele programări vor fi rezervate automat, pe măsură ce se deschid datele în calendar.</p>'}
+        <button type="button" class="btn-back" id="btnManageCancelSeries">Anulează toată seria</button>
+    `;
+    domCache.manageSeries.style.display = 'block';
+    
+    domCache.manageSeries.querySelectorAll('.btn-cancel-occurrence').forEach(button => {
+        button.addEventListener('click', () => anuleazaProgramarea({ occurrenceId: button.getAttribute('data-id') }));
+    });
+    
+    const btnCancelSeries = document.getElementById('btnManageCancelSeries');
+    if (btnCancelSeries) {
+        btnCancelSeries.addEventListener('click', () => anuleazaProgramarea({ scope: 'series' }));
+    }
+}
+
+// Încarcă programarea din link-ul de gestionare primit în email-ul de confirmare
+async function incarcaProgramareGestionata(token) {
+    manageToken = token;
+    
+    if (domCache.step1) domCache.step1.classList.remove('active');
+    if (domCache.manageStep) domCache.manageStep.classList.add('active');
+    if (domCache.manageDetails) domCache.manageDetails.innerHTML = '<p>Se încarcă programarea...</p>';
+    
+    try {
+        const response = await fetch(`${API_URL}/bookings/manage`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({ token })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success || !data.booking) {
+            if (domCache.manageDetails) {
+                domCache.manageDetails.innerHTML = `<p>${sanitizeInput(data.message || 'Link-ul de gestionare nu este valid.')}</p>`;
+            }
+            return;
+        }
+        
+        afiseazaProgramareGestionata(data.booking);
+    } catch (error) {
+        logger.error('Eroare la încărcarea programării:', error);
+        if (domCache.manageDetails) {
+            domCache.manageDetails.innerHTML = '<p>Nu am putut încărca programarea. Te rugăm să reîmprospătezi pagina.</p>';
+        }
+    }
+}
+
+// Încarcă orele libere pentru data aleasă la mutarea programării
+async function incarcaOreReprogramare() {
+    if (!managedBooking || !domCache.manageDateInput || !domCache.manageSlots) return;
+    
+    const newDate = domCache.manageDateInput.value;
+    if (!newDate) {
+        domCache.manageSlots.innerHTML = '';
+        return;
+    }
+    
+    domCache.manageSlots.innerHTML = '<p style="grid-column: 1 / -1; color: white; text-align: center;">Se încarcă orele disponibile...</p>';
+    
+    try {
+        const response = await fetch(`${API_URL}/available-time-slots`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({
+                serviceIds: managedBooking.serviceIds || [managedBooking.serviceId],
+                date: newDate,
+                barberId: managedBooking.barberId || 'any'
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success && data.timeSlots && data.timeSlots.length > 0) {
+            domCache.manageSlots.innerHTML = data.timeSlots.map(slot => {
+                const safeSlot = sanitizeInput(slot);
+                return `
+                    <label>
+                        <input type="radio" name="oraNoua" value="${safeSlot}">
+                        <span>${safeSlot}</span>
+                    </label>
+                `;
+            }).join('');
+        } else {
+            const message = data.message || 'Nu există ore disponibile pentru data selectată.';
+            domCache.manageSlots.innerHTML = `<p style="grid-column: 1 / -1; color: white; text-align: center;">${sanitizeInput(message)}</p>`;
+        }
+    } catch (error) {
+        logger.error('Eroare la încărcarea orelor pentru reprogramare:', error);
+        domCache.manageSlots.innerHTML = '<p style="grid-column: 1 / -1; color: white; text-align: center;">A apărut o eroare la încărcarea orelor disponibile.</p>';
+    }
+}
+
+// Mută programarea la data și ora alese
+async function mutaProgramarea() {
+    const newDate = domCache.manageDateInput ? domCache.manageDateInput.value : '';
+    const checked = domCache.manageSlots ? domCache.manageSlots.querySelector('input[name="oraNoua"]:checked') : null;
+    
+    if (!manageToken || !newDate || !checked) {
+        showNotification('Te rugăm să selectezi data și ora nouă!', 'error');
+        return;
+    }
+    
+    if (domCache.btnManageReschedule) domCache.btnManageReschedule.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_URL}/bookings/manage/reschedule`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({ token: manageToken, date: newDate, time: checked.value })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            showNotification(data.message || 'Nu am putut muta programarea.', 'error');
+            // Intervalul a fost ocupat între timp - reîncarcă orele libere
+            if (response.status === 409) {
+                await incarcaOreReprogramare();
+            }
+            return;
+        }
+        
+        afiseazaProgramareGestionata(data.booking);
+        showNotification(data.message, 'success');
+    } catch (error) {
+        logger.error('Eroare la mutarea programării:', error);
+        showNotification('A apărut o eroare. Te rugăm să încerci din nou.', 'error');
+    } finally {
+        if (domCache.btnManageReschedule) domCache.btnManageReschedule.disabled = false;
+    }
+}
+
+// Anulează programarea (sau, pentru programările recurente, o altă programare din serie ori toată seria)
+async function anuleazaProgramarea(options = {}) {
+    if (!manageToken) return;
+    
+    const { scope, occurrenceId } = options;
+    const confirmMessage = scope === 'series'
+        ? 'Sigur vrei să anulezi toate programările următoare din serie?'
+        : 'Sigur vrei să anulezi programarea?';
+    if (!window.confirm(confirmMessage)) return;
+    
+    const reason = domCache.manageCancelReasonInput ? domCache.manageCancelReasonInput.value.trim() : '';
+    
+    if (domCache.btnManageCancel) domCache.btnManageCancel.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_URL}/bookings/manage/cancel`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: JSON.stringify({
+                token: manageToken,
+                reason: reason || undefined,
+                scope: scope || undefined,
+                occurrenceId: occurrenceId || undefined
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            showNotification(data.message || 'Nu am putut anula programarea.', 'error');
+            return;
+        }
+        
+        afiseazaProgramareGestionata(data.booking);
+        showNotification(data.message, 'success');
+    } catch (error) {
+        logger.error('Eroare la anularea programării:', error);
+        showNotification('A apărut o eroare. Te rugăm să încerci din nou.', 'error');
+    } finally {
+        if (domCache.btnManageCancel) domCache.btnManageCancel.disabled = false;
+    }
+}
+
+// Funcție de inițializare optimizată
+function initializeApp() {
+    // Inițializează cache-ul DOM
+    domCache.init();
+    
+    // Setează data minimă
+    const minDate = calculateMinDate();
+    if (domCache.dataProgramare) {
+        domCache.dataProgramare.setAttribute('min', minDate);
+    }
+    
+    // Încarcă frizerii disponibili pentru selecție
+    incarcaFrizeri();
+    
+    // Link din email-ul listei de așteptare
+    const waitlistClaimToken = new URLSearchParams(window.location.search).get('waitlistClaim');
+    if (waitlistClaimToken) {
+        revendicaLocListaAsteptare(waitlistClaimToken);
+    }
+    
+    if (domCache.btnJoinWaitlist) {
+        domCache.btnJoinWaitlist.addEventListener('click', inscrieListaAsteptare);
+    }
+    
+    // Link-ul de verificare din email-ul cu codul
+    const bookingVerificationResult = new URLSearchParams(window.location.search).get('bookingVerification');
+    if (bookingVerificationResult) {
+        afiseazaVerificareLink(bookingVerificationResult);
+    }
+    
+    // Link-ul de gestionare din email-ul de confirmare
+    const manageBookingToken = new URLSearchParams(window.location.search).get('manageBooking');
+    if (manageBookingToken) {
+        incarcaProgramareGestionata(manageBookingToken);
+    }
+    
+    if (domCache.manageDateInput) {
+        domCache.manageDateInput.setAttribute('min', minDate);
+        domCache.manageDateInput.addEventListener('change', incarcaOreReprogramare);
+    }
+    if (domCache.btnManageReschedule) {
+        domCache.btnManageReschedule.addEventListener('click', mutaProgramarea);
+    }
+    if (domCache.btnManageCancel) {
+        domCache.btnManageCancel.addEventListener('click', () => anuleazaProgramarea());
+    }
+    
+    // Event listeners optimizați
+    if (domCache.dataProgramare) {
+        domCache.dataProgramare.addEventListener('change', debouncedDateChange);
+        
+        domCache.dataProgramare.addEventListener('input', function() {
+            const selectedDate = new Date(this.value);
+            const currentDate = new Date();
+            
+            currentDate.setHours(0, 0, 0, 0);
+            selectedDate.setHours(0, 0, 0, 0);
+            
+            if (selectedDate < currentDate) {
+                showNotification('Nu poți selecta o dată din trecut!', 'error');
+                this.value = '';
+                if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'none';
+                if (domCache.btnStep1) {
+                    domCache.btnStep1.disabled = false;
+                    domCache.btnStep1.style.opacity = '1';
+                }
+                return;
+            }
+        });
+    }
+    
+    // Event listeners pentru butoane înapoi
+    if (domCache.btnBackToStep1) {
+        domCache.btnBackToStep1.addEventListener('click', async function() {
+            if (selectedServiceId && selectedDate) {
+                logger.info('Reîncărcăm orele disponibile după revenirea la pasul 1...');
+                await incarcaOreDisponibile();
+            }
+            
+            if (domCache.step2) domCache.step2.classList.remove('active');
+            if (domCache.step1) domCache.step1.classList.add('active');
+        });
+    }
+    
+    if (domCache.btnBackToStep2) {
+        domCache.btnBackToStep2.addEventListener('click', function() {
+            if (domCache.step3) domCache.step3.classList.remove('active');
+            if (domCache.step2) domCache.step2.classList.add('active');
+        });
+    }
+    
+    // Event listener pentru butonul X de închidere a popup-ului
+    if (domCache.closeVerificationPopup) {
+        domCache.closeVerificationPopup.addEventListener('click', function() {
+            if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'none';
+            suspendReservation();
+            if (domCache.step3) domCache.step3.classList.remove('active');
+            if (domCache.step1) domCache.step1.classList.add('active');
+        });
+    }
+    
+    // Event listener pentru închiderea popup-ului cu ESC
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape' && domCache.verificationPopup && domCache.verificationPopup.style.display === 'flex') {
+            domCache.verificationPopup.style.display = 'none';
+            suspendReservation();
+            if (domCache.step3) domCache.step3.classList.remove('active');
+            if (domCache.step1) domCache.step1.classList.add('active');
+        }
+    });
+    
+    if (domCache.selectServiciu) {
+        domCache.selectServiciu.addEventListener('change', actualizeazaServiciiSuplimentare);
+    }
+    
+    if (domCache.groupToggle) {
+        domCache.groupToggle.addEventListener('change', comutaRezervareGrup);
+    }
+    if (domCache.btnAddAttendee) {
+        domCache.btnAddAttendee.addEventListener('click', adaugaPersoanaGrup);
+    }
+    
+    // Pasul 1 -> Pasul 2
+    if (domCache.btnStep1) {
+        domCache.btnStep1.addEventListener('click', async function () {
+            if (!domCache.selectServiciu || !domCache.dataProgramare) return;
+            
+            if (!domCache.selectServiciu.value || !domCache.dataProgramare.value) {
+                showNotification('Te rugăm să selectezi un serviciu și o dată!', 'error');
+                return;
+            }
+            
+            const selectedDateObj = new Date(domCache.dataProgramare.value);
+            const dayOfWeek = selectedDateObj.getDay();
+            
+            if (dayOfWeek === 0) {
+                if (domCache.sundayMessage) domCache.sundayMessage.style.display = 'block';
+                return;
+            }
+
+            groupAttendees = null;
+            if (domCache.groupToggle && domCache.groupToggle.checked) {
+                groupAttendees = getGroupAttendees();
+                if (!groupAttendees) return;
+            }
+
+            selectedServiceId = domCache.selectServiciu.value;
+            selectedServiceIds = getSelectedServiceIds();
+            selectedServiceName = getSelectedServicesName();
+            selectedDate = domCache.dataProgramare.value;
+            selectedBarberId = domCache.selectFrizer ? domCache.selectFrizer.value : 'any';
+
+            logger.info('Servicii selectate:', selectedServiceIds, selectedServiceName);
+            logger.info('Dată selectată:', selectedDate);
+
+            try {
+                await incarcaOreDisponibile();
+                
+                if (domCache.step1) domCache.step1.classList.remove('active');
+                if (domCache.step2) domCache.step2.classList.add('active');
+            } catch (error) {
+                logger.error('Eroare la pasul 1:', error);
+                showNotification('A apărut o eroare. Te rugăm să încerci din nou.', 'error');
+            }
+        });
+    }
+    
+    // Pasul 2 -> Pasul 3
+    if (domCache.btnStep2) {
+        domCache.btnStep2.addEventListener('click', async function () {
+            if (!domCache.oreDisponibile) return;
+            
+            const oreInputs = domCache.oreDisponibile.querySelectorAll('input[name="ora"]');
+            let oraSelectata = null;
+            
+            oreInputs.forEach((radio) => {
+                if (radio.checked) {
+                    oraSelectata = radio.value;
+                }
+            });
+
+            if (!oraSelectata) {
+                showNotification('Te rugăm să selectezi o oră!', 'error');
+                return;
+            }
+
+            try {
+                showNotification('Verificăm disponibilitatea orei selectate...', 'info');
+                
+                const isStillAvailable = await verifyTimeSlotStillAvailable(oraSelectata);
+                
+                if (!isStillAvailable) {
+                    showNotification(`Ora ${oraSelectata} nu mai este disponibilă. Orele au fost actualizate.`, 'warning');
+                    logger.info('🔄 Reîncărcăm orele disponibile...');
+                    await incarcaOreDisponibile();
+                    return;
+                }
+                
+                selectedTime = oraSelectata;
+                logger.info('Oră selectată și verificată:', selectedTime);
+
+                try {
+                    logger.info('Trimitem cerere pentru rezervare inițială...');
+                    // Un grup blochează câte un interval pentru fiecare persoană, începând cu ora aleasă
+                    const requestBody = JSON.stringify(groupAttendees ? {
+                        attendees: groupAttendees,
+                        date: selectedDate,
+                        time: selectedTime,
+                        barberId: selectedBarberId
+                    } : {
+                        serviceIds: selectedServiceIds,
+                        date: selectedDate,
+                        time: selectedTime,
+                        barberId: selectedBarberId
+                    });
+                    const response = await fetch(`${API_URL}/bookings${groupAttendees ? '/group' : ''}`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'X-Requested-With': 'XMLHttpRequest',
+                            'Idempotency-Key': getIdempotencyKey('lock', requestBody)
+                        },
+                        body: requestBody
+                    });
+
+                    const data = await response.json();
+                    clearIdempotencyKey('lock');
+                    logger.info('Răspuns rezervare inițială:', data);
+                    
+                    if (data.success) {
+                        // Frizerul efectiv alocat (relevant pentru "oricare frizer disponibil")
+                        selectedBarberName = data.bookingData ? data.bookingData.barberName : null;
+                        
+                        if (domCache.step2) domCache.step2.classList.remove('active');
+                        if (domCache.step3) domCache.step3.classList.add('active');
+                        
+                        if (groupAttendees && data.bookingData) {
+                            const schedule = data.bookingData.attendees
+                                .map(attendee => `${attendee.time} ${attendee.name}`)
+                                .join(', ');
+                            showNotification(`Orele au fost rezervate pentru tot grupul (${schedule}). Completează datele pentru confirmare.`, 'success');
+                        } else {
+                            showNotification('Ora rezervată cu succes! Completează datele pentru confirmare.', 'success');
+                        }
+                    } else {
+                        let errorMessage = data.message || 'Ora selectată nu mai este disponibilă';
+                        let errorType = 'error';
+                        
+                        if (data.message) {
+                            if (data.message.includes('blocat') || data.message.includes('închis') || data.message.includes('indisponibil')) {
+                                errorMessage = `${data.message} Te rugăm să selectezi altă oră.`;
+                                errorType = 'warning';
+                                logger.info('🔒 Admin a blocat ora - refreshez...');
+                            } else if (data.message.includes('nu mai este disponibil') || data.message.includes('rezervat de alt client')) {
+                                errorMessage = `${data.message}`;
+                                errorType = 'info';
+                                logger.info('👥 Alt client a rezervat ora - refreshez...');
+                            } else {
+                                logger.info('❓ Eroare necunoscută - refreshez...');
+                            }
+                        }
+                        
+                        showNotification(errorMessage, errorType);
+                        
+                        logger.info('🔄 Refreshez orele din cauza conflictului...');
+                        await incarcaOreDisponibile();
+                    }
+                } catch (error) {
+                    logger.error('Eroare la pasul 2:', error);
+                    
+                    let networkErrorMessage = 'A apărut o eroare la rezervarea orei.';
+                    if (error.message.includes('fetch')) {
+                        networkErrorMessage = 'Probleme de conexiune. Verifică internetul și încearcă din nou.';
+                    } else if (error.message.includes('timeout')) {
+                        networkErrorMessage = 'Cererea a expirat. Te rugăm să încerci din nou.';
+                    }
+                    
+                    showNotification(networkErrorMessage, 'error');
+                    
+                    logger.info('🔄 Refreshez orele din cauza erorii de rețea...');
+                    await incarcaOreDisponibile();
+                }
+                
+            } catch (verificationError) {
+                logger.error('Eroare la verificarea orei:', verificationError);
+                showNotification('Nu s-a putut verifica disponibilitatea orei. Te rugăm să încerci din nou.', 'error');
+            }
+        });
+    }
+    
+    // Pasul 3 -> Verificare prin Email
+    if (domCache.btnStep3) {
+        domCache.btnStep3.addEventListener('click', async function () {
+            if (!domCache.numeCompletInput || !domCache.telefonInput || !domCache.emailInput || !domCache.countryCodeSelect) return;
+            
+            numeComplet = domCache.numeCompletInput.value.trim();
+            telefon = domCache.telefonInput.value.trim();
+            email = domCache.emailInput.value.trim();
+            countryCode = domCache.countryCodeSelect.value;
+
+            if (!numeComplet || !telefon || !email) {
+                showNotification('Te rugăm să introduci numele, telefonul și emailul!', 'error');
+                return;
+            }
+
+            if (!validateInput('nume', numeComplet)) {
+                showNotification('Numele trebuie să conțină doar litere, spații și cratime, între 3 și 50 caractere!', 'error');
+                return;
+            }
+            
+            if (!validateInput('email', email)) {
+                showNotification('Te rugăm să introduci o adresă de email validă', 'error');
+                return;
+            }
+            
+            if (!validateInput('telefon', telefon)) {
+                showNotification('Vă rugăm să introduceți un număr de telefon valid', 'error');
+                return;
+            }
+
+            try {
+                logger.info('Trimitem cerere pentru completarea rezervării...');
+                // Pentru un grup, serverul folosește intervalele blocate în sesiune
+                const preferredChannel = domCache.canalNotificareSelect ? domCache.canalNotificareSelect.value : 'email';
+                const requestBody = JSON.stringify(groupAttendees ? {
+                    clientName: numeComplet,
+                    phoneNumber: telefon,
+                    email: email,
+                    countryCode: countryCode,
+                    preferredChannel
+                } : {
+                    clientName: numeComplet,
+                    phoneNumber: telefon,
+                    email: email,
+                    countryCode: countryCode,
+                    preferredChannel,
+                    serviceIds: selectedServiceIds,
+                    date: selectedDate,
+                    time: selectedTime,
+                    recurrenceWeeks: domCache.recurentaSelect && domCache.recurentaSelect.value
+                        ? parseInt(domCache.recurentaSelect.value)
+                        : undefined
+                });
+                const response = await fetch(`${API_URL}/bookings/${groupAttendees ? 'group/complete' : 'complete'}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Idempotency-Key': getIdempotencyKey('complete', requestBody)
+                    },
+                    body: requestBody
+                });
+
+                const data = await response.json();
+                clearIdempotencyKey('complete');
+                logger.info('Răspuns completare rezervare:', data);
+                
+                if (data.success) {
+                    bookingId = data.bookingId;
+                    logger.info('ID Rezervare:', bookingId);
+                    
+                    // Resetează countdown-ul și starea butonului de retrimitere
+                    const retrimiteCodElement = document.getElementById('retrimiteCod');
+                    const countdownElement = document.getElementById('countdown');
+                    if (retrimiteCodElement) retrimiteCodElement.style.display = 'inline-block';
+                    if (countdownElement) countdownElement.style.display = 'none';
+                    clearInterval(countdownInterval);
+                    canResend = true;
+                    
+                    // Resetează inputul pentru cod de verificare
+                    if (domCache.codVerificareInput) domCache.codVerificareInput.value = '';
+                    
+                    // Afișare pop-up verificare email
+                    if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'flex';
+                    
+                    showNotification('Un cod de verificare a fost trimis la adresa ta de email.', 'success');
+                } else {
+                    showNotification(data.message || 'A apărut o eroare la trimiterea codului de verificare.', 'error');
+                }
+            } catch (error) {
+                logger.error('Eroare la pasul 3:', error);
+                showNotification('A apărut o eroare la trimiterea codului de verificare. Te rugăm să încerci din nou.', 'error');
+            }
+        });
+    }
+    
+    // Verifică codul de email
+    if (domCache.btnVerify) {
+        domCache.btnVerify.addEventListener('click', async function () {
+            if (!domCache.codVerificareInput) return;
+            
+            const codVerificare = domCache.codVerificareInput.value.trim();
+
+            if (!codVerificare) {
+                showNotification('Te rugăm să introduci codul de verificare!', 'error');
+                return;
+            }
+            
+            if (!validateInput('cod', codVerificare)) {
+                showNotification('Codul de verificare trebuie să conțină exact 6 cifre!', 'error');
+                return;
+            }
+
+            try {
+                logger.info('Trimitem cerere pentru verificarea codului...');
+                const response = await fetch(`${API_URL}/bookings/verify`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({
+                        bookingId: bookingId,
+                        code: codVerificare
+                    })
+                });
+
+                const data = await response.json();
+                logger.info('Răspuns verificare cod:', data);
+                
+                if (data.success) {
+                    if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'none';
+                    if (domCache.step3) domCache.step3.classList.remove('active');
+                    if (domCache.step4) domCache.step4.classList.add('active');
+                    afiseazaRezultatRezervare(data.booking ? data.booking.status : 'pending');
+                    
+                    if (data.booking && data.booking.groupSize) {
+                        showNotification(`Rezervarea pentru ${data.booking.groupSize} persoane a fost verificată.`, 'success');
+                    }
+                    
+                    const bookingData = {
+                        serviciu: selectedServiceName,
+                        frizer: selectedBarberName,
+                        data: selectedDate,
+                        ora: selectedTime,
+                        numeComplet: numeComplet,
+                        telefon: countryCode + telefon,
+                        email: email
+                    };
+                    
+                    logger.info('Rezervare confirmată:', bookingData);
+                } else if (response.status === 410) {
+                    // Rezervarea a fost anulată (prea multe coduri greșite): clientul o ia de la început
+                    if (domCache.verificationPopup) domCache.verificationPopup.style.display = 'none';
+                    if (domCache.step3) domCache.step3.classList.remove('active');
+                    if (domCache.step1) domCache.step1.classList.add('active');
+                    resetForm();
+                    showNotification(data.message || 'Rezervarea a fost anulată. Te rugăm să faci o rezervare nouă.', 'error');
+                } else if (data.attemptsRemaining) {
+                    showNotification(`${data.message || 'Codul de verificare este incorect!'} Mai ai ${data.attemptsRemaining} ${data.attemptsRemaining === 1 ? 'încercare' : 'încercări'}.`, 'error');
+                } else {
+                    showNotification(data.message || 'Codul de verificare este incorect!', 'error');
+                }
+            } catch (error) {
+                logger.error('Eroare la verificarea codului:', error);
+                showNotification('A apărut o eroare la verificarea codului. Te rugăm să încerci din nou.', 'error');
+            }
+        });
+    }
+    
+    // Retrimite cod
+    if (domCache.retrimiteCod) {
+        domCache.retrimiteCod.addEventListener('click', async function (event) {
+            event.preventDefault();
+            
+            if (!bookingId || !canResend) {
+                return;
+            }
+
+            try {
+                logger.info('Trimitem cerere pentru retrimitere cod...');
+                const response = await fetch(`${API_URL}/bookings/resend-code`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({
+                        bookingId: bookingId
+                    })
+                });
+
+                const data = await response.json();
+                logger.info('Răspuns retrimitere cod:', data);
+                
+                if (data.success) {
+                    showNotification('Un nou cod de verificare a fost trimis la adresa ta de email.', 'success');
+                    startCountdown(60);
+                } else {
+                    const countdownElement = document.getElementById('countdown');
+                    if (data.message && data.message.includes('limita de email-uri pentru această rezervare')) {
+                        domCache.retrimiteCod.style.display = 'none';
+                        if (countdownElement) {
+                            countdownElement.textContent = 'Ai atins limita de 5 email-uri pentru această rezervare.';
+                            countdownElement.style.display = 'block';
+                        }
+                        canResend = false;
+                    } else if (data.message && data.message.includes('limita zilnică de email-uri')) {
+                        domCache.retrimiteCod.style.display = 'none';
+                        if (countdownElement) {
+                            countdownElement.textContent = 'Ai atins limita zilnică de 20 email-uri.';
+                            countdownElement.style.display = 'block';
+                        }
+                        canResend = false;
+                    } else {
+                        showNotification('Nu s-a putut retrimite codul de verificare.', 'error');
+                    }
+                }
+            } catch (error) {
+                logger.error('Eroare la retrimiterea codului:', error);
+                showNotification('A apărut o eroare la retrimiterea codului. Te rugăm să încerci din nou.', 'error');
+            }
+        });
+    }
+    
+    // Pre-completare câmpuri din localStorage dacă există
+    const savedName = localStorage.getItem('numeComplet');
+    const savedEmail = localStorage.getItem('email');
+    const savedPhone = localStorage.getItem('telefon');
+    const savedCountryCode = localStorage.getItem('countryCode');
+    
+    if (savedName && domCache.numeCompletInput) domCache.numeCompletInput.value = savedName;
+    if (savedEmail && domCache.emailInput) domCache.emailInput.value = savedEmail;
+    if (savedPhone && domCache.telefonInput) domCache.telefonInput.value = savedPhone;
+    if (savedCountryCode && domCache.countryCodeSelect) {
+        const options = domCache.countryCodeSelect.options;
+        for (let i = 0; i < options.length; i++) {
+            if (options[i].value === savedCountryCode) {
+                domCache.countryCodeSelect.selectedIndex = i;
+                break;
+            }
+        }
+    }
+    
+    // Salvează datele clientului pentru utilizări viitoare
+    if (domCache.btnStep3) {
+        domCache.btnStep3.addEventListener('click', function() {
+            if (domCache.numeCompletInput?.value && domCache.emailInput?.value && domCache.telefonInput?.value) {
+                localStorage.setItem('numeComplet', domCache.numeCompletInput.value);
+                localStorage.setItem('email', domCache.emailInput.value);
+                localStorage.setItem('telefon', domCache.telefonInput.value);
+                localStorage.setItem('countryCode', domCache.countryCodeSelect.value);
+            }
+        });
+    }
+}
+
+// Protecție împotriva CSRF și inițializare
+document.addEventListener('DOMContentLoaded', function() {
+    // Verifică dacă pagina este încărcată în iframe (protecție clickjacking)
+    if (window.self !== window.top) {
+        window.top.location = window.self.location;
+    }
+    
+    // Inițializează aplicația
+    initializeApp();
 });
\ No newline at end of file